@@ -6,148 +6,391 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Dimensions,
+  TextInput,
   Platform,
-  Switch
+  Switch,
+  AccessibilityInfo
 } from 'react-native';
 import { Camera, CameraView } from 'expo-camera'; // Ensure this import is successful
 import * as Speech from 'expo-speech'; // CORRECTED: Was previously "import * => {"
 import { Ionicons } from '@expo/vector-icons'; // Using Ionicons for icons
-// Remove NetworkInfo import as it's causing issues
+import * as Location from 'expo-location';
+import { useLocales } from 'expo-localization';
+import { createProvider, PROVIDER_IDS } from './src/vision/providers';
+import { createVisionPipeline, createActiveProvider } from './src/vision/pipeline';
+import { createCamera } from './src/camera/capture';
+import { createHistoryLog } from './src/history/log';
+import HistoryScreen from './src/history/HistoryScreen';
+import { DOCUMENT_PAGE_PROMPT, documentTitle } from './src/document/pages';
+import DocumentScreen from './src/document/DocumentScreen';
+import { DEFAULT_SETTINGS } from './src/settings/settingsStore';
+import { createSettingsManager } from './src/settings/manager';
+import SettingsScreen from './src/settings/SettingsScreen';
+import { createRemoteControl, REMOTE_PORT } from './src/remote/controller';
+import { createCommandHandler } from './src/remote/commands';
+import { createSpeechManager, SPEECH_PRIORITY } from './src/speech/speechManager';
+import { createAnnouncer } from './src/speech/announcer';
+import { buildFindPrompt } from './src/find/finder';
+import { PRODUCT_BARCODE_TYPES } from './src/product/codes';
+import { describeProduct } from './src/product/products';
+import { createProductScanner } from './src/product/scanner';
+import ProductScreen from './src/product/ProductScreen';
+import { buildSosContact } from './src/sos/alerts';
+import { createRecognizer } from './src/voice/recognizers';
+import { createVoiceDispatcher } from './src/voice/dispatcher';
+import {
+  BUILT_IN_MODES,
+  DEFAULT_MODE_ID,
+  findMode,
+  getMode,
+  localizeModes,
+  buildCustomMode,
+  loadCustomModes,
+  saveCustomModes
+} from './src/modes/registry';
+import ModeEditor from './src/modes/ModeEditor';
+import GestureSurface from './src/accessibility/GestureSurface';
+import { GESTURES } from './src/accessibility/gestures';
+import { t, setLocale, getLocale, resolveLocale, localizePrompt } from './src/i18n';
+import { createUsageLog, summarizeUsage } from './src/usage/meter';
+import { createUsageTracker } from './src/usage/tracker';
+import { describeUsage } from './src/usage';
+import { createSimulationControl } from './src/simulation/control';
+import {
+  createAppMachine,
+  APP_STATES,
+  APP_EVENTS,
+  LOOPS,
+  INITIAL_APP_STATE,
+  isBusy,
+  canChangeMode
+} from './src/app/stateMachine';
+import { createProcessor } from './src/app/processing';
+import { createContinuousNavigation, CONTINUOUS_INTERVALS_MS } from './src/navigation/continuous';
+import { createFindSearch } from './src/find/search';
+import { createAutoAnnounce } from './src/camera/autoAnnounce';
+import { createDocumentReader } from './src/document/reader';
+import { createEmergency, SOS_COUNTDOWN_MS } from './src/sos/emergency';
+import { createVoiceListener } from './src/voice/listener';
 
 // Get screen dimensions for responsive layout
 const { width: screenWidth } = Dimensions.get('window');
 
-// Simple HTTP server for receiving commands
-let server = null;
-let serverPort = 8080;
-let pollingInterval = null;
+// How long Stop is held to send an emergency alert
+const SOS_LONG_PRESS_MS = 1500;
 
 // Main App Component
 export default function App() {
-  const [hasPermission, setHasPermission] = useState(null); // Camera and Speech permission state (true/false/null)
-  const [cameraReady, setCameraReady] = useState(false); // Camera readiness state
-  const [currentMode, setCurrentMode] = useState('passive'); // Active mode (read, navigate, passive)
-  const [message, setMessage] = useState('Initializing app...'); // Message display
-  const [isProcessing, setIsProcessing] = useState(false); // Loading indicator state
-  const [remoteControlEnabled, setRemoteControlEnabled] = useState(false); // Remote control toggle
-  const [serverStatus, setServerStatus] = useState('Stopped'); // Server status
-  const [deviceIP, setDeviceIP] = useState(''); // Device IP address
-  const cameraRef = useRef(null); // Reference to the camera component
-
-  // --- Firebase Configuration and Initialization (Dummy for local, actual for deployment) ---
-  // These variables are typically provided by the Canvas environment.
-  // For local testing, you might hardcode a dummy config or handle its absence.
-  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-  const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-  const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-  /**
-   * Updates the message text displayed in the app and optionally speaks it aloud.
-   * @param {string} msg - The message to display.
-   * @param {boolean} shouldSpeak - Whether the message should be spoken aloud.
-   */
-  const updateMessage = (msg, shouldSpeak = false) => {
-    setMessage(msg);
-    if (shouldSpeak) {
-      speak(msg);
-    }
-  };
-
-  /**
-   * Starts a simple HTTP server to receive commands from other devices
-   */
-  const startServer = async () => {
-    try {
-      setServerStatus('Starting...');
-      
-      // For now, we'll use a placeholder IP and implement a simple polling mechanism
-      // In a real implementation, you'd use a proper HTTP server library
-      const placeholderIP = '192.168.1.100'; // This would be the actual IP in production
-      setDeviceIP(placeholderIP);
-      
-      // Simulate server functionality
-      setServerStatus('Running');
-      updateMessage(`Remote control enabled. Other devices can send commands to: http://${placeholderIP}:${serverPort}`, true);
-      
-      // Start polling for commands (simplified approach)
-      startCommandPolling();
-      
-    } catch (error) {
-      console.error('Error starting server:', error);
-      setServerStatus('Error');
-      updateMessage('Failed to start remote control server', true);
-    }
-  };
-
-  /**
-   * Stops the HTTP server
-   */
-  const stopServer = () => {
-    setServerStatus('Stopped');
-    setRemoteControlEnabled(false);
-    updateMessage('Remote control disabled', true);
-    // Stop polling if it was running
-    if (pollingInterval) {
-      clearInterval(pollingInterval);
-    }
-  };
-
-  /**
-   * Starts polling for commands (simplified approach)
-   */
-  const startCommandPolling = () => {
-    // In a real implementation, this would be a proper HTTP server
-    // For now, we'll simulate command reception
-    console.log('Command polling started - ready to receive commands');
-  };
+  const [appState, setAppState] = useState(INITIAL_APP_STATE); // What the app is doing, see src/app/stateMachine.js
+  const [currentMode, setCurrentMode] = useState(DEFAULT_MODE_ID); // Active mode id (read, navigate, passive or a custom mode)
+  const [customModes, setCustomModes] = useState([]); // User-defined modes, persisted on the device
+  const [modeEditorVisible, setModeEditorVisible] = useState(false); // Custom mode editor shown
+  const [editingMode, setEditingMode] = useState(null); // Custom mode being edited, or null when creating one
+  const [message, setMessage] = useState(() => t('app.initializing')); // Message display
+  const [messageLive, setMessageLive] = useState(false); // Whether screen readers should announce the message (it is not spoken)
+  const [remote, setRemote] = useState({ status: 'stopped', ipAddress: '', pairingCode: '' }); // Remote control, see src/remote/controller.js
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS); // Persisted provider and speech settings
+  const [apiKeys, setApiKeys] = useState({}); // Provider id -> { key, source } from secure storage or the build
+  const [settingsVisible, setSettingsVisible] = useState(false); // Settings screen shown
+  const [voices, setVoices] = useState([]); // Voices offered in settings
+  const [historyEntries, setHistoryEntries] = useState([]); // Persisted capture log, newest first
+  const [historyVisible, setHistoryVisible] = useState(false); // History screen shown
+  const [usageLog, setUsageLog] = useState(createUsageLog()); // Vision request accounting, see src/usage/meter.js
+  const [simulation, setSimulation] = useState({ mode: 'off', sessionId: null, name: null }); // Replaying or recording a session; never persisted
+  const [simulationSessions, setSimulationSessions] = useState([]); // Recorded sessions offered in settings
+  const [incognito, setIncognito] = useState(false); // Captures are not saved to history or documents; never persisted itself
+  const [continuousIntervalMs, setContinuousIntervalMs] = useState(CONTINUOUS_INTERVALS_MS[1]); // Delay between continuous captures
+  const [findTarget, setFindTarget] = useState(''); // Object named for Find mode, e.g. "my keys"
+  const [hasConversation, setHasConversation] = useState(false); // Whether follow-up questions can be asked
+  const [followUpQuestion, setFollowUpQuestion] = useState(''); // Text typed into the follow-up field
+  const [speechPaused, setSpeechPaused] = useState(false); // Speech paused by the user
+  const [activeDocument, setActiveDocument] = useState(null); // Multi-page document open in Read mode, if any
+  const [documents, setDocuments] = useState([]); // Saved documents, most recently used first
+  const [documentVisible, setDocumentVisible] = useState(false); // Document screen shown
+  const [documentReading, setDocumentReading] = useState(false); // Open document being read aloud
+  const [voiceListening, setVoiceListening] = useState(false); // Microphone open for voice commands
+  const [products, setProducts] = useState([]); // Product database for Product mode, most recently saved first
+  const [productsVisible, setProductsVisible] = useState(false); // Product screen shown
+  const [productDraft, setProductDraft] = useState(null); // { code, name, details } from the last label reading, ready to save
+  const [productFormDraft, setProductFormDraft] = useState(null); // What the product screen's form starts with
+  const [sosState, setSosState] = useState('idle'); // Emergency alert: 'idle', 'countdown' (Stop cancels) or 'sending'
+  const [sosPending, setSosPending] = useState(0); // Emergency alerts still being delivered
+  // For rendering only; code that runs later asks machineRef, which is never stale
+  const isProcessing = isBusy(appState); // A capture or question is in flight
+  const continuousActive = appState.loop === LOOPS.CONTINUOUS; // Hands-free navigate loop running
+  const autoAnnounceActive = appState.loop === LOOPS.AUTO_ANNOUNCE; // Passive mode describes scene changes by itself
+  const findActive = appState.loop === LOOPS.FIND; // Find mode search loop running
+  const remoteControlEnabled = remote.status !== 'stopped';
+  const cameraViewRef = useRef(null); // Reference to the camera component
+  const screenReaderRef = useRef(false); // Whether VoiceOver or TalkBack is running
+  const { providerId, modelId } = settings; // Active vision provider (gemini, openai, mock) and its model
+  const incognitoRef = useRef(false); // Latest incognito state, for captures that finish after it changed
+  incognitoRef.current = incognito;
+  const deviceLocales = useLocales(); // Device languages, followed unless the user picked one in settings
+  setLocale(resolveLocale(settings.locale, deviceLocales)); // Every message below is looked up in this language
+  const modes = localizeModes([...BUILT_IN_MODES, ...customModes]); // Every mode the app currently offers
+  const modesRef = useRef(modes); // Latest modes, for the voice command dispatcher
+  modesRef.current = modes;
+  const machineRef = useRef(null); // App state machine; every capture, question and loop goes through it
+  if (!machineRef.current) {
+    machineRef.current = createAppMachine({ onChange: setAppState });
+  }
+  // The objects below are created once, so the callbacks they are given must read the latest state
+  // through refs (modesRef, incognitoRef, ...) or the other modules rather than from the first render
+  const settingsManagerRef = useRef(null); // Settings and API keys, saved as they change
+  if (!settingsManagerRef.current) {
+    settingsManagerRef.current = createSettingsManager({
+      updateMessage: (text, shouldSpeak) => announcerRef.current.updateMessage(text, shouldSpeak),
+      onChange: ({ settings: next, apiKeys: keys }) => {
+        setSettings(next);
+        setApiKeys(keys);
+      },
+    });
+  }
+  const settingsManager = settingsManagerRef.current;
+  const speechRef = useRef(null); // Prioritized speech queue; every spoken message goes through it
+  if (!speechRef.current) {
+    speechRef.current = createSpeechManager({
+      getSpeechOptions: () => ({
+        language: getLocale().speechLanguage,
+        rate: settingsManager.get().speechRate,
+        pitch: settingsManager.get().speechPitch,
+        voice: settingsManager.get().voice || undefined,
+      }),
+      onChange: ({ speaking, paused }) => {
+        setSpeechPaused(paused);
+        machineRef.current.send(speaking ? APP_EVENTS.SPEECH_STARTED : APP_EVENTS.SPEECH_ENDED);
+      },
+    });
+  }
+  const announcerRef = useRef(null); // Shows and speaks messages, masking sensitive numbers
+  if (!announcerRef.current) {
+    announcerRef.current = createAnnouncer({
+      speech: speechRef.current,
+      shouldMask: () => settingsManager.get().sensitiveData !== 'speak',
+      onShow: (text, live) => {
+        setMessage(text);
+        setMessageLive(live);
+      },
+      announce: (text) => {
+        if (screenReaderRef.current && Platform.OS === 'ios') {
+          AccessibilityInfo.announceForAccessibility(text); // iOS has no live regions
+        }
+      },
+    });
+  }
+  const { speak, updateMessage } = announcerRef.current;
+  const simulationRef = useRef(null); // Replaying or recording a session in place of the camera, if any
+  if (!simulationRef.current) {
+    simulationRef.current = createSimulationControl({
+      machine: machineRef.current,
+      updateMessage,
+      onChange: ({ simulation: next, sessions }) => {
+        setSimulation(next);
+        setSimulationSessions(sessions);
+      },
+    });
+  }
+  const simulationControl = simulationRef.current;
+  const usageRef = useRef(null); // Vision request accounting and the daily budget
+  if (!usageRef.current) {
+    usageRef.current = createUsageTracker({
+      getLimit: () => settingsManager.get().dailyCallBudget,
+      speak,
+      onChange: setUsageLog,
+    });
+  }
+  const usage = usageRef.current;
+  const historyRef = useRef(null); // Persisted capture log
+  if (!historyRef.current) {
+    historyRef.current = createHistoryLog({
+      isIncognito: () => incognitoRef.current,
+      getModeLabel: (mode) => getMode(modesRef.current, mode).label,
+      updateMessage,
+      onChange: setHistoryEntries,
+    });
+  }
+  const history = historyRef.current;
+  const cameraRef = useRef(null); // Takes pictures and scene samples, or replays recorded frames
+  if (!cameraRef.current) {
+    cameraRef.current = createCamera({
+      getCameraView: () => cameraViewRef.current,
+      getSimulation: simulationControl.getActive,
+      isIncognito: () => incognitoRef.current,
+    });
+  }
+  const pipelineRef = useRef(null); // Takes a picture, has it described and turns the answer into speech
+  if (!pipelineRef.current) {
+    pipelineRef.current = createVisionPipeline({
+      camera: cameraRef.current,
+      getModelId: () => settingsManager.get().modelId,
+    });
+  }
+  const remoteCommandHandlerRef = useRef(null); // Latest remote command handler, so the server never sees stale state
+  const remoteControlRef = useRef(null); // Remote control server switch and pairing
+  if (!remoteControlRef.current) {
+    remoteControlRef.current = createRemoteControl({
+      onCommand: (command) => remoteCommandHandlerRef.current(command),
+      onChange: setRemote,
+      updateMessage,
+    });
+  }
+  const lastDescriptionRef = useRef(''); // Most recent description, reported to remote clients
+  const documentReaderRef = useRef(null); // Open document in Read mode, its pages and reading aloud
+  if (!documentReaderRef.current) {
+    documentReaderRef.current = createDocumentReader({
+      announcer: announcerRef.current,
+      stopSpeech: () => speechRef.current.stop(),
+      isIncognito: () => incognitoRef.current,
+      onChange: ({ document, documents: saved, reading }) => {
+        setActiveDocument(document);
+        setDocuments(saved);
+        setDocumentReading(reading);
+      },
+    });
+  }
+  const documentReader = documentReaderRef.current;
+  const processorRef = useRef(null); // Every capture and follow-up question, the loops' captures included
+  if (!processorRef.current) {
+    processorRef.current = createProcessor({
+      machine: machineRef.current,
+      pipeline: pipelineRef.current,
+      announcer: announcerRef.current,
+      getProvider: () => getActiveProvider(),
+      hasApiKey: settingsManager.hasApiKey,
+      isCameraReady: () => isCameraReady(),
+      getPrompt: (mode) => getPromptForMode(mode),
+      getFindTarget: () => loopsRef.current.find.getTarget(),
+      isDocumentOpen: () => documentReaderRef.current.isOpen(),
+      onDescribed: ({ mode, description, thumbnailBase64 }) => {
+        history.record({ mode, text: description, thumbnailBase64 });
+        lastDescriptionRef.current = description;
+      },
+      onDocumentPage: (blocks) => documentReaderRef.current.addPage(blocks),
+      onConversationChange: setHasConversation,
+    });
+  }
+  const processor = processorRef.current;
+  const scannerRef = useRef(null); // Barcodes and QR codes in Product mode, and the saved products
+  if (!scannerRef.current) {
+    scannerRef.current = createProductScanner({
+      machine: machineRef.current,
+      announcer: announcerRef.current,
+      capture: (options) => processorRef.current.capture(options),
+      onDescribed: ({ mode, text }) => {
+        history.record({ mode, text });
+        lastDescriptionRef.current = text;
+      },
+      onChange: ({ products: saved, draft }) => {
+        setProducts(saved);
+        setProductDraft(draft);
+      },
+    });
+  }
+  const scanner = scannerRef.current;
+  const loopsRef = useRef(null); // The hands-free loops; one runs at a time
+  if (!loopsRef.current) {
+    const loopOptions = {
+      machine: machineRef.current,
+      begin: (loop) => beginLoop(loop),
+      capture: (options) => processorRef.current.capture(options),
+      cancelCapture: () => processorRef.current.cancel(),
+      getFrameIssue: () => processorRef.current.getFrameIssue(),
+      isOverBudget: usage.isOverBudget,
+      announcer: announcerRef.current,
+    };
+    loopsRef.current = {
+      continuous: createContinuousNavigation(loopOptions),
+      find: createFindSearch(loopOptions),
+      autoAnnounce: createAutoAnnounce({ ...loopOptions, camera: cameraRef.current, getSettings: () => settingsManager.get() }),
+    };
+  }
+  const { continuous, find: findSearch, autoAnnounce } = loopsRef.current;
+  const emergencyRef = useRef(null); // Emergency alert countdown, gathering and delivery
+  if (!emergencyRef.current) {
+    emergencyRef.current = createEmergency({
+      camera: cameraRef.current,
+      isCameraReady: () => isCameraReady(),
+      getProvider: () => getActiveProvider(),
+      getModelId: () => settingsManager.get().modelId,
+      getContacts: () => settingsManager.get().sosContacts,
+      // The camera and the user's attention belong to the alert now
+      stopActivities: () => {
+        stopLoops();
+        documentReaderRef.current.stopReading();
+        processorRef.current.cancel();
+      },
+      announcer: announcerRef.current,
+      onChange: ({ state, pending }) => {
+        setSosState(state);
+        setSosPending(pending);
+      },
+    });
+  }
+  const emergency = emergencyRef.current;
+  const voiceDispatcherRef = useRef(null); // Maps transcripts to remote-style commands and asks when unsure
+  if (!voiceDispatcherRef.current) {
+    voiceDispatcherRef.current = createVoiceDispatcher({
+      getModes: () => modesRef.current,
+      execute: (command) => remoteCommandHandlerRef.current(command),
+      say: (text) => speechRef.current.say(text, SPEECH_PRIORITY.ANSWER), // The user is waiting for this reply
+      describeStatus: (reply) => [
+        t('voice.status', { mode: getMode(modesRef.current, reply.mode).label, description: reply.description || t('voice.nothingCaptured') }),
+        reply.processing ? t('voice.stillAnalyzing') : null,
+      ].filter(Boolean).join(' '),
+      describeUsage: (reply) => describeUsage(reply, reply.budget, modesRef.current),
+    });
+  }
+  const voiceListenerRef = useRef(null); // Microphone for voice commands, push to talk or wake word
+  if (!voiceListenerRef.current) {
+    voiceListenerRef.current = createVoiceListener({
+      recognizer: createRecognizer('device'),
+      speech: speechRef.current,
+      announcer: announcerRef.current,
+      getSettings: () => settingsManager.get(),
+      getHints: () => modesRef.current.map((mode) => mode.label),
+      isAwaitingAnswer: () => voiceDispatcherRef.current.isAwaitingAnswer(),
+      onCommand: (utterance) => voiceDispatcherRef.current.handleTranscript(utterance)
+        .catch((error) => console.error('Error handling voice command:', error)),
+      onListeningChange: setVoiceListening,
+    });
+  }
+  const voiceListener = voiceListenerRef.current;
 
-  /**
-   * Toggles remote control functionality
-   */
-  const toggleRemoteControl = () => {
-    if (remoteControlEnabled) {
-      stopServer();
-    } else {
-      setRemoteControlEnabled(true);
-      startServer();
-    }
-  };
+  // Remote and voice commands act on the app through this (see src/remote/commands.js); the
+  // commands have already been validated and authorized by the server
+  remoteCommandHandlerRef.current = createCommandHandler({
+    machine: machineRef.current,
+    usage,
+    getMode: () => currentMode,
+    getDescription: () => lastDescriptionRef.current,
+    speak: (text) => speak(text),
+    repeat: () => speechRef.current.repeatLast(),
+    pause: () => speechRef.current.pause(),
+    resume: () => speechRef.current.resume(),
+    stop: () => stopAllOperations(),
+    findMode: (name) => findMode(modes, name),
+    selectMode: (modeId) => selectMode(modeId),
+    capture: () => processImage(),
+    hasSosContacts: () => settingsManager.get().sosContacts.length > 0,
+    triggerSos: () => emergency.trigger(),
+    sosCountdownMs: SOS_COUNTDOWN_MS,
+    startFind: (target) => startFindSearch(target),
+    isFinding: () => findSearch.isActive(),
+    getFindTarget: () => findSearch.getTarget(),
+    hasConversation: () => processor.hasConversation(),
+    ask: (question) => processor.ask(question),
+  });
 
-  /**
-   * Handles incoming remote commands
-   * @param {string} command - The command received from another device
-   */
-  const handleRemoteCommand = (command) => {
-    switch (command.toLowerCase()) {
-      case 'speak':
-        speak('Hello from remote device!');
-        break;
-      case 'status':
-        speak(`Current mode is ${currentMode}`);
-        break;
-      case 'read':
-        setCurrentMode('read');
-        speak('Mode set to read');
-        break;
-      case 'navigate':
-        setCurrentMode('navigate');
-        speak('Mode set to navigate');
-        break;
-      case 'passive':
-        setCurrentMode('passive');
-        speak('Mode set to passive');
-        break;
-      default:
-        speak(`Received command: ${command}`);
-    }
-  };
+  // Shut the remote control server down when the app unmounts
+  useEffect(() => () => remoteControlRef.current.stop(), []);
 
   // Request camera and speech permissions on component mount
   useEffect(() => {
     const requestPermissions = async () => {
       let cameraGranted = false;
       let speechGranted = false;
-      let permissionMessage = 'Requesting camera and speech permissions...';
+      let permissionMessage = t('permissions.requesting');
       updateMessage(permissionMessage, false); // Don't speak this initial loading message
 
       try {
@@ -159,8 +402,8 @@ export default function App() {
           console.log('Camera Permission Status:', cameraStatus.status);
         } else {
           console.error('Expo Camera module is not available or not linked correctly. Check installation.');
-          permissionMessage = 'Camera module not found or not functional. Please ensure all Expo packages are installed correctly.';
-          setHasPermission(false); // Mark permissions as false if camera module is missing
+          permissionMessage = t('permissions.cameraModuleMissing');
+          machineRef.current.send(APP_EVENTS.PERMISSION_DENIED); // The camera module is missing
           updateMessage(permissionMessage, true);
           return; // Exit early if camera module is the issue
         }
@@ -168,27 +411,26 @@ export default function App() {
         speechGranted = true;
 
         if (cameraGranted && speechGranted) {
-          setHasPermission(true);
-          permissionMessage = 'Camera and Speech permissions granted. Select a mode and tap the button.';
+          machineRef.current.send(APP_EVENTS.PERMISSION_GRANTED); // Ready once the camera has started
+          permissionMessage = t('permissions.granted');
           // Automatically set passive mode as active initially
           setCurrentMode('passive');
         } else {
-          setHasPermission(false);
-          permissionMessage = ''; // Clear previous message before building new one
+          machineRef.current.send(APP_EVENTS.PERMISSION_DENIED);
+          const denied = []; // Build the message from every permission that is missing
           if (!cameraGranted) {
-            permissionMessage += 'Camera permission not granted. Please enable it in settings. ';
+            denied.push(t('permissions.cameraDenied'));
           }
           if (!speechGranted) {
-            permissionMessage += 'Speech permission not granted. Please enable it in settings (look for Microphone access for Expo Go or your app).';
-          }
-          if (!permissionMessage) { // Fallback if somehow both are undefined but not granted
-              permissionMessage = 'Some permissions were not granted. Please check app settings.';
+            denied.push(t('permissions.speechDenied'));
           }
+          // Fallback if somehow both are undefined but not granted
+          permissionMessage = denied.length > 0 ? denied.join(' ') : t('permissions.someDenied');
         }
       } catch (error) {
         console.error('Error during permission request:', error);
-        permissionMessage = `Error requesting permissions: ${error.message}. Please check app settings.`;
-        setHasPermission(false);
+        permissionMessage = t('permissions.error', { error: error.message });
+        machineRef.current.send(APP_EVENTS.PERMISSION_DENIED);
       } finally {
         // Use a timeout to ensure the UI has time to update to the "requesting" state
         // before showing the final permission status.
@@ -199,134 +441,485 @@ export default function App() {
     };
 
     requestPermissions();
-  }, []); // Run only once on component mount
+  }, [updateMessage]); // Run only once on component mount; updateMessage never changes
 
+  // Load the user's custom modes, settings, API keys and saved data once on mount
+  useEffect(() => {
+    loadCustomModes().then(setCustomModes);
+    settingsManagerRef.current.load();
+    historyRef.current.load();
+    documentReaderRef.current.load();
+    scannerRef.current.load();
+    usageRef.current.load();
+  }, []);
 
   /**
-   * Returns the appropriate prompt for the Gemini API based on the current mode.
-   * @param {string} mode - The current operational mode ('read', 'navigate', 'passive').
-   * @returns {string} The detailed prompt for the Gemini model.
+   * Builds the vision provider for the next request with its stored connection options: the replayed
+   * session in simulation mode, otherwise one whose completed requests are added to the usage log.
+   * @returns {Object} The vision provider.
    */
-  const getPromptForMode = (mode) => {
-    switch (mode) {
-      case 'read':
-        return "Extract all readable text from this image. No extra commentary or explanation. Prioritize the most important text.";
-      case 'navigate':
-        return "Describe the immediate environment for indoor navigation. Identify key objects, obstacles, pathways, and directional cues. Mention any furniture, doors, stairs, changes in floor level, or other significant features. Provide guidance on what's directly in front, to the left, and to the right. Highlight potential hazards or clear paths.";
-      case 'passive':
-      default:
-        return "Describe the scene briefly. Focus on elements that would be helpful for a visually impaired person to navigate or understand their surroundings. For example, if there's text, read it out. If there are obstacles, describe them. Be concise but informative.";
+  const getActiveProvider = () => createActiveProvider({
+    providerId: settingsManager.get().providerId,
+    providerOptions: settingsManager.getProviderOptions(),
+    simulation: simulationControl.getActive(),
+    incognito: incognitoRef.current,
+    onCall: usage.record,
+  });
+
+  /**
+   * Whether a picture can be taken: the camera has started and is mounted, or a session is being replayed.
+   * @returns {boolean} True if it can.
+   */
+  const isCameraReady = () => {
+    const { state } = machineRef.current.getSnapshot();
+    return state !== APP_STATES.INITIALIZING && state !== APP_STATES.PERMISSION_DENIED && cameraRef.current.isAvailable();
+  };
+
+  /**
+   * Opens the settings screen and loads the voices it offers.
+   */
+  const openSettings = async () => {
+    setSettingsVisible(true);
+    simulationControl.refreshSessions();
+    try {
+      const available = await Speech.getAvailableVoicesAsync();
+      // Only voices that speak the app language, e.g. 'es' voices for Spanish
+      const language = getLocale().speechLanguage.split('-')[0];
+      setVoices(available.filter((voice) => voice.language && voice.language.startsWith(language)));
+    } catch (error) {
+      console.error('Error loading voices:', error);
     }
   };
 
   /**
-   * Handles the image capture and API call logic.
+   * Switches to a mode and speaks its confirmation. Refused while an image the user asked about is
+   * being analyzed; a hands-free loop's capture is cancelled instead, since leaving its mode ends it.
+   * @param {string} modeId - The mode to activate.
    */
-  const processImage = async () => {
-    if (!cameraReady || !cameraRef.current) {
-      updateMessage('Camera not ready. Please wait or refresh the app.', true);
+  const selectMode = (modeId) => {
+    if (!canChangeMode(machineRef.current.getSnapshot())) {
+      updateMessage(t('modes.busy'), true);
       return;
     }
+    const mode = getMode(modes, modeId);
+    setCurrentMode(mode.id);
+    updateMessage(mode.confirmation, true);
+  };
+
+  /**
+   * Opens the custom mode editor.
+   * @param {Object|null} mode - The custom mode to edit, or null to create a new one.
+   */
+  const openModeEditor = (mode = null) => {
+    setEditingMode(mode);
+    setModeEditorVisible(true);
+  };
 
-    setIsProcessing(true);
-    updateMessage('Analyzing image, please wait...', false); // Don't speak this
-    Speech.stop(); // Stop any ongoing speech
+  /**
+   * Validates, stores and selects a custom mode. Throws so the editor can show validation errors.
+   * @param {Object} draft - Fields from the mode editor.
+   */
+  const saveCustomMode = async (draft) => {
+    const [mode] = localizeModes([buildCustomMode(draft, modes)]);
+    const updated = draft.id
+      ? customModes.map((existing) => (existing.id === draft.id ? mode : existing))
+      : [...customModes, mode];
+    await saveCustomModes(updated);
+    setCustomModes(updated);
+    setModeEditorVisible(false);
+    setCurrentMode(mode.id);
+    updateMessage(t('modes.saved', { label: mode.label, confirmation: mode.confirmation }), true);
+  };
 
+  /**
+   * Deletes a custom mode, falling back to the default mode if it was active.
+   * @param {string} modeId - The custom mode id.
+   */
+  const deleteCustomMode = async (modeId) => {
+    const removed = customModes.find((mode) => mode.id === modeId);
+    const updated = customModes.filter((mode) => mode.id !== modeId);
     try {
-      // Take a picture with base64 encoding
-      const photo = await cameraRef.current.takePictureAsync({
-        base64: true,
-        quality: 0.7, // Adjust quality for faster processing
-        allowsEditing: false,
-        exif: false,
-      });
-
-      const base64ImageData = photo.base64;
-      const prompt = getPromptForMode(currentMode);
-
-      // Construct the payload for the Gemini API call
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-      const payload = {
-        contents: [
-          {
-            role: "user",
-            parts: [
-              { text: prompt },
-              {
-                inlineData: {
-                  mimeType: "image/jpeg", // Assume JPEG from takePictureAsync
-                  data: base64ImageData
-                }
-              }
-            ]
-          }
-        ],
-      };
-
-      // Define API key and URL for Gemini model
-      const apiKey = "{insert here}"; // Canvas will inject this at runtime if empty
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-      // Make the API call to Gemini
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      const result = await response.json();
-      console.log('Gemini API Response:', result);
-
-      let description = 'Could not get a description.';
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        description = result.candidates[0].content.parts[0].text;
-      } else {
-        description = 'No clear description was generated. Please try again.';
-        console.error('Unexpected API response structure or missing content:', result);
-      }
-
-      updateMessage(description, true); // Speak the description
+      await saveCustomModes(updated);
     } catch (error) {
-      console.error('Error during capture or API call:', error);
-      const errorMessage = `Failed to get description: ${error.message}. Please try again.`;
-      updateMessage(errorMessage, true);
-    } finally {
-      setIsProcessing(false);
+      console.error('Error deleting custom mode:', error);
+      updateMessage(t('modes.deleteFailed'), true);
+      return;
+    }
+    setCustomModes(updated);
+    setModeEditorVisible(false);
+    if (currentMode === modeId) {
+      setCurrentMode(DEFAULT_MODE_ID);
+    }
+    updateMessage(removed ? t('modes.deleted', { label: removed.label }) : t('modes.deletedUnnamed'), true);
+  };
+
+
+  /**
+   * Returns the prompt for the vision model based on the current mode, asking for the answer in the app language.
+   * @param {string} mode - The mode id ('read', 'navigate', 'passive' or a custom mode).
+   * @returns {string} The detailed prompt for the model.
+   */
+  const getPromptForMode = (mode) => {
+    if (mode === 'read' && documentReader.isOpen()) {
+      return localizePrompt(DOCUMENT_PAGE_PROMPT, 'transcribe'); // Full structured transcription of one page of the open document
+    }
+    if (mode === 'find') {
+      return localizePrompt(buildFindPrompt(findSearch.getTarget()), 'json'); // Asks about the named object only
+    }
+    const { prompt, promptStyle } = getMode(modesRef.current, mode);
+    return localizePrompt(prompt, promptStyle);
+  };
+
+  /**
+   * Captures a picture, has it described and shows and speaks the result, see createProcessor.
+   * @param {Object} [options] - announce, and mode, which defaults to the current mode.
+   * @returns {Promise<string|null>} The description, or null if none was produced.
+   */
+  const processImage = (options = {}) => processor.capture({ mode: currentMode, ...options });
+
+  /**
+   * Forgets the current image and its follow-up history.
+   */
+  const resetConversation = () => {
+    processor.resetConversation();
+    setFollowUpQuestion('');
+    updateMessage(t('followUp.cleared'), true);
+  };
+
+  /**
+   * Opens an empty document in Read mode; the following captures become its pages.
+   */
+  const startNewDocument = () => {
+    documentReader.startNew();
+    if (currentMode !== 'read') {
+      setCurrentMode('read');
+    }
+    setDocumentVisible(false);
+  };
+
+  /**
+   * Reopens a saved document in Read mode at the position where reading stopped.
+   * @param {string} id - The document id.
+   */
+  const openSavedDocument = (id) => {
+    if (documentReader.openSaved(id) && currentMode !== 'read') {
+      setCurrentMode('read');
+    }
+  };
+
+  /**
+   * Stops everything: hands-free capture, a Find search, reading aloud, speech and the in-flight request.
+   * During the emergency alert countdown it cancels the alert instead.
+   */
+  const stopAllOperations = () => {
+    if (emergency.cancelCountdown()) {
+      speechRef.current.stop();
+      updateMessage(t('sos.cancelled'), true, SPEECH_PRIORITY.HAZARD);
+      return;
+    }
+    stopLoops(); // End hands-free capture, the Find mode search and auto announce
+    documentReader.stopReading(); // End reading aloud
+    speechRef.current.stop(); // Stop speaking and drop everything queued
+    processor.cancel(); // Abort the in-flight request so its result is never spoken
+    updateMessage(t('app.stopped'), true);
+  };
+
+  /**
+   * Ends whichever hands-free loop is running, silently.
+   */
+  const stopLoops = () => {
+    const loops = loopsRef.current;
+    loops.continuous.stop(null);
+    loops.autoAnnounce.stop(null);
+    loops.find.stop(null);
+  };
+
+  /**
+   * Claims the app for a hands-free loop, ending any other loop first. Refused while a capture or
+   * question is in flight, so a loop never changes the mode under it.
+   * @param {string} loop - One of LOOPS.
+   * @returns {boolean} Whether the loop may start.
+   */
+  const beginLoop = (loop) => {
+    const machine = machineRef.current;
+    if (isBusy(machine.getSnapshot())) {
+      updateMessage(t('capture.stillAnalyzing'), true);
+      return false;
+    }
+    stopLoops(); // Only one loop owns the camera at a time
+    if (!machine.send(APP_EVENTS.START_LOOP, { loop })) {
+      updateMessage(t('capture.cameraNotReady'), true);
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Starts hands-free navigation in Navigate mode: captures on an interval and announces changes.
+   */
+  const startContinuousNavigation = () => {
+    if (continuous.start() && currentMode !== 'navigate') {
+      setCurrentMode('navigate');
+    }
+  };
+
+  /**
+   * Starts Passive mode auto announce: the scene is described whenever it changes.
+   */
+  const startAutoAnnounce = () => {
+    if (autoAnnounce.start() && currentMode !== 'passive') {
+      setCurrentMode('passive');
+    }
+  };
+
+  /**
+   * Starts looking for a named object in Find mode, guiding the user towards it until it is within
+   * reach or the search is stopped.
+   * @param {string} [target] - What to look for; defaults to the text in the Find field.
+   */
+  const startFindSearch = (target = findTarget) => {
+    if (!findSearch.start(target)) {
+      return;
+    }
+    setFindTarget(findSearch.getTarget());
+    if (currentMode !== 'find') {
+      setCurrentMode('find');
+    }
+  };
+
+  /**
+   * Updates the Find field; single captures in Find mode ask about this target too.
+   * @param {string} text - What the user is looking for.
+   */
+  const changeFindTarget = (text) => {
+    setFindTarget(text);
+    findSearch.setTarget(text);
+  };
+
+  /**
+   * Switches to the next continuous capture interval.
+   */
+  const cycleContinuousInterval = () => {
+    setContinuousIntervalMs(continuous.cycleInterval());
+  };
+
+  /**
+   * Opens the product screen.
+   * @param {Object|null} [draft] - { code, name, details } to prefill the form with.
+   */
+  const openProducts = (draft = null) => {
+    setProductFormDraft(draft);
+    setProductsVisible(true);
+  };
+
+  /**
+   * Validates and saves an emergency contact. Throws so the settings screen can show validation errors.
+   * @param {Object} draft - { name, channel, address } from the settings screen.
+   */
+  const addSosContact = async (draft) => {
+    const contact = buildSosContact(draft);
+    const { sosContacts } = settingsManager.get();
+    settingsManager.update({ sosContacts: [...sosContacts, contact] });
+    updateMessage(t('sos.contactAdded', { name: contact.name }), true);
+    if (sosContacts.length === 0) {
+      // Ask now rather than in the middle of an emergency
+      Location.requestForegroundPermissionsAsync().catch((error) => console.warn('Could not request location permission:', error));
+    }
+  };
+
+  /**
+   * Removes an emergency contact.
+   * @param {string} contactId - The contact's id.
+   */
+  const deleteSosContact = (contactId) => {
+    settingsManager.update({ sosContacts: settingsManager.get().sosContacts.filter((contact) => contact.id !== contactId) });
+  };
+
+  // Resume alerts left over from the last session, retry as soon as the connection returns,
+  // and stop retrying when the app unmounts (pending alerts stay saved)
+  useEffect(() => {
+    const alerts = emergencyRef.current;
+    alerts.start();
+    return () => alerts.stop();
+  }, []);
+
+  // Continuous capture only makes sense in Navigate mode, searching in Find mode and auto announce
+  // in Passive mode; leaving ends the loop
+  useEffect(() => {
+    const loops = loopsRef.current;
+    if (currentMode !== 'navigate') {
+      loops.continuous.stop();
+    }
+    if (currentMode !== 'passive') {
+      loops.autoAnnounce.stop();
     }
+    if (currentMode !== 'find') {
+      loops.find.stop();
+    }
+    if (currentMode !== 'product') {
+      scannerRef.current.reset(); // Coming back to Product mode announces the code in view again
+    }
+  }, [currentMode]);
+
+  // Make sure no capture timer outlives the component
+  useEffect(() => () => {
+    Object.values(loopsRef.current).forEach((loop) => loop.stop(null));
+  }, []);
+
+  /**
+   * Switches to the next vision provider and resets the model to that provider's default.
+   */
+  const cycleProvider = () => {
+    const nextId = PROVIDER_IDS[(PROVIDER_IDS.indexOf(providerId) + 1) % PROVIDER_IDS.length];
+    const nextProvider = createProvider(nextId);
+    settingsManager.update({ providerId: nextId, modelId: nextProvider.models[0] });
+    updateMessage(t('provider.set', { label: nextProvider.label }), true);
   };
 
   /**
-   * Speaks the given text using Expo Speech.
-   * @param {string} text - The text to be spoken.
+   * Switches to the next model offered by the active provider.
    */
-  const speak = (text) => {
-    Speech.stop(); // Stop any current speech before starting new one
-    Speech.speak(text, {
-      language: 'en-US',
-      rate: 1.0,
-      pitch: 1.0,
+  const cycleModel = () => {
+    const { models } = createProvider(providerId);
+    const nextModel = models[(models.indexOf(modelId) + 1) % models.length];
+    settingsManager.update({ modelId: nextModel });
+    updateMessage(t('provider.modelSet', { model: nextModel }), true);
+  };
+
+  /**
+   * Pauses speech, or resumes it where the interrupted sentence started.
+   */
+  const toggleSpeechPause = () => {
+    if (speechRef.current.isPaused()) {
+      speechRef.current.resume();
+    } else {
+      speechRef.current.pause();
+    }
+  };
+
+  /**
+   * Speaks the last description, answer or hazard alert again.
+   */
+  const repeatLastSpeech = () => {
+    if (!speechRef.current.repeatLast()) {
+      updateMessage(t('speech.nothingToRepeat'), true);
+    }
+  };
+
+  // Silence speech when the app unmounts
+  useEffect(() => () => speechRef.current.stop(), []);
+
+  // With the wake word on, listen whenever the app is running
+  useEffect(() => {
+    const listener = voiceListenerRef.current;
+    if (appState.permissionGranted && settings.voiceActivation === 'wake') {
+      listener.listen(true);
+    } else {
+      listener.stop();
+    }
+  }, [appState.permissionGranted, settings.voiceActivation]);
+
+  // Make sure the microphone never stays open after the app unmounts
+  useEffect(() => () => voiceListenerRef.current.stop(), []);
+
+  // Follow whether a screen reader is running, so messages that are not spoken can be announced to it
+  useEffect(() => {
+    AccessibilityInfo.isScreenReaderEnabled().then((enabled) => {
+      screenReaderRef.current = enabled;
+    });
+    const subscription = AccessibilityInfo.addEventListener('screenReaderChanged', (enabled) => {
+      screenReaderRef.current = enabled;
     });
+    return () => subscription.remove();
+  }, []);
+
+  /**
+   * Does what the capture button does in the current mode: starts or stops a Find search, reads a
+   * product label, or captures a frame. Says why when the button would be disabled.
+   */
+  const pressCapture = () => {
+    const snapshot = machineRef.current.getSnapshot();
+    if (currentMode === 'find' && findSearch.isActive()) {
+      findSearch.stop();
+      return;
+    }
+    if (isBusy(snapshot)) {
+      updateMessage(t('capture.stillAnalyzing'), true);
+      return;
+    }
+    if (snapshot.loop === LOOPS.CONTINUOUS) {
+      updateMessage(t('capture.continuousOn'), true);
+      return;
+    }
+    if (currentMode === 'find') {
+      startFindSearch();
+    } else if (currentMode === 'product') {
+      const draft = scanner.getDraft();
+      scanner.readLabel(draft && draft.code);
+    } else {
+      processImage();
+    }
+  };
+
+  /**
+   * Runs the command for a gesture on the camera view.
+   * @param {string} gesture - One of GESTURES, see src/accessibility/gestures.js.
+   */
+  const handleGesture = (gesture) => {
+    switch (gesture) {
+      case GESTURES.SWIPE_LEFT:
+      case GESTURES.SWIPE_RIGHT: {
+        // Swiping left brings in the next mode, like turning a page
+        const step = gesture === GESTURES.SWIPE_LEFT ? 1 : -1;
+        const index = modes.findIndex((mode) => mode.id === currentMode);
+        selectMode(modes[(index + step + modes.length) % modes.length].id);
+        break;
+      }
+      case GESTURES.DOUBLE_TAP:
+        pressCapture();
+        break;
+      case GESTURES.TWO_FINGER_TAP:
+        stopAllOperations();
+        break;
+      case GESTURES.LONG_PRESS:
+        repeatLastSpeech();
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Turns incognito capture on or off. While it is on, captures are not saved to the history or to documents.
+   */
+  const toggleIncognito = () => {
+    setIncognito(!incognito);
+    updateMessage(t(incognito ? 'privacy.incognitoOff' : 'privacy.incognitoOn'), true);
+  };
+
+  /**
+   * Turns gesture control on or off, explaining the gestures when it is turned on.
+   * @param {boolean} enabled - Whether the camera view takes gestures.
+   */
+  const changeGestureControl = (enabled) => {
+    settingsManager.update({ gestureControl: enabled });
+    updateMessage(t(enabled ? 'gestures.help' : 'gestures.off'), true);
   };
 
   // If camera permission is not yet determined or denied
-  if (hasPermission === null) {
+  if (appState.state === APP_STATES.INITIALIZING && !appState.permissionGranted) {
     return (
       <View style={styles.container}>
-        <ActivityIndicator size="large" color="#3b82f6" />
-        <Text style={styles.messageText}>{message}</Text> {/* Show initializing/requesting message */}
+        <ActivityIndicator size="large" color="#3b82f6" accessibilityLabel={t('app.loading')} />
+        <Text style={styles.messageText} accessibilityLiveRegion="polite">{message}</Text> {/* Show initializing/requesting message */}
       </View>
     );
   }
-  if (hasPermission === false) {
+  if (appState.state === APP_STATES.PERMISSION_DENIED) {
     return (
       <View style={styles.container}>
-        <Text style={styles.messageText}>{message}</Text>
-        <Text style={styles.permissionHint}>
-          Please check your app settings and ensure both Camera and Microphone (for speech) permissions are enabled.
-        </Text>
+        <Text style={styles.messageText} accessibilityLiveRegion="polite">{message}</Text>
+        <Text style={styles.permissionHint}>{t('app.permissionHint')}</Text>
       </View>
     );
   }
@@ -334,139 +927,446 @@ export default function App() {
   // Render the main application UI
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Seeing AI: Multi-Mode</Text>
+      <View style={styles.titleRow}>
+        <Text style={styles.title} accessibilityRole="header">{t('app.title')}</Text>
+        <TouchableOpacity
+          style={styles.settingsButton}
+          onPress={toggleIncognito}
+          accessibilityRole="switch"
+          accessibilityLabel={t('privacy.incognito')}
+          accessibilityState={{ checked: incognito }}
+        >
+          <Ionicons name={incognito ? 'eye-off' : 'eye-off-outline'} size={26} color={incognito ? '#3b82f6' : '#1f2937'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.settingsButton}
+          onPress={() => setHistoryVisible(true)}
+          accessibilityRole="button"
+          accessibilityLabel={t('app.history')}
+        >
+          <Ionicons name="time-outline" size={26} color="#1f2937" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.settingsButton}
+          onPress={openSettings}
+          accessibilityRole="button"
+          accessibilityLabel={t('app.settings')}
+        >
+          <Ionicons name="settings-outline" size={26} color="#1f2937" />
+        </TouchableOpacity>
+      </View>
+      {simulation.mode !== 'off' && (
+        <Text style={styles.simulationBanner}>
+          {simulation.mode === 'replay' ? t('simulation.bannerReplay', { name: simulation.name }) : t('simulation.bannerRecord')}
+        </Text>
+      )}
+
+      <HistoryScreen
+        visible={historyVisible}
+        entries={historyEntries}
+        onSpeak={(entry) => updateMessage(entry.text, true, SPEECH_PRIORITY.ANSWER)}
+        onDelete={history.remove}
+        onClear={history.clear}
+        onExport={history.exportAs}
+        onClose={() => setHistoryVisible(false)}
+      />
+
+      <DocumentScreen
+        visible={documentVisible}
+        document={activeDocument}
+        documents={documents}
+        reading={documentReading}
+        onMove={documentReader.move}
+        onToggleReading={documentReader.toggleReading}
+        onAddPage={() => {
+          setDocumentVisible(false);
+          updateMessage(t('document.nextPagePrompt', { number: activeDocument.pages.length + 1 }), true);
+        }}
+        onNewDocument={startNewDocument}
+        onCloseDocument={documentReader.close}
+        onOpen={openSavedDocument}
+        onDelete={documentReader.deleteSaved}
+        onClose={() => setDocumentVisible(false)}
+      />
 
-      {/* Camera Preview - Top Half */}
-      <View style={styles.cameraContainer}>
+      <ProductScreen
+        visible={productsVisible}
+        products={products}
+        draft={productFormDraft}
+        onSave={scanner.save}
+        onDelete={scanner.remove}
+        onSpeak={(product) => updateMessage(describeProduct(product), true, SPEECH_PRIORITY.ANSWER)}
+        onClose={() => setProductsVisible(false)}
+      />
+
+      <SettingsScreen
+        visible={settingsVisible}
+        settings={settings}
+        apiKeys={apiKeys}
+        voices={voices}
+        usage={summarizeUsage(usageLog)}
+        onChangeSettings={settingsManager.update}
+        onSaveApiKey={settingsManager.validateAndSaveApiKey}
+        onTestVoice={() => speak(t('speech.sample'), SPEECH_PRIORITY.ANSWER)}
+        onAddSosContact={addSosContact}
+        onDeleteSosContact={deleteSosContact}
+        onTestSos={() => emergency.send({ test: true })}
+        onChangeGestureControl={changeGestureControl}
+        simulation={simulation}
+        simulationSessions={simulationSessions}
+        onChangeSimulation={simulationControl.change}
+        onDeleteSimulationSession={simulationControl.deleteSession}
+        onClose={() => setSettingsVisible(false)}
+      />
+
+      {/* Camera Preview - Top Half; with gesture control on, the whole preview is the control */}
+      <GestureSurface
+        style={styles.cameraContainer}
+        enabled={settings.gestureControl}
+        onGesture={handleGesture}
+        accessibilityLabel={t(isProcessing ? 'app.cameraViewAnalyzing' : 'app.cameraView', { mode: getMode(modes, currentMode).label })}
+      >
         {/* Conditionally render Camera only if the Camera module itself and its Constants are available */}
         {Camera ? (
           <CameraView
-            ref={cameraRef}
+            ref={cameraViewRef}
             style={styles.camera}
             facing="back" // Use back camera
-            onCameraReady={() => setCameraReady(true)}
+            onCameraReady={() => machineRef.current.send(APP_EVENTS.CAMERA_READY)}
+            barcodeScannerSettings={{ barcodeTypes: PRODUCT_BARCODE_TYPES }}
+            onBarcodeScanned={currentMode === 'product' ? scanner.handleScan : undefined} // Live scanning in Product mode only
           >
-            {!cameraReady && (
+            {appState.state === APP_STATES.INITIALIZING && (
               <View style={styles.cameraLoadingOverlay}>
                 <ActivityIndicator size="large" color="#fff" />
-                <Text style={styles.cameraLoadingText}>Loading Camera...</Text>
+                <Text style={styles.cameraLoadingText}>{t('app.cameraLoading')}</Text>
               </View>
             )}
           </CameraView>
         ) : (
           <View style={styles.cameraNotAvailableOverlay}>
             <Ionicons name="camera-off-outline" size={60} color="#ef4444" />
-            <Text style={styles.cameraNotAvailableText}>Camera Not Available</Text>
-            <Text style={styles.cameraNotAvailableHint}>
-              Please ensure Expo Camera is installed and linked correctly.
-            </Text>
+            <Text style={styles.cameraNotAvailableText}>{t('app.cameraNotAvailable')}</Text>
+            <Text style={styles.cameraNotAvailableHint}>{t('app.cameraNotAvailableHint')}</Text>
           </View>
         )}
-      </View>
+      </GestureSurface>
 
       {/* Bottom Half - All Controls */}
       <View style={styles.bottomControlsContainer}>
         {/* Mode Selection Buttons */}
         <View style={styles.modeButtonContainer}>
+          {modes.map((mode) => (
+            <ModeButton
+              key={mode.id}
+              title={mode.label}
+              iconName={mode.icon}
+              isActive={currentMode === mode.id}
+              onPress={() => selectMode(mode.id)}
+              onLongPress={mode.builtIn ? undefined : () => openModeEditor(mode)} // Long press edits custom modes
+              accessibilityLabel={t('modes.button', { label: mode.label })}
+              accessibilityHint={mode.builtIn ? undefined : t('modes.editHint')}
+            />
+          ))}
           <ModeButton
-            title="Read"
-            iconName="document-text-outline"
-            isActive={currentMode === 'read'}
-            onPress={() => {
-              setCurrentMode('read');
-              updateMessage('Mode set to Read. Tap "Read Document" to scan text.', true);
-            }}
-          />
-          <ModeButton
-            title="Navigate"
-            iconName="walk-outline"
-            isActive={currentMode === 'navigate'}
-            onPress={() => {
-              setCurrentMode('navigate');
-              updateMessage('Mode set to Navigate. Tap "Get Navigation Cues" for indoor guidance.', true);
-            }}
-          />
-          <ModeButton
-            title="Passive"
-            iconName="eye-outline"
-            isActive={currentMode === 'passive'}
-            onPress={() => {
-              setCurrentMode('passive');
-              updateMessage('Mode set to Passive. Tap "Describe Environment" for general descriptions.', true);
-            }}
+            title={t('modes.new')}
+            iconName="add-outline"
+            isActive={false}
+            onPress={() => openModeEditor(null)}
+            accessibilityLabel={t('modes.newLabel')}
           />
         </View>
 
+        <ModeEditor
+          visible={modeEditorVisible}
+          mode={editingMode}
+          onSave={saveCustomMode}
+          onDelete={deleteCustomMode}
+          onCancel={() => setModeEditorVisible(false)}
+        />
+
         {/* Remote Control Section */}
         <View style={styles.remoteControlSection}>
           <View style={styles.remoteControlHeader}>
             <Ionicons name="phone-portrait-outline" size={24} color="#3b82f6" />
-            <Text style={styles.remoteControlTitle}>Remote Control</Text>
+            <Text style={styles.remoteControlTitle} accessibilityRole="header">{t('remote.title')}</Text>
           </View>
           
           <View style={styles.remoteControlToggleContainer}>
-            <Text style={styles.remoteControlLabel}>Enable Remote Control:</Text>
+            <Text style={styles.remoteControlLabel}>{t('remote.enable')}</Text>
             <Switch
               trackColor={{ false: "#767577", true: "#3b82f6" }}
               thumbColor={remoteControlEnabled ? "#ffffff" : "#f4f3f4"}
               ios_backgroundColor="#3e3e3e"
-              onValueChange={toggleRemoteControl}
+              onValueChange={remoteControlRef.current.toggle}
               value={remoteControlEnabled}
+              accessibilityLabel={t('remote.toggle')}
             />
           </View>
           
           {remoteControlEnabled && (
             <View style={styles.remoteControlInfo}>
               <Text style={styles.deviceIPText}>
-                Device IP: {deviceIP || 'Loading...'}
+                {t('remote.deviceIp', { ip: remote.ipAddress || t('remote.loadingIp') })}
               </Text>
               <Text style={styles.serverStatusText}>
-                Server Status: {serverStatus}
+                {t('remote.serverStatus', { status: t(`remote.status.${remote.status}`) })}
               </Text>
+              {remote.pairingCode ? (
+                <Text style={styles.serverStatusText}>
+                  {t('remote.pairingCode', { code: remote.pairingCode })}
+                </Text>
+              ) : null}
               <Text style={styles.remoteControlHint}>
-                Other devices can send commands to this phone via HTTP requests
+                {t('remote.hint', { address: remote.ipAddress || '...', port: REMOTE_PORT })}
               </Text>
             </View>
           )}
         </View>
 
+        {/* Continuous Navigation Controls */}
+        {currentMode === 'navigate' && (
+          <View style={styles.providerContainer}>
+            <ModeButton
+              title={t(continuousActive ? 'continuous.on' : 'continuous.off')}
+              iconName="repeat-outline"
+              isActive={continuousActive}
+              onPress={() => (continuousActive ? continuous.stop() : startContinuousNavigation())}
+            />
+            <ModeButton
+              title={t('continuous.every', { seconds: continuousIntervalMs / 1000 })}
+              iconName="timer-outline"
+              isActive={false}
+              onPress={cycleContinuousInterval}
+              accessibilityLabel={t('continuous.everyLabel', { seconds: continuousIntervalMs / 1000 })}
+              accessibilityHint={t('continuous.everyHint')}
+            />
+          </View>
+        )}
+
+        {/* Auto Announce Controls */}
+        {currentMode === 'passive' && (
+          <View style={styles.providerContainer}>
+            <ModeButton
+              title={t(autoAnnounceActive ? 'autoAnnounce.on' : 'autoAnnounce.off')}
+              iconName="pulse-outline"
+              isActive={autoAnnounceActive}
+              onPress={() => (autoAnnounceActive ? autoAnnounce.stop() : startAutoAnnounce())}
+            />
+          </View>
+        )}
+
+        {/* Document Controls */}
+        {currentMode === 'read' && (
+          <View style={styles.providerContainer}>
+            <ModeButton
+              title={activeDocument ? documentTitle(activeDocument) : t('document.documents')}
+              iconName="documents-outline"
+              isActive={Boolean(activeDocument)}
+              onPress={() => setDocumentVisible(true)}
+            />
+            {activeDocument && activeDocument.pages.length > 0 && (
+              <ModeButton
+                title={t(documentReading ? 'document.stopReading' : 'document.readAloud')}
+                iconName={documentReading ? 'stop-outline' : 'play-outline'}
+                isActive={documentReading}
+                onPress={documentReader.toggleReading}
+              />
+            )}
+          </View>
+        )}
+
+        {/* Product Controls */}
+        {currentMode === 'product' && (
+          <View style={styles.providerContainer}>
+            <ModeButton
+              title={t('product.list', { count: products.length })}
+              iconName="list-outline"
+              isActive={false}
+              onPress={() => openProducts()}
+            />
+            {productDraft && (
+              <ModeButton
+                title={t('product.save')}
+                iconName="save-outline"
+                isActive
+                onPress={() => openProducts(productDraft)}
+              />
+            )}
+          </View>
+        )}
+
+        {/* Vision Provider Selection */}
+        <View style={styles.providerContainer}>
+          <ModeButton
+            title={createProvider(providerId).label}
+            iconName="cloud-outline"
+            isActive={false}
+            onPress={cycleProvider}
+            accessibilityLabel={t('provider.label', { label: createProvider(providerId).label })}
+            accessibilityHint={t('provider.hint')}
+          />
+          <ModeButton
+            title={modelId}
+            iconName="hardware-chip-outline"
+            isActive={false}
+            onPress={cycleModel}
+            accessibilityLabel={t('provider.modelLabel', { model: modelId })}
+            accessibilityHint={t('provider.modelHint')}
+          />
+        </View>
+
+        {/* Find Target */}
+        {currentMode === 'find' && (
+          <View style={styles.followUpContainer}>
+            <TextInput
+              style={styles.followUpInput}
+              value={findTarget}
+              onChangeText={changeFindTarget}
+              placeholder={t('find.placeholder')}
+              accessibilityLabel={t('find.inputLabel')}
+              returnKeyType="search"
+              onSubmitEditing={() => startFindSearch()}
+              editable={!findActive}
+            />
+          </View>
+        )}
+
         {/* Capture Button */}
-        <TouchableOpacity
-          style={[styles.captureButton, isProcessing && styles.captureButtonDisabled]}
-          onPress={processImage}
-          disabled={!cameraReady || isProcessing || !Camera || !Speech} // Disable if modules are not loaded
-        >
-          {isProcessing ? (
-            <ActivityIndicator color="#fff" size="small" />
-          ) : (
-            <>
-              <Ionicons name="camera-outline" size={24} color="white" style={styles.buttonIcon} />
-              <Text style={styles.captureButtonText}>
-                {currentMode === 'read'
-                  ? 'Read Document'
-                  : currentMode === 'navigate'
-                  ? 'Get Navigation Cues'
-                  : 'Describe Environment'}
-              </Text>
-            </>
+        {currentMode === 'find' ? (
+          <TouchableOpacity
+            style={[styles.captureButton, (!findActive && isProcessing) && styles.captureButtonDisabled]}
+            onPress={pressCapture}
+            disabled={!isCameraReady() || (!findActive && isProcessing) || !Camera || !Speech} // Stop Search stays available while a capture is in flight
+            accessibilityRole="button"
+            accessibilityState={{ disabled: !isCameraReady() || (!findActive && isProcessing), busy: isProcessing }}
+          >
+            <Ionicons name={findActive ? 'stop-outline' : 'search-outline'} size={24} color="white" style={styles.buttonIcon} />
+            <Text style={styles.captureButtonText}>
+              {findActive ? t('find.stopSearch') : getMode(modes, currentMode).captureLabel}
+            </Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.captureButton, (isProcessing || continuousActive) && styles.captureButtonDisabled]}
+            onPress={pressCapture}
+            disabled={!isCameraReady() || isProcessing || continuousActive || !Camera || !Speech} // Disable if modules are not loaded or the continuous loop owns the camera
+            accessibilityRole="button"
+            accessibilityLabel={currentMode === 'read' && activeDocument
+              ? t('document.addPageNumber', { number: activeDocument.pages.length + 1 })
+              : getMode(modes, currentMode).captureLabel} // Still named while the spinner replaces the text
+            accessibilityState={{ disabled: !isCameraReady() || isProcessing || continuousActive, busy: isProcessing }}
+          >
+            {isProcessing ? (
+              <ActivityIndicator color="#fff" size="small" />
+            ) : (
+              <>
+                <Ionicons name="camera-outline" size={24} color="white" style={styles.buttonIcon} />
+                <Text style={styles.captureButtonText}>
+                  {currentMode === 'read' && activeDocument
+                    ? t('document.addPageNumber', { number: activeDocument.pages.length + 1 })
+                    : getMode(modes, currentMode).captureLabel}
+                </Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+
+        {/* Follow-up Questions */}
+        {hasConversation && (
+          <View style={styles.followUpContainer}>
+            <TextInput
+              style={styles.followUpInput}
+              value={followUpQuestion}
+              onChangeText={setFollowUpQuestion}
+              placeholder={t('followUp.placeholder')}
+              accessibilityLabel={t('followUp.inputLabel')}
+              returnKeyType="send"
+              onSubmitEditing={() => processor.ask(followUpQuestion)}
+              editable={!isProcessing}
+            />
+            <TouchableOpacity
+              style={styles.followUpButton}
+              onPress={() => processor.ask(followUpQuestion)}
+              disabled={isProcessing}
+              accessibilityRole="button"
+              accessibilityLabel={t('followUp.ask')}
+              accessibilityState={{ disabled: isProcessing }}
+            >
+              <Ionicons name="chatbubble-ellipses-outline" size={20} color="white" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.followUpResetButton}
+              onPress={resetConversation}
+              accessibilityRole="button"
+              accessibilityLabel={t('followUp.reset')}
+            >
+              <Ionicons name="refresh-outline" size={20} color="#4b5563" />
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Speech Controls */}
+        <View style={styles.providerContainer}>
+          <ModeButton
+            title={t(speechPaused ? 'speech.resume' : 'speech.pause')}
+            iconName={speechPaused ? 'play-outline' : 'pause-outline'}
+            isActive={speechPaused}
+            onPress={toggleSpeechPause}
+          />
+          <ModeButton
+            title={t('speech.repeat')}
+            iconName="play-back-outline"
+            isActive={false}
+            onPress={repeatLastSpeech}
+          />
+          {settings.voiceActivation !== 'off' && (
+            <ModeButton
+              title={t(voiceListening ? 'voice.listening' : 'voice.listen')}
+              iconName={voiceListening ? 'mic' : 'mic-outline'}
+              isActive={voiceListening}
+              onPress={voiceListener.toggle}
+            />
           )}
-        </TouchableOpacity>
+        </View>
+
+        {/* Emergency Alert Controls */}
+        {sosPending > 0 && sosState === 'idle' && (
+          <View style={styles.providerContainer}>
+            <ModeButton
+              title={t('sos.pending', { count: sosPending })}
+              iconName="alert-circle-outline"
+              isActive
+              onPress={() => emergency.retryNow()}
+            />
+            <ModeButton
+              title={t('sos.cancel')}
+              iconName="close-circle-outline"
+              isActive={false}
+              onPress={emergency.cancelPending}
+            />
+          </View>
+        )}
 
-        {/* Stop Button */}
+        {/* Stop Button; holding it sends an emergency alert */}
         <TouchableOpacity
           style={styles.stopButton}
-          onPress={() => {
-            Speech.stop(); // Stop any ongoing speech
-            setIsProcessing(false); // Stop any ongoing processing
-            updateMessage('Stopped all operations', true);
-          }}
+          onPress={stopAllOperations}
+          onLongPress={emergency.trigger}
+          delayLongPress={SOS_LONG_PRESS_MS}
+          accessibilityRole="button"
+          accessibilityHint={t('app.stopHint')}
+          accessibilityActions={[{ name: 'longpress', label: t('sos.longPressAction') }]}
+          onAccessibilityAction={({ nativeEvent }) => nativeEvent.actionName === 'longpress' && emergency.trigger()}
         >
-          <Ionicons name="stop-circle-outline" size={24} color="white" style={styles.buttonIcon} />
-          <Text style={styles.stopButtonText}>Stop</Text>
+          <Ionicons name={sosState === 'countdown' ? 'close-circle-outline' : 'stop-circle-outline'} size={24} color="white" style={styles.buttonIcon} />
+          <Text style={styles.stopButtonText}>
+            {sosState === 'countdown' ? t('sos.cancel') : sosState === 'sending' ? t('sos.sendingButton') : t('app.stop')}
+          </Text>
         </TouchableOpacity>
 
         {/* Message Box */}
-        <View style={styles.messageBox}>
+        <View style={styles.messageBox} accessibilityLiveRegion={messageLive ? 'polite' : 'none'}>
           <Text style={styles.messageText}>{message}</Text>
         </View>
       </View>
@@ -475,10 +1375,15 @@ export default function App() {
 }
 
 // Separate component for Mode Buttons to improve readability and reusability
-const ModeButton = ({ title, iconName, isActive, onPress }) => (
+const ModeButton = ({ title, iconName, isActive, onPress, onLongPress, accessibilityLabel, accessibilityHint }) => (
   <TouchableOpacity
     style={[styles.modeButton, isActive && styles.modeButtonActive]}
     onPress={onPress}
+    onLongPress={onLongPress}
+    accessibilityRole="button"
+    accessibilityLabel={accessibilityLabel || title}
+    accessibilityHint={accessibilityHint}
+    accessibilityState={{ selected: isActive }}
   >
     <Ionicons name={iconName} size={20} color={isActive ? '#ffffff' : '#4b5563'} style={styles.buttonIcon} />
     <Text style={[styles.modeButtonText, isActive && styles.modeButtonTextActive]}>
@@ -502,11 +1407,30 @@ const styles = StyleSheet.create({
     justifyContent: 'flex-start',
     paddingTop: 10,
   },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
   title: {
     fontSize: 28,
     fontWeight: 'bold',
     color: '#1f2937', // dark gray
-    marginBottom: 20,
+  },
+  simulationBanner: {
+    marginTop: -12,
+    marginBottom: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    backgroundColor: '#fef3c7', // amber-100
+    color: '#92400e', // amber-800
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+  settingsButton: {
+    marginLeft: 12,
+    padding: 4,
   },
   modeButtonContainer: {
     flexDirection: 'row',
@@ -540,6 +1464,13 @@ const styles = StyleSheet.create({
   modeButtonTextActive: {
     color: '#ffffff', // white
   },
+  providerContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+    marginBottom: 15,
+  },
   remoteControlSection: {
     backgroundColor: '#ffffff',
     borderRadius: 12,
@@ -672,6 +1603,34 @@ const styles = StyleSheet.create({
     color: '#fff',
     marginLeft: 10,
   },
+  followUpContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: screenWidth * 0.9,
+    marginBottom: 15,
+    gap: 8,
+  },
+  followUpInput: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+    borderRadius: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    fontSize: 16,
+    color: '#1f2937',
+    borderWidth: 1,
+    borderColor: '#d1d5db', // gray-300
+  },
+  followUpButton: {
+    backgroundColor: '#2563eb', // blue-600
+    borderRadius: 20,
+    padding: 10,
+  },
+  followUpResetButton: {
+    backgroundColor: '#e5e7eb', // gray-200
+    borderRadius: 20,
+    padding: 10,
+  },
   stopButton: {
     flexDirection: 'row',
     alignItems: 'center',
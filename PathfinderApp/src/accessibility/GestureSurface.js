@@ -0,0 +1,90 @@
+import React, { useRef } from 'react';
+import { View, PanResponder, StyleSheet } from 'react-native';
+import { createGestureRecognizer, GESTURES } from './gestures';
+import { t } from '../i18n';
+
+// Screen readers take over raw touches, so they reach the same gestures through accessibility
+// actions instead: VoiceOver and TalkBack double-tap activates, swiping up or down adjusts,
+// and a two-finger double-tap is VoiceOver's magic tap. Labels are message keys.
+const ACCESSIBILITY_ACTIONS = [
+  { name: 'activate', labelKey: 'gestures.actions.capture' },
+  { name: 'increment', labelKey: 'gestures.actions.nextMode' },
+  { name: 'decrement', labelKey: 'gestures.actions.previousMode' },
+  { name: 'longpress', labelKey: 'gestures.actions.repeat' },
+  { name: 'magicTap', labelKey: 'gestures.actions.stop' },
+  { name: 'escape', labelKey: 'gestures.actions.stop' },
+];
+
+const ACTION_GESTURES = {
+  activate: GESTURES.DOUBLE_TAP,
+  increment: GESTURES.SWIPE_LEFT,
+  decrement: GESTURES.SWIPE_RIGHT,
+  longpress: GESTURES.LONG_PRESS,
+  magicTap: GESTURES.TWO_FINGER_TAP,
+  escape: GESTURES.TWO_FINGER_TAP,
+};
+
+/**
+ * Wraps the camera preview. With gesture control on, the whole surface takes swipes, taps and
+ * holds (see src/accessibility/gestures.js) and offers the same commands as accessibility actions.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.enabled - Whether gesture control is on.
+ * @param {Function} props.onGesture - Called with one of GESTURES.
+ * @param {string} props.accessibilityLabel - What screen readers announce for the surface, e.g. "Camera view, Read mode".
+ * @param {Object} [props.style] - Style of the surface.
+ * @param {React.ReactNode} props.children - The camera preview.
+ */
+export default function GestureSurface({ enabled, onGesture, accessibilityLabel, style, children }) {
+  const onGestureRef = useRef(onGesture); // Latest handler, for the responder created once
+  onGestureRef.current = onGesture;
+
+  const recognizerRef = useRef(null);
+  if (!recognizerRef.current) {
+    recognizerRef.current = createGestureRecognizer({ onGesture: (gesture) => onGestureRef.current(gesture) });
+  }
+
+  const panResponderRef = useRef(null);
+  if (!panResponderRef.current) {
+    const recognizer = recognizerRef.current;
+    const touchCount = (event) => event.nativeEvent.touches.length;
+    panResponderRef.current = PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: (event) => recognizer.touchStart({ time: Date.now(), touches: touchCount(event) }),
+      onPanResponderStart: (event) => recognizer.touchStart({ time: Date.now(), touches: touchCount(event) }),
+      onPanResponderMove: (event, { dx, dy }) => recognizer.touchMove({ touches: touchCount(event), dx, dy }),
+      onPanResponderRelease: (event, { dx, dy }) => recognizer.touchEnd({ time: Date.now(), dx, dy }),
+      onPanResponderTerminate: () => recognizer.cancel(),
+    });
+  }
+
+  if (!enabled) {
+    return (
+      <View style={style} accessible accessibilityRole="image" accessibilityLabel={accessibilityLabel}>
+        {children}
+      </View>
+    );
+  }
+
+  return (
+    <View style={style}>
+      {children}
+      <View
+        style={StyleSheet.absoluteFill}
+        {...panResponderRef.current.panHandlers}
+        accessible
+        accessibilityRole="adjustable"
+        accessibilityLabel={accessibilityLabel}
+        accessibilityHint={t('gestures.surfaceHint')}
+        accessibilityActions={ACCESSIBILITY_ACTIONS.map(({ name, labelKey }) => ({ name, label: t(labelKey) }))}
+        onAccessibilityAction={({ nativeEvent }) => {
+          const gesture = ACTION_GESTURES[nativeEvent.actionName];
+          if (gesture) {
+            onGestureRef.current(gesture);
+          }
+        }}
+      />
+    </View>
+  );
+}
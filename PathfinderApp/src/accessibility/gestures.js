@@ -0,0 +1,135 @@
+// Whole-surface gesture recognition for gesture control: the camera preview becomes one large
+// control, so nothing has to be found on the screen
+//
+// The recognizer only sees touch counts, offsets and times, so it can be driven without a screen:
+//   const recognizer = createGestureRecognizer({ onGesture: (gesture) => ... });
+//   recognizer.touchStart({ time: 0, touches: 1 });
+//   recognizer.touchEnd({ time: 120, dx: 2, dy: 1 });
+//   recognizer.touchStart({ time: 250, touches: 1 });
+//   recognizer.touchEnd({ time: 330, dx: 0, dy: 0 });   // onGesture('doubleTap')
+
+export const GESTURES = {
+  SWIPE_LEFT: 'swipeLeft',
+  SWIPE_RIGHT: 'swipeRight',
+  DOUBLE_TAP: 'doubleTap',
+  TWO_FINGER_TAP: 'twoFingerTap',
+  LONG_PRESS: 'longPress',
+};
+
+// A tap moves less than this many points and lifts within this time
+const TAP_MAX_MOVEMENT = 15;
+const TAP_MAX_DURATION_MS = 300;
+
+// The second tap of a double tap must start within this time of the first one ending
+const DOUBLE_TAP_INTERVAL_MS = 350;
+
+// A swipe travels at least this far, mostly sideways, within this time
+const SWIPE_MIN_DISTANCE = 60;
+const SWIPE_MAX_DURATION_MS = 700;
+const SWIPE_DIRECTION_RATIO = 1.5;
+
+// A finger held still this long is a long press
+const LONG_PRESS_MS = 700;
+
+/**
+ * Creates a gesture recognizer.
+ * @param {Object} options - Recognizer options.
+ * @param {Function} options.onGesture - Called with one of GESTURES.
+ * @returns {{touchStart: Function, touchMove: Function, touchEnd: Function, cancel: Function}} The recognizer.
+ */
+export const createGestureRecognizer = ({ onGesture }) => {
+  let touch = null; // { startedAt, maxTouches, moved, longPressed } while fingers are down
+  let lastTapEndedAt = -Infinity;
+  let longPressTimer = null;
+
+  const clearLongPress = () => {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  };
+
+  /**
+   * A finger went down; called again for every further finger.
+   * @param {Object} event - { time, touches }: when, and how many fingers are now down.
+   */
+  const touchStart = ({ time, touches }) => {
+    if (!touch) {
+      touch = { startedAt: time, maxTouches: touches, moved: false, longPressed: false };
+      longPressTimer = setTimeout(() => {
+        longPressTimer = null;
+        if (touch && touch.maxTouches === 1 && !touch.moved) {
+          touch.longPressed = true;
+          lastTapEndedAt = -Infinity;
+          onGesture(GESTURES.LONG_PRESS);
+        }
+      }, LONG_PRESS_MS);
+      return;
+    }
+    touch.maxTouches = Math.max(touch.maxTouches, touches);
+  };
+
+  /**
+   * Fingers moved.
+   * @param {Object} event - { touches, dx, dy }: fingers down and the offset from where the touch started.
+   */
+  const touchMove = ({ touches, dx, dy }) => {
+    if (!touch) {
+      return;
+    }
+    touch.maxTouches = Math.max(touch.maxTouches, touches);
+    if (Math.hypot(dx, dy) > TAP_MAX_MOVEMENT) {
+      touch.moved = true;
+      clearLongPress();
+    }
+  };
+
+  /**
+   * The last finger lifted.
+   * @param {Object} event - { time, dx, dy }: when, and the offset from where the touch started.
+   */
+  const touchEnd = ({ time, dx, dy }) => {
+    clearLongPress();
+    const ended = touch;
+    touch = null;
+    if (!ended || ended.longPressed) {
+      return;
+    }
+    const duration = time - ended.startedAt;
+    const distance = Math.hypot(dx, dy);
+
+    if (ended.maxTouches === 1 && distance >= SWIPE_MIN_DISTANCE && duration <= SWIPE_MAX_DURATION_MS
+      && Math.abs(dx) >= Math.abs(dy) * SWIPE_DIRECTION_RATIO) {
+      lastTapEndedAt = -Infinity;
+      onGesture(dx < 0 ? GESTURES.SWIPE_LEFT : GESTURES.SWIPE_RIGHT);
+      return;
+    }
+    if (distance > TAP_MAX_MOVEMENT || duration > TAP_MAX_DURATION_MS) {
+      lastTapEndedAt = -Infinity;
+      return; // A slow or wandering touch is no gesture
+    }
+    if (ended.maxTouches >= 2) {
+      lastTapEndedAt = -Infinity;
+      onGesture(GESTURES.TWO_FINGER_TAP);
+      return;
+    }
+    if (ended.startedAt - lastTapEndedAt <= DOUBLE_TAP_INTERVAL_MS) {
+      lastTapEndedAt = -Infinity;
+      onGesture(GESTURES.DOUBLE_TAP);
+      return;
+    }
+    lastTapEndedAt = time; // A single tap does nothing by itself, so a stray touch is harmless
+  };
+
+  return {
+    touchStart,
+    touchMove,
+    touchEnd,
+    /**
+     * Forgets the touch in progress, e.g. when the system takes it over for scrolling.
+     */
+    cancel: () => {
+      clearLongPress();
+      touch = null;
+      lastTapEndedAt = -Infinity;
+    },
+  };
+};
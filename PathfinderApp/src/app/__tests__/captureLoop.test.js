@@ -0,0 +1,110 @@
+import { createCaptureLoop, MAX_LOOP_FAILURES } from '../captureLoop';
+import { APP_EVENTS, LOOPS, createAppMachine } from '../stateMachine';
+
+/**
+ * Creates a loop around an idle machine, with begin claiming the machine like App.js does.
+ * @param {Function} step - The loop's step.
+ * @returns {Object} { loop, machine, updateMessage, cancelCapture }.
+ */
+const setup = (step) => {
+  const machine = createAppMachine();
+  machine.send(APP_EVENTS.PERMISSION_GRANTED);
+  machine.send(APP_EVENTS.CAMERA_READY);
+  const updateMessage = jest.fn();
+  const cancelCapture = jest.fn();
+  const loop = createCaptureLoop({
+    loop: LOOPS.FIND,
+    machine,
+    begin: (name) => machine.send(APP_EVENTS.START_LOOP, { loop: name }),
+    cancelCapture,
+    updateMessage,
+    stoppedMessage: () => 'Stopped.',
+    step,
+  });
+  return { loop, machine, updateMessage, cancelCapture };
+};
+
+// Lets the pending step's promise settle before timers move on
+const settle = () => Promise.resolve().then(() => Promise.resolve());
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+describe('createCaptureLoop', () => {
+  it('runs a step at once and the next one after the delay it returns', async () => {
+    const step = jest.fn().mockResolvedValue(1000);
+    const { loop, machine } = setup(step);
+
+    expect(loop.start({ target: 'keys' })).toBe(true);
+    expect(machine.getSnapshot().loop).toBe(LOOPS.FIND);
+    jest.advanceTimersByTime(0);
+    await settle();
+    expect(step).toHaveBeenCalledTimes(1);
+    expect(step.mock.calls[0][0]).toMatchObject({ target: 'keys', active: true, failures: 0 });
+
+    jest.advanceTimersByTime(999);
+    expect(step).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(step).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not start when begin refuses', () => {
+    const step = jest.fn().mockResolvedValue(1000);
+    const { loop, machine } = setup(step);
+    machine.send(APP_EVENTS.CAPTURE); // Busy
+
+    expect(loop.start()).toBe(false);
+    expect(loop.isActive()).toBe(false);
+  });
+
+  it('never schedules another step once stopped while one is in flight', async () => {
+    let finish;
+    const step = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    const { loop, machine, updateMessage, cancelCapture } = setup(step);
+
+    loop.start();
+    jest.advanceTimersByTime(0);
+    loop.stop();
+    finish(1000);
+    await settle();
+    jest.advanceTimersByTime(5000);
+
+    expect(step).toHaveBeenCalledTimes(1);
+    expect(cancelCapture).toHaveBeenCalled();
+    expect(machine.getSnapshot().loop).toBeNull();
+    expect(updateMessage).toHaveBeenCalledWith('Stopped.', true);
+  });
+
+  it('stops silently when given null', () => {
+    const { loop, updateMessage } = setup(jest.fn().mockResolvedValue(1000));
+    loop.start();
+    loop.stop(null);
+    expect(updateMessage).not.toHaveBeenCalled();
+  });
+
+  it('restarts with new state, dropping the old run', () => {
+    const { loop, cancelCapture } = setup(jest.fn().mockResolvedValue(1000));
+    loop.start({ target: 'keys' });
+    const first = loop.getRun();
+
+    expect(loop.start({ target: 'door' })).toBe(true);
+    expect(first.active).toBe(false);
+    expect(loop.getRun()).toMatchObject({ target: 'door', active: true });
+    expect(cancelCapture).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after too many failures in a row', () => {
+    const { loop, updateMessage } = setup(jest.fn().mockResolvedValue(1000));
+    loop.start();
+    const run = loop.getRun();
+
+    loop.recordResult(run, false, 'Giving up.');
+    loop.recordResult(run, true, 'Giving up.'); // A result resets the count
+    for (let i = 1; i < MAX_LOOP_FAILURES; i += 1) {
+      expect(loop.recordResult(run, false, 'Giving up.')).toBe(false);
+    }
+    expect(loop.recordResult(run, false, 'Giving up.')).toBe(true);
+    expect(loop.isActive()).toBe(false);
+    expect(updateMessage).toHaveBeenCalledWith('Giving up.', true);
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  APP_EVENTS,
+  APP_STATES,
+  INITIAL_APP_STATE,
+  LOOPS,
+  canChangeMode,
+  createAppMachine,
+  isBusy,
+  transition,
+} from '../stateMachine';
+
+/**
+ * Creates a machine that has been granted the camera and has started it.
+ * @param {Function} [onChange] - Called with every new snapshot.
+ * @returns {Object} The machine, idle.
+ */
+const readyMachine = (onChange) => {
+  const machine = createAppMachine({ onChange });
+  machine.send(APP_EVENTS.PERMISSION_GRANTED);
+  machine.send(APP_EVENTS.CAMERA_READY);
+  return machine;
+};
+
+describe('transition', () => {
+  it('starts once the permission is granted and the camera is ready', () => {
+    const granted = transition(INITIAL_APP_STATE, { type: APP_EVENTS.PERMISSION_GRANTED });
+    expect(granted.state).toBe(APP_STATES.INITIALIZING);
+    expect(transition(granted, { type: APP_EVENTS.CAMERA_READY }).state).toBe(APP_STATES.IDLE);
+  });
+
+  it('waits for the permission before the camera counts as ready', () => {
+    expect(transition(INITIAL_APP_STATE, { type: APP_EVENTS.CAMERA_READY })).toBeNull();
+  });
+
+  it('stays denied once the permission is refused', () => {
+    const denied = transition(INITIAL_APP_STATE, { type: APP_EVENTS.PERMISSION_DENIED });
+    expect(denied.state).toBe(APP_STATES.PERMISSION_DENIED);
+    expect(transition(denied, { type: APP_EVENTS.CAPTURE })).toBeNull();
+    expect(transition(denied, { type: APP_EVENTS.PERMISSION_GRANTED })).toBeNull();
+  });
+
+  it('rejects unknown events', () => {
+    expect(transition(INITIAL_APP_STATE, { type: 'explode' })).toBeNull();
+  });
+});
+
+describe('createAppMachine', () => {
+  it('goes through capturing and analyzing and back', () => {
+    const machine = readyMachine();
+    expect(machine.send(APP_EVENTS.CAPTURE)).toBe(true);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.CAPTURING);
+    expect(machine.send(APP_EVENTS.CAPTURED)).toBe(true);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.ANALYZING);
+    expect(machine.send(APP_EVENTS.DONE)).toBe(true);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.IDLE);
+  });
+
+  it('refuses a second capture or question while one is in flight', () => {
+    const machine = readyMachine();
+    machine.send(APP_EVENTS.CAPTURE);
+    expect(machine.send(APP_EVENTS.CAPTURE)).toBe(false);
+    expect(machine.send(APP_EVENTS.ASK)).toBe(false);
+    expect(machine.send(APP_EVENTS.START_LOOP, { loop: LOOPS.FIND })).toBe(false);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.CAPTURING);
+  });
+
+  it('sends a question straight to analyzing', () => {
+    const machine = readyMachine();
+    expect(machine.send(APP_EVENTS.ASK)).toBe(true);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.ANALYZING);
+    expect(machine.send(APP_EVENTS.CAPTURED)).toBe(false);
+  });
+
+  it('lets a capture start while speaking and returns to speaking', () => {
+    const machine = readyMachine();
+    machine.send(APP_EVENTS.SPEECH_STARTED);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.SPEAKING);
+    machine.send(APP_EVENTS.CAPTURE);
+    machine.send(APP_EVENTS.DONE);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.SPEAKING);
+    machine.send(APP_EVENTS.SPEECH_ENDED);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.IDLE);
+  });
+
+  it('remembers speech that ends during a capture', () => {
+    const machine = readyMachine();
+    machine.send(APP_EVENTS.SPEECH_STARTED);
+    machine.send(APP_EVENTS.CAPTURE);
+    machine.send(APP_EVENTS.SPEECH_ENDED);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.CAPTURING);
+    machine.send(APP_EVENTS.DONE);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.IDLE);
+  });
+
+  it('runs a loop between its captures', () => {
+    const machine = readyMachine();
+    expect(machine.send(APP_EVENTS.START_LOOP, { loop: LOOPS.CONTINUOUS })).toBe(true);
+    expect(machine.getSnapshot()).toMatchObject({ state: APP_STATES.CONTINUOUS, loop: LOOPS.CONTINUOUS });
+    machine.send(APP_EVENTS.CAPTURE);
+    machine.send(APP_EVENTS.DONE);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.CONTINUOUS);
+    expect(machine.send(APP_EVENTS.STOP_LOOP, { loop: LOOPS.CONTINUOUS })).toBe(true);
+    expect(machine.getSnapshot()).toMatchObject({ state: APP_STATES.IDLE, loop: null });
+  });
+
+  it('only runs one loop at a time', () => {
+    const machine = readyMachine();
+    machine.send(APP_EVENTS.START_LOOP, { loop: LOOPS.FIND });
+    expect(machine.send(APP_EVENTS.START_LOOP, { loop: LOOPS.AUTO_ANNOUNCE })).toBe(false);
+    expect(machine.send(APP_EVENTS.STOP_LOOP, { loop: LOOPS.AUTO_ANNOUNCE })).toBe(false);
+    expect(machine.getSnapshot().loop).toBe(LOOPS.FIND);
+  });
+
+  it('refuses loops it does not know', () => {
+    const machine = readyMachine();
+    expect(machine.send(APP_EVENTS.START_LOOP, { loop: 'dance' })).toBe(false);
+  });
+
+  it('stays busy when a loop stops during its capture, until the capture is done', () => {
+    const machine = readyMachine();
+    machine.send(APP_EVENTS.START_LOOP, { loop: LOOPS.FIND });
+    machine.send(APP_EVENTS.CAPTURE);
+    machine.send(APP_EVENTS.STOP_LOOP, { loop: LOOPS.FIND });
+    expect(machine.getSnapshot()).toMatchObject({ state: APP_STATES.CAPTURING, loop: null });
+    expect(machine.can(APP_EVENTS.CAPTURE)).toBe(false);
+    machine.send(APP_EVENTS.DONE);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.IDLE);
+  });
+
+  it('reports changes only, and can check an event without applying it', () => {
+    const onChange = jest.fn();
+    const machine = readyMachine(onChange);
+    onChange.mockClear();
+    expect(machine.can(APP_EVENTS.CAPTURE)).toBe(true);
+    expect(machine.getSnapshot().state).toBe(APP_STATES.IDLE);
+    machine.send(APP_EVENTS.SPEECH_ENDED); // Already not speaking
+    expect(onChange).not.toHaveBeenCalled();
+    machine.send(APP_EVENTS.CAPTURE);
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ state: APP_STATES.CAPTURING }));
+  });
+});
+
+describe('isBusy and canChangeMode', () => {
+  it('are busy only while capturing or analyzing', () => {
+    expect(isBusy({ state: APP_STATES.CAPTURING })).toBe(true);
+    expect(isBusy({ state: APP_STATES.ANALYZING })).toBe(true);
+    expect(isBusy({ state: APP_STATES.SPEAKING })).toBe(false);
+    expect(isBusy({ state: APP_STATES.CONTINUOUS })).toBe(false);
+  });
+
+  it('let the mode change during a loop capture but not a capture the user asked for', () => {
+    expect(canChangeMode({ state: APP_STATES.ANALYZING, loop: null })).toBe(false);
+    expect(canChangeMode({ state: APP_STATES.ANALYZING, loop: LOOPS.CONTINUOUS })).toBe(true);
+    expect(canChangeMode({ state: APP_STATES.IDLE, loop: null })).toBe(true);
+  });
+});
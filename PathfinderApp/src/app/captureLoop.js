@@ -0,0 +1,103 @@
+// Bookkeeping shared by the hands-free loops (continuous navigation, Find searches and auto
+// announce): one timer at a time, the next step only scheduled once the last one has finished,
+// and results from a stopped or restarted run dropped
+//
+//   const loop = createCaptureLoop({ loop: LOOPS.FIND, machine, begin, cancelCapture, updateMessage,
+//     stoppedMessage: () => t('find.stopped'), step: async (run) => { ...; return 1000; } });
+//   loop.start({ target: 'keys' });   // runs step at once, then again after the delay it returns
+//   loop.stop();                      // says stoppedMessage(); loop.stop(null) stops silently
+
+import { APP_EVENTS } from './stateMachine';
+
+// Consecutive failed captures after which a loop gives up
+export const MAX_LOOP_FAILURES = 3;
+
+/**
+ * Creates a hands-free loop.
+ * @param {Object} options - Loop options.
+ * @param {string} options.loop - Which loop this is, one of LOOPS.
+ * @param {Object} options.machine - The app state machine, from createAppMachine.
+ * @param {Function} options.begin - Claims the app for the loop, see beginLoop in App.js; returns whether it may start.
+ * @param {Function} options.cancelCapture - Aborts the in-flight capture.
+ * @param {Function} options.updateMessage - Shows and speaks a message, see src/speech/announcer.js.
+ * @param {Function} options.stoppedMessage - Returns what stop() says by default.
+ * @param {Function} options.step - Runs one step with the run: the state passed to start() plus
+ *   active and failures. Resolves with the delay before the next step; run.active turns false once
+ *   the run is stopped or replaced, and its results must then be dropped.
+ * @returns {{start: Function, stop: Function, isActive: Function, getRun: Function, recordResult: Function}}
+ */
+export const createCaptureLoop = ({ loop, machine, begin, cancelCapture, updateMessage, stoppedMessage, step }) => {
+  let run = null;
+
+  const runStep = async (current) => {
+    if (!current.active) {
+      return;
+    }
+    const delayMs = await step(current);
+    if (current.active) {
+      current.timer = setTimeout(() => runStep(current), delayMs);
+    }
+  };
+
+  /**
+   * Starts the loop, or restarts it with new state if it is already running.
+   * @param {Object} [state] - Fields the steps work with, e.g. { target }.
+   * @returns {boolean} Whether the loop started.
+   */
+  const start = (state = {}) => {
+    if (run) {
+      run.active = false;
+      clearTimeout(run.timer);
+      cancelCapture(); // The new run replaces the old one's capture
+    } else if (!begin(loop)) {
+      return false;
+    }
+    const current = { ...state, active: true, failures: 0, timer: null };
+    run = current;
+    current.timer = setTimeout(() => runStep(current), 0);
+    return true;
+  };
+
+  /**
+   * Ends the loop and cancels any in-flight capture.
+   * @param {string|null} [announcement] - Message to speak, or null to stop silently.
+   */
+  const stop = (announcement = stoppedMessage()) => {
+    if (!run) {
+      return;
+    }
+    run.active = false;
+    clearTimeout(run.timer);
+    run = null;
+    cancelCapture();
+    machine.send(APP_EVENTS.STOP_LOOP, { loop });
+    if (announcement) {
+      updateMessage(announcement, true);
+    }
+  };
+
+  /**
+   * Counts a step's result towards giving up: a result resets the count, a failure adds to it.
+   * @param {Object} current - The run.
+   * @param {boolean} succeeded - Whether the step got an answer. A frame rejected on the device
+   *   counts as one: that is the user's framing, not a failure of the service.
+   * @param {string} failedMessage - Said when the loop gives up.
+   * @returns {boolean} Whether the loop gave up.
+   */
+  const recordResult = (current, succeeded, failedMessage) => {
+    current.failures = succeeded ? 0 : current.failures + 1;
+    if (current.failures >= MAX_LOOP_FAILURES) {
+      stop(failedMessage);
+      return true;
+    }
+    return false;
+  };
+
+  return {
+    start,
+    stop,
+    recordResult,
+    isActive: () => run !== null,
+    getRun: () => run,
+  };
+};
@@ -0,0 +1,298 @@
+// Captures and follow-up questions as the user experiences them: guarded by the app state
+// machine, cancellable with Stop, and shown and spoken through the announcer (see
+// src/vision/pipeline.js for the steps from picture to words)
+//
+//   const processor = createProcessor({ machine, pipeline, announcer, getProvider, ... });
+//   await processor.capture();                                   // describes the view and speaks it
+//   await processor.capture({ announce: false, mode: 'find' });  // for a loop, which decides what to say
+//   await processor.ask('What colour is the door?');
+
+import { APP_EVENTS } from './stateMachine';
+import { CAPTURE_OUTCOMES } from '../vision/pipeline';
+import { startConversation, appendAnswer } from '../vision/conversation';
+import { DEFAULT_RETRIES } from '../vision/request';
+import { VisionError, VISION_ERROR_CATEGORIES, spokenMessageForError } from '../vision/errors';
+import { parseHazardResponse, isHazardAlert } from '../navigation/hazards';
+import { SPEECH_PRIORITY } from '../speech/speechManager';
+import { parsePageText, pageToText } from '../document/pages';
+import { t } from '../i18n';
+
+/**
+ * Creates the processor.
+ * @param {Object} options - Processor options.
+ * @param {Object} options.machine - The app state machine.
+ * @param {Object} options.pipeline - The vision pipeline, from createVisionPipeline.
+ * @param {Object} options.announcer - The announcer, from createAnnouncer.
+ * @param {Function} options.getProvider - Returns the vision provider for the next request.
+ * @param {Function} options.hasApiKey - Whether the active provider has an API key.
+ * @param {Function} options.isCameraReady - Whether a picture can be taken.
+ * @param {Function} options.getPrompt - Returns the prompt for a mode id.
+ * @param {Function} options.getFindTarget - What Find mode is looking for.
+ * @param {Function} options.isDocumentOpen - Whether Read mode captures become document pages.
+ * @param {Function} options.onDescribed - Called with { mode, description, thumbnailBase64 } for every capture described.
+ * @param {Function} options.onDocumentPage - Called with the blocks of a captured document page, which it speaks itself.
+ * @param {Function} options.onConversationChange - Called with whether follow-up questions can be asked.
+ * @returns {{capture: Function, ask: Function, cancel: Function, resetConversation: Function,
+ *   hasConversation: Function, getFrameIssue: Function}}
+ */
+export const createProcessor = ({
+  machine,
+  pipeline,
+  announcer,
+  getProvider,
+  hasApiKey,
+  isCameraReady,
+  getPrompt,
+  getFindTarget,
+  isDocumentOpen,
+  onDescribed,
+  onDocumentPage,
+  onConversationChange,
+}) => {
+  const { updateMessage, showSpokenText, createStreamingSpeech } = announcer;
+  let abortController = null; // Aborts the in-flight capture when Stop is pressed
+  let conversation = null; // Image and turns of the latest capture, for follow-up questions
+  let frameIssue = null; // Quality issue of the last rejected frame ('dark', 'blurry', ...), or null
+
+  /**
+   * Claims the app for a capture or question and starts a way to abort it.
+   * @param {string} event - APP_EVENTS.CAPTURE or APP_EVENTS.ASK.
+   * @returns {AbortController|null} The controller, or null while something else is in flight.
+   */
+  const begin = (event) => {
+    if (!machine.send(event)) {
+      return null;
+    }
+    abortController = new AbortController();
+    return abortController;
+  };
+
+  /**
+   * Hands the app back once a capture or question has wound down, however it ended.
+   * @param {AbortController} controller - The controller from begin.
+   */
+  const end = (controller) => {
+    if (abortController === controller) {
+      abortController = null;
+    }
+    machine.send(APP_EVENTS.DONE);
+  };
+
+  /**
+   * Captures a picture, has it described and shows and speaks the result. The app is busy from the
+   * moment the capture starts until it has wound down, also after Stop aborted it.
+   * @param {Object} [options] - Capture options.
+   * @param {boolean} [options.announce] - Whether to interrupt speech and speak the result. The
+   *   hands-free loops turn this off and decide for themselves what is worth saying.
+   * @param {string} [options.mode] - Mode whose prompt to use.
+   * @returns {Promise<string|null>} The description, or null if none was produced.
+   */
+  const capture = async ({ announce = true, mode } = {}) => {
+    if (!isCameraReady()) {
+      updateMessage(t('capture.cameraNotReady'), announce);
+      return null;
+    }
+
+    if (mode === 'find' && !getFindTarget()) {
+      updateMessage(t('find.targetFirst'), true);
+      return null;
+    }
+
+    const provider = getProvider();
+    if (provider.requiresApiKey && !hasApiKey()) {
+      // Fail before capturing so the user isn't left waiting for a request that cannot work
+      updateMessage(spokenMessageForError(new VisionError(VISION_ERROR_CATEGORIES.MISSING_KEY, 'No API key configured')), true);
+      return null;
+    }
+
+    const controller = begin(APP_EVENTS.CAPTURE);
+    if (!controller) {
+      updateMessage(t('capture.stillAnalyzing'), announce);
+      return null;
+    }
+    const { signal } = controller;
+
+    updateMessage(t('capture.analyzing'), false); // Don't speak this
+
+    try {
+      const prompt = getPrompt(mode);
+      const documentOpen = mode === 'read' && isDocumentOpen();
+
+      // Answers are spoken while they stream in, except document pages and Find mode answers, which
+      // are parsed as a whole, and the loops' captures, which only speak once something has changed
+      const streaming = announce && mode !== 'find' && !documentOpen ? createStreamingSpeech(mode, signal) : null;
+
+      const outcome = await pipeline.describe({
+        provider,
+        mode,
+        prompt,
+        findTarget: getFindTarget(),
+        signal,
+        onCaptured: () => {
+          frameIssue = null;
+          machine.send(APP_EVENTS.CAPTURED);
+        },
+        onText: streaming ? streaming.onText : undefined,
+        retry: {
+          onRetry: (attempt) => updateMessage(t('capture.retrying', { attempt, total: DEFAULT_RETRIES }), false),
+          // Retrying a stream that already produced text would say its first sentences twice
+          canRetry: () => !streaming || !streaming.hasReceived(),
+        },
+      });
+
+      if (outcome.status === CAPTURE_OUTCOMES.CANCELLED) {
+        return null; // Never speak a cancelled result
+      }
+      if (outcome.status === CAPTURE_OUTCOMES.REJECTED) {
+        const { quality } = outcome;
+        // In the loops only speak guidance when the problem changes, not on every frame
+        updateMessage(quality.guidance, announce || frameIssue !== quality.issue);
+        frameIssue = quality.issue;
+        return null;
+      }
+      if (outcome.status === CAPTURE_OUTCOMES.EMPTY) {
+        console.error(`Unexpected ${provider.label} response structure or missing content`);
+        updateMessage(t('capture.noDescription'), announce);
+        return null;
+      }
+
+      const { upload, quality, text } = outcome;
+      let { description } = outcome;
+
+      // With a document open, Read mode captures become structured pages instead of one spoken blob
+      const documentPage = documentOpen ? { blocks: parsePageText(description) } : null;
+      if (documentPage) {
+        description = pageToText(documentPage) || description;
+      }
+
+      // A new capture replaces the previous conversation
+      conversation = startConversation({
+        imageBase64: upload.base64,
+        mimeType: upload.mimeType,
+        mode,
+        prompt,
+        answer: text,
+      });
+      onConversationChange(true);
+      onDescribed({ mode, description, thumbnailBase64: quality.thumbnailBase64 });
+
+      if (documentPage) {
+        onDocumentPage(documentPage.blocks);
+        return description;
+      }
+      // A streamed description has mostly been spoken already; only the rest needs saying
+      if (streaming && streaming.finish(mode === 'navigate' ? parseHazardResponse(text) : null)) {
+        showSpokenText(description);
+        return description;
+      }
+      // A new description replaces whatever answer is being spoken; hazards cut off everything
+      updateMessage(description, announce, isHazardAlert(description) ? SPEECH_PRIORITY.HAZARD : SPEECH_PRIORITY.ANSWER);
+      return description;
+    } catch (error) {
+      if (signal.aborted || error.category === VISION_ERROR_CATEGORIES.CANCELLED) {
+        return null;
+      }
+      console.error('Error during capture or API call:', error);
+      updateMessage(spokenMessageForError(error), true); // Errors are always spoken, even in the loops
+      return null;
+    } finally {
+      end(controller);
+    }
+  };
+
+  /**
+   * Asks a follow-up question about the most recently captured image and speaks the answer.
+   * @param {string} question - The question, e.g. "What colour is the door?".
+   * @returns {Promise<string|null>} The answer, or null if none was produced.
+   */
+  const ask = async (question) => {
+    const asked = conversation;
+    if (!asked) {
+      updateMessage(t('followUp.captureFirst'), true);
+      return null;
+    }
+    if (!question || !question.trim()) {
+      updateMessage(t('followUp.enterQuestion'), true);
+      return null;
+    }
+
+    const controller = begin(APP_EVENTS.ASK);
+    if (!controller) {
+      updateMessage(t('capture.stillAnalyzing'), true);
+      return null;
+    }
+    const { signal } = controller;
+
+    updateMessage(t('followUp.asking', { question: question.trim() }), false);
+
+    try {
+      const streaming = createStreamingSpeech(null, signal);
+      const { turns, text } = await pipeline.ask({
+        provider: getProvider(),
+        conversation: asked,
+        question,
+        signal,
+        onText: streaming.onText,
+        retry: {
+          onRetry: (attempt) => updateMessage(t('capture.retrying', { attempt, total: DEFAULT_RETRIES }), false),
+          canRetry: () => !streaming.hasReceived(),
+        },
+      });
+      if (signal.aborted) {
+        return null;
+      }
+      if (!text) {
+        updateMessage(t('followUp.noAnswer'), true);
+        return null;
+      }
+
+      // Only record the exchange if nothing newer replaced the conversation meanwhile
+      if (conversation === asked) {
+        conversation = appendAnswer(asked, turns, text);
+      }
+      if (streaming.finish(null)) {
+        showSpokenText(text);
+      } else {
+        updateMessage(text, true, SPEECH_PRIORITY.ANSWER);
+      }
+      return text;
+    } catch (error) {
+      if (signal.aborted || error.category === VISION_ERROR_CATEGORIES.CANCELLED) {
+        return null;
+      }
+      console.error('Error asking follow-up question:', error);
+      updateMessage(spokenMessageForError(error), true);
+      return null;
+    } finally {
+      end(controller);
+    }
+  };
+
+  /**
+   * Aborts the in-flight capture or question, if any, so its result is never spoken. The app stays
+   * busy until it has wound down, so nothing new starts on top of it meanwhile.
+   */
+  const cancel = () => {
+    if (abortController) {
+      abortController.abort();
+      abortController = null;
+    }
+  };
+
+  /**
+   * Forgets the current image and its follow-up history.
+   */
+  const resetConversation = () => {
+    conversation = null;
+    onConversationChange(false);
+  };
+
+  return {
+    capture,
+    ask,
+    cancel,
+    resetConversation,
+    hasConversation: () => conversation !== null,
+    getFrameIssue: () => frameIssue,
+  };
+};
@@ -0,0 +1,178 @@
+// What the app is doing, as one explicit state machine instead of separate flags
+//
+//   initializing       - asking for the camera permission and waiting for the camera to start
+//   permission-denied  - the camera cannot be used; the app only explains why
+//   idle               - ready, nothing going on
+//   capturing          - taking a picture and checking its quality on the device
+//   analyzing          - waiting for the vision model, about a new picture or a follow-up question
+//   speaking           - like idle, but speech is playing; a new capture may start and replace it
+//   continuous         - a hands-free loop (continuous navigation, a Find search or auto announce)
+//                        is running, between two of its captures
+//
+// A loop's captures go through capturing and analyzing like any other and come back to continuous.
+// Only idle, speaking and continuous may start a capture, a question or a loop, so nothing starts
+// on top of work in flight. Stop aborts that work, but the state only leaves capturing or
+// analyzing once the work has actually wound down (the done event), never before.
+//
+//   const machine = createAppMachine({ onChange: setAppState });
+//   if (machine.send(APP_EVENTS.CAPTURE)) { ... machine.send(APP_EVENTS.DONE); }
+
+export const APP_STATES = {
+  INITIALIZING: 'initializing',
+  PERMISSION_DENIED: 'permission-denied',
+  IDLE: 'idle',
+  CAPTURING: 'capturing',
+  ANALYZING: 'analyzing',
+  SPEAKING: 'speaking',
+  CONTINUOUS: 'continuous',
+};
+
+export const APP_EVENTS = {
+  PERMISSION_GRANTED: 'permissionGranted', // The camera may be used; it still has to start
+  PERMISSION_DENIED: 'permissionDenied',
+  CAMERA_READY: 'cameraReady',
+  CAPTURE: 'capture', // A picture is about to be taken
+  CAPTURED: 'captured', // The picture passed the checks and goes to the vision model
+  ASK: 'ask', // A follow-up question goes to the vision model
+  DONE: 'done', // The capture or question has finished, however it ended
+  START_LOOP: 'startLoop', // { loop }: one of LOOPS
+  STOP_LOOP: 'stopLoop', // { loop }: only ends that loop
+  SPEECH_STARTED: 'speechStarted',
+  SPEECH_ENDED: 'speechEnded',
+};
+
+// Hands-free loops; one runs at a time
+export const LOOPS = {
+  CONTINUOUS: 'continuous',
+  FIND: 'find',
+  AUTO_ANNOUNCE: 'autoAnnounce',
+};
+
+export const INITIAL_APP_STATE = {
+  state: APP_STATES.INITIALIZING,
+  permissionGranted: false,
+  loop: null, // Running loop, one of LOOPS
+  speaking: false,
+};
+
+// States that may start a capture, a question or a loop
+const READY_STATES = [APP_STATES.IDLE, APP_STATES.SPEAKING, APP_STATES.CONTINUOUS];
+
+/**
+ * The state to settle in when nothing is in flight.
+ * @param {Object} snapshot - The machine's snapshot.
+ * @returns {string} continuous while a loop runs, else speaking or idle.
+ */
+const restingState = ({ loop, speaking }) => {
+  if (loop) {
+    return APP_STATES.CONTINUOUS;
+  }
+  return speaking ? APP_STATES.SPEAKING : APP_STATES.IDLE;
+};
+
+/**
+ * Applies an event.
+ * @param {Object} snapshot - The current snapshot, see INITIAL_APP_STATE.
+ * @param {Object} event - { type, loop }, type being one of APP_EVENTS.
+ * @returns {Object|null} The next snapshot, or null if the event is not allowed in this state.
+ */
+export const transition = (snapshot, event) => {
+  const { state } = snapshot;
+  switch (event.type) {
+    case APP_EVENTS.PERMISSION_GRANTED:
+      return state === APP_STATES.INITIALIZING ? { ...snapshot, permissionGranted: true } : null;
+    case APP_EVENTS.PERMISSION_DENIED:
+      return state === APP_STATES.INITIALIZING ? { ...snapshot, state: APP_STATES.PERMISSION_DENIED } : null;
+    case APP_EVENTS.CAMERA_READY:
+      return state === APP_STATES.INITIALIZING && snapshot.permissionGranted
+        ? { ...snapshot, state: restingState(snapshot) }
+        : null;
+    case APP_EVENTS.CAPTURE:
+      return READY_STATES.includes(state) ? { ...snapshot, state: APP_STATES.CAPTURING } : null;
+    case APP_EVENTS.ASK:
+      return READY_STATES.includes(state) ? { ...snapshot, state: APP_STATES.ANALYZING } : null;
+    case APP_EVENTS.CAPTURED:
+      return state === APP_STATES.CAPTURING ? { ...snapshot, state: APP_STATES.ANALYZING } : null;
+    case APP_EVENTS.DONE:
+      return state === APP_STATES.CAPTURING || state === APP_STATES.ANALYZING
+        ? { ...snapshot, state: restingState(snapshot) }
+        : null;
+    case APP_EVENTS.START_LOOP:
+      // Another loop has to be stopped first, so its timers are never left behind
+      return (state === APP_STATES.IDLE || state === APP_STATES.SPEAKING) && Object.values(LOOPS).includes(event.loop)
+        ? { ...snapshot, state: APP_STATES.CONTINUOUS, loop: event.loop }
+        : null;
+    case APP_EVENTS.STOP_LOOP: {
+      if (!snapshot.loop || snapshot.loop !== event.loop) {
+        return null;
+      }
+      const next = { ...snapshot, loop: null };
+      // A capture of the loop still in flight keeps its state until it is done
+      return state === APP_STATES.CONTINUOUS ? { ...next, state: restingState(next) } : next;
+    }
+    case APP_EVENTS.SPEECH_STARTED:
+    case APP_EVENTS.SPEECH_ENDED: {
+      const next = { ...snapshot, speaking: event.type === APP_EVENTS.SPEECH_STARTED };
+      return state === APP_STATES.IDLE || state === APP_STATES.SPEAKING ? { ...next, state: restingState(next) } : next;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Whether a capture or question is in flight.
+ * @param {Object} snapshot - The machine's snapshot.
+ * @returns {boolean} True while capturing or analyzing.
+ */
+export const isBusy = ({ state }) => state === APP_STATES.CAPTURING || state === APP_STATES.ANALYZING;
+
+/**
+ * Whether the mode may change. Not while a capture or question the user asked for is in flight;
+ * a loop's capture is cancelled instead, since leaving its mode ends the loop.
+ * @param {Object} snapshot - The machine's snapshot.
+ * @returns {boolean} True if it may.
+ */
+export const canChangeMode = (snapshot) => !isBusy(snapshot) || snapshot.loop !== null;
+
+/**
+ * Creates the app's state machine.
+ * @param {Object} [options] - Machine options.
+ * @param {Function} [options.onChange] - Called with the new snapshot after every change.
+ * @param {Object} [options.initial] - Snapshot to start from; INITIAL_APP_STATE by default.
+ * @returns {{send: Function, can: Function, getSnapshot: Function}} The machine.
+ */
+export const createAppMachine = ({ onChange = () => {}, initial = INITIAL_APP_STATE } = {}) => {
+  let snapshot = initial;
+
+  /**
+   * Applies an event if the current state allows it.
+   * @param {string} type - One of APP_EVENTS.
+   * @param {Object} [payload] - Event fields, e.g. { loop: LOOPS.FIND }.
+   * @returns {boolean} Whether the event was allowed.
+   */
+  const send = (type, payload = {}) => {
+    const next = transition(snapshot, { ...payload, type });
+    if (!next) {
+      return false;
+    }
+    const changed = Object.keys(next).some((key) => next[key] !== snapshot[key]);
+    snapshot = next;
+    if (changed) {
+      onChange(snapshot);
+    }
+    return true;
+  };
+
+  return {
+    send,
+    /**
+     * Whether an event would be allowed now, without applying it.
+     * @param {string} type - One of APP_EVENTS.
+     * @param {Object} [payload] - Event fields.
+     * @returns {boolean} True if it would.
+     */
+    can: (type, payload = {}) => transition(snapshot, { ...payload, type }) !== null,
+    getSnapshot: () => snapshot,
+  };
+};
@@ -0,0 +1,121 @@
+// Passive mode auto announce: samples a frame now and then, compares it with the last described
+// scene on the device (see ./sceneChange) and only has the view described when it has clearly changed
+//
+//   const autoAnnounce = createAutoAnnounce({ machine, begin, camera, capture, getSettings, ... });
+//   autoAnnounce.start();   // describes the current view, then every change after it
+
+import { createCaptureLoop } from '../app/captureLoop';
+import { APP_EVENTS, LOOPS } from '../app/stateMachine';
+import { SPEECH_PRIORITY } from '../speech/speechManager';
+import { textSimilarity } from '../navigation/changeDetector';
+import { createSceneWatcher, SCENE_CHANGE_THRESHOLDS } from './sceneChange';
+import { t } from '../i18n';
+
+// How often a frame is sampled for the scene comparison
+const SCENE_SAMPLE_INTERVAL_MS = 1500;
+// A new description this similar to the last one is not spoken again
+const AUTO_REPEAT_SIMILARITY = 0.6;
+// Once the daily budget of vision requests is used up, at most one description per this long
+const OVER_BUDGET_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Creates auto announce.
+ * @param {Object} options - Auto announce options.
+ * @param {Object} options.machine - The app state machine.
+ * @param {Function} options.begin - Claims the app for the loop, see createCaptureLoop.
+ * @param {Object} options.camera - The camera, from createCamera.
+ * @param {Function} options.capture - Captures and describes a frame without speaking it, see
+ *   createProcessor; resolves with the description or null.
+ * @param {Function} options.cancelCapture - Aborts the in-flight capture.
+ * @param {Function} options.getFrameIssue - The quality issue of the last rejected frame, or null.
+ * @param {Function} options.getSettings - Returns the settings: sceneSensitivity,
+ *   autoAnnounceIntervalMs and autoAnnounceHourlyLimit.
+ * @param {Function} options.isOverBudget - Whether the daily budget of vision requests is used up.
+ * @param {Object} options.announcer - speak and updateMessage, see src/speech/announcer.js.
+ * @returns {{start: Function, stop: Function, isActive: Function}}
+ */
+export const createAutoAnnounce = ({ machine, begin, camera, capture, cancelCapture, getFrameIssue, getSettings, isOverBudget, announcer }) => {
+  const { speak, updateMessage } = announcer;
+
+  // Decides which sampled frames are worth describing; keeps the hourly budget across restarts
+  const watcher = createSceneWatcher({
+    getLimits: () => {
+      const settings = getSettings();
+      return {
+        threshold: SCENE_CHANGE_THRESHOLDS[settings.sceneSensitivity] || SCENE_CHANGE_THRESHOLDS.medium,
+        minIntervalMs: isOverBudget()
+          ? Math.max(settings.autoAnnounceIntervalMs, OVER_BUDGET_INTERVAL_MS)
+          : settings.autoAnnounceIntervalMs,
+        maxCallsPerHour: settings.autoAnnounceHourlyLimit,
+      };
+    },
+  });
+
+  // Only a settled, clearly different view costs a vision request, within the minimum interval
+  // and hourly budget from the settings
+  const loop = createCaptureLoop({
+    loop: LOOPS.AUTO_ANNOUNCE,
+    machine,
+    begin,
+    cancelCapture,
+    updateMessage,
+    stoppedMessage: () => t('autoAnnounce.stopped'),
+    step: async (run) => {
+      if (!machine.can(APP_EVENTS.CAPTURE) || !camera.isAvailable()) {
+        return SCENE_SAMPLE_INTERVAL_MS; // Leave the camera to a capture that is already in flight
+      }
+      const signature = await camera.sampleScene();
+      if (!run.active || !signature) {
+        return SCENE_SAMPLE_INTERVAL_MS;
+      }
+
+      const decision = watcher.check(signature);
+      if (decision.reason === 'budget' && !run.budgetNotified) {
+        run.budgetNotified = true;
+        speak(t('autoAnnounce.budget', { limit: getSettings().autoAnnounceHourlyLimit }));
+      }
+      if (!decision.describe) {
+        return SCENE_SAMPLE_INTERVAL_MS;
+      }
+      run.budgetNotified = false;
+      if (!machine.can(APP_EVENTS.CAPTURE)) {
+        return SCENE_SAMPLE_INTERVAL_MS; // A capture started while the scene was sampled; try again once it is done
+      }
+
+      const description = await capture({ announce: false, mode: 'passive' });
+      if (!run.active) {
+        return SCENE_SAMPLE_INTERVAL_MS;
+      }
+      const frameIssue = getFrameIssue();
+      if (description || !frameIssue) {
+        watcher.recordCall(decision.signature); // A frame rejected on the device never reached the model
+      }
+      // A changed view can still get much the same description, e.g. when someone walks past
+      if (description && (!run.lastAnnounced || textSimilarity(run.lastAnnounced, description) < AUTO_REPEAT_SIMILARITY)) {
+        run.lastAnnounced = description;
+        speak(description, SPEECH_PRIORITY.ANSWER, { wait: true }); // Never cuts off an answer the user asked for
+      }
+      loop.recordResult(run, Boolean(description || frameIssue), t('autoAnnounce.stoppedAfterErrors'));
+      return SCENE_SAMPLE_INTERVAL_MS;
+    },
+  });
+
+  /**
+   * Starts describing the scene whenever it changes, beginning with the current view.
+   * @returns {boolean} Whether it started.
+   */
+  const start = () => {
+    if (loop.isActive() || !loop.start({ lastAnnounced: null, budgetNotified: false })) {
+      return false;
+    }
+    watcher.reset(); // Describe the current view first
+    updateMessage(t('autoAnnounce.started'), true);
+    return true;
+  };
+
+  return {
+    start,
+    stop: loop.stop,
+    isActive: loop.isActive,
+  };
+};
@@ -0,0 +1,81 @@
+// The app's camera: full pictures for captures and small silent samples for auto announce, or the
+// frames of a recorded session while it is replayed (see src/simulation)
+//
+//   const camera = createCamera({ getCameraView: () => cameraRef.current, getSimulation, isIncognito });
+//   const signature = await camera.sampleScene(); // compared on the device, never uploaded
+//   const photo = await camera.takePicture();     // waits for a sample in progress
+
+import { checkoutFrame } from '../simulation/sessionStore';
+import { sampleScene } from './preprocess';
+
+// Full quality; the picture is checked and compressed on the device before upload
+const PICTURE_OPTIONS = { quality: 1, allowsEditing: false, exif: false };
+
+// Small, fast and silent: samples are only compared on the device
+const SAMPLE_OPTIONS = { quality: 0.1, skipProcessing: true, shutterSound: false, exif: false };
+
+/**
+ * Creates the camera.
+ * @param {Object} options - Camera options.
+ * @param {Function} options.getCameraView - Returns the mounted CameraView, or null.
+ * @param {Function} options.getSimulation - Returns the simulation in use: { session, player, recorder }.
+ * @param {Function} options.isIncognito - Whether pictures must not be recorded into a session.
+ * @returns {{takePicture: Function, sampleScene: Function, isAvailable: Function}} The camera.
+ */
+export const createCamera = ({ getCameraView, getSimulation, isIncognito }) => {
+  let sampling = null; // Scene sample being taken; the camera takes one picture at a time
+
+  /**
+   * Takes a picture, or the next frame of the session being replayed. While recording, the
+   * picture is added to the session.
+   * @param {Object} [options] - takePictureAsync options.
+   * @returns {Promise<Object>} The photo, { uri, width, height }.
+   */
+  const takePicture = async (options = PICTURE_OPTIONS) => {
+    await sampling;
+    const { session, player, recorder } = getSimulation();
+    if (player) {
+      return checkoutFrame(session, player.takeFrame());
+    }
+    const photo = await getCameraView().takePictureAsync(options);
+    if (recorder && !isIncognito()) {
+      await recorder.recordFrame(photo);
+    }
+    return photo;
+  };
+
+  /**
+   * Samples the scene for auto announce. Samples are never recorded and, when replaying, show the
+   * frame coming up without using it, so the scene changes when the recording does.
+   * @returns {Promise<Object|null>} The scene signature, or null if no sample could be taken.
+   */
+  const takeSample = () => {
+    const sample = (async () => {
+      const { session, player } = getSimulation();
+      const picture = player
+        ? await checkoutFrame(session, player.peekFrame())
+        : await getCameraView().takePictureAsync(SAMPLE_OPTIONS);
+      return sampleScene(picture.uri);
+    })().catch((error) => {
+      console.warn('Could not sample the scene:', error);
+      return null;
+    });
+    sampling = sample;
+    sample.then(() => {
+      if (sampling === sample) {
+        sampling = null;
+      }
+    });
+    return sample;
+  };
+
+  return {
+    takePicture,
+    sampleScene: takeSample,
+    /**
+     * Whether a picture can be taken: the camera is mounted, or a session is being replayed.
+     * @returns {boolean} True if it can.
+     */
+    isAvailable: () => Boolean(getSimulation().player || getCameraView()),
+  };
+};
@@ -0,0 +1,145 @@
+// On-device frame quality checks run before an image is uploaded
+//
+// Works on a small RGBA thumbnail ({ width, height, data }) so it stays fast in JS.
+// Every check returns spoken guidance the user can act on, or null when the frame is usable.
+
+import { t } from '../i18n';
+
+export const QUALITY_THRESHOLDS = {
+  minBrightness: 40, // Mean luminance (0-255) below this is too dark
+  maxBrightness: 235, // Above this the frame is washed out by glare
+  minContrast: 12, // Luminance standard deviation below this means a blank wall or ceiling
+  minSharpness: 60, // Variance of the Laplacian below this means motion blur or missed focus
+  edgeStrength: 40, // Gradient magnitude that counts a pixel as part of an edge
+  minTextArea: 0.2, // Read mode: edges should cover at least this share of the frame
+  borderWidth: 0.06, // Share of width/height treated as the frame border
+  borderEdgeRatio: 0.8, // Read mode: border edge density relative to the center that suggests cut-off text
+};
+
+/**
+ * Converts RGBA pixels to a luminance array.
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels.
+ * @returns {Float32Array} Luminance per pixel, 0-255.
+ */
+export const toGrayscale = ({ width, height, data }) => {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+};
+
+/**
+ * Measures brightness, contrast, sharpness and where the edges are.
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels.
+ * @param {Object} [thresholds] - Overrides for QUALITY_THRESHOLDS.
+ * @returns {Object} The metrics.
+ */
+export const measureFrame = (image, thresholds = QUALITY_THRESHOLDS) => {
+  const { width, height } = image;
+  const gray = toGrayscale(image);
+  const pixelCount = width * height;
+
+  let sum = 0;
+  for (let i = 0; i < pixelCount; i++) sum += gray[i];
+  const brightness = sum / pixelCount;
+
+  let squares = 0;
+  for (let i = 0; i < pixelCount; i++) squares += (gray[i] - brightness) ** 2;
+  const contrast = Math.sqrt(squares / pixelCount);
+
+  // Laplacian variance for sharpness, and gradient edges for text coverage, in one pass
+  const borderX = Math.max(1, Math.round(width * thresholds.borderWidth));
+  const borderY = Math.max(1, Math.round(height * thresholds.borderWidth));
+  let laplacianSum = 0;
+  let laplacianSquares = 0;
+  let innerCount = 0;
+  let edgeCount = 0;
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  const border = { left: 0, right: 0, top: 0, bottom: 0 };
+  let centerEdges = 0;
+  let centerPixels = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+      laplacianSum += laplacian;
+      laplacianSquares += laplacian * laplacian;
+      innerCount++;
+
+      const gx = gray[i + 1] - gray[i - 1];
+      const gy = gray[i + width] - gray[i - width];
+      const isEdge = Math.sqrt(gx * gx + gy * gy) > thresholds.edgeStrength;
+      const inCenter = x >= borderX && x < width - borderX && y >= borderY && y < height - borderY;
+      if (inCenter) centerPixels++;
+      if (!isEdge) continue;
+
+      edgeCount++;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+      if (x < borderX) border.left++;
+      if (x >= width - borderX) border.right++;
+      if (y < borderY) border.top++;
+      if (y >= height - borderY) border.bottom++;
+      if (inCenter) centerEdges++;
+    }
+  }
+
+  const laplacianMean = laplacianSum / innerCount;
+  const sharpness = laplacianSquares / innerCount - laplacianMean * laplacianMean;
+  const edgeArea = edgeCount > 0 ? ((maxX - minX + 1) * (maxY - minY + 1)) / pixelCount : 0;
+
+  // Edge density along each border strip, relative to the center
+  const centerDensity = centerPixels > 0 ? centerEdges / centerPixels : 0;
+  const stripPixels = { left: borderX * height, right: borderX * height, top: borderY * width, bottom: borderY * width };
+  const borderDensity = {};
+  Object.keys(border).forEach((side) => {
+    borderDensity[side] = centerDensity > 0 ? border[side] / stripPixels[side] / centerDensity : 0;
+  });
+
+  return { brightness, contrast, sharpness, edgeArea, borderDensity };
+};
+
+/**
+ * Decides whether a frame is worth sending and, if not, what the user should do.
+ * @param {Object} metrics - Output of measureFrame.
+ * @param {string} mode - The capture mode; Read mode adds text framing checks.
+ * @param {Object} [thresholds] - Overrides for QUALITY_THRESHOLDS.
+ * @returns {{ok: boolean, issue: string|null, guidance: string|null}} The verdict.
+ */
+export const assessFrame = (metrics, mode, thresholds = QUALITY_THRESHOLDS) => {
+  const reject = (issue, guidance) => ({ ok: false, issue, guidance });
+
+  if (metrics.brightness < thresholds.minBrightness) {
+    return reject('dark', t('quality.dark'));
+  }
+  if (metrics.brightness > thresholds.maxBrightness) {
+    return reject('glare', t('quality.glare'));
+  }
+  if (metrics.contrast < thresholds.minContrast) {
+    return reject('blank', t(mode === 'read' ? 'quality.blankRead' : 'quality.blank'));
+  }
+  if (metrics.sharpness < thresholds.minSharpness) {
+    return reject('blurry', t('quality.blurry'));
+  }
+
+  if (mode === 'read') {
+    if (metrics.edgeArea < thresholds.minTextArea) {
+      return reject('small_text', t('quality.smallText'));
+    }
+    const cutSides = Object.keys(metrics.borderDensity)
+      .filter((side) => metrics.borderDensity[side] > thresholds.borderEdgeRatio);
+    if (cutSides.length > 0) {
+      // Text runs off the edge: advise moving back (several sides) or toward that side (one side)
+      return reject('cut_off', t(cutSides.length > 1 ? 'quality.cutOffEdges' : `quality.cutOff.${cutSides[0]}`));
+    }
+  }
+
+  return { ok: true, issue: null, guidance: null };
+};
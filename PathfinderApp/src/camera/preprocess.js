@@ -0,0 +1,101 @@
+// Prepares a captured photo for upload: quality checks on a thumbnail, then downscale and compress
+
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as FileSystem from 'expo-file-system';
+import jpeg from 'jpeg-js';
+import { Buffer } from 'buffer';
+import { measureFrame, assessFrame } from './frameQuality';
+import { computeSceneSignature } from './sceneChange';
+
+// Width of the thumbnail analysed on the device
+const ANALYSIS_WIDTH = 160;
+
+// Width of the thumbnail compared for scene changes; layout and colours need very few pixels
+const SCENE_SAMPLE_WIDTH = 64;
+
+export const UPLOAD_DEFAULTS = {
+  maxDimension: 1024, // Longest side sent to the model; more detail rarely helps and costs upload time
+  targetBytes: 300 * 1024, // Compress until the JPEG is at most this size
+  initialQuality: 0.7,
+  minQuality: 0.3,
+};
+
+/**
+ * Decodes a base64 JPEG into RGBA pixels.
+ * @param {string} base64 - Base64 encoded JPEG.
+ * @returns {{width: number, height: number, data: Uint8Array}} The pixels.
+ */
+const decodeJpeg = (base64) => jpeg.decode(Buffer.from(base64, 'base64'), { useTArray: true, formatAsRGBA: true });
+
+/**
+ * Estimates the decoded size of a base64 string.
+ * @param {string} base64 - Base64 data.
+ * @returns {number} Size in bytes.
+ */
+const base64Bytes = (base64) => Math.floor((base64.length * 3) / 4);
+
+/**
+ * Checks whether a photo is good enough to send.
+ * @param {string} uri - URI of the captured photo.
+ * @param {string} mode - The capture mode.
+ * @returns {Promise<{ok: boolean, issue: string|null, guidance: string|null, metrics: Object, thumbnailBase64: string}>}
+ *   The verdict, plus the analysed thumbnail so callers can keep it (e.g. for history).
+ */
+export const analyzeFrame = async (uri, mode) => {
+  const thumbnail = await ImageManipulator.manipulateAsync(
+    uri,
+    [{ resize: { width: ANALYSIS_WIDTH } }],
+    { base64: true, compress: 0.9, format: ImageManipulator.SaveFormat.JPEG }
+  );
+  const metrics = measureFrame(decodeJpeg(thumbnail.base64));
+  return { ...assessFrame(metrics, mode), metrics, thumbnailBase64: thumbnail.base64 };
+};
+
+/**
+ * Reduces a sampled frame to a scene signature, then deletes the frame; samples are never uploaded.
+ * @param {string} uri - URI of the sampled photo.
+ * @returns {Promise<Object>} The signature (see src/camera/sceneChange.js).
+ */
+export const sampleScene = async (uri) => {
+  try {
+    const thumbnail = await ImageManipulator.manipulateAsync(
+      uri,
+      [{ resize: { width: SCENE_SAMPLE_WIDTH } }],
+      { base64: true, compress: 0.8, format: ImageManipulator.SaveFormat.JPEG }
+    );
+    return computeSceneSignature(decodeJpeg(thumbnail.base64));
+  } finally {
+    FileSystem.deleteAsync(uri, { idempotent: true }).catch((error) => console.warn('Could not delete scene sample:', error));
+  }
+};
+
+/**
+ * Downscales and compresses a photo until it fits the upload budget.
+ * @param {Object} photo - Result of takePictureAsync ({ uri, width, height }).
+ * @param {Object} [options] - Overrides for UPLOAD_DEFAULTS.
+ * @returns {Promise<{base64: string, mimeType: string, width: number, height: number}>} The upload image.
+ */
+export const prepareUpload = async (photo, options = {}) => {
+  const { maxDimension, targetBytes, initialQuality, minQuality } = { ...UPLOAD_DEFAULTS, ...options };
+  const resize = photo.width >= photo.height
+    ? { width: Math.min(photo.width || maxDimension, maxDimension) }
+    : { height: Math.min(photo.height || maxDimension, maxDimension) };
+
+  let quality = initialQuality;
+  let result = await ImageManipulator.manipulateAsync(photo.uri, [{ resize }], {
+    base64: true,
+    compress: quality,
+    format: ImageManipulator.SaveFormat.JPEG,
+  });
+
+  while (base64Bytes(result.base64) > targetBytes && quality > minQuality) {
+    quality = Math.max(minQuality, quality - 0.15);
+    result = await ImageManipulator.manipulateAsync(photo.uri, [{ resize }], {
+      base64: true,
+      compress: quality,
+      format: ImageManipulator.SaveFormat.JPEG,
+    });
+  }
+
+  return { base64: result.base64, mimeType: 'image/jpeg', width: result.width, height: result.height };
+};
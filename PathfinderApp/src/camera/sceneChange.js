@@ -0,0 +1,187 @@
+// On-device scene change detection for Passive mode's automatic announcements
+//
+// Sampled frames are reduced to a tiny signature: the brightness layout on a coarse grid and a
+// colour histogram. Comparing signatures costs nothing, so the vision model is only asked when
+// the view has really changed, e.g. a new room or something put down in front of the camera.
+//   const watcher = createSceneWatcher({ getLimits: () => ({ threshold: 0.2, minIntervalMs: 30000, maxCallsPerHour: 60 }) });
+//   const decision = watcher.check(computeSceneSignature(pixels));
+//   if (decision.describe) { watcher.recordCall(decision.signature); ... }
+
+// Grid the brightness layout is measured on
+const GRID_COLUMNS = 8;
+const GRID_ROWS = 6;
+
+// Colour histogram bins per chromaticity axis
+const CHROMA_BINS = 4;
+
+// How much the brightness layout and the colours count towards the difference between two scenes
+const LAYOUT_WEIGHT = 0.6;
+const COLOR_WEIGHT = 0.4;
+
+// The scene counts as changed beyond this difference (0-1), per sensitivity
+export const SCENE_CHANGE_THRESHOLDS = {
+  low: 0.3,
+  medium: 0.2,
+  high: 0.12,
+};
+
+// Two samples in a row differing by more than this share of the threshold mean the camera is still moving
+const MOVING_SHARE = 0.6;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Spreads one pixel's chromaticity over the nearest colour bins, so noise around a bin edge
+ * does not move it from one bin to another.
+ * @param {Float32Array} colors - The histogram, CHROMA_BINS x CHROMA_BINS.
+ * @param {number} red - Red share of the pixel (0-1).
+ * @param {number} green - Green share of the pixel (0-1).
+ */
+const addToBins = (colors, red, green) => {
+  // Shares above 2/3 are rare in real scenes, so the bins cover 0 to 2/3
+  const position = (share) => Math.min(CHROMA_BINS - 1, Math.max(0, share * CHROMA_BINS * 1.5 - 0.5));
+  const x = position(red);
+  const y = position(green);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(CHROMA_BINS - 1, x0 + 1);
+  const y1 = Math.min(CHROMA_BINS - 1, y0 + 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  colors[x0 * CHROMA_BINS + y0] += (1 - fx) * (1 - fy);
+  colors[x1 * CHROMA_BINS + y0] += fx * (1 - fy);
+  colors[x0 * CHROMA_BINS + y1] += (1 - fx) * fy;
+  colors[x1 * CHROMA_BINS + y1] += fx * fy;
+};
+
+/**
+ * Reduces a frame to a signature that survives small camera shake and exposure changes.
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels of a small thumbnail.
+ * @returns {{layout: Float32Array, colors: Float32Array}} Normalized grid brightness and colour histogram.
+ */
+export const computeSceneSignature = ({ width, height, data }) => {
+  const cellSums = new Float32Array(GRID_COLUMNS * GRID_ROWS);
+  const cellCounts = new Float32Array(GRID_COLUMNS * GRID_ROWS);
+  const colors = new Float32Array(CHROMA_BINS * CHROMA_BINS);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(GRID_ROWS - 1, Math.floor((y * GRID_ROWS) / height));
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const cell = row * GRID_COLUMNS + Math.min(GRID_COLUMNS - 1, Math.floor((x * GRID_COLUMNS) / width));
+      cellSums[cell] += 0.299 * r + 0.587 * g + 0.114 * b;
+      cellCounts[cell]++;
+
+      // Chromaticity ignores how bright a colour is, so a lamp switching on does not change the colours
+      const total = r + g + b;
+      if (total > 30) {
+        addToBins(colors, r / total, g / total);
+      }
+    }
+  }
+
+  // Brightness layout relative to the frame's own mean and spread, so exposure changes cancel out
+  const layout = cellSums.map((sum, cell) => (cellCounts[cell] > 0 ? sum / cellCounts[cell] : 0));
+  const mean = layout.reduce((total, value) => total + value, 0) / layout.length;
+  const spread = Math.sqrt(layout.reduce((total, value) => total + (value - mean) ** 2, 0) / layout.length) || 1;
+  const colorTotal = colors.reduce((total, count) => total + count, 0) || 1;
+  return {
+    layout: layout.map((value) => (value - mean) / spread),
+    colors: colors.map((count) => count / colorTotal),
+  };
+};
+
+/**
+ * Measures how different two scenes are.
+ * @param {Object} a - A signature from computeSceneSignature.
+ * @param {Object} b - Another signature.
+ * @returns {number} 0 for the same view up to 1 for a completely different one.
+ */
+export const compareScenes = (a, b) => {
+  // Layout: 1 - correlation of the normalized grids, halved so unrelated layouts score about 0.5
+  let product = 0;
+  for (let i = 0; i < a.layout.length; i++) {
+    product += a.layout[i] * b.layout[i];
+  }
+  const layoutDistance = (1 - product / a.layout.length) / 2;
+
+  // Colours: share of the histogram that does not overlap
+  let overlap = 0;
+  for (let i = 0; i < a.colors.length; i++) {
+    overlap += Math.min(a.colors[i], b.colors[i]);
+  }
+  const colorDistance = 1 - overlap;
+
+  return Math.min(1, Math.max(0, LAYOUT_WEIGHT * layoutDistance + COLOR_WEIGHT * colorDistance));
+};
+
+/**
+ * Creates a watcher that decides when a sampled frame is worth describing: the view must differ
+ * enough from the last described scene, the camera must have settled, and the minimum interval
+ * and hourly call budget must allow another request.
+ * @param {Object} options - Watcher options.
+ * @param {Function} options.getLimits - Returns the current { threshold, minIntervalMs, maxCallsPerHour }:
+ *   the difference (0-1) from the last described scene that counts as a change, the shortest time
+ *   between two descriptions and the most descriptions requested in any hour.
+ * @returns {{check: Function, recordCall: Function, callsInLastHour: Function, reset: Function}} The watcher.
+ */
+export const createSceneWatcher = ({ getLimits }) => {
+  let described = null; // Signature of the last described scene
+  let previous = null; // Signature of the previous sample
+  let calls = []; // Times of the descriptions requested within the last hour
+
+  const callsInLastHour = (time = Date.now()) => {
+    calls = calls.filter((at) => time - at < HOUR_MS);
+    return calls.length;
+  };
+
+  /**
+   * Decides about one sampled frame.
+   * @param {Object} signature - The sample's signature.
+   * @param {number} [time] - When it was sampled.
+   * @returns {{describe: boolean, reason: string, difference: number, signature: Object}} The decision;
+   *   reason is 'first', 'changed', 'moving', 'unchanged', 'interval' or 'budget'.
+   */
+  const check = (signature, time = Date.now()) => {
+    const { threshold, minIntervalMs, maxCallsPerHour } = getLimits();
+    const movement = previous ? compareScenes(previous, signature) : 0;
+    previous = signature;
+    const difference = described ? compareScenes(described, signature) : 1;
+    const decide = (describe, reason) => ({ describe, reason, difference, signature });
+
+    if (movement > threshold * MOVING_SHARE) {
+      return decide(false, 'moving'); // Wait until the view holds still, or every step would trigger a call
+    }
+    if (difference < threshold) {
+      return decide(false, 'unchanged');
+    }
+    if (calls.length > 0 && time - calls[calls.length - 1] < minIntervalMs) {
+      return decide(false, 'interval');
+    }
+    if (callsInLastHour(time) >= maxCallsPerHour) {
+      return decide(false, 'budget');
+    }
+    return decide(true, described ? 'changed' : 'first');
+  };
+
+  return {
+    check,
+    /**
+     * Counts a request against the budget and makes its scene the one later frames are compared with.
+     * @param {Object} signature - Signature of the described frame.
+     * @param {number} [time] - When the request was made.
+     */
+    recordCall: (signature, time = Date.now()) => {
+      described = signature;
+      calls.push(time);
+    },
+    callsInLastHour,
+    reset: () => {
+      described = null;
+      previous = null;
+    },
+  };
+};
@@ -0,0 +1,275 @@
+import React from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  Modal,
+  ScrollView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { documentTitle, blockToText } from './pages';
+import { blockAt, describePosition } from './cursor';
+import { t } from '../i18n';
+
+// Navigation buttons, one row per unit: [backwards move, forwards move, unit]
+const MOVE_ROWS = [
+  ['previousSentence', 'nextSentence', 'sentence'],
+  ['previousParagraph', 'nextParagraph', 'paragraph'],
+  ['previousPage', 'nextPage', 'page'],
+  ['previousHeading', 'nextHeading', 'heading'],
+];
+
+/**
+ * Reads a multi-page document captured in Read mode, and lists saved documents to resume.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.visible - Whether the screen is shown.
+ * @param {Object|null} props.document - The open document, if any.
+ * @param {Object[]} props.documents - Saved documents, most recently used first.
+ * @param {boolean} props.reading - Whether the document is being read aloud.
+ * @param {Function} props.onMove - Called with one of DOCUMENT_MOVES.
+ * @param {Function} props.onToggleReading - Starts or stops reading aloud from the current position.
+ * @param {Function} props.onAddPage - Closes the screen so the next capture adds a page.
+ * @param {Function} props.onNewDocument - Starts an empty document.
+ * @param {Function} props.onCloseDocument - Closes the open document; it stays saved.
+ * @param {Function} props.onOpen - Called with a saved document id to resume it.
+ * @param {Function} props.onDelete - Called with a saved document id.
+ * @param {Function} props.onClose - Called when the screen is dismissed.
+ */
+export default function DocumentScreen({
+  visible,
+  document,
+  documents,
+  reading,
+  onMove,
+  onToggleReading,
+  onAddPage,
+  onNewDocument,
+  onCloseDocument,
+  onOpen,
+  onDelete,
+  onClose,
+}) {
+  const currentBlock = document ? blockAt(document, document.position) : null;
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <View style={styles.header}>
+          <Text style={styles.title} accessibilityRole="header">{t('document.title')}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.iconButton} accessibilityRole="button" accessibilityLabel={t('document.close')}>
+            <Ionicons name="close-outline" size={28} color="#1f2937" />
+          </TouchableOpacity>
+        </View>
+
+        {document ? (
+          <>
+            <Text style={styles.documentTitle}>{documentTitle(document)}</Text>
+            <Text style={styles.position}>{describePosition(document, document.position)}</Text>
+            <View style={styles.currentBlock} accessibilityLiveRegion="polite">
+              <Text style={styles.currentBlockText}>
+                {currentBlock ? blockToText(currentBlock) : t('document.firstPageHint')}
+              </Text>
+            </View>
+
+            {MOVE_ROWS.map(([backwards, forwards, unit]) => (
+              <View key={unit} style={styles.moveRow}>
+                <PillButton
+                  title={t(`document.units.${unit}`)}
+                  iconName="chevron-back-outline"
+                  onPress={() => onMove(backwards)}
+                  accessibilityLabel={t(`document.moves.${backwards}`)}
+                />
+                <PillButton
+                  title={t(`document.units.${unit}`)}
+                  iconName="chevron-forward-outline"
+                  iconAfter
+                  onPress={() => onMove(forwards)}
+                  accessibilityLabel={t(`document.moves.${forwards}`)}
+                />
+              </View>
+            ))}
+
+            <View style={styles.actionRow}>
+              <PillButton
+                title={t(reading ? 'document.stopReading' : 'document.readFromHere')}
+                iconName={reading ? 'stop-outline' : 'play-outline'}
+                isActive={reading}
+                onPress={onToggleReading}
+                disabled={document.pages.length === 0}
+              />
+              <PillButton title={t('document.addPage')} iconName="add-outline" onPress={onAddPage} />
+              <PillButton title={t('document.closeDocument')} iconName="folder-outline" onPress={onCloseDocument} />
+            </View>
+          </>
+        ) : (
+          <View style={styles.actionRow}>
+            <PillButton title={t('document.newDocument')} iconName="document-outline" onPress={onNewDocument} />
+          </View>
+        )}
+
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('document.savedDocuments')}</Text>
+        {documents.length === 0 ? (
+          <Text style={styles.emptyText}>{t('document.noSavedDocuments')}</Text>
+        ) : documents.map((saved) => (
+          <View key={saved.id} style={styles.savedDocument}>
+            <TouchableOpacity
+              style={styles.savedDocumentBody}
+              onPress={() => onOpen(saved.id)}
+              accessibilityRole="button"
+              accessibilityHint={t('document.openHint')}
+            >
+              <Text style={styles.savedDocumentTitle}>{documentTitle(saved)}</Text>
+              <Text style={styles.savedDocumentMeta}>
+                {t('document.pageCount', { count: saved.pages.length })} · {describePosition(saved, saved.position)}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => onDelete(saved.id)}
+              accessibilityRole="button"
+              accessibilityLabel={t('document.delete', { title: documentTitle(saved) })}
+            >
+              <Ionicons name="trash-outline" size={20} color="#dc2626" />
+            </TouchableOpacity>
+          </View>
+        ))}
+      </ScrollView>
+    </Modal>
+  );
+}
+
+// Pill button, styled like the mode buttons
+const PillButton = ({ title, iconName, iconAfter, isActive, onPress, disabled, accessibilityLabel }) => (
+  <TouchableOpacity
+    style={[styles.pillButton, isActive && styles.pillButtonActive, disabled && styles.pillButtonDisabled]}
+    onPress={onPress}
+    disabled={disabled}
+    accessibilityRole="button"
+    accessibilityLabel={accessibilityLabel || title}
+    accessibilityState={{ disabled: Boolean(disabled), selected: Boolean(isActive) }}
+  >
+    {!iconAfter && <Ionicons name={iconName} size={18} color={isActive ? '#ffffff' : '#4b5563'} />}
+    <Text style={[styles.pillButtonText, isActive && styles.pillButtonTextActive]}>{title}</Text>
+    {iconAfter && <Ionicons name={iconName} size={18} color={isActive ? '#ffffff' : '#4b5563'} />}
+  </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f4f8', // light gray background
+  },
+  content: {
+    paddingTop: 40,
+    paddingHorizontal: 16,
+    paddingBottom: 30,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1f2937', // dark gray
+  },
+  documentTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1f2937',
+  },
+  position: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 4,
+    marginBottom: 10,
+  },
+  currentBlock: {
+    backgroundColor: '#ffffff',
+    borderLeftWidth: 4,
+    borderLeftColor: '#3b82f6', // blue-500
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 15,
+  },
+  currentBlockText: {
+    fontSize: 17,
+    color: '#374151', // gray-700
+    lineHeight: 24,
+  },
+  moveRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 8,
+    marginBottom: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 7,
+    marginBottom: 20,
+  },
+  pillButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 5,
+    backgroundColor: '#e5e7eb', // gray-200
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    flexGrow: 1,
+  },
+  pillButtonActive: {
+    backgroundColor: '#3b82f6', // blue-500
+  },
+  pillButtonDisabled: {
+    opacity: 0.5,
+  },
+  pillButtonText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#4b5563', // gray-700
+  },
+  pillButtonTextActive: {
+    color: '#ffffff',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 10,
+  },
+  savedDocument: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+  },
+  savedDocumentBody: {
+    flex: 1,
+  },
+  savedDocumentTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#374151',
+  },
+  savedDocumentMeta: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 4,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#6b7280',
+  },
+});
@@ -0,0 +1,157 @@
+// Moving through a document by sentence, paragraph, page or heading
+//
+// Positions are { page, block, unit }, where unit indexes blockUnits(block): a sentence of a
+// paragraph, an item of a list or a row of a table. Every move returns the new position, or
+// null at the start or end of the document.
+
+import { blockUnits } from './pages';
+import { t } from '../i18n';
+
+export const DOCUMENT_MOVES = [
+  'nextSentence',
+  'previousSentence',
+  'nextParagraph',
+  'previousParagraph',
+  'nextPage',
+  'previousPage',
+  'nextHeading',
+  'previousHeading',
+];
+
+/**
+ * Returns the block at a position.
+ * @param {Object} document - The document.
+ * @param {{page: number, block: number}} position - The position.
+ * @returns {Object|undefined} The block, if the position points at one.
+ */
+export const blockAt = (document, { page, block }) => {
+  const found = document.pages[page];
+  return found ? found.blocks[block] : undefined;
+};
+
+/**
+ * Returns the unit of text at a position.
+ * @param {Object} document - The document.
+ * @param {Object} position - The position.
+ * @returns {string|null} The text, or null if the position is on an empty page.
+ */
+export const unitAt = (document, position) => {
+  const block = blockAt(document, position);
+  return block ? blockUnits(block)[position.unit] || null : null;
+};
+
+/**
+ * Steps to the neighbouring block, crossing into the next or previous page and skipping empty pages.
+ * @param {Object} document - The document.
+ * @param {Object} position - The current position.
+ * @param {number} direction - 1 for forwards, -1 for backwards.
+ * @returns {Object|null} The first unit of that block, or null at either end.
+ */
+const stepBlock = (document, position, direction) => {
+  let { page } = position;
+  let block = position.block + direction;
+  while (page >= 0 && page < document.pages.length) {
+    if (block >= 0 && block < document.pages[page].blocks.length) {
+      return { page, block, unit: 0 };
+    }
+    page += direction;
+    if (page < 0 || page >= document.pages.length) {
+      return null;
+    }
+    block = direction > 0 ? 0 : document.pages[page].blocks.length - 1;
+  }
+  return null;
+};
+
+/**
+ * Steps block by block until one matches.
+ * @param {Object} document - The document.
+ * @param {Object} position - The current position.
+ * @param {number} direction - 1 for forwards, -1 for backwards.
+ * @param {Function} matches - Called with a block.
+ * @returns {Object|null} The matching position, or null if there is none.
+ */
+const findBlock = (document, position, direction, matches) => {
+  let next = stepBlock(document, position, direction);
+  while (next && !matches(blockAt(document, next))) {
+    next = stepBlock(document, next, direction);
+  }
+  return next;
+};
+
+/**
+ * Applies one of DOCUMENT_MOVES.
+ * @param {Object} document - The document.
+ * @param {Object} position - The current position.
+ * @param {string} move - One of DOCUMENT_MOVES.
+ * @returns {Object|null} The new position, or null when there is nothing further in that direction.
+ */
+export const moveInDocument = (document, position, move) => {
+  const block = blockAt(document, position);
+  switch (move) {
+    case 'nextSentence':
+      if (block && position.unit + 1 < blockUnits(block).length) {
+        return { ...position, unit: position.unit + 1 };
+      }
+      return stepBlock(document, position, 1);
+    case 'previousSentence': {
+      if (block && position.unit > 0) {
+        return { ...position, unit: position.unit - 1 };
+      }
+      const previous = stepBlock(document, position, -1);
+      return previous && { ...previous, unit: blockUnits(blockAt(document, previous)).length - 1 };
+    }
+    case 'nextParagraph':
+      return stepBlock(document, position, 1);
+    case 'previousParagraph':
+      // Like a screen reader: first back to the start of this paragraph, then to the one before
+      if (block && position.unit > 0) {
+        return { ...position, unit: 0 };
+      }
+      return stepBlock(document, position, -1);
+    case 'nextPage':
+      return position.page + 1 < document.pages.length ? { page: position.page + 1, block: 0, unit: 0 } : null;
+    case 'previousPage':
+      return position.page > 0 ? { page: position.page - 1, block: 0, unit: 0 } : null;
+    case 'nextHeading':
+      return findBlock(document, position, 1, (candidate) => candidate.type === 'heading');
+    case 'previousHeading':
+      return findBlock(document, position, -1, (candidate) => candidate.type === 'heading');
+    default:
+      return null;
+  }
+};
+
+/**
+ * Makes a saved position safe to use with the document as it is now.
+ * @param {Object} document - The document.
+ * @param {Object} [position] - The saved position.
+ * @returns {Object} A position inside the document.
+ */
+export const clampPosition = (document, position) => {
+  if (!position || !document.pages[position.page]) {
+    return { page: 0, block: 0, unit: 0 };
+  }
+  const block = blockAt(document, position);
+  if (!block) {
+    return { page: position.page, block: 0, unit: 0 };
+  }
+  return { ...position, unit: Math.min(position.unit, Math.max(0, blockUnits(block).length - 1)) };
+};
+
+/**
+ * Describes where a position is, e.g. "Page 2 of 3, paragraph 4 of 7".
+ * @param {Object} document - The document.
+ * @param {Object} position - The position.
+ * @returns {string} The description.
+ */
+export const describePosition = (document, position) => {
+  const page = document.pages[position.page];
+  if (!page) {
+    return t('document.noPages');
+  }
+  const where = { page: position.page + 1, pages: document.pages.length };
+  return page.blocks.length > 0
+    ? t('document.positionWithParagraph', { ...where, paragraph: position.block + 1, paragraphs: page.blocks.length })
+    : t('document.position', where);
+};
@@ -0,0 +1,47 @@
+// Saved documents for Read mode, so a long letter or menu can be resumed later
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const DOCUMENTS_STORAGE_KEY = 'pathfinder.documents';
+
+// Least recently used documents are dropped beyond this many
+export const MAX_SAVED_DOCUMENTS = 20;
+
+/**
+ * Loads saved documents, most recently used first.
+ * @returns {Promise<Object[]>} The documents (see src/document/pages.js for the shape).
+ */
+export const loadDocuments = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(DOCUMENTS_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Error loading documents:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves a document, including its reading position, and moves it to the front.
+ * @param {Object[]} documents - Current documents.
+ * @param {Object} document - The document to save.
+ * @returns {Promise<Object[]>} The updated documents.
+ */
+export const saveDocument = async (documents, document) => {
+  const updated = [document, ...documents.filter((saved) => saved.id !== document.id)].slice(0, MAX_SAVED_DOCUMENTS);
+  await AsyncStorage.setItem(DOCUMENTS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+/**
+ * Deletes a saved document.
+ * @param {Object[]} documents - Current documents.
+ * @param {string} id - The document id.
+ * @returns {Promise<Object[]>} The updated documents.
+ */
+export const deleteDocument = async (documents, id) => {
+  const updated = documents.filter((saved) => saved.id !== id);
+  await AsyncStorage.setItem(DOCUMENTS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
@@ -0,0 +1,244 @@
+// Multi-page documents for Read mode: the page prompt, parsing the transcription into
+// structured blocks, and turning blocks into speakable units
+//
+// A document is { id, title, createdAt, updatedAt, pages: [{ blocks }], position }, where a block is
+//   { type: 'heading', level, text } | { type: 'paragraph', text }
+//   | { type: 'list', ordered, items } | { type: 'table', rows }
+// and position ({ page, block, unit }) is where reading resumes.
+
+import { splitSentences } from '../speech/sentences';
+import { t, formatList, formatDate } from '../i18n';
+
+// Asks for a full transcription in Markdown, which keeps the structure and survives long pages
+// better than JSON (no escaping to get wrong halfway through a letter)
+export const DOCUMENT_PAGE_PROMPT = `Transcribe all of the text on this page exactly as written, in reading order. Do not summarize, skip or explain anything.
+Keep the structure using Markdown:
+- "#", "##" or "###" before headings and titles
+- a blank line between paragraphs
+- "- " before bullet list items and "1. " before numbered list items
+- "|" between table cells, one table row per line, with the header row first
+If a word is unreadable, write [unreadable]. If there is no text, reply with an empty response.`;
+
+// Documents are named after their first heading, cut to this length
+const MAX_TITLE_LENGTH = 60;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const BULLET_PATTERN = /^[-*•]\s+(.*)$/;
+const NUMBERED_PATTERN = /^\d+[.)]\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?$/;
+
+/**
+ * Removes inline Markdown emphasis and code marks.
+ * @param {string} text - A line of Markdown.
+ * @returns {string} Plain text.
+ */
+const stripInline = (text) => text.replace(/(\*\*|__|\*|`)/g, '').trim();
+
+/**
+ * Splits a Markdown table row into cells.
+ * @param {string} line - e.g. "| Tea | 2.50 |".
+ * @returns {string[]} The cell texts.
+ */
+const splitRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(stripInline);
+
+/**
+ * Parses a page transcription into blocks. Plain prose without Markdown still works:
+ * it simply becomes paragraphs.
+ * @param {string} text - The model's transcription of one page.
+ * @returns {Object[]} The page's blocks, in reading order.
+ */
+export const parsePageText = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  const lines = text.trim().replace(/^```(?:markdown|md)?\s*/i, '').replace(/\s*```$/, '').split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+  const lastBlock = () => blocks[blocks.length - 1];
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) {
+      flushParagraph();
+      return;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    const bullet = line.match(BULLET_PATTERN);
+    const numbered = line.match(NUMBERED_PATTERN);
+
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: stripInline(heading[2]) });
+    } else if (line.startsWith('|')) {
+      flushParagraph();
+      if (TABLE_SEPARATOR_PATTERN.test(line)) {
+        return;
+      }
+      const previous = lastBlock();
+      if (previous && previous.type === 'table') {
+        previous.rows.push(splitRow(line));
+      } else {
+        blocks.push({ type: 'table', rows: [splitRow(line)] });
+      }
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const ordered = Boolean(numbered);
+      const item = stripInline((bullet || numbered)[1]);
+      const previous = lastBlock();
+      if (previous && previous.type === 'list' && previous.ordered === ordered) {
+        previous.items.push(item);
+      } else {
+        blocks.push({ type: 'list', ordered, items: [item] });
+      }
+    } else {
+      paragraph.push(stripInline(line));
+    }
+  });
+  flushParagraph();
+
+  return blocks.filter((block) => block.type !== 'paragraph' || block.text);
+};
+
+/**
+ * Breaks a block into the units the reader moves through by "sentence":
+ * sentences of a paragraph, items of a list and rows of a table.
+ * @param {Object} block - A document block.
+ * @returns {string[]} Speakable units.
+ */
+export const blockUnits = (block) => {
+  switch (block.type) {
+    case 'heading':
+      return [block.text];
+    case 'list':
+      return block.items.map((item, index) => (block.ordered ? `${index + 1}. ${item}` : item));
+    case 'table': {
+      const [header, ...rows] = block.rows;
+      if (rows.length === 0) {
+        return [header.join(', ')];
+      }
+      // Each row is read with its column names, e.g. "Row 1: Item Tea, Price 2.50."
+      return rows.map((row, index) => t('document.tableRow', {
+        number: index + 1,
+        cells: row.map((cell, column) => (header[column] ? `${header[column]} ${cell}` : cell)).join(', '),
+      }));
+    }
+    default:
+      return splitSentences(block.text);
+  }
+};
+
+/**
+ * Formats a block as plain text, e.g. for history and the on-screen reader.
+ * @param {Object} block - A document block.
+ * @returns {string} The text.
+ */
+export const blockToText = (block) => {
+  switch (block.type) {
+    case 'list':
+      return block.items.map((item, index) => (block.ordered ? `${index + 1}. ${item}` : `• ${item}`)).join('\n');
+    case 'table':
+      return block.rows.map((row) => row.join(' | ')).join('\n');
+    default:
+      return block.text;
+  }
+};
+
+/**
+ * Formats a page as plain text.
+ * @param {{blocks: Object[]}} page - A document page.
+ * @returns {string} The text, one block per paragraph.
+ */
+export const pageToText = (page) => page.blocks.map(blockToText).join('\n\n');
+
+/**
+ * Describes a page's structure briefly, e.g. "2 headings, 5 paragraphs and 1 table".
+ * @param {{blocks: Object[]}} page - A document page.
+ * @returns {string} The summary.
+ */
+export const summarizePage = (page) => {
+  const counts = {};
+  page.blocks.forEach((block) => {
+    counts[block.type] = (counts[block.type] || 0) + 1;
+  });
+  const parts = ['heading', 'paragraph', 'list', 'table']
+    .filter((type) => counts[type])
+    .map((type) => t(`document.blockCounts.${type}`, { count: counts[type] }));
+  return parts.length > 0 ? formatList(parts) : t('document.noText');
+};
+
+/**
+ * Starts an empty document.
+ * @returns {Object} The document.
+ */
+export const createDocument = () => {
+  const now = Date.now();
+  return {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    title: null,
+    createdAt: now,
+    updatedAt: now,
+    pages: [],
+    position: { page: 0, block: 0, unit: 0 },
+  };
+};
+
+/**
+ * Appends a captured page. The document takes its title from the first heading it sees.
+ * @param {Object} document - The document.
+ * @param {Object[]} blocks - Output of parsePageText.
+ * @returns {Object} The updated document.
+ */
+export const addPage = (document, blocks) => {
+  let { title } = document;
+  if (!title) {
+    const heading = blocks.find((block) => block.type === 'heading');
+    if (heading) {
+      title = heading.text.slice(0, MAX_TITLE_LENGTH);
+    }
+  }
+  return {
+    ...document,
+    title,
+    updatedAt: Date.now(),
+    pages: [...document.pages, { blocks }],
+  };
+};
+
+/**
+ * Applies a text transformation to every piece of text in a document, e.g. to mask sensitive numbers.
+ * @param {Object} document - The document.
+ * @param {Function} transform - Takes a string and returns the new string.
+ * @returns {Object} A new document; the reading position is kept.
+ */
+export const mapDocumentText = (document, transform) => {
+  const mapBlock = (block) => {
+    switch (block.type) {
+      case 'list':
+        return { ...block, items: block.items.map(transform) };
+      case 'table':
+        return { ...block, rows: block.rows.map((row) => row.map(transform)) };
+      default:
+        return { ...block, text: transform(block.text) };
+    }
+  };
+  return {
+    ...document,
+    title: document.title ? transform(document.title) : document.title,
+    pages: document.pages.map((page) => ({ ...page, blocks: page.blocks.map(mapBlock) })),
+  };
+};
+
+/**
+ * Returns a document's title, falling back to its creation date.
+ * @param {Object} document - The document.
+ * @returns {string} The title.
+ */
+export const documentTitle = (document) => document.title || t('document.untitled', { date: formatDate(document.createdAt) });
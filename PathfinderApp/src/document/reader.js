@@ -0,0 +1,257 @@
+// The open document in Read mode: adding captured pages, moving through it, reading it aloud
+// sentence by sentence, and keeping it and the reading position saved so it can be resumed
+//
+//   const reader = createDocumentReader({ announcer, stopSpeech, isIncognito, onChange });
+//   reader.startNew();                  // the next Read mode captures become its pages
+//   reader.addPage(blocks);             // and reads the new page from the top
+//   reader.move('nextHeading');         // speaks what the move lands on
+
+import { SPEECH_PRIORITY } from '../speech/speechManager';
+import { summarizePage, blockUnits, createDocument, addPage, mapDocumentText, documentTitle } from './pages';
+import { moveInDocument, blockAt, unitAt, clampPosition, describePosition } from './cursor';
+import { loadDocuments, saveDocument, deleteDocument } from './documentStore';
+import { maskSensitive } from '../privacy';
+import { t } from '../i18n';
+
+/**
+ * Creates the document reader.
+ * @param {Object} options - Reader options.
+ * @param {Object} options.announcer - speak, updateMessage and showSpokenText, see src/speech/announcer.js.
+ * @param {Function} options.stopSpeech - Silences speech and drops everything queued.
+ * @param {Function} options.isIncognito - Whether nothing may be saved.
+ * @param {Function} options.onChange - Called with { document, documents, reading } whenever the
+ *   open document, the saved documents or whether it is being read aloud change.
+ * @returns {Object} The reader.
+ */
+export const createDocumentReader = ({ announcer, stopSpeech, isIncognito, onChange }) => {
+  const { speak, updateMessage, showSpokenText } = announcer;
+  let document = null; // The open document, if any
+  let documents = []; // Saved documents, most recently used first
+  let writes = Promise.resolve(); // Serializes document writes
+  let session = null; // Token of the running read-aloud session; replaced to end it
+
+  const notify = () => onChange({ document, documents, reading: session !== null });
+
+  /**
+   * Loads the saved documents.
+   * @returns {Promise<void>}
+   */
+  const load = async () => {
+    documents = await loadDocuments();
+    notify();
+  };
+
+  /**
+   * Makes a document the open one and saves it, including its reading position. The saved copy
+   * has sensitive numbers masked; the open one keeps them until it is closed. Nothing is saved while incognito.
+   * @param {Object} next - The document.
+   */
+  const persist = (next) => {
+    document = next;
+    notify();
+    if (next.pages.length === 0 || isIncognito()) {
+      return; // Nothing worth keeping until the first page is captured
+    }
+    writes = writes
+      .then(() => saveDocument(documents, mapDocumentText(next, maskSensitive)))
+      .then((saved) => {
+        documents = saved;
+        notify();
+      })
+      .catch((error) => console.error('Error saving document:', error));
+  };
+
+  /**
+   * Ends reading aloud after the current sentence's callbacks; does not silence speech by itself.
+   */
+  const stopReading = () => {
+    if (session) {
+      session = null;
+      notify();
+    }
+  };
+
+  /**
+   * Reads the open document aloud from its position, one sentence at a time, saving the position
+   * as it goes so reading can be resumed later. Messages queued meanwhile are spoken between sentences.
+   * @param {string} [introduction] - Spoken before the first sentence instead of the page number.
+   */
+  const startReading = (introduction = '') => {
+    if (!document || document.pages.length === 0) {
+      updateMessage(t('document.captureFirst'), true);
+      return;
+    }
+    const current = {};
+    session = current;
+    notify();
+
+    const endSession = () => {
+      if (session === current) {
+        session = null;
+        notify();
+      }
+    };
+
+    const readFrom = (position, previousPage) => {
+      if (session !== current) {
+        return;
+      }
+      const reading = { ...document, position };
+      persist(reading);
+
+      const isFirst = previousPage === null;
+      const heading = isFirst && introduction
+        ? `${introduction} `
+        : (position.page !== previousPage ? `${t('document.page', { page: position.page + 1 })} ` : '');
+      const unit = unitAt(reading, position) || t('document.noTextOnPage');
+      const next = moveInDocument(reading, position, 'nextSentence');
+
+      showSpokenText(unit);
+      speak(heading + unit, SPEECH_PRIORITY.ANSWER, {
+        wait: !isFirst,
+        onDone: () => {
+          if (next) {
+            readFrom(next, position.page);
+          } else {
+            endSession();
+            updateMessage(t('document.end'), true);
+          }
+        },
+        onDropped: endSession, // Stopped, or replaced by a newer answer
+      });
+    };
+
+    readFrom(document.position, null);
+  };
+
+  /**
+   * Starts reading the open document aloud, or stops it and silences speech.
+   */
+  const toggleReading = () => {
+    if (session) {
+      stopReading();
+      stopSpeech();
+    } else {
+      startReading();
+    }
+  };
+
+  /**
+   * Opens an empty document; the following Read mode captures become its pages.
+   */
+  const startNew = () => {
+    stopReading();
+    persist(createDocument());
+    updateMessage(t('document.started'), true);
+  };
+
+  /**
+   * Closes the open document. It stays saved and can be resumed later.
+   */
+  const close = () => {
+    stopReading();
+    document = null;
+    notify();
+    updateMessage(t('document.closed'), true);
+  };
+
+  /**
+   * Reopens a saved document at the position where reading stopped.
+   * @param {string} id - The document id.
+   * @returns {boolean} Whether it was found.
+   */
+  const openSaved = (id) => {
+    const saved = documents.find((candidate) => candidate.id === id);
+    if (!saved) {
+      return false;
+    }
+    stopReading();
+    const opened = { ...saved, position: clampPosition(saved, saved.position) };
+    persist(opened);
+    updateMessage(t('document.opened', { title: documentTitle(opened), position: describePosition(opened, opened.position) }), true);
+    return true;
+  };
+
+  /**
+   * Deletes a saved document, closing it first if it is open.
+   * @param {string} id - The document id.
+   */
+  const deleteSaved = async (id) => {
+    if (document && document.id === id) {
+      stopReading();
+      document = null;
+      notify();
+    }
+    try {
+      await writes;
+      documents = await deleteDocument(documents, id);
+      notify();
+      updateMessage(t('document.deleted'), true);
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      updateMessage(t('document.deleteFailed'), true);
+    }
+  };
+
+  /**
+   * Adds a captured page to the open document and starts reading it from the top.
+   * @param {Object[]} blocks - The page's blocks.
+   */
+  const addCapturedPage = (blocks) => {
+    const updated = addPage(document, blocks);
+    const page = updated.pages.length - 1;
+    persist({ ...updated, position: { page, block: 0, unit: 0 } });
+    startReading(t('document.pageAdded', { number: page + 1, summary: summarizePage(updated.pages[page]) }));
+  };
+
+  /**
+   * Moves through the open document and speaks what the move lands on.
+   * @param {string} move - One of DOCUMENT_MOVES.
+   */
+  const moveBy = (move) => {
+    if (!document || document.pages.length === 0) {
+      updateMessage(t('document.captureFirst'), true);
+      return;
+    }
+    stopReading();
+
+    const current = document;
+    const position = moveInDocument(current, current.position, move);
+    const forwards = move.startsWith('next');
+    if (!position) {
+      if (move.endsWith('Heading')) {
+        updateMessage(t(forwards ? 'document.noMoreHeadings' : 'document.noEarlierHeadings'), true);
+      } else {
+        updateMessage(t(forwards ? 'document.end' : 'document.start'), true);
+      }
+      return;
+    }
+    persist({ ...current, position });
+
+    const block = blockAt(current, position);
+    let text;
+    if (move.endsWith('Sentence')) {
+      text = unitAt(current, position);
+    } else if (move.endsWith('Page')) {
+      text = `${t('document.pageOf', { page: position.page + 1, total: current.pages.length })} ${block ? blockUnits(block).join(' ') : t('document.noTextOnPage')}`;
+    } else {
+      text = blockUnits(block).join(' ');
+    }
+    updateMessage(text, true, SPEECH_PRIORITY.ANSWER);
+  };
+
+  return {
+    load,
+    startNew,
+    close,
+    openSaved,
+    deleteSaved,
+    addPage: addCapturedPage,
+    move: moveBy,
+    startReading,
+    stopReading,
+    toggleReading,
+    isOpen: () => document !== null,
+    isReading: () => session !== null,
+  };
+};
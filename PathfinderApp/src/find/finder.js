@@ -0,0 +1,151 @@
+// Find mode: looking for one named object, e.g. "my keys"
+//
+// Each capture asks the model about the target only, as JSON:
+//   { found, horizontal, vertical, distance_steps, confidence, hint }
+// and turns the answer into short guidance such as "Keys: a bit left, about 3 steps away."
+// The search repeats until the target is centered and within reach ("Found it: ...").
+
+import { t } from '../i18n';
+
+// Where the target can be across the frame, and the message key for how each position is spoken
+const HORIZONTAL_PHRASES = {
+  left: 'find.horizontal.left',
+  'slightly left': 'find.horizontal.slightlyLeft',
+  center: 'find.horizontal.center',
+  'slightly right': 'find.horizontal.slightlyRight',
+  right: 'find.horizontal.right',
+};
+
+const VERTICAL_PHRASES = {
+  top: 'find.vertical.top',
+  middle: null,
+  bottom: 'find.vertical.bottom',
+};
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// The phrase spoken when the target is centered and within reach opens with find.foundPrefix;
+// it ends the search
+
+// Within this many steps the target counts as reached
+const REACH_STEPS = 1;
+
+/**
+ * Builds the prompt asking the model about one target object.
+ * @param {string} target - What the user is looking for, e.g. "my keys".
+ * @returns {string} The prompt.
+ */
+export const buildFindPrompt = (target) => `You are helping a visually impaired person find one specific object: ${target}.
+Look only for that object in this image and ignore everything else.
+Respond with JSON only, no markdown, matching this schema:
+{"found": boolean, "horizontal": "left" | "slightly left" | "center" | "slightly right" | "right" | null, "vertical": "top" | "middle" | "bottom" | null, "distance_steps": number | null, "confidence": "high" | "medium" | "low", "hint": string | null}
+- "found" is true only if the object is visible in the image.
+- "horizontal" and "vertical" say where the object is in the picture; null if it is not found.
+- "distance_steps" is the approximate distance from the camera in walking steps (one step is about 0.75 meters); 0 means within arm's reach.
+- "confidence" is how sure you are that it is the object asked for.
+- "hint" is a short tip when the object is not found, e.g. "it may be hidden behind the cushion", or null.`;
+
+/**
+ * Shortens the target for speech: "my keys" becomes "keys".
+ * @param {string} target - What the user is looking for.
+ * @returns {string} The spoken name.
+ */
+const spokenTarget = (target) => target.trim().replace(/^(my|the|a|an|our|your)\s+/i, '');
+
+/**
+ * Capitalizes the first letter, leaving the rest (e.g. "TV remote") alone.
+ * @param {string} text - The text.
+ * @returns {string} The capitalized text.
+ */
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Parses and validates the model's JSON answer. Code fences are stripped first.
+ * @param {string} text - Raw model output.
+ * @returns {{found: boolean, horizontal: string|null, vertical: string|null, distanceSteps: number|null,
+ *   confidence: string, hint: string|null}|null} The result, or null if the response is not valid.
+ */
+export const parseFindResponse = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+  if (!parsed || typeof parsed.found !== 'boolean') {
+    return null;
+  }
+
+  const horizontal = typeof parsed.horizontal === 'string' ? parsed.horizontal.trim().toLowerCase().replace('centre', 'center') : '';
+  const vertical = typeof parsed.vertical === 'string' ? parsed.vertical.trim().toLowerCase() : '';
+  const confidence = typeof parsed.confidence === 'string' ? parsed.confidence.trim().toLowerCase() : '';
+  const distance = Number(parsed.distance_steps);
+  return {
+    found: parsed.found,
+    horizontal: horizontal in HORIZONTAL_PHRASES ? horizontal : null,
+    vertical: vertical in VERTICAL_PHRASES ? vertical : null,
+    distanceSteps: parsed.distance_steps !== null && Number.isFinite(distance) && distance >= 0 ? Math.round(distance) : null,
+    confidence: CONFIDENCE_LEVELS.includes(confidence) ? confidence : 'medium',
+    hint: typeof parsed.hint === 'string' && parsed.hint.trim() ? parsed.hint.trim() : null,
+  };
+};
+
+/**
+ * Phrases a distance in steps.
+ * @param {number|null} steps - Distance in steps.
+ * @returns {string|null} e.g. "within reach" or "about 3 steps away".
+ */
+const phraseDistance = (steps) => {
+  if (steps === null) {
+    return null;
+  }
+  if (steps <= REACH_STEPS) {
+    return t('find.withinReach');
+  }
+  return t('find.stepsAway', { count: steps });
+};
+
+/**
+ * Turns a parsed answer into guidance, e.g. "Keys: a bit left, about 3 steps away."
+ * @param {Object} result - Output of parseFindResponse.
+ * @param {string} target - What the user is looking for.
+ * @returns {string} The text to speak.
+ */
+export const formatFindGuidance = (result, target) => {
+  const name = spokenTarget(target);
+  if (!result.found) {
+    const notInView = t('find.notInView', { target: capitalize(name) });
+    return result.hint ? `${notInView} ${capitalize(result.hint.replace(/\.$/, ''))}.` : notInView;
+  }
+
+  const parts = [
+    HORIZONTAL_PHRASES[result.horizontal] && t(HORIZONTAL_PHRASES[result.horizontal]),
+    VERTICAL_PHRASES[result.vertical] && t(VERTICAL_PHRASES[result.vertical]),
+    phraseDistance(result.distanceSteps),
+  ].filter(Boolean);
+  const reached = result.horizontal === 'center' && result.distanceSteps !== null && result.distanceSteps <= REACH_STEPS;
+  if (reached && result.confidence !== 'low') {
+    return `${t('find.foundPrefix')} ${name}, ${parts.join(', ')}.`;
+  }
+  const label = result.confidence === 'low' ? t('find.possibly', { target: name }) : capitalize(name);
+  return parts.length > 0 ? t('find.where', { target: label, where: parts.join(', ') }) : t('find.inView', { target: label });
+};
+
+/**
+ * Tells whether guidance means the target has been reached, which ends the search.
+ * @param {string} text - Output of formatFindGuidance.
+ * @returns {boolean} True when the target is centered and within reach.
+ */
+export const isTargetReached = (text) => typeof text === 'string' && text.startsWith(t('find.foundPrefix'));
+
+/**
+ * Tells whether guidance means the target was seen at all.
+ * @param {string} text - Output of formatFindGuidance.
+ * @returns {boolean} False for "... not in view." guidance.
+ */
+export const isTargetInView = (text) => typeof text === 'string' && !text.includes(t('find.notInView', { target: '' }).trim());
@@ -0,0 +1,112 @@
+// Find mode searches: captures one frame after another and guides the user towards the named
+// object (see ./finder) until it is within reach, the search times out or it is stopped
+//
+//   const search = createFindSearch({ machine, begin, capture, cancelCapture, ... });
+//   search.start('my keys');   // "Looking for my keys. ..."
+//   search.getTarget();        // 'my keys', also asked about by single captures in Find mode
+
+import { createCaptureLoop } from '../app/captureLoop';
+import { APP_EVENTS, LOOPS } from '../app/stateMachine';
+import { SPEECH_PRIORITY } from '../speech/speechManager';
+import { isTargetReached, isTargetInView } from './finder';
+import { t } from '../i18n';
+
+// Pause between captures, and how long a search runs before giving up
+const FIND_INTERVAL_MS = 1000;
+const FIND_TIMEOUT_MS = 2 * 60 * 1000;
+// Once the daily budget of vision requests is used up, captures slow down to one per this long
+const OVER_BUDGET_INTERVAL_MS = 4000;
+// While the target is out of view, "not in view" is only repeated every this many captures
+const FIND_MISS_REPEAT = 3;
+
+/**
+ * Creates Find mode searching.
+ * @param {Object} options - Search options.
+ * @param {Object} options.machine - The app state machine.
+ * @param {Function} options.begin - Claims the app for the loop, see createCaptureLoop.
+ * @param {Function} options.capture - Captures and describes a frame without speaking it, see
+ *   createProcessor; resolves with the guidance or null.
+ * @param {Function} options.cancelCapture - Aborts the in-flight capture.
+ * @param {Function} options.getFrameIssue - The quality issue of the last rejected frame, or null.
+ * @param {Function} options.isOverBudget - Whether the daily budget of vision requests is used up.
+ * @param {Object} options.announcer - speak and updateMessage, see src/speech/announcer.js.
+ * @returns {{start: Function, stop: Function, isActive: Function, getTarget: Function, setTarget: Function}}
+ */
+export const createFindSearch = ({ machine, begin, capture, cancelCapture, getFrameIssue, isOverBudget, announcer }) => {
+  const { speak, updateMessage } = announcer;
+  let target = '';
+
+  // While the target is in view the guidance is spoken on every capture, so the user can home in
+  // on it; while it is out of view only every few captures. Reaching the target ends the search.
+  const loop = createCaptureLoop({
+    loop: LOOPS.FIND,
+    machine,
+    begin,
+    cancelCapture,
+    updateMessage,
+    stoppedMessage: () => t('find.stopped'),
+    step: async (run) => {
+      if (Date.now() - run.startedAt > FIND_TIMEOUT_MS) {
+        loop.stop(t('find.timedOut', { target, duration: t('units.minutes', { count: FIND_TIMEOUT_MS / 60000 }) }));
+        return FIND_INTERVAL_MS;
+      }
+      if (!machine.can(APP_EVENTS.CAPTURE)) {
+        return FIND_INTERVAL_MS; // Another capture is still winding down
+      }
+
+      const guidance = await capture({ announce: false, mode: 'find' });
+      if (!run.active) {
+        return FIND_INTERVAL_MS; // Stopped or restarted while the request was in flight; drop the result
+      }
+      if (guidance && isTargetReached(guidance)) {
+        loop.stop(null);
+        updateMessage(guidance, true, SPEECH_PRIORITY.ANSWER);
+        return FIND_INTERVAL_MS;
+      }
+      if (guidance) {
+        const inView = isTargetInView(guidance);
+        run.misses = inView ? 0 : run.misses + 1;
+        if (inView || run.misses % FIND_MISS_REPEAT === 1) {
+          speak(guidance, SPEECH_PRIORITY.ANSWER);
+        }
+      }
+      loop.recordResult(run, Boolean(guidance || getFrameIssue()), t('find.stoppedAfterErrors'));
+      return isOverBudget() ? OVER_BUDGET_INTERVAL_MS : FIND_INTERVAL_MS;
+    },
+  });
+
+  /**
+   * Starts looking for a named object. A running search is replaced by one for the new target.
+   * @param {string} name - What to look for, e.g. "my keys".
+   * @returns {boolean} Whether the search started.
+   */
+  const start = (name) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      updateMessage(t('find.targetFirst'), true);
+      return false;
+    }
+    if (!loop.start({ misses: 0, startedAt: Date.now() })) {
+      return false;
+    }
+    target = trimmed;
+    updateMessage(t('find.looking', { target: trimmed }), true);
+    return true;
+  };
+
+  return {
+    start,
+    stop: loop.stop,
+    isActive: loop.isActive,
+    getTarget: () => target,
+    /**
+     * Changes what single captures in Find mode ask about; a running search keeps its target.
+     * @param {string} name - What the user is looking for.
+     */
+    setTarget: (name) => {
+      if (!loop.isActive()) {
+        target = name.trim();
+      }
+    },
+  };
+};
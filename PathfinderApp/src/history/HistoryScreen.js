@@ -0,0 +1,184 @@
+import React from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  Image
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { t, formatDate } from '../i18n';
+
+/**
+ * Browses past captures, newest first, with replay, delete and export.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.visible - Whether the screen is shown.
+ * @param {Object[]} props.entries - History entries from the history store.
+ * @param {Function} props.onSpeak - Called with an entry to speak it again.
+ * @param {Function} props.onDelete - Called with an entry id.
+ * @param {Function} props.onClear - Deletes every entry.
+ * @param {Function} props.onExport - Called with 'json' or 'text'.
+ * @param {Function} props.onClose - Called when the screen is dismissed.
+ */
+export default function HistoryScreen({ visible, entries, onSpeak, onDelete, onClear, onExport, onClose }) {
+  const renderEntry = ({ item }) => (
+    <View style={styles.entry}>
+      {item.thumbnailUri ? (
+        <Image source={{ uri: item.thumbnailUri }} style={styles.thumbnail} accessibilityIgnoresInvertColors accessible={false} />
+      ) : (
+        <View style={[styles.thumbnail, styles.thumbnailPlaceholder]} importantForAccessibility="no-hide-descendants">
+          <Ionicons name="image-outline" size={24} color="#9ca3af" />
+        </View>
+      )}
+      <View style={styles.entryBody}>
+        <Text style={styles.entryMeta}>
+          {formatDate(item.timestamp, { time: true })} · {item.modeLabel}
+        </Text>
+        <Text style={styles.entryText} numberOfLines={4}>{item.text}</Text>
+        <View style={styles.entryActions}>
+          <TouchableOpacity style={styles.iconButton} onPress={() => onSpeak(item)} accessibilityRole="button" accessibilityLabel={t('history.speak')}>
+            <Ionicons name="volume-high-outline" size={20} color="#2563eb" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.iconButton} onPress={() => onDelete(item.id)} accessibilityRole="button" accessibilityLabel={t('history.delete')}>
+            <Ionicons name="trash-outline" size={20} color="#dc2626" />
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title} accessibilityRole="header">{t('history.title')}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.iconButton} accessibilityRole="button" accessibilityLabel={t('history.close')}>
+            <Ionicons name="close-outline" size={28} color="#1f2937" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.toolbar}>
+          <ToolbarButton title={t('history.exportJson')} iconName="code-download-outline" onPress={() => onExport('json')} disabled={entries.length === 0} />
+          <ToolbarButton title={t('history.exportText')} iconName="share-outline" onPress={() => onExport('text')} disabled={entries.length === 0} />
+          <ToolbarButton title={t('history.clear')} iconName="trash-bin-outline" onPress={onClear} disabled={entries.length === 0} />
+        </View>
+
+        <FlatList
+          data={entries}
+          keyExtractor={(item) => item.id}
+          renderItem={renderEntry}
+          ListEmptyComponent={<Text style={styles.emptyText}>{t('history.empty')}</Text>}
+          contentContainerStyle={styles.list}
+        />
+      </View>
+    </Modal>
+  );
+}
+
+// Toolbar pill, styled like the mode buttons
+const ToolbarButton = ({ title, iconName, onPress, disabled }) => (
+  <TouchableOpacity
+    style={[styles.toolbarButton, disabled && styles.toolbarButtonDisabled]}
+    onPress={onPress}
+    disabled={disabled}
+    accessibilityRole="button"
+    accessibilityState={{ disabled }}
+  >
+    <Ionicons name={iconName} size={18} color="#4b5563" />
+    <Text style={styles.toolbarButtonText}>{title}</Text>
+  </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f4f8', // light gray background
+    paddingTop: 40,
+    paddingHorizontal: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1f2937', // dark gray
+  },
+  toolbar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 15,
+  },
+  toolbarButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e5e7eb', // gray-200
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+  },
+  toolbarButtonDisabled: {
+    opacity: 0.5,
+  },
+  toolbarButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#4b5563', // gray-700
+    marginLeft: 5,
+  },
+  list: {
+    paddingBottom: 30,
+  },
+  entry: {
+    flexDirection: 'row',
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 10,
+  },
+  thumbnail: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  thumbnailPlaceholder: {
+    backgroundColor: '#f3f4f6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  entryBody: {
+    flex: 1,
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginBottom: 4,
+  },
+  entryText: {
+    fontSize: 15,
+    color: '#374151', // gray-700
+    lineHeight: 21,
+  },
+  entryActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 6,
+  },
+  iconButton: {
+    padding: 4,
+  },
+  emptyText: {
+    fontSize: 16,
+    textAlign: 'center',
+    color: '#6b7280',
+    marginTop: 40,
+  },
+});
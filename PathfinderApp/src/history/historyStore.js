@@ -0,0 +1,147 @@
+// Persistent capture history: entries in AsyncStorage, thumbnails as files in the app's document directory
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { t, formatDate } from '../i18n';
+
+const HISTORY_STORAGE_KEY = 'pathfinder.history';
+const THUMBNAIL_DIRECTORY = `${FileSystem.documentDirectory}history/`;
+
+// Oldest entries (and their thumbnails) are dropped beyond this many
+export const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * Loads the history, newest first.
+ * @returns {Promise<Object[]>} Entries of shape { id, timestamp, mode, modeLabel, text, thumbnailUri }.
+ */
+export const loadHistory = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(HISTORY_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Error loading history:', error);
+    return [];
+  }
+};
+
+/**
+ * Writes the entry list.
+ * @param {Object[]} entries - Entries, newest first.
+ * @returns {Promise<void>}
+ */
+const saveHistory = (entries) => AsyncStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(entries));
+
+/**
+ * Deletes thumbnail files, ignoring ones that are already gone.
+ * @param {Object[]} entries - Entries whose thumbnails should be removed.
+ * @returns {Promise<void>}
+ */
+const deleteThumbnails = async (entries) => {
+  await Promise.all(entries
+    .filter((entry) => entry.thumbnailUri)
+    .map((entry) => FileSystem.deleteAsync(entry.thumbnailUri, { idempotent: true })));
+};
+
+/**
+ * Records a capture.
+ * @param {Object[]} entries - Current entries, newest first.
+ * @param {Object} capture - The capture to record.
+ * @param {string} capture.mode - Mode id.
+ * @param {string} capture.modeLabel - Mode label at the time of capture.
+ * @param {string} capture.text - The full response text.
+ * @param {string} [capture.thumbnailBase64] - Small JPEG of the captured frame.
+ * @returns {Promise<Object[]>} The updated entries.
+ */
+export const addHistoryEntry = async (entries, { mode, modeLabel, text, thumbnailBase64 }) => {
+  const timestamp = Date.now();
+  const id = `${timestamp}-${Math.random().toString(36).slice(2, 8)}`;
+
+  let thumbnailUri = null;
+  if (thumbnailBase64) {
+    try {
+      await FileSystem.makeDirectoryAsync(THUMBNAIL_DIRECTORY, { intermediates: true });
+      thumbnailUri = `${THUMBNAIL_DIRECTORY}${id}.jpg`;
+      await FileSystem.writeAsStringAsync(thumbnailUri, thumbnailBase64, { encoding: FileSystem.EncodingType.Base64 });
+    } catch (error) {
+      console.error('Error saving history thumbnail:', error);
+      thumbnailUri = null;
+    }
+  }
+
+  const updated = [{ id, timestamp, mode, modeLabel, text, thumbnailUri }, ...entries];
+  const dropped = updated.slice(MAX_HISTORY_ENTRIES);
+  const kept = updated.slice(0, MAX_HISTORY_ENTRIES);
+  await saveHistory(kept);
+  await deleteThumbnails(dropped);
+  return kept;
+};
+
+/**
+ * Deletes one entry and its thumbnail.
+ * @param {Object[]} entries - Current entries.
+ * @param {string} id - The entry id.
+ * @returns {Promise<Object[]>} The updated entries.
+ */
+export const deleteHistoryEntry = async (entries, id) => {
+  const kept = entries.filter((entry) => entry.id !== id);
+  await saveHistory(kept);
+  await deleteThumbnails(entries.filter((entry) => entry.id === id));
+  return kept;
+};
+
+/**
+ * Deletes every entry and thumbnail.
+ * @returns {Promise<Object[]>} The (empty) entries.
+ */
+export const clearHistory = async () => {
+  await AsyncStorage.removeItem(HISTORY_STORAGE_KEY);
+  await FileSystem.deleteAsync(THUMBNAIL_DIRECTORY, { idempotent: true });
+  return [];
+};
+
+/**
+ * Formats entries as JSON for sharing. Thumbnails are device file paths and are left out.
+ * @param {Object[]} entries - Entries, newest first.
+ * @returns {string} Pretty-printed JSON.
+ */
+export const formatHistoryAsJson = (entries) => JSON.stringify(
+  entries.map(({ timestamp, mode, modeLabel, text }) => ({
+    time: new Date(timestamp).toISOString(),
+    mode,
+    modeLabel,
+    text,
+  })),
+  null,
+  2
+);
+
+/**
+ * Formats entries as readable plain text for sharing with a helper.
+ * @param {Object[]} entries - Entries, newest first.
+ * @returns {string} One block per entry.
+ */
+export const formatHistoryAsText = (entries) => entries
+  .map((entry) => `${formatDate(entry.timestamp, { time: true })} - ${entry.modeLabel}\n${entry.text}`)
+  .join('\n\n');
+
+/**
+ * Writes the history to a file and opens the system share sheet.
+ * @param {Object[]} entries - Entries to export.
+ * @param {string} format - 'json' or 'text'.
+ * @returns {Promise<void>}
+ */
+export const exportHistory = async (entries, format) => {
+  const isJson = format === 'json';
+  const fileUri = `${FileSystem.cacheDirectory}pathfinder-history.${isJson ? 'json' : 'txt'}`;
+  await FileSystem.writeAsStringAsync(fileUri, isJson ? formatHistoryAsJson(entries) : formatHistoryAsText(entries));
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t('history.sharingUnavailable'));
+  }
+  await Sharing.shareAsync(fileUri, {
+    mimeType: isJson ? 'application/json' : 'text/plain',
+    dialogTitle: t('history.shareTitle'),
+  });
+};
@@ -0,0 +1,98 @@
+// The capture history as the app keeps it: entries added in the order captures finish, sensitive
+// numbers masked, nothing written while incognito, and delete, clear and export spoken back
+//
+//   const history = createHistoryLog({ isIncognito, getModeLabel, updateMessage, onChange });
+//   await history.load();
+//   history.record({ mode: 'read', text, thumbnailBase64 });
+
+import { loadHistory, addHistoryEntry, deleteHistoryEntry, clearHistory, exportHistory } from './historyStore';
+import { maskSensitive } from '../privacy';
+import { t } from '../i18n';
+
+/**
+ * Creates the history log.
+ * @param {Object} options - History options.
+ * @param {Function} options.isIncognito - Whether nothing may be saved.
+ * @param {Function} options.getModeLabel - Returns the label of a mode id, stored with each entry.
+ * @param {Function} options.updateMessage - Shows and speaks a message, see src/speech/announcer.js.
+ * @param {Function} options.onChange - Called with the entries, newest first, whenever they change.
+ * @returns {{load: Function, record: Function, remove: Function, clear: Function, exportAs: Function}}
+ */
+export const createHistoryLog = ({ isIncognito, getModeLabel, updateMessage, onChange }) => {
+  let entries = [];
+  let writes = Promise.resolve(); // Serializes history writes, so back-to-back captures never drop one
+
+  const setEntries = (next) => {
+    entries = next;
+    onChange(entries);
+  };
+
+  /**
+   * Loads the saved history.
+   * @returns {Promise<void>}
+   */
+  const load = async () => {
+    setEntries(await loadHistory());
+  };
+
+  /**
+   * Adds a capture without holding up speech.
+   * @param {Object} capture - { mode, text, thumbnailBase64 }.
+   */
+  const record = ({ mode, text, thumbnailBase64 }) => {
+    if (isIncognito()) {
+      return;
+    }
+    writes = writes
+      .then(() => addHistoryEntry(entries, {
+        mode,
+        modeLabel: getModeLabel(mode),
+        text: maskSensitive(text),
+        thumbnailBase64,
+      }))
+      .then(setEntries)
+      .catch((error) => console.error('Error saving history entry:', error));
+  };
+
+  /**
+   * Deletes one entry.
+   * @param {string} id - The entry id.
+   */
+  const remove = async (id) => {
+    try {
+      setEntries(await deleteHistoryEntry(entries, id));
+      updateMessage(t('history.deleted'), true);
+    } catch (error) {
+      console.error('Error deleting history entry:', error);
+      updateMessage(t('history.deleteFailed'), true);
+    }
+  };
+
+  /**
+   * Deletes the whole history.
+   */
+  const clear = async () => {
+    try {
+      setEntries(await clearHistory());
+      updateMessage(t('history.cleared'), true);
+    } catch (error) {
+      console.error('Error clearing history:', error);
+      updateMessage(t('history.clearFailed'), true);
+    }
+  };
+
+  /**
+   * Shares the history as a file.
+   * @param {string} format - 'json' or 'text'.
+   */
+  const exportAs = async (format) => {
+    try {
+      await exportHistory(entries, format);
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      updateMessage(t('history.exportFailed', { error: error.message }), true);
+    }
+  };
+
+  return { load, record, remove, clear, exportAs };
+};
@@ -0,0 +1,155 @@
+// Localization: message catalogs for everything shown or spoken, prompt templates that tell the
+// vision model which language to answer in, and the speech language of each locale
+//
+// Messages are looked up by key, with {placeholders} filled in and plurals picked by count:
+//   setLocale('es');
+//   t('find.looking', { target: 'mis llaves' });   // 'Buscando mis llaves. Mueve el teléfono ...'
+//   t('units.seconds', { count: 1 });              // '1 segundo'
+// A key missing from a catalog falls back to English, so a partly translated catalog still works.
+
+import { getLocales } from 'expo-localization';
+import en from './locales/en';
+import es from './locales/es';
+import hi from './locales/hi';
+
+// Locale setting that follows the device language
+export const DEVICE_LOCALE = 'device';
+
+export const DEFAULT_LOCALE = 'en';
+
+// name is how the language calls itself, so anyone can find their own in the list.
+// plural picks the catalog form for a count, following CLDR: in Hindi 0 and 1 are both singular.
+export const LOCALES = {
+  en: {
+    id: 'en',
+    name: 'English',
+    speechLanguage: 'en-US',
+    catalog: en,
+    plural: (count) => (count === 1 ? 'one' : 'other'),
+  },
+  es: {
+    id: 'es',
+    name: 'Español',
+    speechLanguage: 'es-ES',
+    catalog: es,
+    plural: (count) => (count === 1 ? 'one' : 'other'),
+  },
+  hi: {
+    id: 'hi',
+    name: 'हिन्दी',
+    speechLanguage: 'hi-IN',
+    catalog: hi,
+    plural: (count) => (count === 0 || count === 1 ? 'one' : 'other'),
+  },
+};
+
+export const LOCALE_IDS = Object.keys(LOCALES);
+
+/**
+ * Picks the first device language the app has a catalog for.
+ * @param {Object[]} [deviceLocales] - Output of expo-localization's getLocales(), in order of preference.
+ * @returns {string} A locale id, English if none of the device languages is supported.
+ */
+export const detectDeviceLocale = (deviceLocales = getLocales()) => {
+  const match = (deviceLocales || []).find((locale) => locale && LOCALES[locale.languageCode]);
+  return match ? match.languageCode : DEFAULT_LOCALE;
+};
+
+// Follows the device until the settings say otherwise, so the first screen is already translated
+let activeLocale = LOCALES[detectDeviceLocale()];
+
+/**
+ * Turns the locale setting into the locale to use.
+ * @param {string} setting - A locale id, or DEVICE_LOCALE.
+ * @param {Object[]} [deviceLocales] - The device languages, see detectDeviceLocale.
+ * @returns {string} A locale id.
+ */
+export const resolveLocale = (setting, deviceLocales) =>
+  (LOCALES[setting] ? setting : detectDeviceLocale(deviceLocales));
+
+/**
+ * Makes a locale the one every message is looked up in.
+ * @param {string} localeId - A locale id; unknown ids fall back to English.
+ */
+export const setLocale = (localeId) => {
+  activeLocale = LOCALES[localeId] || LOCALES[DEFAULT_LOCALE];
+};
+
+/**
+ * @returns {Object} The active locale: { id, name, speechLanguage, catalog, plural }.
+ */
+export const getLocale = () => activeLocale;
+
+/**
+ * Finds a message by its dotted key, e.g. 'sos.countdown'.
+ * @param {Object} catalog - A message catalog.
+ * @param {string} key - The key.
+ * @returns {string|Object|undefined} The message, plural forms, or undefined if missing.
+ */
+const lookup = (catalog, key) => key.split('.')
+  .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+/**
+ * Looks up a message in the active locale.
+ * @param {string} key - Dotted message key.
+ * @param {Object} [params] - Values for the {placeholders}; a numeric count also picks the plural form.
+ * @returns {string} The message, or the key itself if no catalog has it.
+ */
+export const t = (key, params = {}) => {
+  let locale = activeLocale;
+  let message = lookup(locale.catalog, key);
+  if (message === undefined) {
+    locale = LOCALES[DEFAULT_LOCALE];
+    message = lookup(locale.catalog, key);
+  }
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    message = message[locale.plural(params.count)] ?? message.other;
+  }
+  if (typeof message !== 'string') {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+/**
+ * Joins items the way the active language lists them, e.g. "a, b and c".
+ * @param {string[]} items - The items.
+ * @param {string} [conjunction] - 'and' or 'or'.
+ * @returns {string} The list.
+ */
+export const formatList = (items, conjunction = 'and') => {
+  if (items.length <= 1) {
+    return items.join('');
+  }
+  return `${items.slice(0, -1).join(t('list.separator'))}${t(`list.${conjunction}`)}${items[items.length - 1]}`;
+};
+
+/**
+ * Formats a date, or a date and time, the way the active language writes them.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @param {Object} [options] - { time: true } to include the time of day.
+ * @returns {string} The formatted date.
+ */
+export const formatDate = (timestamp, { time = false } = {}) => {
+  const date = new Date(timestamp);
+  return time ? date.toLocaleString(activeLocale.speechLanguage) : date.toLocaleDateString(activeLocale.speechLanguage);
+};
+
+/**
+ * Formats a number the way the active language writes it, e.g. "1,290" or "1.290".
+ * @param {number} value - The number.
+ * @param {Object} [options] - Intl.NumberFormat options, e.g. { style: 'currency', currency: 'USD' }.
+ * @returns {string} The formatted number.
+ */
+export const formatNumber = (value, options) => value.toLocaleString(activeLocale.speechLanguage, options);
+
+/**
+ * Adds the active locale's language instructions to a prompt. The prompts themselves stay in
+ * English, which every model follows best; the template tells the model what language to answer in.
+ * @param {string} prompt - The prompt.
+ * @param {string} [style] - 'describe' for prose answers, 'transcribe' when text in the image is
+ *   read out as written, 'json' when the answer is JSON whose keys and fixed values must stay English.
+ * @returns {string} The prompt with the language instructions.
+ */
+export const localizePrompt = (prompt, style = 'describe') => `${prompt}\n\n${t(`prompts.${style}`)}`;
@@ -0,0 +1,667 @@
+// English messages; the reference catalog every other locale falls back to
+//
+// {name} placeholders are filled in by t(); entries with one/other forms are picked by count.
+
+export default {
+  list: {
+    separator: ', ',
+    and: ' and ',
+    or: ' or ',
+  },
+
+  units: {
+    seconds: { one: '{count} second', other: '{count} seconds' },
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    secondsShort: '{count} s',
+    minutesShort: '{count} min',
+  },
+
+  // Added to every prompt, see localizePrompt
+  prompts: {
+    describe: 'Answer in English.',
+    transcribe: 'Write any text you read exactly as it appears, in its original language. Write anything you add yourself in English.',
+    json: 'Keep the JSON keys and the fixed values listed above exactly as they are, and write every free-text value in English.',
+  },
+
+  app: {
+    title: 'Seeing AI: Multi-Mode',
+    initializing: 'Initializing app...',
+    loading: 'Loading',
+    history: 'History',
+    settings: 'Settings',
+    permissionHint: 'Please check your app settings and ensure both Camera and Microphone (for speech) permissions are enabled.',
+    cameraLoading: 'Loading Camera...',
+    cameraNotAvailable: 'Camera Not Available',
+    cameraNotAvailableHint: 'Please ensure Expo Camera is installed and linked correctly.',
+    cameraView: 'Camera view, {mode} mode',
+    cameraViewAnalyzing: 'Camera view, {mode} mode, analyzing',
+    stopped: 'Stopped all operations',
+    stop: 'Stop',
+    stopHint: 'Hold to send an emergency alert to your contacts',
+  },
+
+  permissions: {
+    requesting: 'Requesting camera and speech permissions...',
+    cameraModuleMissing: 'Camera module not found or not functional. Please ensure all Expo packages are installed correctly.',
+    granted: 'Camera and Speech permissions granted. Select a mode and tap the button.',
+    cameraDenied: 'Camera permission not granted. Please enable it in settings.',
+    speechDenied: 'Speech permission not granted. Please enable it in settings (look for Microphone access for Expo Go or your app).',
+    someDenied: 'Some permissions were not granted. Please check app settings.',
+    error: 'Error requesting permissions: {error}. Please check app settings.',
+  },
+
+  remote: {
+    title: 'Remote Control',
+    enable: 'Enable Remote Control:',
+    toggle: 'Remote control',
+    deviceIp: 'Device IP: {ip}',
+    loadingIp: 'Loading...',
+    serverStatus: 'Server Status: {status}',
+    status: {
+      stopped: 'Stopped',
+      starting: 'Starting...',
+      running: 'Running',
+      error: 'Error',
+    },
+    pairingCode: 'Pairing Code: {code}',
+    hint: 'Other devices can pair with the code above, then send JSON commands to http://{address}:{port}/command or ws://{address}:{port}/ws',
+    noNetwork: 'No local network connection',
+    enabled: 'Remote control enabled at {address} port {port}. Pairing code: {code}',
+    startFailed: 'Failed to start remote control server: {error}',
+    disabled: 'Remote control disabled',
+    // Replies to commands; voice commands speak them too
+    errors: {
+      nothingToRepeat: 'Nothing has been described yet',
+      busyMode: 'Cannot change mode while an image is being analyzed',
+      unknownMode: 'No mode called {name}',
+      busy: 'An image is already being analyzed',
+      noImage: 'Capture an image before asking follow-up questions',
+      unknownCommand: 'Unknown command: {command}',
+    },
+  },
+
+  apiKey: {
+    removed: 'Saved API key removed.',
+    notSaved: 'The key was not saved.',
+    unverified: 'Could not reach the service to check the key. It was saved and will be used on the next capture.',
+    saved: 'API key verified and saved.',
+    works: 'The current API key works.',
+  },
+
+  modes: {
+    read: {
+      label: 'Read',
+      captureLabel: 'Read Document',
+      confirmation: 'Mode set to Read. Tap "Read Document" to scan text.',
+    },
+    navigate: {
+      label: 'Navigate',
+      captureLabel: 'Get Navigation Cues',
+      confirmation: 'Mode set to Navigate. Tap "Get Navigation Cues" for indoor guidance.',
+    },
+    passive: {
+      label: 'Passive',
+      captureLabel: 'Describe Environment',
+      confirmation: 'Mode set to Passive. Tap "Describe Environment" for general descriptions.',
+    },
+    find: {
+      label: 'Find',
+      captureLabel: 'Start Search',
+      confirmation: 'Mode set to Find. Type or say what you are looking for, then tap "Start Search".',
+    },
+    product: {
+      label: 'Product',
+      captureLabel: 'Read Label',
+      confirmation: 'Mode set to Product. Point the camera at a barcode or QR code, or tap "Read Label".',
+    },
+    customConfirmation: 'Mode set to {label}. Tap "{capture}" to capture.',
+    button: '{label} mode',
+    editHint: 'Touch and hold to edit this mode',
+    new: 'New',
+    newLabel: 'New custom mode',
+    saved: '{label} mode saved. {confirmation}',
+    deleted: '{label} mode deleted.',
+    deletedUnnamed: 'Custom mode deleted.',
+    deleteFailed: 'Could not delete the mode. Please try again.',
+    busy: 'Cannot change mode while an image is being analyzed.',
+    errors: {
+      nameRequired: 'Please enter a name for the mode.',
+      promptRequired: 'Please enter a prompt for the mode.',
+      exists: 'A mode called {label} already exists.',
+    },
+    editor: {
+      editTitle: 'Edit Mode',
+      newTitle: 'New Mode',
+      name: 'Name',
+      namePlaceholder: 'e.g. Medication label',
+      prompt: 'Prompt',
+      promptPlaceholder: 'e.g. Read the medication name, dose and expiry date.',
+      captureLabel: 'Capture button text (optional)',
+      captureLabelShort: 'Capture button text',
+      captureLabelPlaceholder: 'e.g. Read Label',
+      icon: 'Icon',
+      iconLabel: '{name} icon',
+      delete: 'Delete',
+      cancel: 'Cancel',
+      save: 'Save',
+    },
+  },
+
+  capture: {
+    cameraNotReady: 'Camera not ready. Please wait or refresh the app.',
+    analyzing: 'Analyzing image, please wait...',
+    retrying: 'Connection problem, retrying ({attempt} of {total})...',
+    noDescription: 'No clear description was generated. Please try again.',
+    stillAnalyzing: 'Still analyzing the last image.',
+    continuousOn: 'Continuous capture is on. Turn it off to capture by hand.',
+  },
+
+  followUp: {
+    captureFirst: 'Capture an image first, then ask a question about it.',
+    enterQuestion: 'Please enter a question.',
+    asking: 'Asking: {question}',
+    noAnswer: 'No answer was generated. Please try again.',
+    cleared: 'Conversation cleared.',
+    placeholder: 'Ask about this image...',
+    inputLabel: 'Question about this image',
+    ask: 'Ask question',
+    reset: 'Forget this image',
+  },
+
+  history: {
+    title: 'History',
+    close: 'Close history',
+    speak: 'Speak this capture',
+    delete: 'Delete this capture',
+    exportJson: 'Export JSON',
+    exportText: 'Export Text',
+    clear: 'Clear',
+    empty: 'No captures yet.',
+    deleted: 'Entry deleted.',
+    deleteFailed: 'Could not delete the entry. Please try again.',
+    cleared: 'History cleared.',
+    clearFailed: 'Could not clear the history. Please try again.',
+    exportFailed: 'Could not export the history: {error}',
+    shareTitle: 'Share capture history',
+    sharingUnavailable: 'Sharing is not available on this device',
+  },
+
+  document: {
+    title: 'Document',
+    close: 'Close document screen',
+    documents: 'Documents',
+    untitled: 'Document from {date}',
+    firstPageHint: 'Tap "Add Page" and capture the first page.',
+    addPage: 'Add Page',
+    addPageNumber: 'Add Page {number}',
+    readFromHere: 'Read From Here',
+    readAloud: 'Read Aloud',
+    stopReading: 'Stop Reading',
+    closeDocument: 'Close Document',
+    newDocument: 'New Document',
+    savedDocuments: 'Saved documents',
+    noSavedDocuments: 'No saved documents yet.',
+    openHint: 'Opens this document',
+    delete: 'Delete {title}',
+    units: {
+      sentence: 'Sentence',
+      paragraph: 'Paragraph',
+      page: 'Page',
+      heading: 'Heading',
+    },
+    moves: {
+      previousSentence: 'Previous sentence',
+      nextSentence: 'Next sentence',
+      previousParagraph: 'Previous paragraph',
+      nextParagraph: 'Next paragraph',
+      previousPage: 'Previous page',
+      nextPage: 'Next page',
+      previousHeading: 'Previous heading',
+      nextHeading: 'Next heading',
+    },
+    pageCount: { one: '{count} page', other: '{count} pages' },
+    started: 'New document started. Point the camera at the first page and tap "Add Page 1".',
+    closed: 'Document closed. Open it from the document list to continue where you left off.',
+    opened: 'Opened {title}. {position}.',
+    deleted: 'Document deleted.',
+    deleteFailed: 'Could not delete the document. Please try again.',
+    pageAdded: 'Page {number} added, with {summary}.',
+    nextPagePrompt: 'Point the camera at the next page and tap "Add Page {number}".',
+    captureFirst: 'Capture a page of the document first.',
+    noMoreHeadings: 'No more headings.',
+    noEarlierHeadings: 'No earlier headings.',
+    end: 'End of document.',
+    start: 'Start of document.',
+    pageOf: 'Page {page} of {total}.',
+    page: 'Page {page}.',
+    noTextOnPage: 'No text on this page.',
+    noPages: 'No pages yet',
+    position: 'Page {page} of {pages}',
+    positionWithParagraph: 'Page {page} of {pages}, paragraph {paragraph} of {paragraphs}',
+    noText: 'no text',
+    // Table rows are read with their column names, e.g. "Row 1: Item Tea, Price 2.50."
+    tableRow: 'Row {number}: {cells}.',
+    blockCounts: {
+      heading: { one: '{count} heading', other: '{count} headings' },
+      paragraph: { one: '{count} paragraph', other: '{count} paragraphs' },
+      list: { one: '{count} list', other: '{count} lists' },
+      table: { one: '{count} table', other: '{count} tables' },
+    },
+  },
+
+  continuous: {
+    on: 'Continuous On',
+    off: 'Continuous Off',
+    every: 'Every {seconds}s',
+    everyLabel: 'Capture every {seconds} seconds',
+    everyHint: 'Changes the interval',
+    started: 'Continuous navigation started. Capturing every {seconds} seconds.',
+    stopped: 'Continuous navigation stopped.',
+    stoppedAfterErrors: 'Continuous navigation stopped after repeated errors.',
+    interval: 'Capturing every {seconds} seconds',
+    newFeatures: 'New: {features}.',
+    // Features announced when they appear: the name spoken, and comma separated words that indicate it
+    features: {
+      door: { label: 'door', words: 'door, doorway, entrance, exit' },
+      stairs: { label: 'stairs', words: 'stairs, staircase, steps, step' },
+      levelChange: { label: 'level change', words: 'ramp, curb, drop, ledge, slope' },
+      obstacle: { label: 'obstacle', words: 'obstacle, blocking, blocked, box, boxes, bag, cart, trolley, pole, bin' },
+      furniture: { label: 'furniture', words: 'chair, table, desk, sofa, couch, bench, shelf, cabinet' },
+      person: { label: 'person', words: 'person, people, someone, man, woman, child' },
+      elevator: { label: 'elevator', words: 'elevator, lift' },
+      wall: { label: 'wall', words: 'wall, dead end' },
+      hazard: { label: 'hazard', words: 'wet, spill, hazard, caution, danger, glass' },
+    },
+    // Filler words ignored when comparing two descriptions
+    stopWords: 'a, an, the, is, are, there, to, of, and, on, in, your, you, it, with, at, this, that, about, be, can, for, from, as, directly, appears',
+  },
+
+  autoAnnounce: {
+    on: 'Auto Announce On',
+    off: 'Auto Announce Off',
+    started: 'Auto announce on. The scene will be described when it changes.',
+    stopped: 'Auto announce off.',
+    stoppedAfterErrors: 'Auto announce stopped after repeated errors.',
+    budget: 'Auto announce is pausing: {limit} descriptions in the last hour. It continues when the hour is up.',
+  },
+
+  find: {
+    targetFirst: 'Type or say what you are looking for first.',
+    placeholder: 'What are you looking for?',
+    inputLabel: 'Object to find',
+    stopSearch: 'Stop Search',
+    looking: 'Looking for {target}. Move the phone slowly around you.',
+    stopped: 'Search stopped.',
+    stoppedAfterErrors: 'Search stopped after repeated errors.',
+    timedOut: 'Stopped looking for {target} after {duration}.',
+    // Guidance, e.g. "Keys: a bit left, about 3 steps away."
+    foundPrefix: 'Found it:',
+    where: '{target}: {where}.',
+    inView: '{target} in view.',
+    possibly: 'Possibly {target}',
+    notInView: '{target} not in view.',
+    horizontal: {
+      left: 'to the left',
+      slightlyLeft: 'a bit left',
+      center: 'centered',
+      slightlyRight: 'a bit right',
+      right: 'to the right',
+    },
+    vertical: {
+      top: 'high up',
+      bottom: 'low down',
+    },
+    withinReach: 'within reach',
+    stepsAway: { one: 'about {count} step away', other: 'about {count} steps away' },
+  },
+
+  product: {
+    unknown: 'Unknown product. Reading the label.',
+    saved: '{name} saved. It will be announced whenever its barcode is scanned.',
+    deleted: 'Product deleted.',
+    deleteFailed: 'Could not delete the product. Please try again.',
+    list: 'Products ({count})',
+    save: 'Save Product',
+    errors: {
+      code: 'Please enter the 8, 12 or 13 digit number printed under the barcode.',
+      name: 'Please enter a name for the product.',
+    },
+    screen: {
+      title: 'Products',
+      close: 'Close products',
+      editProduct: 'Edit product',
+      addProduct: 'Add product',
+      code: 'Barcode number',
+      codePlaceholder: 'The digits under the barcode',
+      name: 'Name',
+      namePlaceholder: 'e.g. Oat milk',
+      details: 'Details (optional)',
+      detailsLabel: 'Details',
+      detailsPlaceholder: 'e.g. 1 liter, unsweetened. Contains oats.',
+      clear: 'Clear',
+      savedProducts: 'Saved products',
+      empty: 'No saved products yet. Scan a barcode, then save what the label says.',
+      editHint: 'Edits this product',
+      speak: 'Speak {name}',
+      delete: 'Delete {name}',
+    },
+    qr: {
+      empty: 'Empty QR code.',
+      link: 'Link: {url}',
+      wifi: 'Wi-Fi network {network}, password {password}.',
+      wifiOpen: 'Wi-Fi network {network}, no password.',
+      wifiUnnamed: 'without a name',
+      phone: 'Phone number: {number}',
+      email: 'Email address: {address}',
+      sms: 'Text message to: {number}',
+      text: 'QR code: {text}',
+    },
+  },
+
+  sos: {
+    noContacts: 'No emergency contacts are set up. Add one in settings under Emergency Contacts.',
+    countdown: 'Sending an emergency alert in {seconds} seconds. Press Stop to cancel.',
+    cancelled: 'Emergency alert cancelled.',
+    sendingTest: 'Sending a test alert.',
+    sending: 'Sending emergency alert. Getting your location and describing your surroundings.',
+    noLocation: 'Your location is not available, so the alert is sent without it.',
+    sendFailed: 'Could not send the emergency alert: {error}',
+    testSendFailed: 'Could not send the test alert: {error}',
+    emergencyAlert: 'Emergency alert',
+    testAlert: 'Test alert',
+    delivered: '{alert} delivered to {name}.',
+    handedOff: '{alert} for {name} was handed to the messaging app. It could not confirm sending.',
+    waiting: '{alert} not sent to {name} yet: {reason}. It will keep trying until it gets through.',
+    failed: '{alert} could not be sent to {name}: {reason}.',
+    pendingCancelled: 'Pending emergency alerts cancelled.',
+    contactAdded: '{name} added as an emergency contact.',
+    pending: 'SOS Pending ({count})',
+    cancel: 'Cancel SOS',
+    sendingButton: 'Sending SOS...',
+    longPressAction: 'Send emergency alert',
+    errors: {
+      contactName: 'Please enter a name for the contact.',
+      noConnection: 'there is no connection',
+      noAnswer: 'the server did not answer',
+      serverError: 'the server replied with error {status}',
+      expired: 'the alert expired',
+      dropped: 'newer test alerts took its place',
+      noSms: 'this device cannot send text messages',
+      smsCancelled: 'the text message was cancelled',
+      noMail: 'no mail app is set up on this device',
+      emailCancelled: 'the email was cancelled',
+    },
+    // The message sent to contacts
+    message: {
+      test: 'TEST ALERT from Pathfinder. No action is needed.',
+      emergency: 'EMERGENCY: I need help. Sent by Pathfinder.',
+      location: 'Location: {url}',
+      accuracy: ' (within about {meters} m)',
+      noLocation: 'Location: not available.',
+      surroundings: 'Surroundings: {description}',
+      sentAt: 'Sent at {time}.',
+      emailSubject: 'Emergency: I need help',
+      testEmailSubject: 'Pathfinder test alert',
+    },
+    channels: {
+      webhook: {
+        label: 'Webhook',
+        addressLabel: 'URL',
+        invalid: 'Please enter a web address starting with http:// or https://.',
+      },
+      sms: {
+        label: 'Text Message',
+        addressLabel: 'Phone number',
+        invalid: 'Please enter a phone number, e.g. +44 7700 900123.',
+      },
+      email: {
+        label: 'Email',
+        addressLabel: 'Email address',
+        invalid: 'Please enter an email address, e.g. name@example.com.',
+      },
+    },
+  },
+
+  provider: {
+    set: 'Vision provider set to {label}',
+    modelSet: 'Model set to {model}',
+    label: 'Vision provider: {label}',
+    hint: 'Switches to the next provider',
+    modelLabel: 'Model: {model}',
+    modelHint: 'Switches to the next model',
+  },
+
+  speech: {
+    pause: 'Pause',
+    resume: 'Resume',
+    repeat: 'Repeat',
+    nothingToRepeat: 'Nothing to repeat yet.',
+    sample: 'This is how descriptions will sound.',
+  },
+
+  voice: {
+    listen: 'Listen',
+    listening: 'Listening',
+    needsPermission: 'Voice commands need speech recognition and microphone access. Please enable them in the system settings.',
+    unavailable: 'Voice commands are not available on this device.',
+    stoppedAfterErrors: 'Voice commands stopped after repeated errors. Tap Listen to try again.',
+    yes: 'Yes?',
+    heard: 'Heard: {transcript}',
+    okay: 'Okay.',
+    notUnderstood: 'Sorry, I did not understand. Say help to hear the commands.',
+    status: '{mode} mode. {description}',
+    nothingCaptured: 'Nothing captured yet.',
+    stillAnalyzing: 'Still analyzing an image.',
+    whichMode: 'Which mode: {modes}?',
+    didYouMean: 'Did you mean {command}?',
+    help: 'You can say: capture, stop, repeat, pause, resume, status, usage, or a mode name: {modes}. To look for something, say find and its name, for example find my keys. To ask about the last picture, start with ask, or just ask your question. In an emergency, say send help.',
+  },
+
+  gestures: {
+    help: 'Gesture control on. Swipe left or right on the camera view to change mode, double-tap to capture, tap with two fingers to stop, and touch and hold to repeat.',
+    off: 'Gesture control off.',
+    surfaceHint: 'Double-tap to capture. Swipe up or down to change mode.',
+    actions: {
+      capture: 'Capture',
+      nextMode: 'Next mode',
+      previousMode: 'Previous mode',
+      repeat: 'Repeat',
+      stop: 'Stop',
+    },
+  },
+
+  privacy: {
+    incognito: 'Incognito',
+    incognitoOn: 'Incognito on. Captures will not be saved.',
+    incognitoOff: 'Incognito off. Captures will be saved to history again.',
+    masked: {
+      card: '[card number ending {last}]',
+      iban: '[IBAN ending {last}]',
+      account: '[account number ending {last}]',
+      ssn: '[social security number ending {last}]',
+      nationalInsurance: '[National Insurance number ending {last}]',
+      aadhaar: '[Aadhaar number ending {last}]',
+      pan: '[PAN ending {last}]',
+      dni: '[ID number ending {last}]',
+    },
+  },
+
+  usage: {
+    requests: { one: '{formatted} request', other: '{formatted} requests' },
+    tokens: { one: '{formatted} token', other: '{formatted} tokens' },
+    totals: '{requests}, {tokens}',
+    totalsWithCost: '{requests}, {tokens}, about {cost}',
+    today: 'Today: {totals}.',
+    month: 'This month: {totals}.',
+    budgetLeft: { one: "{formatted} request left in today's budget.", other: "{formatted} requests left in today's budget." },
+    budgetUsedUp: "Today's budget of {limit} requests is used up, so automatic captures are slowed down until midnight.",
+    busiestMode: 'Most used today: {mode}, {requests}.',
+    latency: 'Average response time: {seconds} seconds.',
+    warning: "{percent} percent of today's budget of {limit} vision requests used.",
+    exceeded: "Today's budget of {limit} vision requests is used up. Continuous, Find and auto announce captures slow down until midnight. Captures you ask for and barcode scanning still work.",
+    modes: {
+      sos: 'Emergency alerts',
+      other: 'Other',
+    },
+  },
+
+  simulation: {
+    busy: 'Stop the current capture loop before changing simulation mode.',
+    empty: 'That session has no frames to replay.',
+    replaying: {
+      one: 'Replaying {name}, {count} frame. Captures show the recording instead of the camera.',
+      other: 'Replaying {name}, {count} frames. Captures show the recording instead of the camera.',
+    },
+    recording: 'Recording. Captures and their descriptions are saved for replay.',
+    off: 'Simulation off. Using the camera.',
+    error: 'Could not change simulation mode.',
+    sessionName: 'Recording {date}',
+    bannerReplay: 'Replaying {name}',
+    bannerRecord: 'Recording captures',
+  },
+
+  quality: {
+    dark: 'Too dark. Turn on a light or move somewhere brighter.',
+    glare: 'Too bright. Tilt the phone slightly to avoid glare.',
+    blankRead: 'Nothing to read in view. Point the camera at the text.',
+    blank: 'Nothing in view. Point the camera forward, not at the ceiling or floor.',
+    blurry: 'Image is blurry. Hold still.',
+    smallText: 'Text is too small. Move closer to the text.',
+    cutOffEdges: 'Text is cut off at the edges. Move the phone further back.',
+    cutOff: {
+      left: 'Text is cut off at the left. Move the phone to the left.',
+      right: 'Text is cut off at the right. Move the phone to the right.',
+      top: 'Text is cut off at the top. Move the phone up.',
+      bottom: 'Text is cut off at the bottom. Move the phone down.',
+    },
+  },
+
+  hazards: {
+    cautionPrefix: 'Caution:',
+    clock: "{hour} o'clock",
+    directions: {
+      left: 'left',
+      center: 'center',
+      right: 'right',
+    },
+    withinReach: 'within reach',
+    stepsAhead: { one: '{count} step ahead', other: '{count} steps ahead' },
+    moreItems: { one: '{count} more item further away.', other: '{count} more items further away.' },
+    clearPath: 'Clear path: {path}.',
+    nothingNearby: 'Nothing detected nearby.',
+  },
+
+  visionErrors: {
+    quota: 'The vision service quota has been exceeded. Please wait a while or switch provider.',
+    auth: 'The API key was rejected. Please check the API key in settings.',
+    blocked: 'The vision service declined to describe this image.',
+    offline: 'No internet connection. Please check your connection and try again.',
+    timeout: 'The vision service took too long to respond. Please try again.',
+    cancelled: 'Request cancelled.',
+    server: 'The vision service is having problems. Please try again shortly.',
+    bad_response: 'No clear description was generated. Please try again.',
+    missing_key: 'No API key is configured. Open settings and enter your API key, or switch to another provider.',
+    other: 'Failed to get description: {error}. Please try again.',
+  },
+
+  settings: {
+    title: 'Settings',
+    close: 'Close settings',
+    provider: {
+      title: 'Vision Provider',
+      model: 'Model',
+      serverUrl: 'Server URL',
+      apiKey: 'API Key',
+      keyOnDevice: 'A key is saved on this device.',
+      keyFromBuild: 'Using the key provided at build time.',
+      noKey: 'No key configured.',
+      replaceKeyPlaceholder: 'Enter a new key to replace it',
+      keyPlaceholder: 'Paste your API key',
+      keyInputLabel: 'API key',
+      validateAndSave: 'Validate and Save',
+      removeKey: 'Remove Saved Key',
+      testKey: 'Test Current Key',
+    },
+    speech: {
+      title: 'Speech',
+      rate: 'Rate',
+      pitch: 'Pitch',
+      decrease: 'Decrease {label}',
+      increase: 'Increase {label}',
+      voice: 'Voice',
+      systemDefault: 'System default',
+      test: 'Test',
+    },
+    language: {
+      title: 'Language',
+      hint: 'Buttons, spoken messages and descriptions use this language. Voice commands are still said in English.',
+      device: 'Device ({name})',
+    },
+    voiceCommands: {
+      title: 'Voice Commands',
+      off: 'Off',
+      push: 'Push to talk',
+      wake: 'Wake word',
+      wakeWord: 'Wake Word',
+      wakeWordLabel: 'Wake word',
+      wakeWordHint: 'Start each command with the wake word, e.g. "{wakeWord}, capture".',
+    },
+    autoAnnounce: {
+      title: 'Auto Announce',
+      hint: 'In Passive mode, the scene is described by itself when it changes.',
+      reactTo: 'React To',
+      low: 'Big changes',
+      medium: 'Medium',
+      high: 'Small changes',
+      atMostEvery: 'At Most Every',
+      perHourTitle: 'Descriptions Per Hour',
+      perHour: '{count} an hour',
+    },
+    usage: {
+      title: 'Usage',
+      hint: 'Vision requests made on this phone. Costs are estimated from published Gemini prices; self-hosted servers are free. Once the daily budget is used up, continuous, Find and auto announce captures slow down until midnight. Captures you ask for, barcode scanning and the capture checks keep working.',
+      today: 'Today: {totals}',
+      month: 'This month: {totals}',
+      budget: 'Daily Budget',
+      noBudget: 'No limit',
+      perDay: '{count} a day',
+    },
+    accessibility: {
+      title: 'Accessibility',
+      hint: 'With gesture control, the camera view is one large control: swipe left or right to change mode, double-tap to capture, tap with two fingers to stop, touch and hold to repeat. With a screen reader, swipe up or down on it to change mode.',
+      gestureControl: 'Gesture Control',
+      off: 'Off',
+      on: 'On',
+    },
+    privacy: {
+      title: 'Privacy',
+      hint: 'Card, bank account and ID numbers are always masked in history, saved documents, logs and remote replies. Use the eye button on the main screen for incognito captures, which are not saved at all.',
+      label: 'Sensitive Numbers',
+      mask: 'Mask them',
+      speak: 'Read in full',
+    },
+    sos: {
+      title: 'Emergency Contacts',
+      hint: 'Hold Stop or say "send help" to send them your location, a photo and a description of your surroundings.',
+      empty: 'No emergency contacts yet.',
+      delete: 'Delete {name}',
+      addContact: 'Add Contact',
+      namePlaceholder: 'Name, e.g. Sam',
+      nameLabel: 'Contact name',
+      addressPlaceholder: '{label}, e.g. {example}',
+      sendTest: 'Send Test Alert',
+    },
+    simulation: {
+      title: 'Simulation',
+      hint: 'Record captures and their descriptions, then replay them without the camera or a network connection. For testing and demos.',
+      off: 'Off',
+      record: 'Record',
+      sessions: 'Recorded sessions (tap to replay)',
+      empty: 'No recorded sessions yet.',
+      replay: 'Replay {name}',
+      frames: { one: '{count} frame', other: '{count} frames' },
+      framesReplaying: { one: '{count} frame, replaying', other: '{count} frames, replaying' },
+      delete: 'Delete {name}',
+    },
+  },
+};
@@ -0,0 +1,658 @@
+// Spanish messages; same keys as en.js, which fills in anything missing here
+
+export default {
+  list: {
+    separator: ', ',
+    and: ' y ',
+    or: ' o ',
+  },
+
+  units: {
+    seconds: { one: '{count} segundo', other: '{count} segundos' },
+    minutes: { one: '{count} minuto', other: '{count} minutos' },
+    secondsShort: '{count} s',
+    minutesShort: '{count} min',
+  },
+
+  prompts: {
+    describe: 'Responde en español.',
+    transcribe: 'Escribe el texto que leas tal como aparece, en su idioma original. Escribe en español todo lo que añadas tú.',
+    json: 'Mantén exactamente las claves JSON y los valores fijos indicados arriba, y escribe en español todos los valores de texto libre.',
+  },
+
+  app: {
+    title: 'Seeing AI: Multimodo',
+    initializing: 'Iniciando la aplicación...',
+    loading: 'Cargando',
+    history: 'Historial',
+    settings: 'Ajustes',
+    permissionHint: 'Revisa los ajustes de la aplicación y asegúrate de que los permisos de cámara y micrófono (para la voz) estén activados.',
+    cameraLoading: 'Cargando la cámara...',
+    cameraNotAvailable: 'Cámara no disponible',
+    cameraNotAvailableHint: 'Asegúrate de que Expo Camera esté instalado y enlazado correctamente.',
+    cameraView: 'Vista de la cámara, modo {mode}',
+    cameraViewAnalyzing: 'Vista de la cámara, modo {mode}, analizando',
+    stopped: 'Se han detenido todas las operaciones',
+    stop: 'Detener',
+    stopHint: 'Mantén pulsado para enviar una alerta de emergencia a tus contactos',
+  },
+
+  permissions: {
+    requesting: 'Solicitando permisos de cámara y voz...',
+    cameraModuleMissing: 'No se encontró el módulo de la cámara o no funciona. Asegúrate de que todos los paquetes de Expo estén instalados correctamente.',
+    granted: 'Permisos de cámara y voz concedidos. Elige un modo y pulsa el botón.',
+    cameraDenied: 'No se ha concedido el permiso de cámara. Actívalo en los ajustes.',
+    speechDenied: 'No se ha concedido el permiso de voz. Actívalo en los ajustes (busca el acceso al micrófono de Expo Go o de tu aplicación).',
+    someDenied: 'No se concedieron algunos permisos. Revisa los ajustes de la aplicación.',
+    error: 'Error al solicitar los permisos: {error}. Revisa los ajustes de la aplicación.',
+  },
+
+  remote: {
+    title: 'Control remoto',
+    enable: 'Activar el control remoto:',
+    toggle: 'Control remoto',
+    deviceIp: 'IP del dispositivo: {ip}',
+    loadingIp: 'Cargando...',
+    serverStatus: 'Estado del servidor: {status}',
+    status: {
+      stopped: 'Detenido',
+      starting: 'Iniciando...',
+      running: 'En marcha',
+      error: 'Error',
+    },
+    pairingCode: 'Código de emparejamiento: {code}',
+    hint: 'Otros dispositivos pueden emparejarse con el código de arriba y enviar comandos JSON a http://{address}:{port}/command o ws://{address}:{port}/ws',
+    noNetwork: 'No hay conexión a la red local',
+    enabled: 'Control remoto activado en {address}, puerto {port}. Código de emparejamiento: {code}',
+    startFailed: 'No se pudo iniciar el servidor de control remoto: {error}',
+    disabled: 'Control remoto desactivado',
+    errors: {
+      nothingToRepeat: 'Todavía no se ha descrito nada',
+      busyMode: 'No se puede cambiar de modo mientras se analiza una imagen',
+      unknownMode: 'No hay ningún modo llamado {name}',
+      busy: 'Ya se está analizando una imagen',
+      noImage: 'Captura una imagen antes de hacer preguntas sobre ella',
+      unknownCommand: 'Comando desconocido: {command}',
+    },
+  },
+
+  apiKey: {
+    removed: 'Se ha eliminado la clave de API guardada.',
+    notSaved: 'La clave no se ha guardado.',
+    unverified: 'No se pudo contactar con el servicio para comprobar la clave. Se ha guardado y se usará en la próxima captura.',
+    saved: 'Clave de API comprobada y guardada.',
+    works: 'La clave de API actual funciona.',
+  },
+
+  modes: {
+    read: {
+      label: 'Leer',
+      captureLabel: 'Leer documento',
+      confirmation: 'Modo Leer. Pulsa "Leer documento" para escanear texto.',
+    },
+    navigate: {
+      label: 'Navegar',
+      captureLabel: 'Obtener indicaciones',
+      confirmation: 'Modo Navegar. Pulsa "Obtener indicaciones" para orientarte en interiores.',
+    },
+    passive: {
+      label: 'Pasivo',
+      captureLabel: 'Describir entorno',
+      confirmation: 'Modo Pasivo. Pulsa "Describir entorno" para oír una descripción general.',
+    },
+    find: {
+      label: 'Buscar',
+      captureLabel: 'Empezar búsqueda',
+      confirmation: 'Modo Buscar. Escribe o di lo que buscas y pulsa "Empezar búsqueda".',
+    },
+    product: {
+      label: 'Producto',
+      captureLabel: 'Leer etiqueta',
+      confirmation: 'Modo Producto. Apunta la cámara a un código de barras o QR, o pulsa "Leer etiqueta".',
+    },
+    customConfirmation: 'Modo {label}. Pulsa "{capture}" para capturar.',
+    button: 'Modo {label}',
+    editHint: 'Mantén pulsado para editar este modo',
+    new: 'Nuevo',
+    newLabel: 'Nuevo modo personalizado',
+    saved: 'Modo {label} guardado. {confirmation}',
+    deleted: 'Modo {label} eliminado.',
+    deletedUnnamed: 'Modo personalizado eliminado.',
+    deleteFailed: 'No se pudo eliminar el modo. Inténtalo de nuevo.',
+    busy: 'No se puede cambiar de modo mientras se analiza una imagen.',
+    errors: {
+      nameRequired: 'Escribe un nombre para el modo.',
+      promptRequired: 'Escribe una instrucción para el modo.',
+      exists: 'Ya existe un modo llamado {label}.',
+    },
+    editor: {
+      editTitle: 'Editar modo',
+      newTitle: 'Nuevo modo',
+      name: 'Nombre',
+      namePlaceholder: 'p. ej. Etiqueta de medicamento',
+      prompt: 'Instrucción',
+      promptPlaceholder: 'p. ej. Lee el nombre del medicamento, la dosis y la fecha de caducidad.',
+      captureLabel: 'Texto del botón de captura (opcional)',
+      captureLabelShort: 'Texto del botón de captura',
+      captureLabelPlaceholder: 'p. ej. Leer etiqueta',
+      icon: 'Icono',
+      iconLabel: 'Icono {name}',
+      delete: 'Eliminar',
+      cancel: 'Cancelar',
+      save: 'Guardar',
+    },
+  },
+
+  capture: {
+    cameraNotReady: 'La cámara no está lista. Espera o reinicia la aplicación.',
+    analyzing: 'Analizando la imagen, espera...',
+    retrying: 'Problema de conexión, reintentando ({attempt} de {total})...',
+    noDescription: 'No se generó una descripción clara. Inténtalo de nuevo.',
+    stillAnalyzing: 'Todavía se está analizando la última imagen.',
+    continuousOn: 'La captura continua está activada. Desactívala para capturar a mano.',
+  },
+
+  followUp: {
+    captureFirst: 'Primero captura una imagen y luego haz una pregunta sobre ella.',
+    enterQuestion: 'Escribe una pregunta.',
+    asking: 'Preguntando: {question}',
+    noAnswer: 'No se generó ninguna respuesta. Inténtalo de nuevo.',
+    cleared: 'Conversación borrada.',
+    placeholder: 'Pregunta sobre esta imagen...',
+    inputLabel: 'Pregunta sobre esta imagen',
+    ask: 'Preguntar',
+    reset: 'Olvidar esta imagen',
+  },
+
+  history: {
+    title: 'Historial',
+    close: 'Cerrar el historial',
+    speak: 'Leer esta captura en voz alta',
+    delete: 'Eliminar esta captura',
+    exportJson: 'Exportar JSON',
+    exportText: 'Exportar texto',
+    clear: 'Borrar',
+    empty: 'Todavía no hay capturas.',
+    deleted: 'Entrada eliminada.',
+    deleteFailed: 'No se pudo eliminar la entrada. Inténtalo de nuevo.',
+    cleared: 'Historial borrado.',
+    clearFailed: 'No se pudo borrar el historial. Inténtalo de nuevo.',
+    exportFailed: 'No se pudo exportar el historial: {error}',
+    shareTitle: 'Compartir el historial de capturas',
+    sharingUnavailable: 'No se puede compartir en este dispositivo',
+  },
+
+  document: {
+    title: 'Documento',
+    close: 'Cerrar la pantalla de documentos',
+    documents: 'Documentos',
+    untitled: 'Documento del {date}',
+    firstPageHint: 'Pulsa "Añadir página" y captura la primera página.',
+    addPage: 'Añadir página',
+    addPageNumber: 'Añadir página {number}',
+    readFromHere: 'Leer desde aquí',
+    readAloud: 'Leer en voz alta',
+    stopReading: 'Dejar de leer',
+    closeDocument: 'Cerrar documento',
+    newDocument: 'Nuevo documento',
+    savedDocuments: 'Documentos guardados',
+    noSavedDocuments: 'Todavía no hay documentos guardados.',
+    openHint: 'Abre este documento',
+    delete: 'Eliminar {title}',
+    units: {
+      sentence: 'Frase',
+      paragraph: 'Párrafo',
+      page: 'Página',
+      heading: 'Título',
+    },
+    moves: {
+      previousSentence: 'Frase anterior',
+      nextSentence: 'Frase siguiente',
+      previousParagraph: 'Párrafo anterior',
+      nextParagraph: 'Párrafo siguiente',
+      previousPage: 'Página anterior',
+      nextPage: 'Página siguiente',
+      previousHeading: 'Título anterior',
+      nextHeading: 'Título siguiente',
+    },
+    pageCount: { one: '{count} página', other: '{count} páginas' },
+    started: 'Nuevo documento. Apunta la cámara a la primera página y pulsa "Añadir página 1".',
+    closed: 'Documento cerrado. Ábrelo desde la lista de documentos para seguir donde lo dejaste.',
+    opened: 'Abierto {title}. {position}.',
+    deleted: 'Documento eliminado.',
+    deleteFailed: 'No se pudo eliminar el documento. Inténtalo de nuevo.',
+    pageAdded: 'Página {number} añadida, con {summary}.',
+    nextPagePrompt: 'Apunta la cámara a la página siguiente y pulsa "Añadir página {number}".',
+    captureFirst: 'Primero captura una página del documento.',
+    noMoreHeadings: 'No hay más títulos.',
+    noEarlierHeadings: 'No hay títulos anteriores.',
+    end: 'Fin del documento.',
+    start: 'Principio del documento.',
+    pageOf: 'Página {page} de {total}.',
+    page: 'Página {page}.',
+    noTextOnPage: 'No hay texto en esta página.',
+    noPages: 'Todavía no hay páginas',
+    position: 'Página {page} de {pages}',
+    positionWithParagraph: 'Página {page} de {pages}, párrafo {paragraph} de {paragraphs}',
+    noText: 'ningún texto',
+    tableRow: 'Fila {number}: {cells}.',
+    blockCounts: {
+      heading: { one: '{count} título', other: '{count} títulos' },
+      paragraph: { one: '{count} párrafo', other: '{count} párrafos' },
+      list: { one: '{count} lista', other: '{count} listas' },
+      table: { one: '{count} tabla', other: '{count} tablas' },
+    },
+  },
+
+  continuous: {
+    on: 'Continuo activado',
+    off: 'Continuo desactivado',
+    every: 'Cada {seconds} s',
+    everyLabel: 'Capturar cada {seconds} segundos',
+    everyHint: 'Cambia el intervalo',
+    started: 'Navegación continua iniciada. Capturando cada {seconds} segundos.',
+    stopped: 'Navegación continua detenida.',
+    stoppedAfterErrors: 'La navegación continua se detuvo tras varios errores.',
+    interval: 'Capturando cada {seconds} segundos',
+    newFeatures: 'Nuevo: {features}.',
+    features: {
+      door: { label: 'puerta', words: 'puerta, puertas, entrada, salida, portal' },
+      stairs: { label: 'escaleras', words: 'escalera, escaleras, escalón, escalones, peldaño, peldaños' },
+      levelChange: { label: 'desnivel', words: 'rampa, bordillo, desnivel, cornisa, pendiente, borde' },
+      obstacle: { label: 'obstáculo', words: 'obstáculo, obstáculos, bloqueando, bloqueado, bloqueada, caja, cajas, bolsa, carrito, poste, papelera, contenedor' },
+      furniture: { label: 'muebles', words: 'silla, sillas, mesa, mesas, escritorio, sofá, banco, estante, estantería, armario' },
+      person: { label: 'persona', words: 'persona, personas, alguien, hombre, mujer, niño, niña' },
+      elevator: { label: 'ascensor', words: 'ascensor, elevador' },
+      wall: { label: 'pared', words: 'pared, muro, callejón sin salida' },
+      hazard: { label: 'peligro', words: 'mojado, mojada, derrame, peligro, precaución, cuidado, vidrio, cristal' },
+    },
+    stopWords: 'el, la, los, las, un, una, unos, unas, de, del, y, en, a, al, con, que, es, hay, está, están, tu, te, se, por, para, frente, justo, parece',
+  },
+
+  autoAnnounce: {
+    on: 'Anuncio automático activado',
+    off: 'Anuncio automático desactivado',
+    started: 'Anuncio automático activado. La escena se describirá cuando cambie.',
+    stopped: 'Anuncio automático desactivado.',
+    stoppedAfterErrors: 'El anuncio automático se detuvo tras varios errores.',
+    budget: 'El anuncio automático hace una pausa: {limit} descripciones en la última hora. Seguirá cuando pase la hora.',
+  },
+
+  find: {
+    targetFirst: 'Primero escribe o di lo que buscas.',
+    placeholder: '¿Qué estás buscando?',
+    inputLabel: 'Objeto que buscar',
+    stopSearch: 'Detener búsqueda',
+    looking: 'Buscando {target}. Mueve el teléfono despacio a tu alrededor.',
+    stopped: 'Búsqueda detenida.',
+    stoppedAfterErrors: 'La búsqueda se detuvo tras varios errores.',
+    timedOut: 'Se dejó de buscar {target} después de {duration}.',
+    foundPrefix: 'Encontrado:',
+    where: '{target}: {where}.',
+    inView: '{target} a la vista.',
+    possibly: 'Posiblemente {target}',
+    notInView: '{target} no está a la vista.',
+    horizontal: {
+      left: 'a la izquierda',
+      slightlyLeft: 'un poco a la izquierda',
+      center: 'en el centro',
+      slightlyRight: 'un poco a la derecha',
+      right: 'a la derecha',
+    },
+    vertical: {
+      top: 'arriba',
+      bottom: 'abajo',
+    },
+    withinReach: 'al alcance de la mano',
+    stepsAway: { one: 'a unos {count} paso', other: 'a unos {count} pasos' },
+  },
+
+  product: {
+    unknown: 'Producto desconocido. Leyendo la etiqueta.',
+    saved: '{name} guardado. Se anunciará cada vez que se escanee su código de barras.',
+    deleted: 'Producto eliminado.',
+    deleteFailed: 'No se pudo eliminar el producto. Inténtalo de nuevo.',
+    list: 'Productos ({count})',
+    save: 'Guardar producto',
+    errors: {
+      code: 'Escribe el número de 8, 12 o 13 dígitos impreso bajo el código de barras.',
+      name: 'Escribe un nombre para el producto.',
+    },
+    screen: {
+      title: 'Productos',
+      close: 'Cerrar productos',
+      editProduct: 'Editar producto',
+      addProduct: 'Añadir producto',
+      code: 'Número del código de barras',
+      codePlaceholder: 'Los dígitos bajo el código de barras',
+      name: 'Nombre',
+      namePlaceholder: 'p. ej. Bebida de avena',
+      details: 'Detalles (opcional)',
+      detailsLabel: 'Detalles',
+      detailsPlaceholder: 'p. ej. 1 litro, sin azúcar. Contiene avena.',
+      clear: 'Borrar',
+      savedProducts: 'Productos guardados',
+      empty: 'Todavía no hay productos guardados. Escanea un código de barras y guarda lo que dice la etiqueta.',
+      editHint: 'Edita este producto',
+      speak: 'Leer {name} en voz alta',
+      delete: 'Eliminar {name}',
+    },
+    qr: {
+      empty: 'Código QR vacío.',
+      link: 'Enlace: {url}',
+      wifi: 'Red wifi {network}, contraseña {password}.',
+      wifiOpen: 'Red wifi {network}, sin contraseña.',
+      wifiUnnamed: 'sin nombre',
+      phone: 'Número de teléfono: {number}',
+      email: 'Correo electrónico: {address}',
+      sms: 'Mensaje de texto para: {number}',
+      text: 'Código QR: {text}',
+    },
+  },
+
+  sos: {
+    noContacts: 'No hay contactos de emergencia. Añade uno en los ajustes, en Contactos de emergencia.',
+    countdown: 'Se enviará una alerta de emergencia en {seconds} segundos. Pulsa Detener para cancelarla.',
+    cancelled: 'Alerta de emergencia cancelada.',
+    sendingTest: 'Enviando una alerta de prueba.',
+    sending: 'Enviando la alerta de emergencia. Obteniendo tu ubicación y describiendo tu entorno.',
+    noLocation: 'Tu ubicación no está disponible, así que la alerta se envía sin ella.',
+    sendFailed: 'No se pudo enviar la alerta de emergencia: {error}',
+    testSendFailed: 'No se pudo enviar la alerta de prueba: {error}',
+    emergencyAlert: 'Alerta de emergencia',
+    testAlert: 'Alerta de prueba',
+    delivered: '{alert} entregada a {name}.',
+    handedOff: '{alert} para {name} pasada a la aplicación de mensajes. No pudo confirmar el envío.',
+    waiting: '{alert} todavía sin enviar a {name}: {reason}. Se seguirá intentando hasta que llegue.',
+    failed: '{alert} no se pudo enviar a {name}: {reason}.',
+    pendingCancelled: 'Alertas de emergencia pendientes canceladas.',
+    contactAdded: '{name} añadido como contacto de emergencia.',
+    pending: 'SOS pendientes ({count})',
+    cancel: 'Cancelar SOS',
+    sendingButton: 'Enviando SOS...',
+    longPressAction: 'Enviar alerta de emergencia',
+    errors: {
+      contactName: 'Escribe un nombre para el contacto.',
+      noConnection: 'no hay conexión',
+      noAnswer: 'el servidor no respondió',
+      serverError: 'el servidor respondió con el error {status}',
+      expired: 'la alerta ha caducado',
+      dropped: 'la reemplazaron alertas de prueba más recientes',
+      noSms: 'este dispositivo no puede enviar mensajes de texto',
+      smsCancelled: 'se canceló el mensaje de texto',
+      noMail: 'no hay ninguna aplicación de correo configurada en este dispositivo',
+      emailCancelled: 'se canceló el correo',
+    },
+    message: {
+      test: 'ALERTA DE PRUEBA de Pathfinder. No hace falta hacer nada.',
+      emergency: 'EMERGENCIA: necesito ayuda. Enviado por Pathfinder.',
+      location: 'Ubicación: {url}',
+      accuracy: ' (con un margen de unos {meters} m)',
+      noLocation: 'Ubicación: no disponible.',
+      surroundings: 'Entorno: {description}',
+      sentAt: 'Enviado el {time}.',
+      emailSubject: 'Emergencia: necesito ayuda',
+      testEmailSubject: 'Alerta de prueba de Pathfinder',
+    },
+    channels: {
+      webhook: {
+        label: 'Webhook',
+        addressLabel: 'URL',
+        invalid: 'Escribe una dirección web que empiece por http:// o https://.',
+      },
+      sms: {
+        label: 'Mensaje de texto',
+        addressLabel: 'Número de teléfono',
+        invalid: 'Escribe un número de teléfono, p. ej. +34 600 123 456.',
+      },
+      email: {
+        label: 'Correo electrónico',
+        addressLabel: 'Dirección de correo',
+        invalid: 'Escribe una dirección de correo, p. ej. nombre@ejemplo.com.',
+      },
+    },
+  },
+
+  provider: {
+    set: 'Proveedor de visión: {label}',
+    modelSet: 'Modelo: {model}',
+    label: 'Proveedor de visión: {label}',
+    hint: 'Cambia al siguiente proveedor',
+    modelLabel: 'Modelo: {model}',
+    modelHint: 'Cambia al siguiente modelo',
+  },
+
+  speech: {
+    pause: 'Pausa',
+    resume: 'Continuar',
+    repeat: 'Repetir',
+    nothingToRepeat: 'Todavía no hay nada que repetir.',
+    sample: 'Así sonarán las descripciones.',
+  },
+
+  voice: {
+    listen: 'Escuchar',
+    listening: 'Escuchando',
+    needsPermission: 'Los comandos de voz necesitan el reconocimiento de voz y el micrófono. Actívalos en los ajustes del sistema.',
+    unavailable: 'Los comandos de voz no están disponibles en este dispositivo.',
+    stoppedAfterErrors: 'Los comandos de voz se detuvieron tras varios errores. Pulsa Escuchar para volver a intentarlo.',
+    yes: '¿Sí?',
+    heard: 'Se ha oído: {transcript}',
+    okay: 'De acuerdo.',
+    notUnderstood: 'Perdona, no lo he entendido. Di help para oír los comandos.',
+    status: 'Modo {mode}. {description}',
+    nothingCaptured: 'Todavía no se ha capturado nada.',
+    stillAnalyzing: 'Todavía se está analizando una imagen.',
+    whichMode: '¿Qué modo: {modes}?',
+    didYouMean: '¿Querías decir {command}?',
+    help: 'Los comandos se dicen en inglés: capture, stop, repeat, pause, resume, status, usage, o el nombre de un modo: {modes}. Para buscar algo, di find y su nombre, por ejemplo find my keys. Para preguntar por la última imagen, empieza con ask. En una emergencia, di send help.',
+  },
+
+  gestures: {
+    help: 'Control por gestos activado. Desliza a la izquierda o a la derecha sobre la vista de la cámara para cambiar de modo, toca dos veces para capturar, toca con dos dedos para detener y mantén pulsado para repetir.',
+    off: 'Control por gestos desactivado.',
+    surfaceHint: 'Toca dos veces para capturar. Desliza hacia arriba o hacia abajo para cambiar de modo.',
+    actions: {
+      capture: 'Capturar',
+      nextMode: 'Modo siguiente',
+      previousMode: 'Modo anterior',
+      repeat: 'Repetir',
+      stop: 'Detener',
+    },
+  },
+
+  privacy: {
+    incognito: 'Incógnito',
+    incognitoOn: 'Incógnito activado. Las capturas no se guardarán.',
+    incognitoOff: 'Incógnito desactivado. Las capturas se vuelven a guardar en el historial.',
+    masked: {
+      card: '[tarjeta terminada en {last}]',
+      iban: '[IBAN terminado en {last}]',
+      account: '[cuenta terminada en {last}]',
+      ssn: '[número de seguro social terminado en {last}]',
+      nationalInsurance: '[número de National Insurance terminado en {last}]',
+      aadhaar: '[número Aadhaar terminado en {last}]',
+      pan: '[PAN terminado en {last}]',
+      dni: '[documento de identidad terminado en {last}]',
+    },
+  },
+
+  usage: {
+    requests: { one: '{formatted} solicitud', other: '{formatted} solicitudes' },
+    tokens: { one: '{formatted} token', other: '{formatted} tokens' },
+    totals: '{requests}, {tokens}',
+    totalsWithCost: '{requests}, {tokens}, unos {cost}',
+    today: 'Hoy: {totals}.',
+    month: 'Este mes: {totals}.',
+    budgetLeft: { one: 'Queda {formatted} solicitud en el presupuesto de hoy.', other: 'Quedan {formatted} solicitudes en el presupuesto de hoy.' },
+    budgetUsedUp: 'El presupuesto de hoy de {limit} solicitudes está agotado, así que las capturas automáticas van más despacio hasta medianoche.',
+    busiestMode: 'Lo más usado hoy: {mode}, {requests}.',
+    latency: 'Tiempo medio de respuesta: {seconds} segundos.',
+    warning: 'Usado el {percent} por ciento del presupuesto de hoy de {limit} solicitudes de visión.',
+    exceeded: 'El presupuesto de hoy de {limit} solicitudes de visión está agotado. Las capturas continuas, de Buscar y de anuncio automático van más despacio hasta medianoche. Las capturas que pidas y el escaneo de códigos de barras siguen funcionando.',
+    modes: {
+      sos: 'Alertas de emergencia',
+      other: 'Otros',
+    },
+  },
+
+  simulation: {
+    busy: 'Detén la captura en curso antes de cambiar el modo de simulación.',
+    empty: 'Esa sesión no tiene fotogramas para reproducir.',
+    replaying: {
+      one: 'Reproduciendo {name}, {count} fotograma. Las capturas muestran la grabación en lugar de la cámara.',
+      other: 'Reproduciendo {name}, {count} fotogramas. Las capturas muestran la grabación en lugar de la cámara.',
+    },
+    recording: 'Grabando. Las capturas y sus descripciones se guardan para reproducirlas.',
+    off: 'Simulación desactivada. Usando la cámara.',
+    error: 'No se pudo cambiar el modo de simulación.',
+    sessionName: 'Grabación {date}',
+    bannerReplay: 'Reproduciendo {name}',
+    bannerRecord: 'Grabando capturas',
+  },
+
+  quality: {
+    dark: 'Demasiado oscuro. Enciende una luz o ve a un sitio con más luz.',
+    glare: 'Demasiado brillo. Inclina un poco el teléfono para evitar reflejos.',
+    blankRead: 'No hay nada que leer a la vista. Apunta la cámara al texto.',
+    blank: 'No hay nada a la vista. Apunta la cámara hacia delante, no al techo ni al suelo.',
+    blurry: 'La imagen está borrosa. No te muevas.',
+    smallText: 'El texto es demasiado pequeño. Acércate al texto.',
+    cutOffEdges: 'El texto está cortado por los bordes. Aleja el teléfono.',
+    cutOff: {
+      left: 'El texto está cortado por la izquierda. Mueve el teléfono a la izquierda.',
+      right: 'El texto está cortado por la derecha. Mueve el teléfono a la derecha.',
+      top: 'El texto está cortado por arriba. Sube el teléfono.',
+      bottom: 'El texto está cortado por abajo. Baja el teléfono.',
+    },
+  },
+
+  hazards: {
+    cautionPrefix: 'Cuidado:',
+    clock: 'a las {hour}',
+    directions: {
+      left: 'a la izquierda',
+      center: 'en el centro',
+      right: 'a la derecha',
+    },
+    withinReach: 'al alcance de la mano',
+    stepsAhead: { one: 'a {count} paso', other: 'a {count} pasos' },
+    moreItems: { one: '{count} objeto más, más lejos.', other: '{count} objetos más, más lejos.' },
+    clearPath: 'Camino libre: {path}.',
+    nothingNearby: 'No se detecta nada cerca.',
+  },
+
+  visionErrors: {
+    quota: 'Se ha superado la cuota del servicio de visión. Espera un rato o cambia de proveedor.',
+    auth: 'La clave de API fue rechazada. Revisa la clave de API en los ajustes.',
+    blocked: 'El servicio de visión se negó a describir esta imagen.',
+    offline: 'No hay conexión a internet. Revisa la conexión e inténtalo de nuevo.',
+    timeout: 'El servicio de visión tardó demasiado en responder. Inténtalo de nuevo.',
+    cancelled: 'Solicitud cancelada.',
+    server: 'El servicio de visión tiene problemas. Inténtalo de nuevo en un momento.',
+    bad_response: 'No se generó una descripción clara. Inténtalo de nuevo.',
+    missing_key: 'No hay ninguna clave de API configurada. Abre los ajustes y escribe tu clave de API, o cambia de proveedor.',
+    other: 'No se pudo obtener la descripción: {error}. Inténtalo de nuevo.',
+  },
+
+  settings: {
+    title: 'Ajustes',
+    close: 'Cerrar los ajustes',
+    provider: {
+      title: 'Proveedor de visión',
+      model: 'Modelo',
+      serverUrl: 'URL del servidor',
+      apiKey: 'Clave de API',
+      keyOnDevice: 'Hay una clave guardada en este dispositivo.',
+      keyFromBuild: 'Se usa la clave incluida al compilar.',
+      noKey: 'No hay ninguna clave configurada.',
+      replaceKeyPlaceholder: 'Escribe una clave nueva para sustituirla',
+      keyPlaceholder: 'Pega tu clave de API',
+      keyInputLabel: 'Clave de API',
+      validateAndSave: 'Comprobar y guardar',
+      removeKey: 'Eliminar la clave guardada',
+      testKey: 'Probar la clave actual',
+    },
+    speech: {
+      title: 'Voz',
+      rate: 'Velocidad',
+      pitch: 'Tono',
+      decrease: 'Bajar {label}',
+      increase: 'Subir {label}',
+      voice: 'Voz',
+      systemDefault: 'Predeterminada del sistema',
+      test: 'Probar',
+    },
+    language: {
+      title: 'Idioma',
+      hint: 'Los botones, los mensajes hablados y las descripciones usan este idioma. Los comandos de voz se siguen diciendo en inglés.',
+      device: 'Dispositivo ({name})',
+    },
+    voiceCommands: {
+      title: 'Comandos de voz',
+      off: 'Desactivados',
+      push: 'Pulsar para hablar',
+      wake: 'Palabra de activación',
+      wakeWord: 'Palabra de activación',
+      wakeWordLabel: 'Palabra de activación',
+      wakeWordHint: 'Empieza cada comando con la palabra de activación, p. ej. "{wakeWord}, capture".',
+    },
+    autoAnnounce: {
+      title: 'Anuncio automático',
+      hint: 'En el modo Pasivo, la escena se describe sola cuando cambia.',
+      reactTo: 'Reaccionar a',
+      low: 'Cambios grandes',
+      medium: 'Medio',
+      high: 'Cambios pequeños',
+      atMostEvery: 'Como mucho cada',
+      perHourTitle: 'Descripciones por hora',
+      perHour: '{count} por hora',
+    },
+    usage: {
+      title: 'Uso',
+      hint: 'Solicitudes de visión hechas desde este teléfono. Los costes se estiman con los precios publicados de Gemini; los servidores propios son gratis. Cuando se agota el presupuesto diario, las capturas continuas, de Buscar y de anuncio automático van más despacio hasta medianoche. Las capturas que pidas, el escaneo de códigos de barras y las comprobaciones de captura siguen funcionando.',
+      today: 'Hoy: {totals}',
+      month: 'Este mes: {totals}',
+      budget: 'Presupuesto diario',
+      noBudget: 'Sin límite',
+      perDay: '{count} al día',
+    },
+    accessibility: {
+      title: 'Accesibilidad',
+      hint: 'Con el control por gestos, la vista de la cámara es un único control grande: desliza a la izquierda o a la derecha para cambiar de modo, toca dos veces para capturar, toca con dos dedos para detener y mantén pulsado para repetir. Con un lector de pantalla, desliza hacia arriba o hacia abajo sobre ella para cambiar de modo.',
+      gestureControl: 'Control por gestos',
+      off: 'Desactivado',
+      on: 'Activado',
+    },
+    privacy: {
+      title: 'Privacidad',
+      hint: 'Los números de tarjeta, de cuenta bancaria y de identidad siempre se ocultan en el historial, los documentos guardados, los registros y las respuestas remotas. Usa el botón del ojo en la pantalla principal para capturas en incógnito, que no se guardan.',
+      label: 'Números sensibles',
+      mask: 'Ocultarlos',
+      speak: 'Leer completos',
+    },
+    sos: {
+      title: 'Contactos de emergencia',
+      hint: 'Mantén pulsado Detener o di "send help" para enviarles tu ubicación, una foto y una descripción de tu entorno.',
+      empty: 'Todavía no hay contactos de emergencia.',
+      delete: 'Eliminar {name}',
+      addContact: 'Añadir contacto',
+      namePlaceholder: 'Nombre, p. ej. Sam',
+      nameLabel: 'Nombre del contacto',
+      addressPlaceholder: '{label}, p. ej. {example}',
+      sendTest: 'Enviar alerta de prueba',
+    },
+    simulation: {
+      title: 'Simulación',
+      hint: 'Graba capturas y sus descripciones y reprodúcelas sin cámara ni conexión. Para pruebas y demostraciones.',
+      off: 'Desactivada',
+      record: 'Grabar',
+      sessions: 'Sesiones grabadas (toca para reproducir)',
+      empty: 'Aún no hay sesiones grabadas.',
+      replay: 'Reproducir {name}',
+      frames: { one: '{count} fotograma', other: '{count} fotogramas' },
+      framesReplaying: { one: '{count} fotograma, reproduciendo', other: '{count} fotogramas, reproduciendo' },
+      delete: 'Eliminar {name}',
+    },
+  },
+};
@@ -0,0 +1,658 @@
+// Hindi messages; same keys as en.js, which fills in anything missing here
+
+export default {
+  list: {
+    separator: ', ',
+    and: ' और ',
+    or: ' या ',
+  },
+
+  units: {
+    seconds: { one: '{count} सेकंड', other: '{count} सेकंड' },
+    minutes: { one: '{count} मिनट', other: '{count} मिनट' },
+    secondsShort: '{count} से.',
+    minutesShort: '{count} मि.',
+  },
+
+  prompts: {
+    describe: 'हिन्दी में उत्तर दें।',
+    transcribe: 'छवि में जो भी पाठ पढ़ें, उसे ठीक वैसे ही, उसकी मूल भाषा में लिखें। अपनी ओर से जोड़ी गई हर बात हिन्दी में लिखें।',
+    json: 'JSON की कुंजियाँ और ऊपर बताए गए तय मान ठीक वैसे ही रखें, और हर मुक्त पाठ वाला मान हिन्दी में लिखें।',
+  },
+
+  app: {
+    title: 'Seeing AI: मल्टी-मोड',
+    initializing: 'ऐप शुरू हो रहा है...',
+    loading: 'लोड हो रहा है',
+    history: 'इतिहास',
+    settings: 'सेटिंग्स',
+    permissionHint: 'कृपया ऐप की सेटिंग्स देखें और पक्का करें कि कैमरा और माइक्रोफ़ोन (बोलने के लिए) की अनुमतियाँ चालू हैं।',
+    cameraLoading: 'कैमरा लोड हो रहा है...',
+    cameraNotAvailable: 'कैमरा उपलब्ध नहीं है',
+    cameraNotAvailableHint: 'कृपया पक्का करें कि Expo Camera सही से इंस्टॉल और लिंक है।',
+    cameraView: 'कैमरा दृश्य, {mode} मोड',
+    cameraViewAnalyzing: 'कैमरा दृश्य, {mode} मोड, विश्लेषण हो रहा है',
+    stopped: 'सभी काम रोक दिए गए',
+    stop: 'रोकें',
+    stopHint: 'अपने संपर्कों को आपातकालीन अलर्ट भेजने के लिए दबाकर रखें',
+  },
+
+  permissions: {
+    requesting: 'कैमरा और आवाज़ की अनुमतियाँ माँगी जा रही हैं...',
+    cameraModuleMissing: 'कैमरा मॉड्यूल नहीं मिला या काम नहीं कर रहा। कृपया पक्का करें कि सभी Expo पैकेज सही से इंस्टॉल हैं।',
+    granted: 'कैमरा और आवाज़ की अनुमतियाँ मिल गईं। कोई मोड चुनें और बटन दबाएँ।',
+    cameraDenied: 'कैमरे की अनुमति नहीं मिली। कृपया इसे सेटिंग्स में चालू करें।',
+    speechDenied: 'आवाज़ की अनुमति नहीं मिली। कृपया इसे सेटिंग्स में चालू करें (Expo Go या अपने ऐप के लिए माइक्रोफ़ोन की अनुमति देखें)।',
+    someDenied: 'कुछ अनुमतियाँ नहीं मिलीं। कृपया ऐप की सेटिंग्स देखें।',
+    error: 'अनुमतियाँ माँगने में गड़बड़ी: {error}। कृपया ऐप की सेटिंग्स देखें।',
+  },
+
+  remote: {
+    title: 'रिमोट कंट्रोल',
+    enable: 'रिमोट कंट्रोल चालू करें:',
+    toggle: 'रिमोट कंट्रोल',
+    deviceIp: 'डिवाइस IP: {ip}',
+    loadingIp: 'लोड हो रहा है...',
+    serverStatus: 'सर्वर की स्थिति: {status}',
+    status: {
+      stopped: 'बंद',
+      starting: 'शुरू हो रहा है...',
+      running: 'चल रहा है',
+      error: 'गड़बड़ी',
+    },
+    pairingCode: 'पेयरिंग कोड: {code}',
+    hint: 'दूसरे डिवाइस ऊपर दिए कोड से पेयर करके http://{address}:{port}/command या ws://{address}:{port}/ws पर JSON कमांड भेज सकते हैं',
+    noNetwork: 'लोकल नेटवर्क से कनेक्शन नहीं है',
+    enabled: 'रिमोट कंट्रोल {address} पोर्ट {port} पर चालू है। पेयरिंग कोड: {code}',
+    startFailed: 'रिमोट कंट्रोल सर्वर शुरू नहीं हो सका: {error}',
+    disabled: 'रिमोट कंट्रोल बंद',
+    errors: {
+      nothingToRepeat: 'अभी तक कुछ भी बताया नहीं गया है',
+      busyMode: 'छवि के विश्लेषण के दौरान मोड नहीं बदला जा सकता',
+      unknownMode: '{name} नाम का कोई मोड नहीं है',
+      busy: 'एक छवि का विश्लेषण पहले से हो रहा है',
+      noImage: 'सवाल पूछने से पहले एक छवि कैप्चर करें',
+      unknownCommand: 'अनजान कमांड: {command}',
+    },
+  },
+
+  apiKey: {
+    removed: 'सेव की गई API कुंजी हटा दी गई।',
+    notSaved: 'कुंजी सेव नहीं हुई।',
+    unverified: 'कुंजी जाँचने के लिए सेवा से संपर्क नहीं हो सका। इसे सेव कर लिया गया है और अगले कैप्चर में इस्तेमाल किया जाएगा।',
+    saved: 'API कुंजी जाँची और सेव की गई।',
+    works: 'मौजूदा API कुंजी काम कर रही है।',
+  },
+
+  modes: {
+    read: {
+      label: 'पढ़ें',
+      captureLabel: 'दस्तावेज़ पढ़ें',
+      confirmation: 'पढ़ें मोड। पाठ स्कैन करने के लिए "दस्तावेज़ पढ़ें" दबाएँ।',
+    },
+    navigate: {
+      label: 'रास्ता',
+      captureLabel: 'रास्ते के संकेत पाएँ',
+      confirmation: 'रास्ता मोड। इमारत के अंदर मार्गदर्शन के लिए "रास्ते के संकेत पाएँ" दबाएँ।',
+    },
+    passive: {
+      label: 'सामान्य',
+      captureLabel: 'आसपास का वर्णन',
+      confirmation: 'सामान्य मोड। आसपास के सामान्य वर्णन के लिए "आसपास का वर्णन" दबाएँ।',
+    },
+    find: {
+      label: 'खोजें',
+      captureLabel: 'खोज शुरू करें',
+      confirmation: 'खोजें मोड। आप जो ढूँढ रहे हैं उसे लिखें या बोलें, फिर "खोज शुरू करें" दबाएँ।',
+    },
+    product: {
+      label: 'उत्पाद',
+      captureLabel: 'लेबल पढ़ें',
+      confirmation: 'उत्पाद मोड। कैमरे को बारकोड या QR कोड की ओर करें, या "लेबल पढ़ें" दबाएँ।',
+    },
+    customConfirmation: '{label} मोड। कैप्चर करने के लिए "{capture}" दबाएँ।',
+    button: '{label} मोड',
+    editHint: 'इस मोड को बदलने के लिए दबाकर रखें',
+    new: 'नया',
+    newLabel: 'नया कस्टम मोड',
+    saved: '{label} मोड सेव हो गया। {confirmation}',
+    deleted: '{label} मोड हटा दिया गया।',
+    deletedUnnamed: 'कस्टम मोड हटा दिया गया।',
+    deleteFailed: 'मोड हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+    busy: 'छवि के विश्लेषण के दौरान मोड नहीं बदला जा सकता।',
+    errors: {
+      nameRequired: 'कृपया मोड का नाम लिखें।',
+      promptRequired: 'कृपया मोड के लिए निर्देश लिखें।',
+      exists: '{label} नाम का मोड पहले से है।',
+    },
+    editor: {
+      editTitle: 'मोड बदलें',
+      newTitle: 'नया मोड',
+      name: 'नाम',
+      namePlaceholder: 'जैसे दवा का लेबल',
+      prompt: 'निर्देश',
+      promptPlaceholder: 'जैसे दवा का नाम, खुराक और समाप्ति तिथि पढ़ें।',
+      captureLabel: 'कैप्चर बटन का पाठ (वैकल्पिक)',
+      captureLabelShort: 'कैप्चर बटन का पाठ',
+      captureLabelPlaceholder: 'जैसे लेबल पढ़ें',
+      icon: 'आइकन',
+      iconLabel: '{name} आइकन',
+      delete: 'हटाएँ',
+      cancel: 'रद्द करें',
+      save: 'सेव करें',
+    },
+  },
+
+  capture: {
+    cameraNotReady: 'कैमरा तैयार नहीं है। कृपया रुकें या ऐप फिर से खोलें।',
+    analyzing: 'छवि का विश्लेषण हो रहा है, कृपया रुकें...',
+    retrying: 'कनेक्शन में समस्या, फिर से कोशिश ({attempt} / {total})...',
+    noDescription: 'कोई साफ़ वर्णन नहीं मिला। कृपया फिर से कोशिश करें।',
+    stillAnalyzing: 'पिछली छवि का विश्लेषण अभी चल रहा है।',
+    continuousOn: 'लगातार कैप्चर चालू है। हाथ से कैप्चर करने के लिए इसे बंद करें।',
+  },
+
+  followUp: {
+    captureFirst: 'पहले एक छवि कैप्चर करें, फिर उसके बारे में सवाल पूछें।',
+    enterQuestion: 'कृपया एक सवाल लिखें।',
+    asking: 'पूछा जा रहा है: {question}',
+    noAnswer: 'कोई उत्तर नहीं मिला। कृपया फिर से कोशिश करें।',
+    cleared: 'बातचीत साफ़ कर दी गई।',
+    placeholder: 'इस छवि के बारे में पूछें...',
+    inputLabel: 'इस छवि के बारे में सवाल',
+    ask: 'सवाल पूछें',
+    reset: 'यह छवि भूल जाएँ',
+  },
+
+  history: {
+    title: 'इतिहास',
+    close: 'इतिहास बंद करें',
+    speak: 'यह कैप्चर सुनाएँ',
+    delete: 'यह कैप्चर हटाएँ',
+    exportJson: 'JSON एक्सपोर्ट करें',
+    exportText: 'पाठ एक्सपोर्ट करें',
+    clear: 'साफ़ करें',
+    empty: 'अभी तक कोई कैप्चर नहीं।',
+    deleted: 'प्रविष्टि हटा दी गई।',
+    deleteFailed: 'प्रविष्टि हटाई नहीं जा सकी। कृपया फिर से कोशिश करें।',
+    cleared: 'इतिहास साफ़ कर दिया गया।',
+    clearFailed: 'इतिहास साफ़ नहीं हो सका। कृपया फिर से कोशिश करें।',
+    exportFailed: 'इतिहास एक्सपोर्ट नहीं हो सका: {error}',
+    shareTitle: 'कैप्चर का इतिहास शेयर करें',
+    sharingUnavailable: 'इस डिवाइस पर शेयर करना उपलब्ध नहीं है',
+  },
+
+  document: {
+    title: 'दस्तावेज़',
+    close: 'दस्तावेज़ स्क्रीन बंद करें',
+    documents: 'दस्तावेज़',
+    untitled: '{date} का दस्तावेज़',
+    firstPageHint: '"पेज जोड़ें" दबाएँ और पहला पेज कैप्चर करें।',
+    addPage: 'पेज जोड़ें',
+    addPageNumber: 'पेज {number} जोड़ें',
+    readFromHere: 'यहाँ से पढ़ें',
+    readAloud: 'पढ़कर सुनाएँ',
+    stopReading: 'पढ़ना रोकें',
+    closeDocument: 'दस्तावेज़ बंद करें',
+    newDocument: 'नया दस्तावेज़',
+    savedDocuments: 'सेव किए गए दस्तावेज़',
+    noSavedDocuments: 'अभी तक कोई दस्तावेज़ सेव नहीं।',
+    openHint: 'यह दस्तावेज़ खोलता है',
+    delete: '{title} हटाएँ',
+    units: {
+      sentence: 'वाक्य',
+      paragraph: 'अनुच्छेद',
+      page: 'पेज',
+      heading: 'शीर्षक',
+    },
+    moves: {
+      previousSentence: 'पिछला वाक्य',
+      nextSentence: 'अगला वाक्य',
+      previousParagraph: 'पिछला अनुच्छेद',
+      nextParagraph: 'अगला अनुच्छेद',
+      previousPage: 'पिछला पेज',
+      nextPage: 'अगला पेज',
+      previousHeading: 'पिछला शीर्षक',
+      nextHeading: 'अगला शीर्षक',
+    },
+    pageCount: { one: '{count} पेज', other: '{count} पेज' },
+    started: 'नया दस्तावेज़ शुरू हुआ। कैमरे को पहले पेज की ओर करें और "पेज 1 जोड़ें" दबाएँ।',
+    closed: 'दस्तावेज़ बंद हो गया। जहाँ छोड़ा था वहीं से आगे पढ़ने के लिए इसे दस्तावेज़ सूची से खोलें।',
+    opened: '{title} खुला। {position}।',
+    deleted: 'दस्तावेज़ हटा दिया गया।',
+    deleteFailed: 'दस्तावेज़ हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+    pageAdded: 'पेज {number} जोड़ा गया, इसमें {summary} हैं।',
+    nextPagePrompt: 'कैमरे को अगले पेज की ओर करें और "पेज {number} जोड़ें" दबाएँ।',
+    captureFirst: 'पहले दस्तावेज़ का एक पेज कैप्चर करें।',
+    noMoreHeadings: 'और कोई शीर्षक नहीं।',
+    noEarlierHeadings: 'इससे पहले कोई शीर्षक नहीं।',
+    end: 'दस्तावेज़ का अंत।',
+    start: 'दस्तावेज़ की शुरुआत।',
+    pageOf: 'पेज {page} / {total}।',
+    page: 'पेज {page}।',
+    noTextOnPage: 'इस पेज पर कोई पाठ नहीं है।',
+    noPages: 'अभी तक कोई पेज नहीं',
+    position: 'पेज {page} / {pages}',
+    positionWithParagraph: 'पेज {page} / {pages}, अनुच्छेद {paragraph} / {paragraphs}',
+    noText: 'कोई पाठ नहीं',
+    tableRow: 'पंक्ति {number}: {cells}।',
+    blockCounts: {
+      heading: { one: '{count} शीर्षक', other: '{count} शीर्षक' },
+      paragraph: { one: '{count} अनुच्छेद', other: '{count} अनुच्छेद' },
+      list: { one: '{count} सूची', other: '{count} सूचियाँ' },
+      table: { one: '{count} तालिका', other: '{count} तालिकाएँ' },
+    },
+  },
+
+  continuous: {
+    on: 'लगातार चालू',
+    off: 'लगातार बंद',
+    every: 'हर {seconds} से.',
+    everyLabel: 'हर {seconds} सेकंड में कैप्चर करें',
+    everyHint: 'अंतराल बदलता है',
+    started: 'लगातार मार्गदर्शन शुरू। हर {seconds} सेकंड में कैप्चर हो रहा है।',
+    stopped: 'लगातार मार्गदर्शन बंद।',
+    stoppedAfterErrors: 'बार-बार गड़बड़ी के कारण लगातार मार्गदर्शन बंद हो गया।',
+    interval: 'हर {seconds} सेकंड में कैप्चर',
+    newFeatures: 'नया: {features}।',
+    features: {
+      door: { label: 'दरवाज़ा', words: 'दरवाज़ा, दरवाज़े, दरवाजा, दरवाजे, प्रवेश, निकास' },
+      stairs: { label: 'सीढ़ियाँ', words: 'सीढ़ी, सीढ़ियाँ, सीढ़ियां, सीढ़ियों' },
+      levelChange: { label: 'ऊँचाई में बदलाव', words: 'रैंप, ढलान, किनारा, किनारे, फुटपाथ' },
+      obstacle: { label: 'रुकावट', words: 'रुकावट, बाधा, अवरोध, डिब्बा, डिब्बे, बैग, थैला, ट्रॉली, खंभा, कूड़ेदान' },
+      furniture: { label: 'फ़र्नीचर', words: 'कुर्सी, कुर्सियाँ, मेज़, मेज, टेबल, डेस्क, सोफ़ा, सोफा, बेंच, अलमारी' },
+      person: { label: 'व्यक्ति', words: 'व्यक्ति, लोग, कोई, आदमी, औरत, महिला, बच्चा' },
+      elevator: { label: 'लिफ़्ट', words: 'लिफ़्ट, लिफ्ट, एलिवेटर' },
+      wall: { label: 'दीवार', words: 'दीवार' },
+      hazard: { label: 'ख़तरा', words: 'गीला, गीली, फिसलन, ख़तरा, खतरा, सावधान, काँच, कांच' },
+    },
+    stopWords: 'है, हैं, का, की, के, में, पर, से, और, एक, यह, वह, आप, आपके, आपकी, को, ने, भी, सीधे, तरफ़',
+  },
+
+  autoAnnounce: {
+    on: 'स्वतः घोषणा चालू',
+    off: 'स्वतः घोषणा बंद',
+    started: 'स्वतः घोषणा चालू। दृश्य बदलने पर उसका वर्णन किया जाएगा।',
+    stopped: 'स्वतः घोषणा बंद।',
+    stoppedAfterErrors: 'बार-बार गड़बड़ी के कारण स्वतः घोषणा बंद हो गई।',
+    budget: 'स्वतः घोषणा रुकी है: पिछले एक घंटे में {limit} वर्णन हो चुके हैं। घंटा पूरा होने पर यह फिर चलेगी।',
+  },
+
+  find: {
+    targetFirst: 'पहले लिखें या बोलें कि आप क्या ढूँढ रहे हैं।',
+    placeholder: 'आप क्या ढूँढ रहे हैं?',
+    inputLabel: 'ढूँढने की चीज़',
+    stopSearch: 'खोज रोकें',
+    looking: '{target} ढूँढा जा रहा है। फ़ोन को धीरे-धीरे अपने चारों ओर घुमाएँ।',
+    stopped: 'खोज रुक गई।',
+    stoppedAfterErrors: 'बार-बार गड़बड़ी के कारण खोज रुक गई।',
+    timedOut: '{duration} बाद {target} की खोज रोक दी गई।',
+    foundPrefix: 'मिल गया:',
+    where: '{target}: {where}।',
+    inView: '{target} दिख रहा है।',
+    possibly: 'शायद {target}',
+    notInView: '{target} दिख नहीं रहा।',
+    horizontal: {
+      left: 'बाईं ओर',
+      slightlyLeft: 'थोड़ा बाईं ओर',
+      center: 'बीच में',
+      slightlyRight: 'थोड़ा दाईं ओर',
+      right: 'दाईं ओर',
+    },
+    vertical: {
+      top: 'ऊपर',
+      bottom: 'नीचे',
+    },
+    withinReach: 'हाथ की पहुँच में',
+    stepsAway: { one: 'लगभग {count} कदम दूर', other: 'लगभग {count} कदम दूर' },
+  },
+
+  product: {
+    unknown: 'अनजान उत्पाद। लेबल पढ़ा जा रहा है।',
+    saved: '{name} सेव हो गया। जब भी इसका बारकोड स्कैन होगा, इसकी घोषणा की जाएगी।',
+    deleted: 'उत्पाद हटा दिया गया।',
+    deleteFailed: 'उत्पाद हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+    list: 'उत्पाद ({count})',
+    save: 'उत्पाद सेव करें',
+    errors: {
+      code: 'कृपया बारकोड के नीचे छपी 8, 12 या 13 अंकों की संख्या लिखें।',
+      name: 'कृपया उत्पाद का नाम लिखें।',
+    },
+    screen: {
+      title: 'उत्पाद',
+      close: 'उत्पाद बंद करें',
+      editProduct: 'उत्पाद बदलें',
+      addProduct: 'उत्पाद जोड़ें',
+      code: 'बारकोड संख्या',
+      codePlaceholder: 'बारकोड के नीचे के अंक',
+      name: 'नाम',
+      namePlaceholder: 'जैसे ओट दूध',
+      details: 'विवरण (वैकल्पिक)',
+      detailsLabel: 'विवरण',
+      detailsPlaceholder: 'जैसे 1 लीटर, बिना चीनी। इसमें ओट्स हैं।',
+      clear: 'साफ़ करें',
+      savedProducts: 'सेव किए गए उत्पाद',
+      empty: 'अभी तक कोई उत्पाद सेव नहीं। एक बारकोड स्कैन करें, फिर लेबल पर लिखी जानकारी सेव करें।',
+      editHint: 'इस उत्पाद को बदलता है',
+      speak: '{name} सुनाएँ',
+      delete: '{name} हटाएँ',
+    },
+    qr: {
+      empty: 'खाली QR कोड।',
+      link: 'लिंक: {url}',
+      wifi: 'वाई-फ़ाई नेटवर्क {network}, पासवर्ड {password}।',
+      wifiOpen: 'वाई-फ़ाई नेटवर्क {network}, बिना पासवर्ड।',
+      wifiUnnamed: 'बिना नाम का',
+      phone: 'फ़ोन नंबर: {number}',
+      email: 'ईमेल पता: {address}',
+      sms: 'इस नंबर पर मैसेज: {number}',
+      text: 'QR कोड: {text}',
+    },
+  },
+
+  sos: {
+    noContacts: 'कोई आपातकालीन संपर्क नहीं है। सेटिंग्स में आपातकालीन संपर्क के तहत एक जोड़ें।',
+    countdown: '{seconds} सेकंड में आपातकालीन अलर्ट भेजा जाएगा। रद्द करने के लिए रोकें दबाएँ।',
+    cancelled: 'आपातकालीन अलर्ट रद्द कर दिया गया।',
+    sendingTest: 'टेस्ट अलर्ट भेजा जा रहा है।',
+    sending: 'आपातकालीन अलर्ट भेजा जा रहा है। आपकी जगह पता की जा रही है और आसपास का वर्णन किया जा रहा है।',
+    noLocation: 'आपकी जगह उपलब्ध नहीं है, इसलिए अलर्ट उसके बिना भेजा जा रहा है।',
+    sendFailed: 'आपातकालीन अलर्ट नहीं भेजा जा सका: {error}',
+    testSendFailed: 'टेस्ट अलर्ट नहीं भेजा जा सका: {error}',
+    emergencyAlert: 'आपातकालीन अलर्ट',
+    testAlert: 'टेस्ट अलर्ट',
+    delivered: '{alert} {name} तक पहुँच गया।',
+    handedOff: '{name} के लिए {alert} मैसेजिंग ऐप को दे दिया गया। भेजे जाने की पुष्टि नहीं हो सकी।',
+    waiting: '{alert} अभी {name} को नहीं भेजा गया: {reason}। पहुँचने तक कोशिश जारी रहेगी।',
+    failed: '{alert} {name} को नहीं भेजा जा सका: {reason}।',
+    pendingCancelled: 'बाकी आपातकालीन अलर्ट रद्द कर दिए गए।',
+    contactAdded: '{name} को आपातकालीन संपर्क के रूप में जोड़ा गया।',
+    pending: 'बाकी SOS ({count})',
+    cancel: 'SOS रद्द करें',
+    sendingButton: 'SOS भेजा जा रहा है...',
+    longPressAction: 'आपातकालीन अलर्ट भेजें',
+    errors: {
+      contactName: 'कृपया संपर्क का नाम लिखें।',
+      noConnection: 'कोई कनेक्शन नहीं है',
+      noAnswer: 'सर्वर ने जवाब नहीं दिया',
+      serverError: 'सर्वर ने गड़बड़ी {status} लौटाई',
+      expired: 'अलर्ट की समय सीमा खत्म हो गई',
+      dropped: 'नए टेस्ट अलर्ट ने इसकी जगह ले ली',
+      noSms: 'यह डिवाइस मैसेज नहीं भेज सकता',
+      smsCancelled: 'मैसेज रद्द कर दिया गया',
+      noMail: 'इस डिवाइस पर कोई मेल ऐप सेट नहीं है',
+      emailCancelled: 'ईमेल रद्द कर दिया गया',
+    },
+    message: {
+      test: 'Pathfinder से टेस्ट अलर्ट। कुछ करने की ज़रूरत नहीं है।',
+      emergency: 'आपातकाल: मुझे मदद चाहिए। Pathfinder से भेजा गया।',
+      location: 'जगह: {url}',
+      accuracy: ' (लगभग {meters} मी. के भीतर)',
+      noLocation: 'जगह: उपलब्ध नहीं।',
+      surroundings: 'आसपास: {description}',
+      sentAt: '{time} पर भेजा गया।',
+      emailSubject: 'आपातकाल: मुझे मदद चाहिए',
+      testEmailSubject: 'Pathfinder टेस्ट अलर्ट',
+    },
+    channels: {
+      webhook: {
+        label: 'वेबहुक',
+        addressLabel: 'URL',
+        invalid: 'कृपया http:// या https:// से शुरू होने वाला वेब पता लिखें।',
+      },
+      sms: {
+        label: 'टेक्स्ट मैसेज',
+        addressLabel: 'फ़ोन नंबर',
+        invalid: 'कृपया फ़ोन नंबर लिखें, जैसे +91 98765 43210।',
+      },
+      email: {
+        label: 'ईमेल',
+        addressLabel: 'ईमेल पता',
+        invalid: 'कृपया ईमेल पता लिखें, जैसे name@example.com।',
+      },
+    },
+  },
+
+  provider: {
+    set: 'विज़न सेवा: {label}',
+    modelSet: 'मॉडल: {model}',
+    label: 'विज़न सेवा: {label}',
+    hint: 'अगली सेवा पर जाता है',
+    modelLabel: 'मॉडल: {model}',
+    modelHint: 'अगले मॉडल पर जाता है',
+  },
+
+  speech: {
+    pause: 'विराम',
+    resume: 'फिर चलाएँ',
+    repeat: 'दोहराएँ',
+    nothingToRepeat: 'अभी दोहराने के लिए कुछ नहीं है।',
+    sample: 'वर्णन ऐसे सुनाई देंगे।',
+  },
+
+  voice: {
+    listen: 'सुनें',
+    listening: 'सुन रहा है',
+    needsPermission: 'वॉइस कमांड के लिए बोली पहचान और माइक्रोफ़ोन की अनुमति चाहिए। कृपया इन्हें सिस्टम सेटिंग्स में चालू करें।',
+    unavailable: 'इस डिवाइस पर वॉइस कमांड उपलब्ध नहीं हैं।',
+    stoppedAfterErrors: 'बार-बार गड़बड़ी के कारण वॉइस कमांड बंद हो गए। फिर से कोशिश करने के लिए सुनें दबाएँ।',
+    yes: 'हाँ?',
+    heard: 'सुना: {transcript}',
+    okay: 'ठीक है।',
+    notUnderstood: 'माफ़ करें, मैं समझ नहीं पाया। कमांड सुनने के लिए help बोलें।',
+    status: '{mode} मोड। {description}',
+    nothingCaptured: 'अभी तक कुछ कैप्चर नहीं हुआ।',
+    stillAnalyzing: 'एक छवि का विश्लेषण अभी चल रहा है।',
+    whichMode: 'कौन सा मोड: {modes}?',
+    didYouMean: 'क्या आपका मतलब {command} था?',
+    help: 'कमांड अंग्रेज़ी में बोलें: capture, stop, repeat, pause, resume, status, usage, या किसी मोड का नाम: {modes}। कुछ ढूँढने के लिए find और उसका नाम बोलें, जैसे find my keys। पिछली तस्वीर के बारे में पूछने के लिए ask से शुरू करें। आपातकाल में send help बोलें।',
+  },
+
+  gestures: {
+    help: 'जेस्चर कंट्रोल चालू। मोड बदलने के लिए कैमरा दृश्य पर बाएँ या दाएँ स्वाइप करें, कैप्चर के लिए दो बार टैप करें, रोकने के लिए दो उँगलियों से टैप करें, और दोहराने के लिए दबाकर रखें।',
+    off: 'जेस्चर कंट्रोल बंद।',
+    surfaceHint: 'कैप्चर के लिए दो बार टैप करें। मोड बदलने के लिए ऊपर या नीचे स्वाइप करें।',
+    actions: {
+      capture: 'कैप्चर',
+      nextMode: 'अगला मोड',
+      previousMode: 'पिछला मोड',
+      repeat: 'दोहराएँ',
+      stop: 'रोकें',
+    },
+  },
+
+  privacy: {
+    incognito: 'गुप्त मोड',
+    incognitoOn: 'गुप्त मोड चालू। कैप्चर सहेजे नहीं जाएंगे।',
+    incognitoOff: 'गुप्त मोड बंद। कैप्चर फिर से इतिहास में सहेजे जाएंगे।',
+    masked: {
+      card: '[{last} पर खत्म होने वाला कार्ड नंबर]',
+      iban: '[{last} पर खत्म होने वाला IBAN]',
+      account: '[{last} पर खत्म होने वाला खाता नंबर]',
+      ssn: '[{last} पर खत्म होने वाला सोशल सिक्योरिटी नंबर]',
+      nationalInsurance: '[{last} पर खत्म होने वाला नेशनल इंश्योरेंस नंबर]',
+      aadhaar: '[{last} पर खत्म होने वाला आधार नंबर]',
+      pan: '[{last} पर खत्म होने वाला पैन]',
+      dni: '[{last} पर खत्म होने वाला पहचान नंबर]',
+    },
+  },
+
+  usage: {
+    requests: { one: '{formatted} अनुरोध', other: '{formatted} अनुरोध' },
+    tokens: { one: '{formatted} टोकन', other: '{formatted} टोकन' },
+    totals: '{requests}, {tokens}',
+    totalsWithCost: '{requests}, {tokens}, लगभग {cost}',
+    today: 'आज: {totals}।',
+    month: 'इस महीने: {totals}।',
+    budgetLeft: { one: 'आज के बजट में {formatted} अनुरोध बचा है।', other: 'आज के बजट में {formatted} अनुरोध बचे हैं।' },
+    budgetUsedUp: 'आज का {limit} अनुरोधों का बजट खत्म हो गया है, इसलिए आधी रात तक अपने आप होने वाले कैप्चर धीमे रहेंगे।',
+    busiestMode: 'आज सबसे ज़्यादा इस्तेमाल: {mode}, {requests}।',
+    latency: 'औसत जवाब समय: {seconds} सेकंड।',
+    warning: 'आज के {limit} विज़न अनुरोधों के बजट का {percent} प्रतिशत इस्तेमाल हो गया।',
+    exceeded: 'आज का {limit} विज़न अनुरोधों का बजट खत्म हो गया है। लगातार, खोज और स्वतः घोषणा वाले कैप्चर आधी रात तक धीमे रहेंगे। आपके माँगे गए कैप्चर और बारकोड स्कैनिंग चलते रहेंगे।',
+    modes: {
+      sos: 'आपातकालीन अलर्ट',
+      other: 'अन्य',
+    },
+  },
+
+  simulation: {
+    busy: 'सिमुलेशन मोड बदलने से पहले चल रहा कैप्चर रोकें।',
+    empty: 'इस सत्र में चलाने के लिए कोई फ़्रेम नहीं है।',
+    replaying: {
+      one: '{name} चल रहा है, {count} फ़्रेम। कैप्चर कैमरे की जगह रिकॉर्डिंग दिखाते हैं।',
+      other: '{name} चल रहा है, {count} फ़्रेम। कैप्चर कैमरे की जगह रिकॉर्डिंग दिखाते हैं।',
+    },
+    recording: 'रिकॉर्डिंग हो रही है। कैप्चर और उनके विवरण दोबारा चलाने के लिए सहेजे जाते हैं।',
+    off: 'सिमुलेशन बंद। कैमरा इस्तेमाल हो रहा है।',
+    error: 'सिमुलेशन मोड नहीं बदला जा सका।',
+    sessionName: 'रिकॉर्डिंग {date}',
+    bannerReplay: '{name} चल रहा है',
+    bannerRecord: 'कैप्चर रिकॉर्ड हो रहे हैं',
+  },
+
+  quality: {
+    dark: 'बहुत अँधेरा है। लाइट जलाएँ या ज़्यादा रोशनी वाली जगह जाएँ।',
+    glare: 'बहुत चमक है। चमक से बचने के लिए फ़ोन को थोड़ा झुकाएँ।',
+    blankRead: 'पढ़ने के लिए कुछ नहीं दिख रहा। कैमरे को पाठ की ओर करें।',
+    blank: 'कुछ नहीं दिख रहा। कैमरे को सामने की ओर करें, छत या फ़र्श की ओर नहीं।',
+    blurry: 'छवि धुंधली है। फ़ोन स्थिर रखें।',
+    smallText: 'पाठ बहुत छोटा है। पाठ के पास जाएँ।',
+    cutOffEdges: 'पाठ किनारों पर कट रहा है। फ़ोन को थोड़ा पीछे ले जाएँ।',
+    cutOff: {
+      left: 'पाठ बाईं ओर कट रहा है। फ़ोन को बाईं ओर ले जाएँ।',
+      right: 'पाठ दाईं ओर कट रहा है। फ़ोन को दाईं ओर ले जाएँ।',
+      top: 'पाठ ऊपर से कट रहा है। फ़ोन को ऊपर ले जाएँ।',
+      bottom: 'पाठ नीचे से कट रहा है। फ़ोन को नीचे ले जाएँ।',
+    },
+  },
+
+  hazards: {
+    cautionPrefix: 'सावधान:',
+    clock: '{hour} बजे की दिशा में',
+    directions: {
+      left: 'बाईं ओर',
+      center: 'बीच में',
+      right: 'दाईं ओर',
+    },
+    withinReach: 'हाथ की पहुँच में',
+    stepsAhead: { one: '{count} कदम आगे', other: '{count} कदम आगे' },
+    moreItems: { one: '{count} और चीज़ थोड़ी दूर है।', other: '{count} और चीज़ें थोड़ी दूर हैं।' },
+    clearPath: 'खाली रास्ता: {path}।',
+    nothingNearby: 'पास में कुछ नहीं मिला।',
+  },
+
+  visionErrors: {
+    quota: 'विज़न सेवा की सीमा पूरी हो गई है। कृपया कुछ देर रुकें या सेवा बदलें।',
+    auth: 'API कुंजी अस्वीकार कर दी गई। कृपया सेटिंग्स में API कुंजी जाँचें।',
+    blocked: 'विज़न सेवा ने इस छवि का वर्णन करने से मना कर दिया।',
+    offline: 'इंटरनेट कनेक्शन नहीं है। कृपया कनेक्शन जाँचें और फिर से कोशिश करें।',
+    timeout: 'विज़न सेवा ने जवाब देने में बहुत देर लगाई। कृपया फिर से कोशिश करें।',
+    cancelled: 'अनुरोध रद्द कर दिया गया।',
+    server: 'विज़न सेवा में समस्या है। कृपया थोड़ी देर में फिर से कोशिश करें।',
+    bad_response: 'कोई साफ़ वर्णन नहीं मिला। कृपया फिर से कोशिश करें।',
+    missing_key: 'कोई API कुंजी सेट नहीं है। सेटिंग्स खोलकर अपनी API कुंजी लिखें, या कोई दूसरी सेवा चुनें।',
+    other: 'वर्णन नहीं मिल सका: {error}। कृपया फिर से कोशिश करें।',
+  },
+
+  settings: {
+    title: 'सेटिंग्स',
+    close: 'सेटिंग्स बंद करें',
+    provider: {
+      title: 'विज़न सेवा',
+      model: 'मॉडल',
+      serverUrl: 'सर्वर URL',
+      apiKey: 'API कुंजी',
+      keyOnDevice: 'इस डिवाइस पर एक कुंजी सेव है।',
+      keyFromBuild: 'बिल्ड के समय दी गई कुंजी इस्तेमाल हो रही है।',
+      noKey: 'कोई कुंजी सेट नहीं है।',
+      replaceKeyPlaceholder: 'बदलने के लिए नई कुंजी लिखें',
+      keyPlaceholder: 'अपनी API कुंजी पेस्ट करें',
+      keyInputLabel: 'API कुंजी',
+      validateAndSave: 'जाँचें और सेव करें',
+      removeKey: 'सेव की गई कुंजी हटाएँ',
+      testKey: 'मौजूदा कुंजी जाँचें',
+    },
+    speech: {
+      title: 'आवाज़',
+      rate: 'गति',
+      pitch: 'पिच',
+      decrease: '{label} घटाएँ',
+      increase: '{label} बढ़ाएँ',
+      voice: 'आवाज़',
+      systemDefault: 'सिस्टम डिफ़ॉल्ट',
+      test: 'टेस्ट',
+    },
+    language: {
+      title: 'भाषा',
+      hint: 'बटन, बोले जाने वाले संदेश और वर्णन इसी भाषा में होते हैं। वॉइस कमांड अब भी अंग्रेज़ी में बोले जाते हैं।',
+      device: 'डिवाइस ({name})',
+    },
+    voiceCommands: {
+      title: 'वॉइस कमांड',
+      off: 'बंद',
+      push: 'दबाकर बोलें',
+      wake: 'वेक वर्ड',
+      wakeWord: 'वेक वर्ड',
+      wakeWordLabel: 'वेक वर्ड',
+      wakeWordHint: 'हर कमांड वेक वर्ड से शुरू करें, जैसे "{wakeWord}, capture"।',
+    },
+    autoAnnounce: {
+      title: 'स्वतः घोषणा',
+      hint: 'सामान्य मोड में, दृश्य बदलने पर उसका वर्णन अपने आप किया जाता है।',
+      reactTo: 'किस पर प्रतिक्रिया दें',
+      low: 'बड़े बदलाव',
+      medium: 'मध्यम',
+      high: 'छोटे बदलाव',
+      atMostEvery: 'ज़्यादा से ज़्यादा हर',
+      perHourTitle: 'प्रति घंटे वर्णन',
+      perHour: '{count} प्रति घंटा',
+    },
+    usage: {
+      title: 'इस्तेमाल',
+      hint: 'इस फ़ोन से किए गए विज़न अनुरोध। लागत Gemini की प्रकाशित कीमतों से अनुमानित है; अपने सर्वर मुफ़्त हैं। रोज़ का बजट खत्म होने पर लगातार, खोज और स्वतः घोषणा वाले कैप्चर आधी रात तक धीमे हो जाते हैं। आपके माँगे गए कैप्चर, बारकोड स्कैनिंग और कैप्चर जाँच चलती रहती हैं।',
+      today: 'आज: {totals}',
+      month: 'इस महीने: {totals}',
+      budget: 'रोज़ का बजट',
+      noBudget: 'कोई सीमा नहीं',
+      perDay: '{count} प्रतिदिन',
+    },
+    accessibility: {
+      title: 'सुलभता',
+      hint: 'जेस्चर कंट्रोल के साथ, कैमरा दृश्य एक बड़ा कंट्रोल बन जाता है: मोड बदलने के लिए बाएँ या दाएँ स्वाइप करें, कैप्चर के लिए दो बार टैप करें, रोकने के लिए दो उँगलियों से टैप करें, दोहराने के लिए दबाकर रखें। स्क्रीन रीडर के साथ, मोड बदलने के लिए उस पर ऊपर या नीचे स्वाइप करें।',
+      gestureControl: 'जेस्चर कंट्रोल',
+      off: 'बंद',
+      on: 'चालू',
+    },
+    privacy: {
+      title: 'गोपनीयता',
+      hint: 'कार्ड, बैंक खाता और पहचान नंबर इतिहास, सहेजे गए दस्तावेज़ों, लॉग और रिमोट जवाबों में हमेशा छिपाए जाते हैं। गुप्त कैप्चर के लिए मुख्य स्क्रीन पर आंख वाला बटन दबाएं, ये बिल्कुल सहेजे नहीं जाते।',
+      label: 'संवेदनशील नंबर',
+      mask: 'छिपाएं',
+      speak: 'पूरा पढ़ें',
+    },
+    sos: {
+      title: 'आपातकालीन संपर्क',
+      hint: 'उन्हें अपनी जगह, एक फ़ोटो और आसपास का वर्णन भेजने के लिए रोकें बटन दबाकर रखें या "send help" बोलें।',
+      empty: 'अभी तक कोई आपातकालीन संपर्क नहीं।',
+      delete: '{name} हटाएँ',
+      addContact: 'संपर्क जोड़ें',
+      namePlaceholder: 'नाम, जैसे सैम',
+      nameLabel: 'संपर्क का नाम',
+      addressPlaceholder: '{label}, जैसे {example}',
+      sendTest: 'टेस्ट अलर्ट भेजें',
+    },
+    simulation: {
+      title: 'सिमुलेशन',
+      hint: 'कैप्चर और उनके विवरण रिकॉर्ड करें, फिर उन्हें बिना कैमरा या इंटरनेट के दोबारा चलाएँ। परीक्षण और डेमो के लिए।',
+      off: 'बंद',
+      record: 'रिकॉर्ड करें',
+      sessions: 'रिकॉर्ड किए गए सत्र (चलाने के लिए टैप करें)',
+      empty: 'अभी कोई रिकॉर्ड किया गया सत्र नहीं है।',
+      replay: '{name} चलाएँ',
+      frames: { one: '{count} फ़्रेम', other: '{count} फ़्रेम' },
+      framesReplaying: { one: '{count} फ़्रेम, चल रहा है', other: '{count} फ़्रेम, चल रहे हैं' },
+      delete: '{name} हटाएँ',
+    },
+  },
+};
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ScrollView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CUSTOM_MODE_ICONS } from './registry';
+import { t } from '../i18n';
+
+/**
+ * Modal form for creating, editing and deleting a custom mode.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.visible - Whether the editor is shown.
+ * @param {Object|null} props.mode - The custom mode being edited, or null to create one.
+ * @param {Function} props.onSave - Called with the draft; may throw to show a validation message.
+ * @param {Function} props.onDelete - Called with the mode id.
+ * @param {Function} props.onCancel - Called when the editor is dismissed.
+ */
+export default function ModeEditor({ visible, mode, onSave, onDelete, onCancel }) {
+  const [label, setLabel] = useState('');
+  const [prompt, setPrompt] = useState('');
+  const [captureLabel, setCaptureLabel] = useState('');
+  const [icon, setIcon] = useState(CUSTOM_MODE_ICONS[0]);
+  const [error, setError] = useState('');
+
+  // Reset the form whenever the editor opens
+  useEffect(() => {
+    if (visible) {
+      setLabel(mode ? mode.label : '');
+      setPrompt(mode ? mode.prompt : '');
+      setCaptureLabel(mode ? mode.captureLabel : '');
+      setIcon(mode ? mode.icon : CUSTOM_MODE_ICONS[0]);
+      setError('');
+    }
+  }, [visible, mode]);
+
+  const handleSave = async () => {
+    try {
+      await onSave({ id: mode ? mode.id : undefined, label, prompt, captureLabel, icon });
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <ScrollView style={styles.sheet} contentContainerStyle={styles.sheetContent}>
+          <Text style={styles.title} accessibilityRole="header">{t(mode ? 'modes.editor.editTitle' : 'modes.editor.newTitle')}</Text>
+
+          <Text style={styles.label}>{t('modes.editor.name')}</Text>
+          <TextInput
+            style={styles.input}
+            value={label}
+            onChangeText={setLabel}
+            accessibilityLabel={t('modes.editor.name')}
+            placeholder={t('modes.editor.namePlaceholder')}
+          />
+
+          <Text style={styles.label}>{t('modes.editor.prompt')}</Text>
+          <TextInput
+            style={[styles.input, styles.promptInput]}
+            value={prompt}
+            onChangeText={setPrompt}
+            accessibilityLabel={t('modes.editor.prompt')}
+            placeholder={t('modes.editor.promptPlaceholder')}
+            multiline
+          />
+
+          <Text style={styles.label}>{t('modes.editor.captureLabel')}</Text>
+          <TextInput
+            style={styles.input}
+            value={captureLabel}
+            onChangeText={setCaptureLabel}
+            accessibilityLabel={t('modes.editor.captureLabelShort')}
+            placeholder={t('modes.editor.captureLabelPlaceholder')}
+          />
+
+          <Text style={styles.label}>{t('modes.editor.icon')}</Text>
+          <View style={styles.iconRow}>
+            {CUSTOM_MODE_ICONS.map((iconName) => (
+              <TouchableOpacity
+                key={iconName}
+                style={[styles.iconButton, icon === iconName && styles.iconButtonActive]}
+                onPress={() => setIcon(iconName)}
+                accessibilityRole="button"
+                accessibilityLabel={t('modes.editor.iconLabel', { name: iconName.replace(/-outline$/, '').replace(/-/g, ' ') })}
+                accessibilityState={{ selected: icon === iconName }}
+              >
+                <Ionicons name={iconName} size={22} color={icon === iconName ? '#ffffff' : '#4b5563'} />
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {error ? <Text style={styles.errorText} accessibilityLiveRegion="polite">{error}</Text> : null}
+
+          <View style={styles.actionRow}>
+            {mode && (
+              <TouchableOpacity style={[styles.actionButton, styles.deleteButton]} onPress={() => onDelete(mode.id)} accessibilityRole="button">
+                <Text style={styles.actionButtonText}>{t('modes.editor.delete')}</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={[styles.actionButton, styles.cancelButton]} onPress={onCancel} accessibilityRole="button">
+              <Text style={[styles.actionButtonText, styles.cancelButtonText]}>{t('modes.editor.cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.actionButton, styles.saveButton]} onPress={handleSave} accessibilityRole="button">
+              <Text style={styles.actionButtonText}>{t('modes.editor.save')}</Text>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: '#ffffff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+  },
+  sheetContent: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#1f2937', // dark gray
+    marginBottom: 15,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 5,
+  },
+  input: {
+    backgroundColor: '#f3f4f6',
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: '#1f2937',
+    marginBottom: 15,
+  },
+  promptInput: {
+    minHeight: 90,
+    textAlignVertical: 'top',
+  },
+  iconRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 15,
+  },
+  iconButton: {
+    backgroundColor: '#e5e7eb', // gray-200
+    borderRadius: 20,
+    padding: 10,
+  },
+  iconButtonActive: {
+    backgroundColor: '#3b82f6', // blue-500
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444', // red-500
+    marginBottom: 10,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+  },
+  actionButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+    borderRadius: 20,
+  },
+  actionButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  deleteButton: {
+    backgroundColor: '#dc2626', // red-600
+    marginRight: 'auto',
+  },
+  cancelButton: {
+    backgroundColor: '#e5e7eb', // gray-200
+  },
+  cancelButtonText: {
+    color: '#4b5563', // gray-700
+  },
+  saveButton: {
+    backgroundColor: '#2563eb', // blue-600
+  },
+});
@@ -0,0 +1,210 @@
+// Mode registry: built-in modes plus user-defined custom modes persisted on the device
+//
+// Every mode has the same shape:
+//   { id, label, icon, prompt, promptStyle, captureLabel, confirmation, builtIn }
+// and drives the mode buttons, the capture button label, the spoken confirmation,
+// the prompt sent to the vision model and the remote "mode" command. promptStyle is how the
+// answer's language is asked for (see localizePrompt in src/i18n); built-in labels are English
+// here and come from the message catalog through localizeModes.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { HAZARD_PROMPT } from '../navigation/hazards';
+import { buildFindPrompt } from '../find/finder';
+import { PRODUCT_LABEL_PROMPT } from '../product/products';
+import { t } from '../i18n';
+
+const CUSTOM_MODES_STORAGE_KEY = 'pathfinder.customModes';
+
+// Icons offered when creating a custom mode (Ionicons names)
+export const CUSTOM_MODE_ICONS = [
+  'star-outline',
+  'medkit-outline',
+  'bus-outline',
+  'pricetag-outline',
+  'restaurant-outline',
+  'shirt-outline',
+  'cash-outline',
+  'home-outline',
+];
+
+export const BUILT_IN_MODES = [
+  {
+    id: 'read',
+    label: 'Read',
+    icon: 'document-text-outline',
+    prompt: "Extract all readable text from this image. No extra commentary or explanation. Prioritize the most important text.",
+    promptStyle: 'transcribe',
+    captureLabel: 'Read Document',
+    confirmation: 'Mode set to Read. Tap "Read Document" to scan text.',
+    builtIn: true,
+  },
+  {
+    id: 'navigate',
+    label: 'Navigate',
+    icon: 'walk-outline',
+    prompt: HAZARD_PROMPT, // Structured JSON, see src/navigation/hazards.js
+    promptStyle: 'json',
+    captureLabel: 'Get Navigation Cues',
+    confirmation: 'Mode set to Navigate. Tap "Get Navigation Cues" for indoor guidance.',
+    builtIn: true,
+  },
+  {
+    id: 'passive',
+    label: 'Passive',
+    icon: 'eye-outline',
+    prompt: "Describe the scene briefly. Focus on elements that would be helpful for a visually impaired person to navigate or understand their surroundings. For example, if there's text, read it out. If there are obstacles, describe them. Be concise but informative.",
+    promptStyle: 'describe',
+    captureLabel: 'Describe Environment',
+    confirmation: 'Mode set to Passive. Tap "Describe Environment" for general descriptions.',
+    builtIn: true,
+  },
+  {
+    id: 'find',
+    label: 'Find',
+    icon: 'search-outline',
+    prompt: buildFindPrompt('the object the user is looking for'), // Rebuilt with the named target, see src/find/finder.js
+    promptStyle: 'json',
+    captureLabel: 'Start Search',
+    confirmation: 'Mode set to Find. Type or say what you are looking for, then tap "Start Search".',
+    builtIn: true,
+  },
+  {
+    id: 'product',
+    label: 'Product',
+    icon: 'barcode-outline',
+    prompt: PRODUCT_LABEL_PROMPT, // Used for unknown barcodes and "Read Label", see src/product/products.js
+    promptStyle: 'json',
+    captureLabel: 'Read Label',
+    confirmation: 'Mode set to Product. Point the camera at a barcode or QR code, or tap "Read Label".',
+    builtIn: true,
+  },
+];
+
+export const DEFAULT_MODE_ID = 'passive';
+
+/**
+ * Finds a mode by id or, case-insensitively, by label (so remote clients can say "Bus number").
+ * @param {Object[]} modes - All registered modes.
+ * @param {string} name - Mode id or label.
+ * @returns {Object|undefined} The mode, if any.
+ */
+export const findMode = (modes, name) => {
+  if (typeof name !== 'string') {
+    return undefined;
+  }
+  const wanted = name.trim().toLowerCase();
+  return modes.find((mode) => mode.id === wanted) ||
+    modes.find((mode) => mode.label.toLowerCase() === wanted);
+};
+
+/**
+ * Phrases the spoken confirmation of a custom mode.
+ * @param {string} label - The mode label.
+ * @param {string} captureLabel - The capture button text.
+ * @returns {string} e.g. 'Mode set to Bus number. Tap "Bus number" to capture.'
+ */
+const customConfirmation = (label, captureLabel) => t('modes.customConfirmation', { label, capture: captureLabel });
+
+/**
+ * Puts modes into the active language: built-in labels, capture labels and confirmations come
+ * from the message catalog, and custom modes keep the names the user gave them.
+ * @param {Object[]} modes - All registered modes.
+ * @returns {Object[]} The modes as shown and spoken.
+ */
+export const localizeModes = (modes) => modes.map((mode) => (mode.builtIn
+  ? {
+    ...mode,
+    label: t(`modes.${mode.id}.label`),
+    captureLabel: t(`modes.${mode.id}.captureLabel`),
+    confirmation: t(`modes.${mode.id}.confirmation`),
+  }
+  : { ...mode, promptStyle: mode.promptStyle || 'describe', confirmation: customConfirmation(mode.label, mode.captureLabel) }));
+
+/**
+ * Returns the mode with the given id, falling back to the default mode.
+ * @param {Object[]} modes - All registered modes.
+ * @param {string} modeId - The mode id.
+ * @returns {Object} The mode.
+ */
+export const getMode = (modes, modeId) =>
+  modes.find((mode) => mode.id === modeId) || modes.find((mode) => mode.id === DEFAULT_MODE_ID);
+
+/**
+ * Turns a label into an id that cannot clash with built-in modes.
+ * @param {string} label - The custom mode label.
+ * @returns {string} The id, e.g. 'custom-medication-label'.
+ */
+const idFromLabel = (label) =>
+  `custom-${label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'mode'}`;
+
+/**
+ * Validates and normalizes a custom mode definition.
+ * @param {Object} draft - Fields entered by the user.
+ * @param {string} draft.label - Button label, e.g. "Medication label".
+ * @param {string} draft.prompt - Prompt sent to the vision model.
+ * @param {string} [draft.icon] - Ionicons name.
+ * @param {string} [draft.captureLabel] - Capture button text.
+ * @param {string} [draft.id] - Existing id when editing.
+ * @param {Object[]} modes - All registered modes, used to reject duplicate names.
+ * @returns {Object} The custom mode.
+ */
+export const buildCustomMode = ({ id, label, prompt, icon, captureLabel }, modes) => {
+  const trimmedLabel = (label || '').trim();
+  const trimmedPrompt = (prompt || '').trim();
+  if (!trimmedLabel) {
+    throw new Error(t('modes.errors.nameRequired'));
+  }
+  if (!trimmedPrompt) {
+    throw new Error(t('modes.errors.promptRequired'));
+  }
+
+  const clash = findMode(modes, trimmedLabel);
+  if (clash && clash.id !== id) {
+    throw new Error(t('modes.errors.exists', { label: clash.label }));
+  }
+
+  let modeId = id || idFromLabel(trimmedLabel);
+  // Two labels can slug to the same id (e.g. "Bus #" and "Bus"); keep ids unique
+  for (let suffix = 2; !id && modes.some((mode) => mode.id === modeId); suffix++) {
+    modeId = `${idFromLabel(trimmedLabel)}-${suffix}`;
+  }
+
+  const capture = (captureLabel || '').trim() || trimmedLabel;
+  return {
+    id: modeId,
+    label: trimmedLabel,
+    icon: CUSTOM_MODE_ICONS.includes(icon) ? icon : CUSTOM_MODE_ICONS[0],
+    prompt: trimmedPrompt,
+    promptStyle: 'describe',
+    captureLabel: capture,
+    confirmation: customConfirmation(trimmedLabel, capture),
+    builtIn: false,
+  };
+};
+
+/**
+ * Loads the user's custom modes.
+ * @returns {Promise<Object[]>} The saved custom modes, or an empty list.
+ */
+export const loadCustomModes = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(CUSTOM_MODES_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed.filter((mode) => mode && mode.id && mode.label && mode.prompt) : [];
+  } catch (error) {
+    console.error('Error loading custom modes:', error);
+    return [];
+  }
+};
+
+/**
+ * Persists the user's custom modes.
+ * @param {Object[]} customModes - Custom modes to save (built-in modes are never stored).
+ * @returns {Promise<void>}
+ */
+export const saveCustomModes = async (customModes) => {
+  await AsyncStorage.setItem(
+    CUSTOM_MODES_STORAGE_KEY,
+    JSON.stringify(customModes.filter((mode) => !mode.builtIn))
+  );
+};
@@ -0,0 +1,61 @@
+import { detectNavigationChange, extractFeatures, textSimilarity } from '../changeDetector';
+import { setLocale } from '../../i18n';
+
+afterEach(() => {
+  setLocale('en');
+});
+
+describe('extractFeatures', () => {
+  it('finds features by their words, including phrases', () => {
+    setLocale('en');
+    expect(extractFeatures('A doorway ahead, stairs to the right.')).toEqual(['door', 'stairs']);
+    expect(extractFeatures('The corridor is a dead end.')).toEqual(['wall']);
+  });
+
+  it('finds and names features in Spanish', () => {
+    setLocale('es');
+    expect(extractFeatures('Hay una puerta al frente y un escalón a la derecha.')).toEqual(['puerta', 'escaleras']);
+    expect(extractFeatures('Cuidado, el suelo está mojado.')).toEqual(['peligro']);
+  });
+
+  it('finds and names features in Hindi', () => {
+    setLocale('hi');
+    expect(extractFeatures('सामने एक दरवाज़ा है और बाईं ओर सीढ़ियाँ हैं।')).toEqual(['दरवाज़ा', 'सीढ़ियाँ']);
+  });
+});
+
+describe('textSimilarity', () => {
+  it('ignores filler words', () => {
+    setLocale('en');
+    expect(textSimilarity('There is a chair.', 'A chair is there.')).toBe(1);
+  });
+
+  it('keeps accented words whole', () => {
+    setLocale('es');
+    expect(textSimilarity('Un sofá grande', 'Un sofá pequeño')).toBeCloseTo(1 / 3);
+  });
+
+  it('tells different Hindi descriptions apart', () => {
+    setLocale('hi');
+    expect(textSimilarity('सामने एक मेज़ है', 'बाईं ओर खिड़की खुली है')).toBe(0);
+    expect(textSimilarity('सामने एक मेज़ है', 'सामने एक मेज़ है')).toBe(1);
+  });
+});
+
+describe('detectNavigationChange', () => {
+  it('reports a newly appeared feature', () => {
+    setLocale('en');
+    expect(detectNavigationChange('A clear hallway.', 'A clear hallway with a door.'))
+      .toEqual({ changed: true, newFeatures: ['door'] });
+  });
+
+  it('stays quiet while the scene is the same', () => {
+    setLocale('en');
+    expect(detectNavigationChange('A chair on your left.', 'There is a chair on the left.').changed).toBe(false);
+  });
+
+  it('notices a new Hindi scene', () => {
+    setLocale('hi');
+    expect(detectNavigationChange('सामने खुला गलियारा है', 'बाईं ओर खिड़की खुली है').changed).toBe(true);
+  });
+});
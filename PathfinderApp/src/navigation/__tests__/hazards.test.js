@@ -0,0 +1,80 @@
+import { createHazardStream, parseHazardResponse, formatHazardsForSpeech } from '../hazards';
+import { setLocale } from '../../i18n';
+
+const RESPONSE = JSON.stringify({
+  hazards: [
+    { type: 'chair', direction: 'left', distance_steps: 4, severity: 'medium' },
+    { type: 'plant', direction: '2 o\'clock', distance_steps: 6, severity: 'low' },
+    { type: 'stairs down', direction: 12, distance_steps: 2, severity: 'high' },
+    { type: 'table', direction: 'right', distance_steps: 2, severity: 'medium' },
+  ],
+  clear_path: 'Walk slightly left.',
+});
+
+/**
+ * Streams a response in small pieces and collects what is spoken.
+ * @param {string} text - The whole response.
+ * @returns {{phrases: string[], stream: Object}} The phrases in speaking order and the stream.
+ */
+const streamInPieces = (text) => {
+  const phrases = [];
+  const stream = createHazardStream((phrase) => phrases.push(phrase));
+  for (let i = 0; i < text.length; i += 7) {
+    stream.push(text.slice(i, i + 7));
+  }
+  return { phrases, stream };
+};
+
+beforeAll(() => setLocale('en'));
+
+describe('createHazardStream', () => {
+  it('speaks a high severity hazard before the list closes', () => {
+    const phrases = [];
+    const stream = createHazardStream((phrase) => phrases.push(phrase));
+    stream.push('{"hazards": [{"type": "stairs down", "direction": 12, "distance_steps": 2, "severity": "high"},');
+    expect(phrases).toEqual(["Caution: stairs down, 12 o'clock, 2 steps ahead."]);
+  });
+
+  it('holds lower severities back until the list closes', () => {
+    const phrases = [];
+    const stream = createHazardStream((phrase) => phrases.push(phrase));
+    stream.push('{"hazards": [{"type": "chair", "direction": "left", "distance_steps": 4, "severity": "medium"},');
+    expect(phrases).toEqual([]);
+    stream.push(' {"type": "door", "direction": "right", "distance_steps": 1, "severity": "medium"}]');
+    expect(phrases).toEqual(['Door, right, 1 step ahead.', 'Chair, left, 4 steps ahead.']);
+  });
+
+  it('holds later high severity hazards back so they are spoken closest first', () => {
+    const phrases = [];
+    const stream = createHazardStream((phrase) => phrases.push(phrase));
+    stream.push('{"hazards": [{"type": "car", "direction": "left", "distance_steps": 9, "severity": "high"},');
+    stream.push(' {"type": "bicycle", "direction": "right", "distance_steps": 5, "severity": "medium"},');
+    stream.push(' {"type": "hole", "direction": 12, "distance_steps": 3, "severity": "high"},');
+    stream.push(' {"type": "curb", "direction": 12, "distance_steps": 1, "severity": "high"},');
+    expect(phrases).toEqual(['Caution: car, left, 9 steps ahead.']);
+    stream.push(' ]}');
+    expect(phrases).toEqual([
+      'Caution: car, left, 9 steps ahead.',
+      "Caution: curb, 12 o'clock, 1 step ahead.",
+      "Caution: hole, 12 o'clock, 3 steps ahead.",
+      'Bicycle, right, 5 steps ahead.',
+    ]);
+  });
+
+  it('speaks most severe first whatever order the model used', () => {
+    const { phrases, stream } = streamInPieces(RESPONSE);
+    expect(phrases).toEqual([
+      "Caution: stairs down, 12 o'clock, 2 steps ahead.",
+      'Table, right, 2 steps ahead.',
+      'Chair, left, 4 steps ahead.',
+      "Plant, 2 o'clock, 6 steps ahead.",
+    ]);
+    expect(stream.remainder(parseHazardResponse(RESPONSE))).toBe('Clear path: Walk slightly left.');
+  });
+
+  it('says the same as the non-streamed phrasing', () => {
+    const { phrases, stream } = streamInPieces(RESPONSE);
+    const streamed = [...phrases, stream.remainder(parseHazardResponse(RESPONSE))].join(' ');
+    expect(streamed).toBe(formatHazardsForSpeech(parseHazardResponse(RESPONSE)));
+  });
+});
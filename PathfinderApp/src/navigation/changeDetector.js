@@ -0,0 +1,77 @@
+// Compares consecutive navigation descriptions so continuous mode only speaks when the scene changes
+
+import { t } from '../i18n';
+
+// Features worth announcing when they appear; their names and the words that indicate them
+// come from the active language's catalog
+const NAVIGATION_FEATURES = ['door', 'stairs', 'levelChange', 'obstacle', 'furniture', 'person', 'elevator', 'wall', 'hazard'];
+
+/**
+ * Splits text into lower case word tokens. Letters and combining marks both count, so
+ * accented Spanish words and Devanagari vowel signs stay inside their words.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} The tokens.
+ */
+const tokenize = (text) => (text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+
+/**
+ * Reads a comma separated word list from the catalog, tokenized the same way as descriptions.
+ * @param {string} key - Catalog key of the list.
+ * @returns {string[]} The words or phrases.
+ */
+const wordList = (key) => t(key).split(',').map((word) => tokenize(word).join(' ')).filter(Boolean);
+
+/**
+ * Lists the navigation features mentioned in a description.
+ * @param {string} text - A navigation description.
+ * @returns {string[]} Feature names in the active language, e.g. ['door', 'stairs'].
+ */
+export const extractFeatures = (text) => {
+  const lower = ` ${tokenize(text).join(' ')} `;
+  return NAVIGATION_FEATURES
+    .filter((feature) => wordList(`continuous.features.${feature}.words`).some((word) => lower.includes(` ${word} `)))
+    .map((feature) => t(`continuous.features.${feature}.label`));
+};
+
+/**
+ * Jaccard similarity between the content words of two descriptions.
+ * @param {string} a - First description.
+ * @param {string} b - Second description.
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (same words).
+ */
+export const textSimilarity = (a, b) => {
+  const stopWords = new Set(wordList('continuous.stopWords'));
+  const wordsA = new Set(tokenize(a).filter((word) => !stopWords.has(word)));
+  const wordsB = new Set(tokenize(b).filter((word) => !stopWords.has(word)));
+  if (wordsA.size === 0 && wordsB.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Decides whether a new navigation description is worth speaking.
+ * A change is meaningful when a navigation feature appears that was not in the previous
+ * description, or when the wording has drifted far enough to suggest a different scene.
+ * @param {string|null} previous - The last announced description, or null on the first frame.
+ * @param {string} next - The new description.
+ * @param {Object} [options] - Detection options.
+ * @param {number} [options.similarityThreshold] - Below this similarity the scene counts as changed.
+ * @returns {{changed: boolean, newFeatures: string[]}} The decision and any newly appeared features.
+ */
+export const detectNavigationChange = (previous, next, { similarityThreshold = 0.35 } = {}) => {
+  const nextFeatures = extractFeatures(next);
+  if (!previous) {
+    return { changed: true, newFeatures: nextFeatures };
+  }
+
+  const previousFeatures = extractFeatures(previous);
+  const newFeatures = nextFeatures.filter((feature) => !previousFeatures.includes(feature));
+  const changed = newFeatures.length > 0 || textSimilarity(previous, next) < similarityThreshold;
+
+  return { changed, newFeatures };
+};
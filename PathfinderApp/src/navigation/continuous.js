@@ -0,0 +1,96 @@
+// Continuous navigation: Navigate mode captures on an interval, hands free, and only speaks when
+// the scene has meaningfully changed since the last announcement (see ./changeDetector)
+//
+//   const navigation = createContinuousNavigation({ machine, begin, capture, cancelCapture, ... });
+//   navigation.start();           // "Continuous navigation started. Capturing every 4 seconds."
+//   navigation.cycleInterval();   // 2, 4, 6 or 10 seconds between captures
+
+import { createCaptureLoop } from '../app/captureLoop';
+import { APP_EVENTS, LOOPS } from '../app/stateMachine';
+import { SPEECH_PRIORITY } from '../speech/speechManager';
+import { detectNavigationChange } from './changeDetector';
+import { isHazardAlert } from './hazards';
+import { t, formatList } from '../i18n';
+
+// Capture intervals offered, in milliseconds
+export const CONTINUOUS_INTERVALS_MS = [2000, 4000, 6000, 10000];
+
+// Once the daily budget of vision requests is used up, captures slow down to at most one per this long
+const OVER_BUDGET_INTERVAL_MS = 10000;
+
+/**
+ * Creates continuous navigation.
+ * @param {Object} options - Navigation options.
+ * @param {Object} options.machine - The app state machine.
+ * @param {Function} options.begin - Claims the app for the loop, see createCaptureLoop.
+ * @param {Function} options.capture - Captures and describes a frame without speaking it, see
+ *   createProcessor; resolves with the description or null.
+ * @param {Function} options.cancelCapture - Aborts the in-flight capture.
+ * @param {Function} options.getFrameIssue - The quality issue of the last rejected frame, or null.
+ * @param {Function} options.isOverBudget - Whether the daily budget of vision requests is used up.
+ * @param {Object} options.announcer - speak and updateMessage, see src/speech/announcer.js.
+ * @returns {{start: Function, stop: Function, isActive: Function, cycleInterval: Function, getIntervalMs: Function}}
+ */
+export const createContinuousNavigation = ({ machine, begin, capture, cancelCapture, getFrameIssue, isOverBudget, announcer }) => {
+  const { speak, updateMessage } = announcer;
+  let intervalMs = CONTINUOUS_INTERVALS_MS[1];
+
+  const loop = createCaptureLoop({
+    loop: LOOPS.CONTINUOUS,
+    machine,
+    begin,
+    cancelCapture,
+    updateMessage,
+    stoppedMessage: () => t('continuous.stopped'),
+    step: async (run) => {
+      if (!machine.can(APP_EVENTS.CAPTURE)) {
+        return intervalMs; // Another capture is still winding down
+      }
+      const description = await capture({ announce: false, mode: 'navigate' });
+      if (!run.active) {
+        return intervalMs; // Stopped while the request was in flight; drop the result
+      }
+
+      if (description) {
+        const { changed, newFeatures } = detectNavigationChange(run.lastAnnounced, description);
+        if (changed) {
+          const prefix = run.lastAnnounced && newFeatures.length > 0 ? `${t('continuous.newFeatures', { features: formatList(newFeatures) })} ` : '';
+          run.lastAnnounced = description;
+          speak(prefix + description, isHazardAlert(description) ? SPEECH_PRIORITY.HAZARD : SPEECH_PRIORITY.ANSWER);
+        }
+      }
+      loop.recordResult(run, Boolean(description || getFrameIssue()), t('continuous.stoppedAfterErrors'));
+      return isOverBudget() ? Math.max(intervalMs, OVER_BUDGET_INTERVAL_MS) : intervalMs;
+    },
+  });
+
+  /**
+   * Starts capturing on the interval; the first capture is announced whatever it shows.
+   * @returns {boolean} Whether it started.
+   */
+  const start = () => {
+    if (loop.isActive() || !loop.start({ lastAnnounced: null })) {
+      return false;
+    }
+    updateMessage(t('continuous.started', { seconds: intervalMs / 1000 }), true);
+    return true;
+  };
+
+  /**
+   * Switches to the next capture interval; a running loop uses it from its next capture.
+   * @returns {number} The new interval in milliseconds.
+   */
+  const cycleInterval = () => {
+    intervalMs = CONTINUOUS_INTERVALS_MS[(CONTINUOUS_INTERVALS_MS.indexOf(intervalMs) + 1) % CONTINUOUS_INTERVALS_MS.length];
+    updateMessage(t('continuous.interval', { seconds: intervalMs / 1000 }), true);
+    return intervalMs;
+  };
+
+  return {
+    start,
+    stop: loop.stop,
+    isActive: loop.isActive,
+    cycleInterval,
+    getIntervalMs: () => intervalMs,
+  };
+};
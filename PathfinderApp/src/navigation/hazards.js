@@ -0,0 +1,285 @@
+// Structured hazard output for Navigate mode: prompt, validation, speech phrasing, and picking
+// hazards out of a response that is still streaming in
+
+import { t } from '../i18n';
+
+// Prompt asking the model for hazards as JSON instead of free prose
+export const HAZARD_PROMPT = `You are guiding a visually impaired person walking indoors. List the objects, obstacles and features in this image that matter for walking safely, such as doors, stairs, changes in floor level, furniture, people and clear paths.
+Respond with JSON only, no markdown, matching this schema:
+{"hazards": [{"type": string, "direction": string, "distance_steps": number, "severity": "high" | "medium" | "low"}], "clear_path": string | null}
+- "type" is a short noun phrase, e.g. "stairs down", "open door", "chair".
+- "direction" is a clock position from the person's point of view ("10 o'clock" to "2 o'clock", where "12 o'clock" is straight ahead) or one of "left", "center", "right".
+- "distance_steps" is the approximate distance in walking steps (one step is about 0.75 meters).
+- "severity" is "high" for anything that could cause a fall or collision within a few steps, "medium" for obstacles further away, and "low" for useful landmarks.
+- "clear_path" briefly says where it is safe to walk, or null if nothing is clear.
+- List the hazards most severe and closest first.`;
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+const SIDE_DIRECTIONS = ['left', 'center', 'right'];
+const MAX_SPOKEN_HAZARDS = 5;
+
+/**
+ * Normalizes a direction to "N o'clock" or left/center/right.
+ * @param {string|number} direction - Direction as given by the model.
+ * @returns {string|null} The normalized direction, or null if it is not recognised.
+ */
+const normalizeDirection = (direction) => {
+  if (typeof direction === 'number') {
+    return Number.isInteger(direction) && direction >= 1 && direction <= 12 ? `${direction} o'clock` : null;
+  }
+  if (typeof direction !== 'string') {
+    return null;
+  }
+  const lower = direction.trim().toLowerCase();
+  if (SIDE_DIRECTIONS.includes(lower)) {
+    return lower;
+  }
+  if (lower === 'centre' || lower === 'ahead' || lower === 'straight ahead') {
+    return 'center';
+  }
+  const clock = lower.match(/^(\d{1,2})(\s*o'?\s*clock)?$/);
+  if (clock && Number(clock[1]) >= 1 && Number(clock[1]) <= 12) {
+    return `${Number(clock[1])} o'clock`;
+  }
+  return null;
+};
+
+/**
+ * Validates one hazard entry.
+ * @param {Object} hazard - The raw entry from the model.
+ * @returns {Object|null} The cleaned hazard, or null if it is unusable.
+ */
+const validateHazard = (hazard) => {
+  if (!hazard || typeof hazard !== 'object' || typeof hazard.type !== 'string' || !hazard.type.trim()) {
+    return null;
+  }
+  const direction = normalizeDirection(hazard.direction);
+  const severity = typeof hazard.severity === 'string' ? hazard.severity.trim().toLowerCase() : '';
+  if (!direction || !(severity in SEVERITY_ORDER)) {
+    return null;
+  }
+  const distance = Number(hazard.distance_steps);
+  return {
+    type: hazard.type.trim(),
+    direction,
+    distanceSteps: Number.isFinite(distance) && distance >= 0 ? Math.round(distance) : null,
+    severity,
+  };
+};
+
+/**
+ * Orders hazards most severe first, and closest first within a severity.
+ * @param {Object} a - A validated hazard.
+ * @param {Object} b - Another validated hazard.
+ * @returns {number} Negative if a comes first.
+ */
+const compareHazards = (a, b) =>
+  SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+  (a.distanceSteps ?? Infinity) - (b.distanceSteps ?? Infinity);
+
+/**
+ * Parses and validates the model's JSON hazard response. Models sometimes wrap JSON in
+ * markdown code fences, so those are stripped first.
+ * @param {string} text - Raw model output.
+ * @returns {{hazards: Object[], clearPath: string|null}|null} Hazards sorted most severe and
+ *   closest first, or null if the response is not valid hazard JSON.
+ */
+export const parseHazardResponse = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+  if (!parsed || !Array.isArray(parsed.hazards)) {
+    return null;
+  }
+
+  const hazards = parsed.hazards.map(validateHazard).filter(Boolean);
+  if (parsed.hazards.length > 0 && hazards.length === 0) {
+    return null; // Every entry was malformed
+  }
+
+  hazards.sort(compareHazards);
+
+  return {
+    hazards,
+    clearPath: typeof parsed.clear_path === 'string' && parsed.clear_path.trim() ? parsed.clear_path.trim() : null,
+  };
+};
+
+/**
+ * Phrases a normalized direction in the active language.
+ * @param {string} direction - "N o'clock", or left/center/right.
+ * @returns {string} The spoken direction.
+ */
+const phraseDirection = (direction) => (SIDE_DIRECTIONS.includes(direction)
+  ? t(`hazards.directions.${direction}`)
+  : t('hazards.clock', { hour: parseInt(direction, 10) }));
+
+/**
+ * Phrases one hazard, e.g. "Caution: stairs down, 12 o'clock, 2 steps ahead."
+ * Speech opening with hazards.cautionPrefix is a safety alert, see isHazardAlert.
+ * @param {Object} hazard - A validated hazard.
+ * @returns {string} The spoken phrase.
+ */
+const phraseHazard = (hazard) => {
+  const type = hazard.type.charAt(0).toUpperCase() + hazard.type.slice(1);
+  const parts = [
+    hazard.severity === 'high' ? `${t('hazards.cautionPrefix')} ${hazard.type}` : type,
+    phraseDirection(hazard.direction),
+  ];
+  if (hazard.distanceSteps === 0) {
+    parts.push(t('hazards.withinReach'));
+  } else if (hazard.distanceSteps !== null) {
+    parts.push(t('hazards.stepsAhead', { count: hazard.distanceSteps }));
+  }
+  return `${parts.join(', ')}.`;
+};
+
+/**
+ * Tells whether two validated hazards describe the same thing.
+ * @param {Object} a - A hazard.
+ * @param {Object} b - Another hazard.
+ * @returns {boolean} True if they match.
+ */
+const isSameHazard = (a, b) => a.type === b.type && a.direction === b.direction && a.severity === b.severity;
+
+/**
+ * Phrases the hazards that have not been spoken yet, most severe first, within the overall limit.
+ * @param {{hazards: Object[], clearPath: string|null}} result - Output of parseHazardResponse.
+ * @param {Object[]} spoken - Hazards already spoken while the response was streaming.
+ * @returns {string} The text to speak; empty when the streamed phrases already said everything.
+ */
+const phraseRemainingHazards = ({ hazards, clearPath }, spoken) => {
+  const unspoken = hazards.filter((hazard) => !spoken.some((done) => isSameHazard(done, hazard)));
+  const sentences = unspoken.slice(0, Math.max(0, MAX_SPOKEN_HAZARDS - spoken.length)).map(phraseHazard);
+  const left = unspoken.length - sentences.length;
+  if (left > 0) {
+    sentences.push(t('hazards.moreItems', { count: left }));
+  }
+  if (clearPath) {
+    sentences.push(t('hazards.clearPath', { path: clearPath.replace(/\.$/, '') }));
+  }
+  if (sentences.length === 0 && spoken.length === 0) {
+    return t('hazards.nothingNearby');
+  }
+  return sentences.join(' ');
+};
+
+/**
+ * Turns parsed hazards into short, consistently phrased speech, most severe first.
+ * @param {{hazards: Object[], clearPath: string|null}} result - Output of parseHazardResponse.
+ * @returns {string} The text to speak.
+ */
+export const formatHazardsForSpeech = (result) => phraseRemainingHazards(result, []);
+
+/**
+ * Picks hazards out of the JSON response while it is still streaming in. The first high severity
+ * hazard is spoken as soon as its object closes, so an alert never waits for the rest of the list;
+ * every other hazard is held back until the list closes and then spoken most severe and closest
+ * first, so apart from that first alert the order never depends on the model's. Up to the same
+ * limit as formatHazardsForSpeech; remainder() adds what the finished response says beyond them.
+ * @param {Function} onPhrase - Called with (phrase, hazard) for each valid hazard.
+ * @returns {{push: Function, remainder: Function}} push(delta) adds text; remainder(result)
+ *   phrases the rest of the parsed response.
+ */
+export const createHazardStream = (onPhrase) => {
+  const spoken = [];
+  const held = []; // Hazards after the first high severity one, waiting for the list to close
+  let text = '';
+  let index = -1; // Scan position inside the hazards array, once it has been found
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+  let finished = false;
+
+  const say = (hazard) => {
+    if (spoken.length < MAX_SPOKEN_HAZARDS) {
+      spoken.push(hazard);
+      onPhrase(phraseHazard(hazard), hazard);
+    }
+  };
+
+  const handleObject = (json) => {
+    let hazard = null;
+    try {
+      hazard = validateHazard(JSON.parse(json));
+    } catch (error) {
+      // A malformed entry is skipped here; the full parse at the end decides what it was
+    }
+    if (!hazard) {
+      return;
+    }
+    if (hazard.severity === 'high' && spoken.length === 0) {
+      say(hazard); // Later high severity hazards may be closer, so they wait to be sorted
+    } else {
+      held.push(hazard);
+    }
+  };
+
+  // Once the list is complete nothing more severe can follow
+  const releaseHeld = () => {
+    held.sort(compareHazards).forEach(say);
+    held.length = 0;
+  };
+
+  const scan = () => {
+    for (; index < text.length && !finished; index++) {
+      const char = text[index];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth === 0) {
+          objectStart = index;
+        }
+        depth += 1;
+      } else if (char === '}') {
+        depth -= 1;
+        if (depth === 0) {
+          handleObject(text.slice(objectStart, index + 1));
+        }
+      } else if (char === ']' && depth === 0) {
+        finished = true;
+        releaseHeld();
+      }
+    }
+  };
+
+  return {
+    push: (delta) => {
+      text += delta;
+      if (index === -1) {
+        const start = text.match(/"hazards"\s*:\s*\[/);
+        if (!start) {
+          return;
+        }
+        index = start.index + start[0].length;
+      }
+      scan();
+    },
+    remainder: (result) => phraseRemainingHazards(result, spoken),
+  };
+};
+
+/**
+ * Tells whether formatted navigation speech leads with a high severity hazard.
+ * Hazards are sorted most severe first, so only the opening needs checking.
+ * @param {string} text - Output of formatHazardsForSpeech, or prose.
+ * @returns {boolean} True when the text should be spoken as a hazard alert.
+ */
+export const isHazardAlert = (text) => typeof text === 'string' && text.startsWith(t('hazards.cautionPrefix'));
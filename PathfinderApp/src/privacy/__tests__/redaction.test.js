@@ -0,0 +1,91 @@
+import { findSensitive, redactSensitive } from '../redaction';
+
+describe('redactSensitive', () => {
+  describe('cards', () => {
+    it('masks a card number printed in groups', () => {
+      expect(redactSensitive('Card 4111 1111 1111 1111')).toBe('Card [card ending 1111]');
+      expect(redactSensitive('Card 4111-1111-1111-1111')).toBe('Card [card ending 1111]');
+    });
+
+    it('masks an unbroken card number', () => {
+      expect(redactSensitive('Number 4111111111111111.')).toBe('Number [card ending 1111].');
+    });
+
+    it('leaves a following expiry date out of the card number', () => {
+      expect(redactSensitive('Card 4111 1111 1111 1111 12/27')).toBe('Card [card ending 1111] 12/27');
+      expect(redactSensitive('4111111111111111 exp 12 27')).toBe('[card ending 1111] exp 12 27');
+    });
+
+    it('masks American Express grouping', () => {
+      expect(redactSensitive('Amex 3782 822463 10005')).toBe('Amex [card ending 0005]');
+    });
+
+    it('leaves barcodes that pass the Luhn check alone', () => {
+      expect(redactSensitive('EAN 5901234123457')).toBe('EAN 5901234123457');
+      expect(redactSensitive('Code 4006381333932 and 12345678901237')).toBe('Code 4006381333932 and 12345678901237');
+    });
+
+    it('leaves numbers that fail the Luhn check alone', () => {
+      expect(redactSensitive('Order 4111 1111 1111 1112')).toBe('Order 4111 1111 1111 1112');
+    });
+  });
+
+  describe('accounts', () => {
+    it('masks numbers introduced as an account number', () => {
+      expect(redactSensitive('Account no: 12345678')).toBe('[account ending 5678]');
+      expect(redactSensitive('Número de cuenta 0049 1500 0512')).toBe('Número de [account ending 0512]');
+    });
+
+    it('leaves other numbers of the same length alone', () => {
+      expect(redactSensitive('Invoice 12345678')).toBe('Invoice 12345678');
+    });
+  });
+
+  describe('IBANs', () => {
+    it('masks an IBAN with a valid check', () => {
+      expect(redactSensitive('IBAN GB82 WEST 1234 5698 7654 32')).toBe('IBAN [iban ending 5432]');
+      expect(redactSensitive('DE89370400440532013000')).toBe('[iban ending 3000]');
+    });
+
+    it('leaves an IBAN with a wrong check alone', () => {
+      expect(redactSensitive('GB83 WEST 1234 5698 7654 32')).toBe('GB83 WEST 1234 5698 7654 32');
+    });
+  });
+
+  describe('social security numbers', () => {
+    it('masks a well formed number', () => {
+      expect(redactSensitive('SSN 123-45-6789')).toBe('SSN [ssn ending 6789]');
+    });
+
+    it('leaves numbers that cannot be issued alone', () => {
+      expect(redactSensitive('000-12-3456 666-12-3456 123-00-4567')).toBe('000-12-3456 666-12-3456 123-00-4567');
+    });
+  });
+
+  describe('Aadhaar numbers', () => {
+    it('masks a number with a valid Verhoeff check', () => {
+      expect(redactSensitive('Aadhaar 2341 2341 2346')).toBe('Aadhaar [aadhaar ending 2346]');
+    });
+
+    it('leaves a number with a wrong check alone', () => {
+      expect(redactSensitive('Aadhaar 2341 2341 2345')).toBe('Aadhaar 2341 2341 2345');
+    });
+  });
+
+  it('leaves phone numbers, prices and dates alone', () => {
+    const text = 'Call 555-123-4567 before 12/27, total 1,299.00';
+    expect(redactSensitive(text)).toBe(text);
+  });
+
+  it('passes through anything that is not a string', () => {
+    expect(redactSensitive(undefined)).toBeUndefined();
+  });
+});
+
+describe('findSensitive', () => {
+  it('reports where each value is and its last four characters', () => {
+    expect(findSensitive('Card 4111 1111 1111 1111')).toEqual([
+      { type: 'card', start: 5, end: 24, value: '4111 1111 1111 1111', last: '1111' },
+    ]);
+  });
+});
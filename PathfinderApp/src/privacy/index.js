@@ -0,0 +1,13 @@
+// Privacy: sensitive numbers masked in the active language, on top of the rules in ./redaction
+
+import { t } from '../i18n';
+import { redactSensitive } from './redaction';
+
+/**
+ * Replaces card, bank account and identity numbers with a short phrase naming what was hidden,
+ * e.g. "Card 4111 1111 1111 1111" becomes "Card [card number ending 1111]".
+ * @param {string} text - The text; anything that is not a string is returned as is.
+ * @returns {string} The masked text.
+ */
+export const maskSensitive = (text) =>
+  redactSensitive(text, (match) => t(`privacy.masked.${match.type}`, { last: match.last }));
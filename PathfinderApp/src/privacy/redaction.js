@@ -0,0 +1,218 @@
+// Detection and masking of sensitive numbers in recognized text: payment cards, bank accounts and
+// national identity numbers
+//
+// Text is redacted before it is logged, stored or sent to a remote client, and before it is shown
+// or spoken when the user chose to mask these values. Plain functions with no app imports, so the
+// rules can be tested on their own:
+//   findSensitive('Card 4111 1111 1111 1111');   // [{ type: 'card', start: 5, end: 24, value: '4111 1111 1111 1111', last: '1111' }]
+//   redactSensitive('Card 4111 1111 1111 1111'); // 'Card [card ending 1111]'
+// Checksums are verified wherever the format has one, so ordinary numbers such as prices,
+// phone numbers and dates are left alone.
+
+/**
+ * Luhn check used by payment card numbers.
+ * @param {string} digits - Digits only.
+ * @returns {boolean} Whether the check digit matches.
+ */
+export const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Issuer prefixes and the lengths each card network issues, for card numbers printed without groups
+const CARD_NETWORKS = [
+  { prefix: /^4/, lengths: [16, 19] }, // Visa
+  { prefix: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16] }, // Mastercard
+  { prefix: /^3[47]/, lengths: [15] }, // American Express
+  { prefix: /^3(?:0[0-5]|[689])/, lengths: [14, 15, 16, 17, 18, 19] }, // Diners Club
+  { prefix: /^35(?:2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19] }, // JCB
+  { prefix: /^(?:6011|64[4-9]|65|62)/, lengths: [16, 17, 18, 19] }, // Discover and UnionPay
+];
+
+/**
+ * Whether an unbroken run of digits starts and ends like a card a network issues. Without the
+ * printed groups, a Luhn check alone would also take about one in ten EAN-13 barcodes for a card.
+ * @param {string} digits - Digits only.
+ * @returns {boolean} Whether a card network issues numbers like it.
+ */
+export const hasCardPrefix = (digits) => CARD_NETWORKS.some(
+  ({ prefix, lengths }) => prefix.test(digits) && lengths.includes(digits.length),
+);
+
+/**
+ * ISO 13616 check of an IBAN: mod 97 of the rearranged number must be 1.
+ * @param {string} iban - Letters and digits only, upper case.
+ * @returns {boolean} Whether the check digits match.
+ */
+export const passesIbanCheck = (iban) => {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55); // A = 10 ... Z = 35
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+// Verhoeff tables, for the check digit of Aadhaar numbers
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+/**
+ * Verhoeff check used by Aadhaar numbers.
+ * @param {string} digits - Digits only.
+ * @returns {boolean} Whether the check digit matches.
+ */
+export const passesVerhoeff = (digits) => {
+  let check = 0;
+  for (let i = 0; i < digits.length; i++) {
+    check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[i % 8][Number(digits[digits.length - 1 - i])]];
+  }
+  return check === 0;
+};
+
+// Control letters of Spanish DNI and NIE numbers, indexed by the number mod 23
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+/**
+ * Checks the control letter of a Spanish DNI or NIE.
+ * @param {string} id - Letters and digits only, upper case, e.g. '12345678Z' or 'X1234567L'.
+ * @returns {boolean} Whether the letter matches.
+ */
+export const passesDniCheck = (id) => {
+  const number = id.slice(0, -1).replace(/^[XYZ]/, (letter) => String('XYZ'.indexOf(letter)));
+  return DNI_LETTERS[Number(number) % 23] === id.slice(-1);
+};
+
+const alphanumeric = (value) => value.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+
+// Each rule finds candidates with a pattern and confirms them with a check, most specific first:
+// where two matches overlap, the one from the earlier rule wins.
+//   type     - what was found, also the key of its masked phrase
+//   pattern  - global regular expression; the whole match is masked
+//   validate - optional check on the letters and digits of the match, also given the match as written
+export const REDACTION_RULES = [
+  {
+    // Unbroken, or in the groups cards are printed in (4-4-4-4, 4-4-4-4-3, 4-6-5 and 4-6-4), so a
+    // following expiry date or other number is not taken into the card number
+    type: 'card',
+    pattern: /\b(?:\d{13,19}|\d{4}([ -])\d{4}\1\d{4}\1\d{4}(?:\1\d{3})?|\d{4}([ -])\d{6}\2\d{4,5})\b/g,
+    validate: (digits, written) => passesLuhn(digits) && (written !== digits || hasCardPrefix(digits)),
+  },
+  {
+    type: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]){11,30}\b/g,
+    validate: (value) => passesIbanCheck(value),
+  },
+  {
+    // Only numbers introduced as an account number; on their own they look like any other number
+    type: 'account',
+    pattern: /(?:account|acct|a\/c|cuenta|खाता)(?:\s*(?:no\.?|number|num\.?|#|n\.?º|número|संख्या|नंबर))?\s*[:.]?\s*\d(?:[ -]?\d){5,29}\b/gi,
+  },
+  {
+    type: 'ssn',
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+  },
+  {
+    type: 'nationalInsurance',
+    pattern: /\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+  },
+  {
+    type: 'aadhaar',
+    pattern: /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g,
+    validate: (value) => passesVerhoeff(value),
+  },
+  {
+    type: 'pan',
+    pattern: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/g,
+  },
+  {
+    type: 'dni',
+    pattern: /\b[XYZ]?\d{7,8}[ -]?[A-Z]\b/g,
+    validate: (value) => (/^(\d{8}|[XYZ]\d{7})[A-Z]$/.test(value) && passesDniCheck(value)),
+  },
+];
+
+/**
+ * Finds every sensitive value in a text.
+ * @param {string} text - The text.
+ * @param {Object[]} [rules] - The rules to apply; REDACTION_RULES by default.
+ * @returns {Array<{type: string, start: number, end: number, value: string, last: string}>} The
+ *   matches in text order, never overlapping. last is the final four letters or digits of the value.
+ */
+export const findSensitive = (text, rules = REDACTION_RULES) => {
+  if (typeof text !== 'string' || !text) {
+    return [];
+  }
+  const found = [];
+  rules.forEach((rule) => {
+    const pattern = new RegExp(rule.pattern.source, rule.pattern.flags);
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const compact = alphanumeric(match[0]);
+      const overlaps = found.some((other) => start < other.end && end > other.start);
+      if (!overlaps && (!rule.validate || rule.validate(compact, match[0]))) {
+        found.push({ type: rule.type, start, end, value: match[0], last: compact.slice(-4) });
+      }
+    }
+  });
+  return found.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * The default replacement, e.g. '[card ending 1111]'.
+ * @param {Object} match - A match from findSensitive.
+ * @returns {string} The replacement.
+ */
+const defaultMask = (match) => `[${match.type} ending ${match.last}]`;
+
+/**
+ * Replaces every sensitive value in a text.
+ * @param {string} text - The text.
+ * @param {Function} [replace] - Called with each match from findSensitive, returns its replacement.
+ * @returns {string} The redacted text; anything that is not a string is returned as is.
+ */
+export const redactSensitive = (text, replace = defaultMask) => {
+  const matches = findSensitive(text);
+  if (matches.length === 0) {
+    return text;
+  }
+  let redacted = '';
+  let cursor = 0;
+  matches.forEach((match) => {
+    redacted += text.slice(cursor, match.start) + replace(match);
+    cursor = match.end;
+  });
+  return redacted + text.slice(cursor);
+};
@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ScrollView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { t } from '../i18n';
+
+/**
+ * Lists the products saved for Product mode and lets the user add, edit and delete them.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.visible - Whether the screen is shown.
+ * @param {Object[]} props.products - Saved products, most recently saved first.
+ * @param {Object|null} props.draft - { code, name, details } to prefill the form with, e.g. from the last unknown scan.
+ * @param {Function} props.onSave - Called with the form fields; may throw to show a validation message.
+ * @param {Function} props.onDelete - Called with a product code.
+ * @param {Function} props.onSpeak - Called with a product to speak it.
+ * @param {Function} props.onClose - Called when the screen is dismissed.
+ */
+export default function ProductScreen({ visible, products, draft, onSave, onDelete, onSpeak, onClose }) {
+  const [code, setCode] = useState('');
+  const [name, setName] = useState('');
+  const [details, setDetails] = useState('');
+  const [editing, setEditing] = useState(false); // Editing a saved product, so its code is fixed
+  const [error, setError] = useState('');
+
+  /**
+   * Fills the form.
+   * @param {Object|null} product - Fields to show, or null for an empty form.
+   * @param {boolean} saved - Whether the product is already saved.
+   */
+  const fillForm = (product, saved) => {
+    setCode(product ? product.code : '');
+    setName(product ? product.name : '');
+    setDetails(product ? product.details : '');
+    setEditing(saved);
+    setError('');
+  };
+
+  // Start from the draft whenever the screen opens
+  useEffect(() => {
+    if (visible) {
+      fillForm(draft, false);
+    }
+  }, [visible, draft]);
+
+  const handleSave = async () => {
+    try {
+      await onSave({ code, name, details });
+      fillForm(null, false);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.header}>
+          <Text style={styles.title} accessibilityRole="header">{t('product.screen.title')}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.iconButton} accessibilityRole="button" accessibilityLabel={t('product.screen.close')}>
+            <Ionicons name="close-outline" size={28} color="#1f2937" />
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t(editing ? 'product.screen.editProduct' : 'product.screen.addProduct')}</Text>
+        <Text style={styles.label}>{t('product.screen.code')}</Text>
+        <TextInput
+          style={[styles.input, editing && styles.inputDisabled]}
+          value={code}
+          onChangeText={setCode}
+          accessibilityLabel={t('product.screen.code')}
+          placeholder={t('product.screen.codePlaceholder')}
+          keyboardType="number-pad"
+          editable={!editing}
+        />
+        <Text style={styles.label}>{t('product.screen.name')}</Text>
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          accessibilityLabel={t('product.screen.name')}
+          placeholder={t('product.screen.namePlaceholder')}
+        />
+        <Text style={styles.label}>{t('product.screen.details')}</Text>
+        <TextInput
+          style={[styles.input, styles.detailsInput]}
+          value={details}
+          onChangeText={setDetails}
+          accessibilityLabel={t('product.screen.detailsLabel')}
+          placeholder={t('product.screen.detailsPlaceholder')}
+          multiline
+        />
+
+        {error ? <Text style={styles.errorText} accessibilityLiveRegion="polite">{error}</Text> : null}
+
+        <View style={styles.actionRow}>
+          <PillButton title={t('product.save')} iconName="save-outline" isActive onPress={handleSave} />
+          {(editing || code || name || details) ? (
+            <PillButton title={t('product.screen.clear')} iconName="close-circle-outline" onPress={() => fillForm(null, false)} />
+          ) : null}
+        </View>
+
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('product.screen.savedProducts')}</Text>
+        {products.length === 0 ? (
+          <Text style={styles.emptyText}>{t('product.screen.empty')}</Text>
+        ) : products.map((product) => (
+          <View key={product.code} style={styles.product}>
+            <TouchableOpacity
+              style={styles.productBody}
+              onPress={() => fillForm(product, true)}
+              accessibilityRole="button"
+              accessibilityHint={t('product.screen.editHint')}
+            >
+              <Text style={styles.productName}>{product.name}</Text>
+              {product.details ? <Text style={styles.productDetails}>{product.details}</Text> : null}
+              <Text style={styles.productCode}>{product.code}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => onSpeak(product)}
+              accessibilityRole="button"
+              accessibilityLabel={t('product.screen.speak', { name: product.name })}
+            >
+              <Ionicons name="volume-high-outline" size={20} color="#3b82f6" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => onDelete(product.code)}
+              accessibilityRole="button"
+              accessibilityLabel={t('product.screen.delete', { name: product.name })}
+            >
+              <Ionicons name="trash-outline" size={20} color="#dc2626" />
+            </TouchableOpacity>
+          </View>
+        ))}
+      </ScrollView>
+    </Modal>
+  );
+}
+
+// Pill button, styled like the mode buttons
+const PillButton = ({ title, iconName, isActive, onPress }) => (
+  <TouchableOpacity
+    style={[styles.pillButton, isActive && styles.pillButtonActive]}
+    onPress={onPress}
+    accessibilityRole="button"
+  >
+    <Ionicons name={iconName} size={18} color={isActive ? '#ffffff' : '#4b5563'} />
+    <Text style={[styles.pillButtonText, isActive && styles.pillButtonTextActive]}>{title}</Text>
+  </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f4f8', // light gray background
+  },
+  content: {
+    paddingTop: 40,
+    paddingHorizontal: 16,
+    paddingBottom: 30,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1f2937', // dark gray
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#4b5563',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#d1d5db', // gray-300
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  inputDisabled: {
+    backgroundColor: '#e5e7eb', // gray-200
+  },
+  detailsInput: {
+    minHeight: 70,
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    fontSize: 15,
+    color: '#dc2626', // red-600
+    marginBottom: 10,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 20,
+  },
+  pillButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 5,
+    backgroundColor: '#e5e7eb', // gray-200
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    flexGrow: 1,
+  },
+  pillButtonActive: {
+    backgroundColor: '#3b82f6', // blue-500
+  },
+  pillButtonText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#4b5563', // gray-700
+  },
+  pillButtonTextActive: {
+    color: '#ffffff',
+  },
+  product: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+  },
+  productBody: {
+    flex: 1,
+  },
+  productName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#374151',
+  },
+  productDetails: {
+    fontSize: 14,
+    color: '#4b5563',
+    marginTop: 2,
+  },
+  productCode: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 4,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#6b7280',
+  },
+});
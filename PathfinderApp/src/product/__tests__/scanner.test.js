@@ -0,0 +1,83 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createProductScanner } from '../scanner';
+import { APP_EVENTS, createAppMachine } from '../../app/stateMachine';
+import { playTone } from '../../speech/tones';
+import { setLocale } from '../../i18n';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../../speech/tones', () => ({ playTone: jest.fn() }));
+
+const EAN = '5901234123457';
+
+/**
+ * Creates a scanner around an idle machine whose label readings answer with the given text.
+ * @param {string|null} label - What capture resolves with.
+ * @returns {Object} { scanner, machine, speak, updateMessage, capture, described, changes }.
+ */
+const setup = (label = 'Oat milk\n1 litre') => {
+  const machine = createAppMachine();
+  machine.send(APP_EVENTS.PERMISSION_GRANTED);
+  machine.send(APP_EVENTS.CAMERA_READY);
+  const speak = jest.fn();
+  const updateMessage = jest.fn();
+  const capture = jest.fn().mockResolvedValue(label);
+  const described = [];
+  const changes = [];
+  const scanner = createProductScanner({
+    machine,
+    announcer: { speak, updateMessage },
+    capture,
+    onDescribed: (entry) => described.push(entry),
+    onChange: (change) => changes.push(change),
+  });
+  return { scanner, machine, speak, updateMessage, capture, described, changes };
+};
+
+beforeAll(() => setLocale('en'));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  playTone.mockClear();
+});
+
+describe('createProductScanner', () => {
+  it('reads the label of an unknown product once and keeps it as a draft', async () => {
+    const { scanner, speak, capture, changes } = setup();
+
+    scanner.handleScan({ type: 'ean13', data: EAN });
+    scanner.handleScan({ type: 'ean13', data: EAN }); // Still in view
+    await Promise.resolve();
+
+    expect(playTone).toHaveBeenCalledTimes(1);
+    expect(speak).toHaveBeenCalledTimes(1);
+    expect(capture).toHaveBeenCalledWith({ mode: 'product' });
+    expect(scanner.getDraft()).toMatchObject({ code: EAN });
+    expect(changes[changes.length - 1].draft).toBe(scanner.getDraft());
+  });
+
+  it('announces a saved product and clears its draft once saved', async () => {
+    const { scanner, updateMessage, described } = setup();
+    scanner.handleScan({ type: 'ean13', data: EAN });
+    await Promise.resolve();
+
+    await scanner.save({ code: EAN, name: 'Oat milk', details: '1 litre' });
+    expect(scanner.getDraft()).toBeNull();
+
+    scanner.reset();
+    scanner.handleScan({ type: 'ean13', data: EAN });
+    expect(described).toHaveLength(1);
+    expect(described[0]).toMatchObject({ mode: 'product' });
+    expect(described[0].text).toContain('Oat milk');
+    expect(updateMessage).toHaveBeenLastCalledWith(described[0].text, true, expect.anything());
+  });
+
+  it('waits while a capture is in flight', () => {
+    const { scanner, machine, capture } = setup();
+    machine.send(APP_EVENTS.CAPTURE);
+
+    scanner.handleScan({ type: 'ean13', data: EAN });
+    expect(playTone).not.toHaveBeenCalled();
+    expect(capture).not.toHaveBeenCalled();
+  });
+});
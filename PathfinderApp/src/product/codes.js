@@ -0,0 +1,130 @@
+// Barcodes and QR codes seen by the camera in Product mode
+//
+// Product barcodes (EAN-13, EAN-8, UPC-A, UPC-E) are checked and normalized, so the same product
+// scanned as UPC-A on one phone and EAN-13 on another is one database entry:
+//   normalizeProductCode('upc_a', '036000291452')  // '0036000291452'
+// QR codes are phrased for speech instead:
+//   describeQrCode('https://www.example.com/menu?table=4')  // 'Link: example.com/menu'
+
+import { t } from '../i18n';
+
+// expo-camera barcode types scanned in Product mode
+export const PRODUCT_BARCODE_TYPES = ['ean13', 'ean8', 'upc_a', 'upc_e', 'qr'];
+
+// Longer QR texts are cut short, e.g. a whole page of text encoded in one code
+const MAX_SPOKEN_QR_LENGTH = 300;
+
+/**
+ * Tells whether a scanned type is a QR code rather than a product barcode.
+ * @param {string} type - Barcode type reported by expo-camera, e.g. 'qr' or 'org.iso.QRCode' on older iOS.
+ * @returns {boolean} True for QR codes.
+ */
+export const isQrCode = (type) => /qr/i.test(String(type));
+
+/**
+ * Checks the GS1 check digit of an EAN or UPC code.
+ * @param {string} code - 8, 12 or 13 digits, including the check digit.
+ * @returns {boolean} True if the check digit matches.
+ */
+export const hasValidCheckDigit = (code) => {
+  if (!/^(\d{8}|\d{12}|\d{13})$/.test(code)) {
+    return false;
+  }
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  // Weights alternate 3, 1, ... starting from the digit next to the check digit
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+/**
+ * Expands an 8 digit UPC-E code to the 12 digit UPC-A code it stands for.
+ * @param {string} code - UPC-E digits: number system, six data digits, check digit.
+ * @returns {string} The UPC-A digits.
+ */
+const expandUpcE = (code) => {
+  const [system, d1, d2, d3, d4, d5, d6, check] = code.split('');
+  let body;
+  if (d6 === '0' || d6 === '1' || d6 === '2') {
+    body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  } else if (d6 === '3') {
+    body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  } else if (d6 === '4') {
+    body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  } else {
+    body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  }
+  return `${system}${body}${check}`;
+};
+
+/**
+ * Normalizes a product barcode to the form it is stored under: EAN-13 for UPC and EAN-13
+ * codes, the 8 digits for EAN-8.
+ * @param {string} type - Barcode type reported by expo-camera.
+ * @param {string} data - The scanned digits.
+ * @returns {string|null} The normalized code, or null if it is not a valid product code (usually a misread).
+ */
+export const normalizeProductCode = (type, data) => {
+  let code = String(data || '').replace(/\D/g, '');
+  if (/upc_?e/i.test(String(type)) && code.length === 8) {
+    code = expandUpcE(code);
+  }
+  if (code.length === 12) {
+    code = `0${code}`;
+  }
+  return hasValidCheckDigit(code) ? code : null;
+};
+
+/**
+ * Shortens a web address for speech: no scheme, "www." or query string.
+ * @param {string} url - The address.
+ * @returns {string} e.g. "example.com/menu".
+ */
+const spokenUrl = (url) => url
+  .replace(/^https?:\/\//i, '')
+  .replace(/^www\./i, '')
+  .replace(/[?#].*$/, '')
+  .replace(/\/$/, '');
+
+/**
+ * Reads one field of a "WIFI:S:name;T:WPA;P:secret;;" QR code.
+ * @param {string} data - The QR text.
+ * @param {string} field - Field letter, e.g. 'S'.
+ * @returns {string} The unescaped value, or '' if missing.
+ */
+const wifiField = (data, field) => {
+  const match = data.match(new RegExp(`[:;]${field}:((?:\\\\.|[^;])*)`));
+  return match ? match[1].replace(/\\(.)/g, '$1') : '';
+};
+
+/**
+ * Phrases the content of a QR code for speech.
+ * @param {string} data - The QR text.
+ * @returns {string} e.g. "Link: example.com/menu", "Wi-Fi network Cafe, password ..." or the text itself.
+ */
+export const describeQrCode = (data) => {
+  const text = String(data || '').trim();
+  if (!text) {
+    return t('product.qr.empty');
+  }
+  if (/^https?:\/\//i.test(text)) {
+    return t('product.qr.link', { url: spokenUrl(text) });
+  }
+  if (/^WIFI:/i.test(text)) {
+    const network = wifiField(text, 'S');
+    const password = wifiField(text, 'P');
+    const name = network || t('product.qr.wifiUnnamed');
+    return password ? t('product.qr.wifi', { network: name, password }) : t('product.qr.wifiOpen', { network: name });
+  }
+  if (/^tel:/i.test(text)) {
+    return t('product.qr.phone', { number: text.slice(4) });
+  }
+  if (/^mailto:/i.test(text)) {
+    return t('product.qr.email', { address: text.slice(7).replace(/\?.*$/, '') });
+  }
+  if (/^(smsto|sms):/i.test(text)) {
+    return t('product.qr.sms', { number: text.split(':')[1] });
+  }
+  const spoken = text.length > MAX_SPOKEN_QR_LENGTH ? `${text.slice(0, MAX_SPOKEN_QR_LENGTH)}...` : text;
+  return t('product.qr.text', { text: spoken });
+};
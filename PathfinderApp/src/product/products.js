@@ -0,0 +1,123 @@
+// Local product database for Product mode: barcodes the user has named, persisted on the device
+//
+// Every product has the same shape:
+//   { code, name, details, updatedAt }
+// where code is the normalized barcode (see src/product/codes.js). Unknown codes are identified by
+// asking the vision model to read the label, and the answer can then be saved as a product.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { normalizeProductCode } from './codes';
+import { t } from '../i18n';
+
+const PRODUCTS_STORAGE_KEY = 'pathfinder.products';
+
+// Least recently saved products are dropped beyond this many
+export const MAX_PRODUCTS = 500;
+
+// Longest product name kept when a name is taken from a label reading
+const MAX_NAME_LENGTH = 60;
+
+export const PRODUCT_LABEL_PROMPT = `Identify the product in this image from its packaging or label, for a visually impaired shopper.
+On the first line give only the brand and product name.
+Then give the size or quantity and the flavour or variety, if shown.
+For medicine, also give the strength, dosage instructions and expiry date if visible.
+For food, also give allergy warnings and the best before date if visible.
+No extra commentary. If no product label is visible, say so in one sentence.`;
+
+/**
+ * Finds the product saved under a code.
+ * @param {Object[]} products - Saved products.
+ * @param {string} code - Normalized barcode.
+ * @returns {Object|undefined} The product, if any.
+ */
+export const findProduct = (products, code) => products.find((product) => product.code === code);
+
+/**
+ * Phrases a saved product for speech.
+ * @param {Object} product - The product.
+ * @returns {string} e.g. "Oat milk. 1 liter, unsweetened."
+ */
+export const describeProduct = (product) => {
+  const name = /[.!?]$/.test(product.name) ? product.name : `${product.name}.`;
+  return product.details ? `${name} ${product.details}` : name;
+};
+
+/**
+ * Drafts a product from the vision model's label reading, for the user to check before saving.
+ * @param {string} code - Normalized barcode.
+ * @param {string} label - The model's answer to PRODUCT_LABEL_PROMPT.
+ * @returns {{code: string, name: string, details: string}} The draft.
+ */
+export const draftFromLabel = (code, label) => {
+  const lines = String(label || '').split('\n').map((line) => line.replace(/^[-*#\s]+|\*+/g, '').trim()).filter(Boolean);
+  const [first = '', ...rest] = lines;
+  return {
+    code,
+    name: first.replace(/[.]$/, '').slice(0, MAX_NAME_LENGTH),
+    details: rest.join(' '),
+  };
+};
+
+/**
+ * Validates and normalizes a product entered by the user.
+ * @param {Object} draft - Fields entered by the user.
+ * @param {string} draft.code - Barcode digits, as printed under the barcode or as scanned.
+ * @param {string} draft.name - Product name.
+ * @param {string} [draft.details] - Anything else worth saying, e.g. size or allergens.
+ * @returns {Object} The product.
+ */
+export const buildProduct = ({ code, name, details }) => {
+  const normalizedCode = normalizeProductCode('', code);
+  const trimmedName = (name || '').trim();
+  if (!normalizedCode) {
+    throw new Error(t('product.errors.code'));
+  }
+  if (!trimmedName) {
+    throw new Error(t('product.errors.name'));
+  }
+  return {
+    code: normalizedCode,
+    name: trimmedName,
+    details: (details || '').trim(),
+    updatedAt: Date.now(),
+  };
+};
+
+/**
+ * Loads saved products, most recently saved first.
+ * @returns {Promise<Object[]>} The products, or an empty list.
+ */
+export const loadProducts = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(PRODUCTS_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed.filter((product) => product && product.code && product.name) : [];
+  } catch (error) {
+    console.error('Error loading products:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves a product, replacing any product with the same code, and moves it to the front.
+ * @param {Object[]} products - Current products.
+ * @param {Object} product - The product to save.
+ * @returns {Promise<Object[]>} The updated products.
+ */
+export const saveProduct = async (products, product) => {
+  const updated = [product, ...products.filter((saved) => saved.code !== product.code)].slice(0, MAX_PRODUCTS);
+  await AsyncStorage.setItem(PRODUCTS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+/**
+ * Deletes a saved product.
+ * @param {Object[]} products - Current products.
+ * @param {string} code - The product's code.
+ * @returns {Promise<Object[]>} The updated products.
+ */
+export const deleteProduct = async (products, code) => {
+  const updated = products.filter((saved) => saved.code !== code);
+  await AsyncStorage.setItem(PRODUCTS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
@@ -0,0 +1,137 @@
+// Product mode as the user experiences it: a tone as soon as the camera spots a code, then the
+// saved product, the QR code's content or what an unknown product's label says, kept as a draft
+// the user can save to the product database
+//
+//   const scanner = createProductScanner({ machine, announcer, capture, onDescribed, onChange });
+//   await scanner.load();
+//   <CameraView onBarcodeScanned={scanner.handleScan} />
+//   scanner.readLabel(code);   // "Oat milk, 1 litre, ..." and a draft to save
+
+import { isBusy } from '../app/stateMachine';
+import { isQrCode, normalizeProductCode, describeQrCode } from './codes';
+import { findProduct, describeProduct, draftFromLabel, buildProduct, loadProducts, saveProduct, deleteProduct } from './products';
+import { SPEECH_PRIORITY } from '../speech/speechManager';
+import { playTone } from '../speech/tones';
+import { t } from '../i18n';
+
+// A code that stays in view is announced again after this long
+const RESCAN_INTERVAL_MS = 5000;
+
+/**
+ * Creates the product scanner.
+ * @param {Object} options - Scanner options.
+ * @param {Object} options.machine - The app state machine.
+ * @param {Object} options.announcer - speak and updateMessage, see src/speech/announcer.js.
+ * @param {Function} options.capture - Captures and describes a frame with the given options, see
+ *   createProcessor; resolves with the description or null.
+ * @param {Function} options.onDescribed - Called with { mode, text } for every code announced.
+ * @param {Function} options.onChange - Called with { products, draft } whenever the saved
+ *   products or the draft from the last label reading change.
+ * @returns {Object} The scanner.
+ */
+export const createProductScanner = ({ machine, announcer, capture, onDescribed, onChange }) => {
+  const { speak, updateMessage } = announcer;
+  let products = []; // Most recently saved first
+  let draft = null; // { code, name, details } from the last label reading, ready to save
+  let lastScan = { data: null, at: 0 }; // Last code announced, and when it was last seen
+
+  const notify = () => onChange({ products, draft });
+
+  /**
+   * Loads the saved products.
+   * @returns {Promise<void>}
+   */
+  const load = async () => {
+    products = await loadProducts();
+    notify();
+  };
+
+  /**
+   * Asks the vision model to read a product label, and keeps the answer as a draft the user can save.
+   * @param {string|null} code - Barcode of the product, if known; otherwise the user types it in when saving.
+   */
+  const readLabel = async (code) => {
+    const label = await capture({ mode: 'product' });
+    if (label) {
+      draft = draftFromLabel(code || '', label);
+      notify();
+    }
+  };
+
+  /**
+   * Announces a code the camera spotted.
+   * @param {Object} scan - expo-camera scanning result: { type, data }.
+   */
+  const handleScan = ({ type, data }) => {
+    if (isBusy(machine.getSnapshot())) {
+      return; // A label is being read; wait until it has been spoken
+    }
+    const now = Date.now();
+    if (data === lastScan.data && now - lastScan.at < RESCAN_INTERVAL_MS) {
+      lastScan.at = now; // Still in view; the codes are reported many times a second
+      return;
+    }
+
+    const qr = isQrCode(type);
+    const code = qr ? null : normalizeProductCode(type, data);
+    if (!qr && !code) {
+      return; // A misread; the next frame usually reads cleanly
+    }
+    lastScan = { data, at: now };
+    playTone('scan');
+
+    const product = code ? findProduct(products, code) : null;
+    if (!qr && !product) {
+      speak(t('product.unknown'));
+      readLabel(code);
+      return;
+    }
+    const text = qr ? describeQrCode(data) : describeProduct(product);
+    onDescribed({ mode: 'product', text });
+    updateMessage(text, true, SPEECH_PRIORITY.ANSWER);
+  };
+
+  /**
+   * Validates and stores a product. Throws so the product screen can show validation errors.
+   * @param {Object} fields - { code, name, details } from the product screen.
+   */
+  const save = async (fields) => {
+    const product = buildProduct(fields);
+    products = await saveProduct(products, product);
+    if (draft && draft.code === product.code) {
+      draft = null;
+    }
+    notify();
+    updateMessage(t('product.saved', { name: product.name }), true);
+  };
+
+  /**
+   * Deletes a saved product.
+   * @param {string} code - The product's code.
+   */
+  const remove = async (code) => {
+    try {
+      products = await deleteProduct(products, code);
+      notify();
+      updateMessage(t('product.deleted'), true);
+    } catch (error) {
+      console.error('Error deleting product:', error);
+      updateMessage(t('product.deleteFailed'), true);
+    }
+  };
+
+  return {
+    load,
+    handleScan,
+    readLabel,
+    save,
+    remove,
+    getDraft: () => draft,
+    /**
+     * Forgets the last code, so coming back to Product mode announces the code in view again.
+     */
+    reset: () => {
+      lastScan = { data: null, at: 0 };
+    },
+  };
+};
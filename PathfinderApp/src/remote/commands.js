@@ -0,0 +1,126 @@
+// Carries out remote control commands (see ./protocol for the message format) and builds their
+// replies. The commands act on whatever app object they are given, so their rules, such as no mode
+// change while an image the user asked for is being analyzed, can be tested without the app.
+// Voice commands go through here too.
+
+import { okReply, RemoteCommandError } from './protocol';
+import { isBusy, canChangeMode } from '../app/stateMachine';
+import { t } from '../i18n';
+import { maskSensitive } from '../privacy';
+
+/**
+ * Creates the command handler.
+ * @param {Object} app - What the commands act on:
+ *   machine              - the app state machine (src/app/stateMachine.js)
+ *   usage                - the usage tracker (src/usage/tracker.js)
+ *   getMode()            - the current mode id
+ *   getDescription()     - the latest description
+ *   speak(text), pause(), resume(), stop()
+ *   repeat()             - says the last answer again; false if there is none
+ *   findMode(name)       - the mode with that id or label, or null
+ *   selectMode(modeId)
+ *   capture()            - resolves once the capture has finished
+ *   hasSosContacts(), triggerSos(), sosCountdownMs
+ *   startFind(target), isFinding(), getFindTarget()
+ *   hasConversation()    - whether there is an image to ask about
+ *   ask(question)        - resolves to the answer, or null
+ * @returns {Function} async (command) => reply; throws RemoteCommandError for commands it refuses.
+ */
+export const createCommandHandler = (app) => async (command) => {
+  const busy = () => isBusy(app.machine.getSnapshot());
+  let mode = app.getMode();
+  switch (command.command) {
+    case 'speak':
+      app.speak(command.text);
+      break;
+    case 'repeat':
+      if (!app.repeat()) {
+        throw new RemoteCommandError('nothing_to_repeat', t('remote.errors.nothingToRepeat'));
+      }
+      break;
+    case 'pause':
+      app.pause();
+      break;
+    case 'resume':
+      app.resume();
+      break;
+    case 'stop':
+      app.stop();
+      break;
+    case 'status': {
+      const { budget } = app.usage.report();
+      return okReply(command.command, {
+        mode,
+        description: maskSensitive(app.getDescription()),
+        processing: busy(),
+        state: app.machine.getSnapshot().state,
+        budget, // Today's requests against the daily budget
+      });
+    }
+    case 'usage': {
+      const { summary, budget } = app.usage.report();
+      return okReply(command.command, { mode, ...summary, budget });
+    }
+    case 'read':
+    case 'navigate':
+    case 'passive':
+    case 'mode': {
+      if (!canChangeMode(app.machine.getSnapshot())) {
+        throw new RemoteCommandError('busy', t('remote.errors.busyMode'));
+      }
+      const target = app.findMode(command.command === 'mode' ? command.name : command.command);
+      if (!target) {
+        throw new RemoteCommandError('unknown_mode', t('remote.errors.unknownMode', { name: command.name }));
+      }
+      mode = target.id;
+      app.selectMode(mode);
+      break;
+    }
+    case 'capture':
+      if (busy()) {
+        throw new RemoteCommandError('busy', t('remote.errors.busy'));
+      }
+      await app.capture();
+      break;
+    case 'sos':
+      if (!app.hasSosContacts()) {
+        throw new RemoteCommandError('no_contacts', t('sos.noContacts'));
+      }
+      app.triggerSos();
+      return okReply(command.command, { mode, countdownMs: app.sosCountdownMs });
+    case 'find':
+      if (busy() && !app.isFinding()) {
+        throw new RemoteCommandError('busy', t('remote.errors.busy'));
+      }
+      app.startFind(command.text);
+      return okReply(command.command, {
+        mode: 'find',
+        target: app.getFindTarget(),
+        searching: app.isFinding(),
+        processing: busy(),
+      });
+    case 'ask': {
+      if (busy()) {
+        throw new RemoteCommandError('busy', t('remote.errors.busy'));
+      }
+      if (!app.hasConversation()) {
+        throw new RemoteCommandError('no_image', t('remote.errors.noImage'));
+      }
+      const answer = await app.ask(command.text);
+      return okReply(command.command, {
+        mode,
+        description: maskSensitive(app.getDescription()),
+        answer: answer && maskSensitive(answer),
+        processing: busy(),
+      });
+    }
+    default:
+      throw new RemoteCommandError('unknown_command', t('remote.errors.unknownCommand', { command: command.command }));
+  }
+
+  return okReply(command.command, {
+    mode,
+    description: maskSensitive(app.getDescription()), // Remote clients never get the numbers in full
+    processing: busy(),
+  });
+};
@@ -0,0 +1,137 @@
+// Turns remote control on and off: finds the phone's address, starts the server with a fresh
+// pairing and hands out the one-time code, which is cleared again once it has been used
+//
+// The state reported to onChange is { status, ipAddress, pairingCode }, status being
+//   'stopped'  - off
+//   'starting' - looking up the address and opening the port
+//   'running'  - paired devices can send commands
+//   'error'    - the running server failed; turning remote control off and on again restarts it
+
+import * as Network from 'expo-network';
+import { createPairing } from './protocol';
+import { createRemoteServer } from './server';
+import { t } from '../i18n';
+
+export const REMOTE_PORT = 8080;
+
+/**
+ * Creates the remote control switch.
+ * @param {Object} options - Remote control options.
+ * @param {Function} options.onCommand - async (command) => reply, for every authorized command.
+ * @param {Function} [options.onChange] - Called with the new state whenever it changes.
+ * @param {Function} [options.updateMessage] - Shows and speaks what toggle() did, see src/speech/announcer.js.
+ * @param {number} [options.port] - TCP port to listen on.
+ * @param {Function} [options.getIpAddress] - Resolves to the phone's address on the local network.
+ * @param {Function} [options.createServer] - Server factory; createRemoteServer by default.
+ * @returns {{start: Function, stop: Function, toggle: Function, getState: Function, isEnabled: Function}} The switch.
+ */
+export const createRemoteControl = ({
+  onCommand,
+  onChange = () => {},
+  updateMessage = () => {},
+  port = REMOTE_PORT,
+  getIpAddress = Network.getIpAddressAsync,
+  createServer = createRemoteServer,
+}) => {
+  let server = null;
+  let state = { status: 'stopped', ipAddress: '', pairingCode: '' };
+
+  const update = (patch) => {
+    state = { ...state, ...patch };
+    onChange(state);
+  };
+
+  /**
+   * Starts the server and issues a pairing code.
+   * @returns {Promise<Object>} The state: running, or stopped if stop() was called meanwhile.
+   */
+  const start = async () => {
+    if (state.status !== 'stopped') {
+      return state;
+    }
+    update({ status: 'starting', pairingCode: '' });
+    try {
+      const ipAddress = await getIpAddress();
+      if (!ipAddress || ipAddress === '0.0.0.0') {
+        throw new Error(t('remote.noNetwork'));
+      }
+      update({ ipAddress });
+
+      const pairing = createPairing({
+        onCodeDiscarded: () => {
+          if (server === candidate) {
+            update({ pairingCode: '' }); // Nothing left to show once a device has paired
+          }
+        },
+      });
+      const candidate = createServer({
+        port,
+        pairing,
+        onCommand,
+        onError: (error) => {
+          console.error('Remote control server error:', error);
+          if (server === candidate) {
+            update({ status: 'error' });
+          }
+        },
+      });
+      await candidate.start();
+      if (state.status !== 'starting') {
+        candidate.stop(); // Turned off while it was starting
+        return state;
+      }
+      server = candidate;
+      update({ status: 'running', pairingCode: pairing.issueCode() });
+      return state;
+    } catch (error) {
+      if (state.status === 'starting') {
+        update({ status: 'stopped' });
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Stops the server and forgets all paired devices.
+   */
+  const stop = () => {
+    if (server) {
+      server.stop();
+      server = null;
+    }
+    if (state.status !== 'stopped') {
+      update({ status: 'stopped', pairingCode: '' });
+    }
+  };
+
+  /**
+   * Turns remote control on and announces the address and pairing code, or turns it off.
+   */
+  const toggle = async () => {
+    if (state.status !== 'stopped') {
+      stop();
+      updateMessage(t('remote.disabled'), true);
+      return;
+    }
+    try {
+      const { status, ipAddress, pairingCode } = await start();
+      if (status === 'running') {
+        updateMessage(t('remote.enabled', { address: ipAddress, port, code: pairingCode.split('').join(' ') }), true);
+      }
+    } catch (error) {
+      console.error('Error starting server:', error);
+      updateMessage(t('remote.startFailed', { error: error.message }), true);
+    }
+  };
+
+  return {
+    start,
+    stop,
+    toggle,
+    getState: () => state,
+    /**
+     * @returns {boolean} Whether remote control is on, including while it starts or after the server failed.
+     */
+    isEnabled: () => state.status !== 'stopped',
+  };
+};
@@ -0,0 +1,181 @@
+// Remote control command protocol
+//
+// Requests are JSON objects:
+//   { "command": "pair", "code": "482913" }             -> { ok, command, token }
+//   { "command": "speak", "text": "Hello", "token": T } -> { ok, command, mode, description }
+//   { "command": "status", "token": T }                  -> { ok, command, mode, description, processing, state, budget }
+//   { "command": "usage", "token": T }                   -> vision requests, tokens, latency and cost today and this month, per mode
+//   { "command": "read" | "navigate" | "passive", "token": T }
+//   { "command": "mode", "name": "Bus number", "token": T }  -> switches to any mode, including custom ones
+//   { "command": "capture", "token": T }                 -> reply includes the new description
+//   { "command": "ask", "text": "What colour is the door?", "token": T } -> reply includes "answer"
+//   { "command": "find", "text": "my keys", "token": T }  -> starts a Find mode search; reply includes "target"
+//   { "command": "repeat" | "pause" | "resume", "token": T }  -> repeats the last description, or pauses/resumes speech
+//   { "command": "stop", "token": T }                    -> stops speech, reading, continuous capture, a Find search and the in-flight request,
+//                                                           or cancels an emergency alert during its countdown
+//   { "command": "sos", "token": T }                     -> starts the emergency alert countdown; reply includes "countdownMs"
+// Every reply carries "ok"; failures add "error" (a machine readable code) and "message".
+// Over HTTP the token may also be sent as "Authorization: Bearer <token>".
+
+import * as Crypto from 'expo-crypto';
+
+// Wrong pairing codes accepted before the current code is discarded, so it cannot be brute forced
+const MAX_PAIRING_ATTEMPTS = 5;
+
+export const REMOTE_COMMANDS = ['pair', 'speak', 'status', 'usage', 'read', 'navigate', 'passive', 'capture', 'ask', 'find', 'mode', 'repeat', 'pause', 'resume', 'stop', 'sos'];
+
+/**
+ * Error raised for malformed or unauthorized remote requests.
+ */
+export class RemoteCommandError extends Error {
+  /**
+   * @param {string} code - Machine readable error code sent back to the client.
+   * @param {string} message - Human readable description.
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'RemoteCommandError';
+    this.code = code;
+  }
+}
+
+/**
+ * Parses and validates a raw JSON request body.
+ * @param {string} body - The request body.
+ * @returns {{command: string, text?: string, code?: string, token?: string}} The normalized command.
+ */
+export const parseCommand = (body) => {
+  let request;
+  try {
+    request = JSON.parse(body);
+  } catch (error) {
+    throw new RemoteCommandError('invalid_json', 'Request body must be a JSON object');
+  }
+  if (!request || typeof request !== 'object' || typeof request.command !== 'string') {
+    throw new RemoteCommandError('invalid_request', 'Request must include a "command" string');
+  }
+
+  const command = request.command.trim().toLowerCase();
+  if (!REMOTE_COMMANDS.includes(command)) {
+    throw new RemoteCommandError('unknown_command', `Unknown command: ${request.command}`);
+  }
+  if (['speak', 'ask', 'find'].includes(command) && (typeof request.text !== 'string' || !request.text.trim())) {
+    throw new RemoteCommandError('invalid_request', `The ${command} command requires a "text" string`);
+  }
+  if (command === 'mode' && (typeof request.name !== 'string' || !request.name.trim())) {
+    throw new RemoteCommandError('invalid_request', 'The mode command requires a "name" string');
+  }
+
+  return {
+    ...request,
+    command,
+  };
+};
+
+/**
+ * Builds a successful reply.
+ * @param {string} command - The command that was handled.
+ * @param {Object} [fields] - Extra reply fields.
+ * @returns {Object} The reply object.
+ */
+export const okReply = (command, fields = {}) => ({ ok: true, command, ...fields });
+
+/**
+ * Builds an error reply.
+ * @param {Error} error - The error that occurred.
+ * @param {string} [command] - The command being handled, if known.
+ * @returns {Object} The reply object.
+ */
+export const errorReply = (error, command) => ({
+  ok: false,
+  command: command || null,
+  error: error.code || 'internal_error',
+  message: error.message,
+});
+
+/**
+ * Generates a random string of decimal digits. Bytes of 250 and above are discarded, since 256 is
+ * not a multiple of 10 and keeping them would make the digits 0 to 5 more likely.
+ * @param {number} length - Number of digits.
+ * @returns {string} The digits.
+ */
+const randomDigits = (length) => {
+  let digits = '';
+  while (digits.length < length) {
+    Crypto.getRandomBytes(length).forEach((byte) => {
+      if (byte < 250 && digits.length < length) {
+        digits += String(byte % 10);
+      }
+    });
+  }
+  return digits;
+};
+
+/**
+ * Generates a random hex session token.
+ * @returns {string} 32 hex characters.
+ */
+const randomToken = () =>
+  Array.from(Crypto.getRandomBytes(16), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Creates the pairing state for one server session. A short numeric code is spoken aloud
+ * on the phone; the first client to send it receives a session token and the code is
+ * discarded, so it cannot be reused by anyone else on the network.
+ * @param {Object} [options] - Pairing options.
+ * @param {Function} [options.onCodeDiscarded] - Called once the code has been used or guessed at too often.
+ * @returns {Object} The pairing manager.
+ */
+export const createPairing = ({ onCodeDiscarded = () => {} } = {}) => {
+  let pairingCode = null;
+  let failedAttempts = 0;
+  const sessionTokens = new Set();
+
+  return {
+    /**
+     * Issues a fresh one-time pairing code, invalidating any previous one.
+     * @returns {string} The six digit code.
+     */
+    issueCode: () => {
+      pairingCode = randomDigits(6);
+      failedAttempts = 0;
+      return pairingCode;
+    },
+
+    /**
+     * Exchanges a pairing code for a session token.
+     * @param {string} code - The code the client read from the phone.
+     * @returns {string} The session token.
+     */
+    pair: (code) => {
+      if (!pairingCode || String(code) !== pairingCode) {
+        failedAttempts += 1;
+        if (pairingCode && failedAttempts >= MAX_PAIRING_ATTEMPTS) {
+          pairingCode = null; // Too many guesses; remote control must be re-enabled for a new code
+          onCodeDiscarded();
+        }
+        throw new RemoteCommandError('invalid_code', 'Pairing code is invalid or has already been used');
+      }
+      pairingCode = null;
+      onCodeDiscarded();
+      const token = randomToken();
+      sessionTokens.add(token);
+      return token;
+    },
+
+    /**
+     * Checks whether a session token was issued by this pairing.
+     * @param {string} token - The token sent with a request.
+     * @returns {boolean} Whether the token is valid.
+     */
+    isAuthorized: (token) => Boolean(token) && sessionTokens.has(token),
+
+    /**
+     * Forgets all codes and tokens, e.g. when the server stops.
+     */
+    reset: () => {
+      pairingCode = null;
+      sessionTokens.clear();
+    },
+  };
+};
@@ -0,0 +1,369 @@
+// Local HTTP and WebSocket server for remote control, built on raw TCP sockets
+//
+// Endpoints:
+//   POST /command  JSON command body, JSON reply
+//   GET  /status   shorthand for { "command": "status" } (token via Authorization header)
+//   GET  /ws       WebSocket upgrade; each text frame is a JSON command, each reply a text frame
+//
+// Controllers are native clients and scripts on the local network. Requests from web pages, which
+// browsers mark with an Origin header, are refused, so a page the user visits cannot script the phone.
+
+import TcpSocket from 'react-native-tcp-socket';
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+import { parseCommand, okReply, errorReply, RemoteCommandError } from './protocol';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_REQUEST_BYTES = 64 * 1024; // Also the largest WebSocket frame accepted
+// A Sec-WebSocket-Key is 16 random bytes, base64 encoded
+const WEBSOCKET_KEY_PATTERN = /^[A-Za-z0-9+/]{22}==$/;
+// Close codes sent before dropping a misbehaving WebSocket client
+const WEBSOCKET_CLOSE = {
+  PROTOCOL_ERROR: 1002,
+  TOO_LARGE: 1009,
+};
+
+const STATUS_TEXT = {
+  200: 'OK',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  413: 'Payload Too Large',
+  500: 'Internal Server Error',
+};
+
+/**
+ * Maps a reply to the HTTP status code it should be sent with.
+ * @param {Object} reply - The JSON reply.
+ * @returns {number} The HTTP status.
+ */
+const statusForReply = (reply) => {
+  if (reply.ok) return 200;
+  if (reply.error === 'unauthorized' || reply.error === 'invalid_code') return 401;
+  if (reply.error === 'internal_error') return 500;
+  return 400;
+};
+
+/**
+ * Writes a complete HTTP response with a JSON body and closes the socket.
+ * @param {Object} socket - The TCP socket.
+ * @param {number} status - HTTP status code.
+ * @param {Object} body - Object to serialize as JSON.
+ */
+const sendJson = (socket, status, body) => {
+  const payload = Buffer.from(JSON.stringify(body), 'utf8');
+  const head = [
+    `HTTP/1.1 ${status} ${STATUS_TEXT[status] || 'OK'}`,
+    'Content-Type: application/json; charset=utf-8',
+    `Content-Length: ${payload.length}`,
+    'Connection: close',
+    '',
+    '',
+  ].join('\r\n');
+  socket.write(Buffer.concat([Buffer.from(head, 'utf8'), payload]));
+  socket.end();
+};
+
+/**
+ * Splits a buffered HTTP request into its head and body once it is complete.
+ * @param {Buffer} buffer - Bytes received so far.
+ * @returns {Object|null} The parsed request, or null if more bytes are needed.
+ */
+const parseHttpRequest = (buffer) => {
+  const headerEnd = buffer.indexOf('\r\n\r\n');
+  if (headerEnd === -1) {
+    return null;
+  }
+
+  const [requestLine, ...headerLines] = buffer.slice(0, headerEnd).toString('utf8').split('\r\n');
+  const [method, path] = requestLine.split(' ');
+  const headers = {};
+  headerLines.forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  const contentLength = parseInt(headers['content-length'] || '0', 10);
+  const bodyStart = headerEnd + 4;
+  if (buffer.length < bodyStart + contentLength) {
+    return null;
+  }
+
+  return {
+    method,
+    path: (path || '/').split('?')[0],
+    headers,
+    body: buffer.slice(bodyStart, bodyStart + contentLength).toString('utf8'),
+  };
+};
+
+/**
+ * Encodes a server-to-client WebSocket frame (servers never mask).
+ * @param {string} text - The message.
+ * @param {number} [opcode] - Frame opcode, text by default.
+ * @returns {Buffer} The frame bytes.
+ */
+const encodeWebSocketFrame = (text, opcode = 0x1) => {
+  const payload = Buffer.from(text, 'utf8');
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(payload.length, 6);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Encodes a close frame carrying a status code.
+ * @param {number} code - One of WEBSOCKET_CLOSE.
+ * @returns {Buffer} The frame bytes.
+ */
+const encodeCloseFrame = (code) => Buffer.from([0x88, 2, code >> 8, code & 0xff]);
+
+/**
+ * Decodes as many complete client frames as the buffer holds. A frame longer than
+ * MAX_REQUEST_BYTES is refused from its header alone, so it is never buffered.
+ * @param {Buffer} buffer - Bytes received so far.
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer, closeCode: number|null}}
+ *   Decoded frames, leftover bytes, and the WEBSOCKET_CLOSE code if the client broke the protocol.
+ */
+const decodeWebSocketFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (!masked) {
+      // Clients must mask every frame (RFC 6455, section 5.1)
+      return { frames, rest: Buffer.alloc(0), closeCode: WEBSOCKET_CLOSE.PROTOCOL_ERROR };
+    }
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      // Anything needing the high 32 bits is far beyond the limit anyway
+      length = buffer.readUInt32BE(cursor) === 0 ? buffer.readUInt32BE(cursor + 4) : Infinity;
+      cursor += 8;
+    }
+    if (length > MAX_REQUEST_BYTES) {
+      return { frames, rest: Buffer.alloc(0), closeCode: WEBSOCKET_CLOSE.TOO_LARGE };
+    }
+
+    if (buffer.length < cursor + 4 + length) break;
+
+    const mask = buffer.slice(cursor, cursor + 4);
+    cursor += 4;
+    const payload = Buffer.from(buffer.slice(cursor, cursor + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, payload });
+    offset = cursor + length;
+  }
+
+  return { frames, rest: buffer.slice(offset), closeCode: null };
+};
+
+/**
+ * Creates the remote control server. Commands are validated here and handed to
+ * onCommand, which resolves to the JSON reply for the client.
+ * @param {Object} options - Server options.
+ * @param {number} options.port - TCP port to listen on.
+ * @param {Object} options.pairing - Pairing manager from createPairing().
+ * @param {Function} options.onCommand - async (command) => reply object.
+ * @param {Function} [options.onError] - Called with server level errors.
+ * @returns {{start: Function, stop: Function}} Server controls.
+ */
+export const createRemoteServer = ({ port, pairing, onCommand, onError }) => {
+  let server = null;
+
+  /**
+   * Validates, authorizes and dispatches one command.
+   * @param {string} body - Raw JSON request.
+   * @param {string} [bearerToken] - Token from the Authorization header, if any.
+   * @returns {Promise<Object>} The reply.
+   */
+  const dispatch = async (body, bearerToken) => {
+    let command;
+    try {
+      command = parseCommand(body);
+      if (command.command === 'pair') {
+        return okReply('pair', { token: pairing.pair(command.code) });
+      }
+      if (!pairing.isAuthorized(command.token || bearerToken)) {
+        throw new RemoteCommandError('unauthorized', 'Pair with the code spoken on the phone first');
+      }
+      return await onCommand(command);
+    } catch (error) {
+      if (!(error instanceof RemoteCommandError)) {
+        console.error('Error handling remote command:', error);
+      }
+      return errorReply(error, command && command.command);
+    }
+  };
+
+  /**
+   * Completes the WebSocket handshake and switches the socket to frame mode.
+   * @param {Object} socket - The TCP socket.
+   * @param {Object} request - The parsed upgrade request.
+   * @param {Buffer} leftover - Bytes received after the request head.
+   */
+  const upgradeToWebSocket = async (socket, request, leftover) => {
+    const key = request.headers['sec-websocket-key'] || '';
+    if (!WEBSOCKET_KEY_PATTERN.test(key)) {
+      sendJson(socket, 400, errorReply(new RemoteCommandError('invalid_request', 'Missing or malformed Sec-WebSocket-Key')));
+      return;
+    }
+    const accept = await Crypto.digestStringAsync(
+      Crypto.CryptoDigestAlgorithm.SHA1,
+      key + WEBSOCKET_GUID,
+      { encoding: Crypto.CryptoEncoding.BASE64 }
+    );
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n'));
+
+    let pending = leftover;
+    let closed = false;
+    const handleFrames = async (chunk) => {
+      if (closed) {
+        return;
+      }
+      pending = Buffer.concat([pending, chunk]);
+      const { frames, rest, closeCode } = decodeWebSocketFrames(pending);
+      pending = rest;
+      if (closeCode) {
+        closed = true;
+        socket.write(encodeCloseFrame(closeCode));
+        socket.end();
+        return;
+      }
+      for (const frame of frames) {
+        if (closed) {
+          return;
+        }
+        if (frame.opcode === 0x8) { // Close
+          closed = true;
+          socket.write(encodeWebSocketFrame('', 0x8));
+          socket.end();
+          return;
+        }
+        if (frame.opcode === 0x9) { // Ping
+          socket.write(encodeWebSocketFrame(frame.payload.toString('utf8'), 0xA));
+          continue;
+        }
+        if (frame.opcode === 0x1) { // Text
+          const reply = await dispatch(frame.payload.toString('utf8'));
+          socket.write(encodeWebSocketFrame(JSON.stringify(reply)));
+        }
+      }
+    };
+
+    socket.removeAllListeners('data');
+    socket.on('data', handleFrames);
+    if (leftover.length > 0) {
+      handleFrames(Buffer.alloc(0));
+    }
+  };
+
+  /**
+   * Handles one incoming connection.
+   * @param {Object} socket - The TCP socket.
+   */
+  const handleConnection = (socket) => {
+    let received = Buffer.alloc(0);
+    let handled = false; // One request per connection; anything sent after it is ignored
+
+    socket.on('error', (error) => console.error('Remote control socket error:', error));
+    socket.on('data', async (chunk) => {
+      if (handled) {
+        return; // WebSocket clients wait for the handshake reply before sending frames
+      }
+      received = Buffer.concat([received, Buffer.from(chunk)]);
+      if (received.length > MAX_REQUEST_BYTES) {
+        handled = true;
+        sendJson(socket, 413, errorReply(new RemoteCommandError('too_large', 'Request is too large')));
+        return;
+      }
+
+      const request = parseHttpRequest(received);
+      if (!request) {
+        return; // Wait for the rest of the request
+      }
+      handled = true; // Before any await, so a chunk arriving meanwhile cannot dispatch it again
+
+      if (request.headers.origin) {
+        sendJson(socket, 403, errorReply(new RemoteCommandError('forbidden', 'Requests from web pages are not accepted')));
+        return;
+      }
+
+      const bearer = (request.headers.authorization || '').replace(/^Bearer\s+/i, '') || undefined;
+
+      if (request.method === 'GET' && request.path === '/ws' &&
+          (request.headers.upgrade || '').toLowerCase() === 'websocket') {
+        const headerEnd = received.indexOf('\r\n\r\n') + 4;
+        await upgradeToWebSocket(socket, request, received.slice(headerEnd));
+        return;
+      }
+
+      if (request.method === 'POST' && request.path === '/command') {
+        const reply = await dispatch(request.body, bearer);
+        sendJson(socket, statusForReply(reply), reply);
+      } else if (request.method === 'GET' && request.path === '/status') {
+        const reply = await dispatch(JSON.stringify({ command: 'status' }), bearer);
+        sendJson(socket, statusForReply(reply), reply);
+      } else {
+        sendJson(socket, 404, errorReply(new RemoteCommandError('not_found', `No route for ${request.method} ${request.path}`)));
+      }
+    });
+  };
+
+  return {
+    /**
+     * Starts listening on all interfaces.
+     * @returns {Promise<void>} Resolves once the server is listening.
+     */
+    start: () => new Promise((resolve, reject) => {
+      server = TcpSocket.createServer(handleConnection);
+      server.once('error', reject);
+      server.on('error', (error) => onError && onError(error));
+      server.listen({ port, host: '0.0.0.0', reuseAddress: true }, () => resolve());
+    }),
+
+    /**
+     * Stops the server and forgets all pairings.
+     */
+    stop: () => {
+      if (server) {
+        server.close();
+        server = null;
+      }
+      pairing.reset();
+    },
+  };
+};
@@ -0,0 +1,662 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { createProvider, PROVIDER_IDS } from '../vision/providers';
+import { createChannel, CHANNEL_IDS } from '../sos/channels';
+import {
+  providerUsesApiKey,
+  SPEECH_RATE_RANGE,
+  SPEECH_PITCH_RANGE,
+  VOICE_ACTIVATION_OPTIONS,
+  SCENE_SENSITIVITY_OPTIONS,
+  AUTO_ANNOUNCE_INTERVAL_OPTIONS,
+  AUTO_ANNOUNCE_LIMIT_OPTIONS,
+  SENSITIVE_DATA_OPTIONS,
+  DAILY_BUDGET_OPTIONS
+} from './settingsStore';
+import { formatUsageTotals } from '../usage';
+import { t, LOCALES, LOCALE_IDS, DEVICE_LOCALE, detectDeviceLocale } from '../i18n';
+
+/**
+ * Clamps and rounds a stepped value so repeated taps don't accumulate float noise.
+ * @param {number} value - The new value.
+ * @param {Object} range - { min, max, step }.
+ * @returns {number} The value within range, rounded to one decimal.
+ */
+const stepValue = (value, { min, max }) => Math.round(Math.min(max, Math.max(min, value)) * 10) / 10;
+
+/**
+ * Full-screen settings: vision provider and model, API keys, speech, language, voice command and
+ * auto announce options, usage and the daily budget, gesture control, privacy, emergency contacts and
+ * simulation mode.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.visible - Whether the screen is shown.
+ * @param {Object} props.settings - Current settings.
+ * @param {Object} props.apiKeys - Map of provider id to { key, source }.
+ * @param {Object[]} props.voices - Voices from Speech.getAvailableVoicesAsync().
+ * @param {Object} props.usage - Vision request totals for today and this month, from summarizeUsage.
+ * @param {Function} props.onChangeSettings - Called with a partial settings object.
+ * @param {Function} props.onSaveApiKey - async (providerId, key) => void; validates and stores the key.
+ * @param {Function} props.onTestVoice - Speaks a sample with the current speech settings.
+ * @param {Function} props.onChangeGestureControl - Called with whether gesture control should be on.
+ * @param {Function} props.onAddSosContact - async ({ name, channel, address }) => void; may throw to show a validation message.
+ * @param {Function} props.onDeleteSosContact - Called with a contact id.
+ * @param {Function} props.onTestSos - Sends a test alert to every emergency contact.
+ * @param {Object} props.simulation - { mode, sessionId }: mode is 'off', 'replay' or 'record'.
+ * @param {Object[]} props.simulationSessions - Recorded sessions, newest first.
+ * @param {Function} props.onChangeSimulation - Called with a mode, and the session id when replaying.
+ * @param {Function} props.onDeleteSimulationSession - Called with a session id.
+ * @param {Function} props.onClose - Called when the screen is dismissed.
+ */
+export default function SettingsScreen({
+  visible,
+  settings,
+  apiKeys,
+  voices,
+  usage,
+  onChangeSettings,
+  onSaveApiKey,
+  onTestVoice,
+  onAddSosContact,
+  onDeleteSosContact,
+  onTestSos,
+  onChangeGestureControl,
+  simulation,
+  simulationSessions,
+  onChangeSimulation,
+  onDeleteSimulationSession,
+  onClose
+}) {
+  const [apiKeyInput, setApiKeyInput] = useState('');
+  const [validating, setValidating] = useState(false);
+  const [contactName, setContactName] = useState('');
+  const [contactChannel, setContactChannel] = useState('sms');
+  const [contactAddress, setContactAddress] = useState('');
+  const [contactError, setContactError] = useState('');
+
+  const provider = createProvider(settings.providerId);
+  const keyInfo = apiKeys[settings.providerId] || { key: '', source: null };
+
+  // Never prefill the key field; start empty whenever the screen opens or the provider changes
+  useEffect(() => {
+    setApiKeyInput('');
+  }, [visible, settings.providerId]);
+
+  const handleSaveApiKey = async () => {
+    setValidating(true);
+    try {
+      await onSaveApiKey(settings.providerId, apiKeyInput);
+      setApiKeyInput('');
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const handleAddContact = async () => {
+    try {
+      await onAddSosContact({ name: contactName, channel: contactChannel, address: contactAddress });
+      setContactName('');
+      setContactAddress('');
+      setContactError('');
+    } catch (error) {
+      setContactError(error.message);
+    }
+  };
+
+  const selectProvider = (providerId) => {
+    onChangeSettings({ providerId, modelId: createProvider(providerId).models[0] });
+  };
+
+  const cycleVoice = () => {
+    if (voices.length === 0) {
+      return;
+    }
+    const index = voices.findIndex((voice) => voice.identifier === settings.voice);
+    // Cycle through the system default (null) followed by every available voice
+    const next = index + 1 >= voices.length ? null : voices[index + 1].identifier;
+    onChangeSettings({ voice: next });
+  };
+
+  const channel = createChannel(contactChannel);
+  const currentVoice = voices.find((voice) => voice.identifier === settings.voice);
+  const keyStatus = keyInfo.source === 'device'
+    ? t('settings.provider.keyOnDevice')
+    : keyInfo.source === 'build'
+    ? t('settings.provider.keyFromBuild')
+    : t('settings.provider.noKey');
+  const keyAction = apiKeyInput.trim()
+    ? t('settings.provider.validateAndSave')
+    : keyInfo.source === 'device' ? t('settings.provider.removeKey') : t('settings.provider.testKey');
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <View style={styles.header}>
+          <Text style={styles.title} accessibilityRole="header">{t('settings.title')}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton} accessibilityRole="button" accessibilityLabel={t('settings.close')}>
+            <Ionicons name="close-outline" size={28} color="#1f2937" />
+          </TouchableOpacity>
+        </View>
+
+        {/* Vision Provider */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.provider.title')}</Text>
+          <View style={styles.chipRow}>
+            {PROVIDER_IDS.map((providerId) => (
+              <Chip
+                key={providerId}
+                title={createProvider(providerId).label}
+                isActive={settings.providerId === providerId}
+                onPress={() => selectProvider(providerId)}
+              />
+            ))}
+          </View>
+
+          <Text style={styles.label}>{t('settings.provider.model')}</Text>
+          <View style={styles.chipRow}>
+            {provider.models.map((model) => (
+              <Chip
+                key={model}
+                title={model}
+                isActive={settings.modelId === model}
+                onPress={() => onChangeSettings({ modelId: model })}
+              />
+            ))}
+          </View>
+
+          {settings.providerId === 'openai' && (
+            <>
+              <Text style={styles.label}>{t('settings.provider.serverUrl')}</Text>
+              <TextInput
+                style={styles.input}
+                value={settings.openaiBaseUrl}
+                onChangeText={(openaiBaseUrl) => onChangeSettings({ openaiBaseUrl })}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+                placeholder="http://192.168.1.20:11434/v1"
+                accessibilityLabel={t('settings.provider.serverUrl')}
+              />
+            </>
+          )}
+
+          {providerUsesApiKey(settings.providerId) && (
+            <>
+              <Text style={styles.label}>{t('settings.provider.apiKey')}</Text>
+              <Text style={styles.hint}>{keyStatus}</Text>
+              <TextInput
+                style={styles.input}
+                value={apiKeyInput}
+                onChangeText={setApiKeyInput}
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+                placeholder={t(keyInfo.source ? 'settings.provider.replaceKeyPlaceholder' : 'settings.provider.keyPlaceholder')}
+                accessibilityLabel={t('settings.provider.keyInputLabel')}
+              />
+              <TouchableOpacity
+                style={[styles.primaryButton, validating && styles.primaryButtonDisabled]}
+                onPress={handleSaveApiKey}
+                disabled={validating}
+                accessibilityRole="button"
+                accessibilityLabel={keyAction}
+                accessibilityState={{ disabled: validating, busy: validating }}
+              >
+                {validating ? (
+                  <ActivityIndicator color="#fff" size="small" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>{keyAction}</Text>
+                )}
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+
+        {/* Speech */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.speech.title')}</Text>
+          <Stepper
+            label={t('settings.speech.rate')}
+            value={settings.speechRate}
+            onDecrease={() => onChangeSettings({ speechRate: stepValue(settings.speechRate - SPEECH_RATE_RANGE.step, SPEECH_RATE_RANGE) })}
+            onIncrease={() => onChangeSettings({ speechRate: stepValue(settings.speechRate + SPEECH_RATE_RANGE.step, SPEECH_RATE_RANGE) })}
+          />
+          <Stepper
+            label={t('settings.speech.pitch')}
+            value={settings.speechPitch}
+            onDecrease={() => onChangeSettings({ speechPitch: stepValue(settings.speechPitch - SPEECH_PITCH_RANGE.step, SPEECH_PITCH_RANGE) })}
+            onIncrease={() => onChangeSettings({ speechPitch: stepValue(settings.speechPitch + SPEECH_PITCH_RANGE.step, SPEECH_PITCH_RANGE) })}
+          />
+          <Text style={styles.label}>{t('settings.speech.voice')}</Text>
+          <View style={styles.chipRow}>
+            <Chip
+              title={currentVoice ? currentVoice.name : t('settings.speech.systemDefault')}
+              isActive={false}
+              onPress={cycleVoice}
+            />
+            <Chip title={t('settings.speech.test')} isActive onPress={onTestVoice} />
+          </View>
+        </View>
+
+        {/* Language */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.language.title')}</Text>
+          <Text style={styles.hint}>{t('settings.language.hint')}</Text>
+          <View style={styles.chipRow}>
+            <Chip
+              title={t('settings.language.device', { name: LOCALES[detectDeviceLocale()].name })}
+              isActive={settings.locale === DEVICE_LOCALE}
+              onPress={() => onChangeSettings({ locale: DEVICE_LOCALE, voice: null })}
+            />
+            {LOCALE_IDS.map((localeId) => (
+              <Chip
+                key={localeId}
+                title={LOCALES[localeId].name}
+                isActive={settings.locale === localeId}
+                onPress={() => onChangeSettings({ locale: localeId, voice: null })}
+              />
+            ))}
+          </View>
+        </View>
+
+        {/* Voice Commands */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.voiceCommands.title')}</Text>
+          <View style={styles.chipRow}>
+            {VOICE_ACTIVATION_OPTIONS.map((option) => (
+              <Chip
+                key={option.id}
+                title={t(option.labelKey)}
+                isActive={settings.voiceActivation === option.id}
+                onPress={() => onChangeSettings({ voiceActivation: option.id })}
+              />
+            ))}
+          </View>
+          {settings.voiceActivation === 'wake' && (
+            <>
+              <Text style={styles.label}>{t('settings.voiceCommands.wakeWord')}</Text>
+              <TextInput
+                style={styles.input}
+                value={settings.wakeWord}
+                onChangeText={(wakeWord) => onChangeSettings({ wakeWord })}
+                autoCapitalize="none"
+                autoCorrect={false}
+                placeholder="pathfinder"
+                accessibilityLabel={t('settings.voiceCommands.wakeWordLabel')}
+              />
+              <Text style={styles.hint}>{t('settings.voiceCommands.wakeWordHint', { wakeWord: settings.wakeWord || 'pathfinder' })}</Text>
+            </>
+          )}
+        </View>
+
+        {/* Auto Announce */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.autoAnnounce.title')}</Text>
+          <Text style={styles.hint}>{t('settings.autoAnnounce.hint')}</Text>
+          <Text style={styles.label}>{t('settings.autoAnnounce.reactTo')}</Text>
+          <View style={styles.chipRow}>
+            {SCENE_SENSITIVITY_OPTIONS.map((option) => (
+              <Chip
+                key={option.id}
+                title={t(option.labelKey)}
+                isActive={settings.sceneSensitivity === option.id}
+                onPress={() => onChangeSettings({ sceneSensitivity: option.id })}
+              />
+            ))}
+          </View>
+          <Text style={styles.label}>{t('settings.autoAnnounce.atMostEvery')}</Text>
+          <View style={styles.chipRow}>
+            {AUTO_ANNOUNCE_INTERVAL_OPTIONS.map((option) => (
+              <Chip
+                key={option.id}
+                title={t(option.labelKey, option.labelParams)}
+                isActive={settings.autoAnnounceIntervalMs === option.id}
+                onPress={() => onChangeSettings({ autoAnnounceIntervalMs: option.id })}
+              />
+            ))}
+          </View>
+          <Text style={styles.label}>{t('settings.autoAnnounce.perHourTitle')}</Text>
+          <View style={styles.chipRow}>
+            {AUTO_ANNOUNCE_LIMIT_OPTIONS.map((option) => (
+              <Chip
+                key={option.id}
+                title={t(option.labelKey, option.labelParams)}
+                isActive={settings.autoAnnounceHourlyLimit === option.id}
+                onPress={() => onChangeSettings({ autoAnnounceHourlyLimit: option.id })}
+              />
+            ))}
+          </View>
+        </View>
+
+        {/* Usage */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.usage.title')}</Text>
+          <Text style={styles.hint}>{t('settings.usage.hint')}</Text>
+          <Text style={styles.label}>{t('settings.usage.today', { totals: formatUsageTotals(usage.today) })}</Text>
+          <Text style={styles.label}>{t('settings.usage.month', { totals: formatUsageTotals(usage.thisMonth) })}</Text>
+          <Text style={styles.label}>{t('settings.usage.budget')}</Text>
+          <View style={styles.chipRow}>
+            {DAILY_BUDGET_OPTIONS.map((option) => (
+              <Chip
+                key={option.id}
+                title={t(option.labelKey, option.labelParams)}
+                isActive={settings.dailyCallBudget === option.id}
+                onPress={() => onChangeSettings({ dailyCallBudget: option.id })}
+              />
+            ))}
+          </View>
+        </View>
+
+        {/* Accessibility */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.accessibility.title')}</Text>
+          <Text style={styles.hint}>{t('settings.accessibility.hint')}</Text>
+          <Text style={styles.label}>{t('settings.accessibility.gestureControl')}</Text>
+          <View style={styles.chipRow}>
+            <Chip title={t('settings.accessibility.off')} isActive={!settings.gestureControl} onPress={() => onChangeGestureControl(false)} />
+            <Chip title={t('settings.accessibility.on')} isActive={settings.gestureControl} onPress={() => onChangeGestureControl(true)} />
+          </View>
+        </View>
+
+        {/* Privacy */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.privacy.title')}</Text>
+          <Text style={styles.hint}>{t('settings.privacy.hint')}</Text>
+          <Text style={styles.label}>{t('settings.privacy.label')}</Text>
+          <View style={styles.chipRow}>
+            {SENSITIVE_DATA_OPTIONS.map((option) => (
+              <Chip
+                key={option.id}
+                title={t(option.labelKey)}
+                isActive={settings.sensitiveData === option.id}
+                onPress={() => onChangeSettings({ sensitiveData: option.id })}
+              />
+            ))}
+          </View>
+        </View>
+
+        {/* Emergency Contacts */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.sos.title')}</Text>
+          <Text style={styles.hint}>{t('settings.sos.hint')}</Text>
+          {settings.sosContacts.length === 0 ? (
+            <Text style={styles.emptyText}>{t('settings.sos.empty')}</Text>
+          ) : settings.sosContacts.map((contact) => (
+            <View key={contact.id} style={styles.contactRow}>
+              <View style={styles.contactBody}>
+                <Text style={styles.contactName}>{contact.name}</Text>
+                <Text style={styles.contactAddress}>{createChannel(contact.channel).label}: {contact.address}</Text>
+              </View>
+              <TouchableOpacity
+                style={styles.closeButton}
+                onPress={() => onDeleteSosContact(contact.id)}
+                accessibilityRole="button"
+                accessibilityLabel={t('settings.sos.delete', { name: contact.name })}
+              >
+                <Ionicons name="trash-outline" size={20} color="#dc2626" />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <Text style={styles.label}>{t('settings.sos.addContact')}</Text>
+          <TextInput
+            style={styles.input}
+            value={contactName}
+            onChangeText={setContactName}
+            placeholder={t('settings.sos.namePlaceholder')}
+            accessibilityLabel={t('settings.sos.nameLabel')}
+          />
+          <View style={styles.chipRow}>
+            {CHANNEL_IDS.map((channelId) => (
+              <Chip
+                key={channelId}
+                title={createChannel(channelId).label}
+                isActive={contactChannel === channelId}
+                onPress={() => setContactChannel(channelId)}
+              />
+            ))}
+          </View>
+          <TextInput
+            style={styles.input}
+            value={contactAddress}
+            onChangeText={setContactAddress}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType={contactChannel === 'sms' ? 'phone-pad' : contactChannel === 'email' ? 'email-address' : 'url'}
+            placeholder={t('settings.sos.addressPlaceholder', { label: channel.addressLabel, example: channel.placeholder })}
+            accessibilityLabel={channel.addressLabel}
+          />
+          {contactError ? <Text style={styles.errorText}>{contactError}</Text> : null}
+          <View style={styles.chipRow}>
+            <Chip title={t('settings.sos.addContact')} isActive onPress={handleAddContact} />
+            {settings.sosContacts.length > 0 && <Chip title={t('settings.sos.sendTest')} isActive={false} onPress={onTestSos} />}
+          </View>
+        </View>
+
+        {/* Simulation */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('settings.simulation.title')}</Text>
+          <Text style={styles.hint}>{t('settings.simulation.hint')}</Text>
+          <View style={styles.chipRow}>
+            <Chip title={t('settings.simulation.off')} isActive={simulation.mode === 'off'} onPress={() => onChangeSimulation('off')} />
+            <Chip title={t('settings.simulation.record')} isActive={simulation.mode === 'record'} onPress={() => onChangeSimulation('record')} />
+          </View>
+          <Text style={styles.label}>{t('settings.simulation.sessions')}</Text>
+          {simulationSessions.length === 0 ? (
+            <Text style={styles.emptyText}>{t('settings.simulation.empty')}</Text>
+          ) : simulationSessions.map((session) => {
+            const replaying = simulation.mode === 'replay' && simulation.sessionId === session.id;
+            return (
+              <View key={session.id} style={styles.contactRow}>
+                <TouchableOpacity
+                  style={styles.contactBody}
+                  onPress={() => onChangeSimulation(replaying ? 'off' : 'replay', session.id)}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('settings.simulation.replay', { name: session.name })}
+                  accessibilityState={{ selected: replaying }}
+                >
+                  <Text style={styles.contactName}>{session.name}</Text>
+                  <Text style={styles.contactAddress}>
+                    {t(replaying ? 'settings.simulation.framesReplaying' : 'settings.simulation.frames', { count: session.steps.length })}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.closeButton}
+                  onPress={() => onDeleteSimulationSession(session.id)}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('settings.simulation.delete', { name: session.name })}
+                >
+                  <Ionicons name="trash-outline" size={20} color="#dc2626" />
+                </TouchableOpacity>
+              </View>
+            );
+          })}
+        </View>
+      </ScrollView>
+    </Modal>
+  );
+}
+
+// Small selectable pill, styled like the mode buttons
+const Chip = ({ title, isActive, onPress }) => (
+  <TouchableOpacity
+    style={[styles.chip, isActive && styles.chipActive]}
+    onPress={onPress}
+    accessibilityRole="button"
+    accessibilityState={{ selected: isActive }}
+  >
+    <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{title}</Text>
+  </TouchableOpacity>
+);
+
+// Label with minus/plus buttons around a numeric value
+const Stepper = ({ label, value, onDecrease, onIncrease }) => (
+  <View style={styles.stepperRow}>
+    <Text style={styles.stepperLabel}>{label}</Text>
+    <TouchableOpacity style={styles.stepperButton} onPress={onDecrease} accessibilityRole="button" accessibilityLabel={t('settings.speech.decrease', { label })}>
+      <Ionicons name="remove-outline" size={20} color="#1f2937" />
+    </TouchableOpacity>
+    <Text style={styles.stepperValue}>{value.toFixed(1)}</Text>
+    <TouchableOpacity style={styles.stepperButton} onPress={onIncrease} accessibilityRole="button" accessibilityLabel={t('settings.speech.increase', { label })}>
+      <Ionicons name="add-outline" size={20} color="#1f2937" />
+    </TouchableOpacity>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f0f4f8', // light gray background
+  },
+  content: {
+    padding: 16,
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1f2937', // dark gray
+  },
+  closeButton: {
+    padding: 4,
+  },
+  section: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 5,
+    marginBottom: 5,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6b7280',
+    fontStyle: 'italic',
+    marginBottom: 5,
+  },
+  input: {
+    backgroundColor: '#f3f4f6',
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: '#1f2937',
+    marginBottom: 10,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 10,
+  },
+  chip: {
+    backgroundColor: '#e5e7eb', // gray-200
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6', // blue-500
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#4b5563', // gray-700
+  },
+  chipTextActive: {
+    color: '#ffffff',
+  },
+  primaryButton: {
+    backgroundColor: '#2563eb', // blue-600
+    borderRadius: 20,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9ca3af', // gray-400
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  stepperLabel: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  stepperButton: {
+    backgroundColor: '#e5e7eb', // gray-200
+    borderRadius: 16,
+    padding: 6,
+  },
+  stepperValue: {
+    width: 50,
+    textAlign: 'center',
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 5,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#dc2626', // red-600
+    marginBottom: 10,
+  },
+  contactRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f3f4f6',
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 8,
+  },
+  contactBody: {
+    flex: 1,
+  },
+  contactName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#374151',
+  },
+  contactAddress: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,133 @@
+// The app's settings and API keys as they are used: changes apply at once and are saved in the
+// order they were made, and an API key is only stored once a test call shows it works
+//
+//   const settings = createSettingsManager({ updateMessage, onChange });
+//   await settings.load();
+//   settings.update({ speechRate: 1.2 });
+//   await settings.validateAndSaveApiKey('openai', key);   // "API key saved."
+
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  loadApiKeys,
+  saveApiKey,
+  providerOptionsFromSettings
+} from './settingsStore';
+import { createProvider } from '../vision/providers';
+import { VISION_ERROR_CATEGORIES, spokenMessageForError } from '../vision/errors';
+import { t } from '../i18n';
+
+/**
+ * Creates the settings manager.
+ * @param {Object} options - Manager options.
+ * @param {Function} options.updateMessage - Shows and speaks a message, see src/speech/announcer.js.
+ * @param {Function} options.onChange - Called with { settings, apiKeys } whenever either changes.
+ * @returns {Object} The manager.
+ */
+export const createSettingsManager = ({ updateMessage, onChange }) => {
+  let settings = DEFAULT_SETTINGS;
+  let apiKeys = {}; // Provider id -> { key, source } from secure storage or the build
+  let writes = Promise.resolve(); // Serializes settings writes, so the last change is the one kept
+
+  const notify = () => onChange({ settings, apiKeys });
+
+  const reloadApiKeys = async () => {
+    apiKeys = await loadApiKeys();
+    notify();
+  };
+
+  /**
+   * Loads the saved settings and API keys.
+   * @returns {Promise<void>}
+   */
+  const load = async () => {
+    const [loaded, keys] = await Promise.all([loadSettings(), loadApiKeys()]);
+    settings = loaded;
+    apiKeys = keys;
+    notify();
+  };
+
+  /**
+   * Applies and persists a partial settings change.
+   * @param {Object} patch - Settings to change, e.g. { speechRate: 1.2 }.
+   */
+  const update = (patch) => {
+    settings = { ...settings, ...patch };
+    notify();
+    const next = settings;
+    writes = writes
+      .then(() => saveSettings(next))
+      .catch((error) => console.error('Error saving settings:', error));
+  };
+
+  /**
+   * Connection options for a provider: its settings and API key.
+   * @param {string} [providerId] - The provider; the selected one by default.
+   * @returns {Object} Options for createProvider.
+   */
+  const getProviderOptions = (providerId = settings.providerId) =>
+    providerOptionsFromSettings(providerId, settings, apiKeys);
+
+  /**
+   * Validates an API key with a cheap test call and stores it securely if it works.
+   * An empty key removes a saved key, or re-tests the build-time key if there is none.
+   * @param {string} keyProviderId - Provider the key belongs to.
+   * @param {string} key - The key entered in settings.
+   */
+  const validateAndSaveApiKey = async (keyProviderId, key) => {
+    const trimmed = (key || '').trim();
+    const current = apiKeys[keyProviderId] || { key: '', source: null };
+
+    if (!trimmed && current.source === 'device') {
+      await saveApiKey(keyProviderId, '');
+      await reloadApiKeys();
+      updateMessage(t('apiKey.removed'), true);
+      return;
+    }
+
+    const candidate = trimmed || current.key;
+    const provider = createProvider(keyProviderId, { ...getProviderOptions(keyProviderId), apiKey: candidate });
+
+    try {
+      await provider.validateKey();
+    } catch (error) {
+      const unverifiable = [VISION_ERROR_CATEGORIES.OFFLINE, VISION_ERROR_CATEGORIES.TIMEOUT].includes(error.category);
+      if (!trimmed || !unverifiable) {
+        updateMessage(trimmed ? `${spokenMessageForError(error)} ${t('apiKey.notSaved')}` : spokenMessageForError(error), true);
+        return;
+      }
+      // The service could not be reached, so keep the key rather than lose what the user typed
+      await saveApiKey(keyProviderId, trimmed);
+      await reloadApiKeys();
+      updateMessage(t('apiKey.unverified'), true);
+      return;
+    }
+
+    if (trimmed) {
+      await saveApiKey(keyProviderId, trimmed);
+      await reloadApiKeys();
+      updateMessage(t('apiKey.saved'), true);
+    } else {
+      updateMessage(t('apiKey.works'), true);
+    }
+  };
+
+  return {
+    load,
+    update,
+    validateAndSaveApiKey,
+    getProviderOptions,
+    /**
+     * @returns {Object} The latest settings, never stale in callbacks created on the first render.
+     */
+    get: () => settings,
+    /**
+     * @returns {boolean} Whether the selected provider has an API key, saved or from the build.
+     */
+    hasApiKey: () => {
+      const stored = apiKeys[settings.providerId];
+      return Boolean(stored && stored.key);
+    },
+  };
+};
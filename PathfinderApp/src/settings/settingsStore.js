@@ -0,0 +1,173 @@
+// Persistent settings: API keys in secure device storage, everything else in AsyncStorage
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+
+const SETTINGS_STORAGE_KEY = 'pathfinder.settings';
+
+// SecureStore keys may only contain alphanumerics, '.', '-' and '_'
+const API_KEY_STORAGE_KEYS = {
+  gemini: 'pathfinder.apiKey.gemini',
+  openai: 'pathfinder.apiKey.openai',
+};
+
+// Build-time keys, inlined by Expo from EXPO_PUBLIC_* environment variables (e.g. in .env.local)
+const BUILD_TIME_API_KEYS = {
+  gemini: process.env.EXPO_PUBLIC_GEMINI_API_KEY,
+  openai: process.env.EXPO_PUBLIC_OPENAI_API_KEY,
+};
+
+export const DEFAULT_SETTINGS = {
+  providerId: 'gemini',
+  modelId: 'gemini-2.0-flash',
+  openaiBaseUrl: process.env.EXPO_PUBLIC_OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  speechRate: 1.0,
+  speechPitch: 1.0,
+  voice: null, // Voice identifier from Speech.getAvailableVoicesAsync(), or null for the system default
+  locale: 'device', // App language: 'device' to follow the phone, or a locale id from src/i18n
+  voiceActivation: 'push', // Voice commands: 'off', 'push' (tap Listen) or 'wake' (always listening for the wake word)
+  wakeWord: 'pathfinder',
+  sceneSensitivity: 'medium', // Passive mode auto announce: how big a change triggers a description ('low', 'medium' or 'high')
+  autoAnnounceIntervalMs: 30000, // Shortest time between two automatic descriptions
+  autoAnnounceHourlyLimit: 60, // Most automatic descriptions requested in any hour
+  dailyCallBudget: 500, // Vision requests a day before automatic captures slow down; 0 for no budget, see src/usage/meter.js
+  gestureControl: false, // The camera view takes swipes and taps, see src/accessibility/gestures.js
+  sensitiveData: 'mask', // Card, account and ID numbers in what is shown and spoken: 'mask' or 'speak'; stored copies are always masked
+  sosContacts: [], // Emergency contacts: { id, name, channel, address }, see src/sos/alerts.js
+};
+
+// Option labels are message keys (see src/i18n), with the values they need
+export const VOICE_ACTIVATION_OPTIONS = [
+  { id: 'off', labelKey: 'settings.voiceCommands.off' },
+  { id: 'push', labelKey: 'settings.voiceCommands.push' },
+  { id: 'wake', labelKey: 'settings.voiceCommands.wake' },
+];
+
+export const SCENE_SENSITIVITY_OPTIONS = [
+  { id: 'low', labelKey: 'settings.autoAnnounce.low' },
+  { id: 'medium', labelKey: 'settings.autoAnnounce.medium' },
+  { id: 'high', labelKey: 'settings.autoAnnounce.high' },
+];
+
+export const AUTO_ANNOUNCE_INTERVAL_OPTIONS = [
+  { id: 10000, labelKey: 'units.secondsShort', labelParams: { count: 10 } },
+  { id: 30000, labelKey: 'units.secondsShort', labelParams: { count: 30 } },
+  { id: 60000, labelKey: 'units.minutesShort', labelParams: { count: 1 } },
+  { id: 120000, labelKey: 'units.minutesShort', labelParams: { count: 2 } },
+];
+
+export const AUTO_ANNOUNCE_LIMIT_OPTIONS = [
+  { id: 20, labelKey: 'settings.autoAnnounce.perHour', labelParams: { count: 20 } },
+  { id: 60, labelKey: 'settings.autoAnnounce.perHour', labelParams: { count: 60 } },
+  { id: 120, labelKey: 'settings.autoAnnounce.perHour', labelParams: { count: 120 } },
+];
+
+export const DAILY_BUDGET_OPTIONS = [
+  { id: 0, labelKey: 'settings.usage.noBudget' },
+  { id: 100, labelKey: 'settings.usage.perDay', labelParams: { count: 100 } },
+  { id: 250, labelKey: 'settings.usage.perDay', labelParams: { count: 250 } },
+  { id: 500, labelKey: 'settings.usage.perDay', labelParams: { count: 500 } },
+  { id: 1000, labelKey: 'settings.usage.perDay', labelParams: { count: 1000 } },
+];
+
+export const SENSITIVE_DATA_OPTIONS = [
+  { id: 'mask', labelKey: 'settings.privacy.mask' },
+  { id: 'speak', labelKey: 'settings.privacy.speak' },
+];
+
+// Limits for the speech rate and pitch controls
+export const SPEECH_RATE_RANGE = { min: 0.5, max: 2.0, step: 0.1 };
+export const SPEECH_PITCH_RANGE = { min: 0.5, max: 2.0, step: 0.1 };
+
+/**
+ * Loads the stored settings merged onto the defaults.
+ * @returns {Promise<Object>} The settings.
+ */
+export const loadSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_STORAGE_KEY);
+    return { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Persists settings. API keys are never written here; use saveApiKey.
+ * @param {Object} settings - The full settings object.
+ * @returns {Promise<void>}
+ */
+export const saveSettings = async (settings) => {
+  const persisted = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    persisted[key] = settings[key];
+  });
+  await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(persisted));
+};
+
+/**
+ * Loads the API keys for every provider that uses one. A key saved on the device wins over
+ * a build-time key.
+ * @returns {Promise<Object>} Map of provider id to { key, source }, where source is 'device', 'build' or null.
+ */
+export const loadApiKeys = async () => {
+  const keys = {};
+  await Promise.all(Object.keys(API_KEY_STORAGE_KEYS).map(async (providerId) => {
+    let stored = null;
+    try {
+      stored = await SecureStore.getItemAsync(API_KEY_STORAGE_KEYS[providerId]);
+    } catch (error) {
+      console.error(`Error reading ${providerId} API key:`, error);
+    }
+    if (stored) {
+      keys[providerId] = { key: stored, source: 'device' };
+    } else if (BUILD_TIME_API_KEYS[providerId]) {
+      keys[providerId] = { key: BUILD_TIME_API_KEYS[providerId], source: 'build' };
+    } else {
+      keys[providerId] = { key: '', source: null };
+    }
+  }));
+  return keys;
+};
+
+/**
+ * Stores an API key in secure device storage, or removes it when the key is empty.
+ * @param {string} providerId - Provider the key belongs to.
+ * @param {string} key - The API key.
+ * @returns {Promise<void>}
+ */
+export const saveApiKey = async (providerId, key) => {
+  const storageKey = API_KEY_STORAGE_KEYS[providerId];
+  if (!storageKey) {
+    throw new Error(`Provider ${providerId} does not use an API key`);
+  }
+  const trimmed = (key || '').trim();
+  if (trimmed) {
+    await SecureStore.setItemAsync(storageKey, trimmed);
+  } else {
+    await SecureStore.deleteItemAsync(storageKey);
+  }
+};
+
+/**
+ * Whether a provider takes an API key that can be entered in settings.
+ * @param {string} providerId - The provider id.
+ * @returns {boolean} True for providers with a key slot.
+ */
+export const providerUsesApiKey = (providerId) => Boolean(API_KEY_STORAGE_KEYS[providerId]);
+
+/**
+ * Builds the createProvider options for a provider from settings and loaded keys.
+ * @param {string} providerId - The provider id.
+ * @param {Object} settings - The settings.
+ * @param {Object} apiKeys - Output of loadApiKeys.
+ * @returns {Object} Options for createProvider.
+ */
+export const providerOptionsFromSettings = (providerId, settings, apiKeys) => {
+  const apiKey = apiKeys[providerId] ? apiKeys[providerId].key : '';
+  if (providerId === 'openai') {
+    return { apiKey, baseUrl: settings.openaiBaseUrl };
+  }
+  return providerId === 'gemini' ? { apiKey } : {};
+};
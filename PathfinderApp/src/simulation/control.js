@@ -0,0 +1,109 @@
+// Switches simulation mode: replaying a recorded session in place of the camera and the vision
+// service, recording real captures into a new session, or off. Never persisted; the app always
+// starts with the camera.
+//
+//   const simulation = createSimulationControl({ machine, updateMessage, onChange });
+//   await simulation.change('replay', sessionId);
+//   createCamera({ getSimulation: simulation.getActive, ... });
+
+import { isBusy } from '../app/stateMachine';
+import { createPlayer } from './player';
+import { createRecorder } from './recorder';
+import { listSessions, loadSession, createSession, deleteSession } from './sessionStore';
+import { t, formatDate } from '../i18n';
+
+const OFF = { session: null, player: null, recorder: null };
+
+/**
+ * Creates the simulation switch.
+ * @param {Object} options - Simulation options.
+ * @param {Object} options.machine - The app state machine.
+ * @param {Function} options.updateMessage - Shows and speaks a message, see src/speech/announcer.js.
+ * @param {Function} options.onChange - Called with { simulation, sessions } whenever the mode or
+ *   the recorded sessions change; simulation is { mode, sessionId, name }.
+ * @returns {{change: Function, deleteSession: Function, refreshSessions: Function, getActive: Function}}
+ */
+export const createSimulationControl = ({ machine, updateMessage, onChange }) => {
+  let active = OFF; // The session being replayed or recorded, with its player or recorder
+  let simulation = { mode: 'off', sessionId: null, name: null };
+  let sessions = [];
+
+  const notify = () => onChange({ simulation, sessions });
+
+  /**
+   * Lists the recorded sessions again.
+   * @returns {Promise<void>}
+   */
+  const refreshSessions = async () => {
+    sessions = await listSessions();
+    notify();
+  };
+
+  /**
+   * Switches simulation mode. Refused while a capture or a hands-free loop is running.
+   * @param {string} mode - 'off', 'replay' or 'record'.
+   * @param {string} [sessionId] - The session to replay.
+   */
+  const change = async (mode, sessionId) => {
+    const snapshot = machine.getSnapshot();
+    if (isBusy(snapshot) || snapshot.loop) {
+      updateMessage(t('simulation.busy'), true);
+      return;
+    }
+    if (active.recorder) {
+      await active.recorder.flush();
+    }
+    try {
+      if (mode === 'replay') {
+        const session = await loadSession(sessionId);
+        if (!session || session.steps.length === 0) {
+          updateMessage(t('simulation.empty'), true);
+          return;
+        }
+        active = { session, player: createPlayer(session), recorder: null };
+        simulation = { mode, sessionId, name: session.name };
+        updateMessage(t('simulation.replaying', { name: session.name, count: session.steps.length }), true);
+      } else if (mode === 'record') {
+        const session = await createSession(t('simulation.sessionName', { date: formatDate(Date.now(), { time: true }) }));
+        active = { session, player: null, recorder: createRecorder(session) };
+        simulation = { mode, sessionId: session.id, name: session.name };
+        updateMessage(t('simulation.recording'), true);
+      } else {
+        active = OFF;
+        simulation = { mode: 'off', sessionId: null, name: null };
+        updateMessage(t('simulation.off'), true);
+      }
+    } catch (error) {
+      console.error('Error changing simulation mode:', error);
+      updateMessage(t('simulation.error'), true);
+    }
+    await refreshSessions();
+  };
+
+  /**
+   * Deletes a recorded session, leaving simulation mode first if it is the one in use.
+   * @param {string} sessionId - The session id.
+   */
+  const removeSession = async (sessionId) => {
+    if (simulation.sessionId === sessionId) {
+      await change('off');
+    }
+    try {
+      await deleteSession(sessionId);
+    } catch (error) {
+      console.error('Error deleting simulation session:', error);
+    }
+    await refreshSessions();
+  };
+
+  return {
+    change,
+    deleteSession: removeSession,
+    refreshSessions,
+    /**
+     * The session being replayed or recorded, for the camera and the vision provider.
+     * @returns {{session: Object|null, player: Object|null, recorder: Object|null}}
+     */
+    getActive: () => active,
+  };
+};
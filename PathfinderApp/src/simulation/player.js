@@ -0,0 +1,70 @@
+// Replays a recorded session: hands out its frames in order and, for each frame, the vision
+// responses recorded with it
+//
+// A session is
+//   { id, name, createdAt, steps: [{ frame, width, height, calls }] }
+// where frame is the file name of a JPEG in the session's folder and calls are the vision
+// requests made about that frame, in order:
+//   { kind: 'describe' | 'chat', mode, delayMs, text, usage }            - an answer
+//   { kind: 'describe' | 'chat', mode, delayMs, error: { category, message } } - a failure,
+//     category being one of VISION_ERROR_CATEGORIES (src/vision/errors.js)
+// Sessions are recorded by the app (see ./recorder) or written by hand as scripts, e.g. to replay
+// a timeout or a quota error on the third capture. After the last step the session starts over.
+
+/**
+ * Creates a player for a session.
+ * @param {Object} session - The session.
+ * @returns {Object} { takeFrame, peekFrame, takeCall, position }.
+ */
+export const createPlayer = (session) => {
+  const { steps } = session;
+  let index = -1; // Step of the frame taken last
+  let used = []; // Calls of that step already replayed
+
+  const stepAt = (position) => steps[((position % steps.length) + steps.length) % steps.length];
+
+  /**
+   * Moves on to the next frame, as taking a picture does.
+   * @returns {Object|null} The step, or null if the session has no steps.
+   */
+  const takeFrame = () => {
+    if (steps.length === 0) {
+      return null;
+    }
+    index += 1;
+    used = [];
+    return stepAt(index);
+  };
+
+  /**
+   * The frame the next picture will show, without moving on; used for scene samples, so the
+   * scene only changes when the recording does.
+   * @returns {Object|null} The step, or null if the session has no steps.
+   */
+  const peekFrame = () => (steps.length === 0 ? null : stepAt(index + 1));
+
+  /**
+   * Takes the next recorded request of a kind for the current frame.
+   * @param {string} kind - 'describe' or 'chat'.
+   * @returns {Object|null} The recorded call, or null if none is left.
+   */
+  const takeCall = (kind) => {
+    if (index < 0) {
+      return null;
+    }
+    const { calls = [] } = stepAt(index);
+    const next = calls.findIndex((call, position) => call.kind === kind && !used.includes(position));
+    if (next === -1) {
+      return null;
+    }
+    used = [...used, next];
+    return calls[next];
+  };
+
+  /**
+   * @returns {{step: number, total: number}} The current step, counted from 1, and the number of steps.
+   */
+  const position = () => ({ step: index < 0 ? 0 : (index % steps.length) + 1, total: steps.length });
+
+  return { takeFrame, peekFrame, takeCall, position };
+};
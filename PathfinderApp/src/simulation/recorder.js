@@ -0,0 +1,87 @@
+// Records real captures into a session for simulation mode: each frame that is captured, then every
+// vision request made about it with its answer or failure and how long it took
+//
+//   const recorder = createRecorder(await createSession('Kitchen'));
+//   const provider = recorder.withRecording(createProvider('gemini', options));
+//   await recorder.recordFrame(photo);   // after each takePictureAsync
+//   await provider.describeImage(...);  // recorded against that frame
+// Answers are stored with sensitive numbers masked, like everything else the app keeps.
+
+import { saveSession, addFrame } from './sessionStore';
+import { maskSensitive } from '../privacy';
+import { VISION_ERROR_CATEGORIES } from '../vision/errors';
+
+/**
+ * Creates a recorder that adds to a session.
+ * @param {Object} session - The session, usually a new one from createSession.
+ * @returns {Object} { recordFrame, withRecording, getSession, flush }.
+ */
+export const createRecorder = (session) => {
+  let current = session;
+  let writes = Promise.resolve();
+
+  const persist = () => {
+    const snapshot = current;
+    writes = writes
+      .then(() => saveSession(snapshot))
+      .catch((error) => console.error('Error saving the simulation session:', error));
+  };
+
+  /**
+   * Adds a captured photo as the next frame.
+   * @param {Object} photo - Result of takePictureAsync ({ uri, width, height }).
+   * @returns {Promise<void>}
+   */
+  const recordFrame = async (photo) => {
+    try {
+      const step = await addFrame(current, photo);
+      current = { ...current, steps: [...current.steps, step] };
+      persist();
+    } catch (error) {
+      console.error('Error recording a simulation frame:', error);
+    }
+  };
+
+  /**
+   * Adds a request's outcome to the latest frame; requests made before the first frame are not kept.
+   * @param {Object} call - The recorded call.
+   */
+  const addCall = (call) => {
+    const last = current.steps[current.steps.length - 1];
+    if (!last) {
+      return;
+    }
+    current = { ...current, steps: [...current.steps.slice(0, -1), { ...last, calls: [...last.calls, call] }] };
+    persist();
+  };
+
+  /**
+   * Wraps a vision provider so its answers and failures are recorded. Cancelled requests are not.
+   * @param {Object} provider - A vision provider.
+   * @returns {Object} The provider, recording.
+   */
+  const withRecording = (provider) => {
+    const recorded = (kind, method) => async (request) => {
+      const startedAt = Date.now();
+      const base = () => ({ kind, mode: request.mode, delayMs: Date.now() - startedAt });
+      try {
+        const result = await provider[method](request);
+        addCall({ ...base(), text: result.text ? maskSensitive(result.text) : null, usage: result.usage || null });
+        return result;
+      } catch (error) {
+        if (error.category !== VISION_ERROR_CATEGORIES.CANCELLED) {
+          addCall({ ...base(), error: { category: error.category || VISION_ERROR_CATEGORIES.SERVER, message: error.message } });
+        }
+        throw error;
+      }
+    };
+    return { ...provider, describeImage: recorded('describe', 'describeImage'), chat: recorded('chat', 'chat') };
+  };
+
+  return {
+    recordFrame,
+    withRecording,
+    getSession: () => current,
+    flush: () => writes,
+  };
+};
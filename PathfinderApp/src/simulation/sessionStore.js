@@ -0,0 +1,107 @@
+// Recorded sessions for simulation mode: one folder per session in the app's document directory,
+// holding the frames as JPEG files and the script in session.json (see ./player for its shape)
+
+import * as FileSystem from 'expo-file-system';
+
+const SESSIONS_DIRECTORY = `${FileSystem.documentDirectory}simulation/`;
+const SCRIPT_FILE = 'session.json';
+
+/**
+ * @param {string} id - The session id.
+ * @returns {string} URI of the session's folder, with a trailing slash.
+ */
+const sessionDirectory = (id) => `${SESSIONS_DIRECTORY}${id}/`;
+
+/**
+ * @param {Object} session - The session.
+ * @param {Object} step - One of its steps.
+ * @returns {string} URI of the step's frame.
+ */
+export const frameUri = (session, step) => `${sessionDirectory(session.id)}${step.frame}`;
+
+/**
+ * Loads one session.
+ * @param {string} id - The session id, i.e. its folder name.
+ * @returns {Promise<Object|null>} The session, or null if its script is missing or unreadable.
+ */
+export const loadSession = async (id) => {
+  try {
+    const script = JSON.parse(await FileSystem.readAsStringAsync(`${sessionDirectory(id)}${SCRIPT_FILE}`));
+    return { name: id, createdAt: 0, ...script, id, steps: Array.isArray(script.steps) ? script.steps : [] };
+  } catch (error) {
+    console.error(`Error loading simulation session ${id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Lists the recorded sessions, newest first. Folders without a readable script are skipped.
+ * @returns {Promise<Object[]>} The sessions.
+ */
+export const listSessions = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(SESSIONS_DIRECTORY);
+    if (!info.exists) {
+      return [];
+    }
+    const ids = await FileSystem.readDirectoryAsync(SESSIONS_DIRECTORY);
+    const sessions = await Promise.all(ids.map(loadSession));
+    return sessions.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt);
+  } catch (error) {
+    console.error('Error listing simulation sessions:', error);
+    return [];
+  }
+};
+
+/**
+ * Writes a session's script.
+ * @param {Object} session - The session.
+ * @returns {Promise<void>}
+ */
+export const saveSession = ({ id, name, createdAt, steps }) =>
+  FileSystem.writeAsStringAsync(`${sessionDirectory(id)}${SCRIPT_FILE}`, JSON.stringify({ name, createdAt, steps }, null, 2));
+
+/**
+ * Starts an empty session to record into.
+ * @param {string} name - Name shown when choosing a session to replay.
+ * @returns {Promise<Object>} The session.
+ */
+export const createSession = async (name) => {
+  const createdAt = Date.now();
+  const session = { id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`, name, createdAt, steps: [] };
+  await FileSystem.makeDirectoryAsync(sessionDirectory(session.id), { intermediates: true });
+  await saveSession(session);
+  return session;
+};
+
+/**
+ * Copies a captured photo into a session's folder.
+ * @param {Object} session - The session.
+ * @param {Object} photo - Result of takePictureAsync ({ uri, width, height }).
+ * @returns {Promise<Object>} The new step, { frame, width, height, calls: [] }.
+ */
+export const addFrame = async (session, photo) => {
+  const frame = `frame-${String(session.steps.length + 1).padStart(4, '0')}.jpg`;
+  await FileSystem.copyAsync({ from: photo.uri, to: `${sessionDirectory(session.id)}${frame}` });
+  return { frame, width: photo.width, height: photo.height, calls: [] };
+};
+
+/**
+ * Copies a step's frame to the cache for one capture, since a captured photo may be deleted once it
+ * has been used (scene samples are).
+ * @param {Object} session - The session.
+ * @param {Object} step - One of its steps.
+ * @returns {Promise<Object>} The photo, { uri, width, height }, like takePictureAsync's.
+ */
+export const checkoutFrame = async (session, step) => {
+  const uri = `${FileSystem.cacheDirectory}replay-${Date.now()}-${step.frame}`;
+  await FileSystem.copyAsync({ from: frameUri(session, step), to: uri });
+  return { uri, width: step.width, height: step.height };
+};
+
+/**
+ * Deletes a session and its frames.
+ * @param {string} id - The session id.
+ * @returns {Promise<void>}
+ */
+export const deleteSession = (id) => FileSystem.deleteAsync(sessionDirectory(id), { idempotent: true });
@@ -0,0 +1,116 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createSosOutbox } from '../outbox';
+import { setLocale } from '../../i18n';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const CONTACT = { id: 'c1', name: 'Sam', channel: 'webhook', address: 'http://example.test/sos' };
+const IMAGE = { base64: 'aW1hZ2U=', mimeType: 'image/jpeg' };
+
+let nextId = 0;
+const makeAlert = (test, image = null) => {
+  nextId += 1;
+  return { id: `alert-${nextId}`, createdAt: Date.now(), test, description: null, location: null, image };
+};
+
+/**
+ * Creates an outbox whose only channel never gets through, so every alert stays pending.
+ * @returns {{outbox: Object, events: Object[]}} The outbox and the events it reported.
+ */
+const createStuckOutbox = () => {
+  const events = [];
+  const outbox = createSosOutbox({
+    getChannel: () => ({ needsNetwork: true }),
+    isOnline: async () => false,
+    onUpdate: (event) => events.push(event),
+  });
+  return { outbox, events };
+};
+
+beforeAll(() => setLocale('en'));
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('createSosOutbox', () => {
+  it('never drops a real alert to make room, only the oldest test alerts', async () => {
+    const { outbox, events } = createStuckOutbox();
+    const real = makeAlert(false);
+    await outbox.send(real, [CONTACT]);
+    const tests = [];
+    for (let i = 0; i < 5; i++) {
+      tests.push(makeAlert(true));
+      await outbox.send(tests[i], [CONTACT]);
+    }
+    outbox.stop();
+
+    expect(outbox.pendingCount()).toBe(5);
+    const dropped = events.filter((event) => event.type === 'failed');
+    expect(dropped.map((event) => event.alert.id)).toEqual([tests[0].id]);
+    expect(dropped[0].error.message).toBe('newer test alerts took its place');
+  });
+
+  it('keeps every real alert even beyond the limit', async () => {
+    const { outbox } = createStuckOutbox();
+    for (let i = 0; i < 7; i++) {
+      await outbox.send(makeAlert(false), [CONTACT]);
+    }
+    outbox.stop();
+    expect(outbox.pendingCount()).toBe(7);
+  });
+
+  it('stores snapshots apart from the outbox and restores them on resume', async () => {
+    const first = createStuckOutbox();
+    const alert = makeAlert(false, IMAGE);
+    await first.outbox.send(alert, [CONTACT]);
+    first.outbox.stop();
+    expect(await AsyncStorage.getItem('pathfinder.sos.outbox')).not.toContain(IMAGE.base64);
+
+    // The next start has a connection again
+    const sent = [];
+    const outbox = createSosOutbox({
+      getChannel: () => ({
+        needsNetwork: true,
+        send: async ({ alert: delivered }) => {
+          sent.push(delivered);
+          return { confirmed: true };
+        },
+      }),
+      isOnline: async () => true,
+      onUpdate: () => {},
+    });
+    expect(await outbox.resume()).toBe(1);
+    await outbox.retryNow();
+    outbox.stop();
+
+    expect(sent.map((delivered) => delivered.image)).toEqual([IMAGE]);
+    expect(await AsyncStorage.getItem(`pathfinder.sos.image.${alert.id}`)).toBeNull(); // Delivered, so forgotten
+  });
+
+  it('forgets snapshots when alerts are cancelled', async () => {
+    const { outbox } = createStuckOutbox();
+    const alert = makeAlert(false, IMAGE);
+    await outbox.send(alert, [CONTACT]);
+    await outbox.cancelAll();
+    outbox.stop();
+    expect(await AsyncStorage.getItem(`pathfinder.sos.image.${alert.id}`)).toBeNull();
+  });
+
+  it('forgets a snapshot that could not be loaded on resume', async () => {
+    const first = createStuckOutbox();
+    const alert = makeAlert(false, IMAGE);
+    await first.outbox.send(alert, [CONTACT]);
+    first.outbox.stop();
+    await AsyncStorage.setItem(`pathfinder.sos.image.${alert.id}`, '{not json');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { outbox } = createStuckOutbox();
+    expect(await outbox.resume()).toBe(1);
+    await outbox.cancelAll();
+    outbox.stop();
+    warn.mockRestore();
+    expect(await AsyncStorage.getItem(`pathfinder.sos.image.${alert.id}`)).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+// Emergency alerts and trusted contacts
+//
+// An alert bundles what a helper needs to find the user:
+//   { id, createdAt, test, description, location, image }
+// where location is { latitude, longitude, accuracy, timestamp } or null, and image is
+// { base64, mimeType } or null. Contacts are stored in settings as { id, name, channel, address },
+// channel being one of the ids in src/sos/channels.
+
+import { createChannel } from './channels';
+import { t, formatDate } from '../i18n';
+
+export const SOS_SCENE_PROMPT = `This photo was taken by a visually impaired person who has asked for emergency help.
+Describe where they are so a helper can find them, in 2 to 3 short sentences.
+Name the kind of place, landmarks, and any street names, shop names or signs you can read.
+Mention any visible danger, such as traffic, water, stairs or a fall.
+No extra commentary.`;
+
+// Longest contact name kept
+const MAX_CONTACT_NAME_LENGTH = 40;
+
+/**
+ * Validates and normalizes a trusted contact entered by the user.
+ * @param {Object} draft - Fields entered by the user.
+ * @param {string} draft.name - Who the contact is, e.g. "Sam".
+ * @param {string} draft.channel - Delivery channel id.
+ * @param {string} draft.address - URL, phone number or email address, depending on the channel.
+ * @returns {Object} The contact.
+ */
+export const buildSosContact = ({ name, channel, address }) => {
+  const trimmedName = (name || '').trim().slice(0, MAX_CONTACT_NAME_LENGTH);
+  if (!trimmedName) {
+    throw new Error(t('sos.errors.contactName'));
+  }
+  const normalizedAddress = createChannel(channel).normalizeAddress(address || '');
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: trimmedName,
+    channel,
+    address: normalizedAddress,
+  };
+};
+
+/**
+ * Creates an alert.
+ * @param {Object} parts - What is known at the time of the alert; everything may be missing.
+ * @param {string|null} [parts.description] - The vision model's description of the surroundings.
+ * @param {Object|null} [parts.location] - The device position.
+ * @param {Object|null} [parts.image] - { base64, mimeType } of the snapshot.
+ * @param {boolean} [parts.test] - Whether this is a test from settings rather than a real emergency.
+ * @returns {Object} The alert.
+ */
+export const buildSosAlert = ({ description = null, location = null, image = null, test = false }) => {
+  const createdAt = Date.now();
+  return {
+    id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt,
+    test,
+    description,
+    location,
+    image,
+  };
+};
+
+/**
+ * Builds a map link for a location.
+ * @param {Object} location - { latitude, longitude }.
+ * @returns {string} A link that opens in any browser or maps app.
+ */
+export const mapsUrl = ({ latitude, longitude }) =>
+  `https://maps.google.com/?q=${latitude.toFixed(6)},${longitude.toFixed(6)}`;
+
+/**
+ * Phrases an alert as a text message.
+ * @param {Object} alert - The alert.
+ * @returns {string} The message, with the location first so it survives truncation.
+ */
+export const formatSosMessage = (alert) => {
+  const lines = [t(alert.test ? 'sos.message.test' : 'sos.message.emergency')];
+  if (alert.location) {
+    const accuracy = alert.location.accuracy ? t('sos.message.accuracy', { meters: Math.round(alert.location.accuracy) }) : '';
+    lines.push(t('sos.message.location', { url: `${mapsUrl(alert.location)}${accuracy}` }));
+  } else {
+    lines.push(t('sos.message.noLocation'));
+  }
+  if (alert.description) {
+    lines.push(t('sos.message.surroundings', { description: alert.description }));
+  }
+  lines.push(t('sos.message.sentAt', { time: formatDate(alert.createdAt, { time: true }) }));
+  return lines.join('\n');
+};
@@ -0,0 +1,25 @@
+// The alert's snapshot as a file, for channels that attach files rather than embed data
+
+import * as FileSystem from 'expo-file-system';
+
+/**
+ * Writes the alert's image to the cache directory, once per alert.
+ * @param {Object} alert - The alert (see src/sos/alerts.js).
+ * @returns {Promise<string|null>} The file URI, or null if the alert has no image or it could not be written.
+ */
+export const writeAlertImage = async (alert) => {
+  if (!alert.image) {
+    return null;
+  }
+  const uri = `${FileSystem.cacheDirectory}pathfinder-sos-${alert.id}.jpg`;
+  try {
+    const info = await FileSystem.getInfoAsync(uri);
+    if (!info.exists) {
+      await FileSystem.writeAsStringAsync(uri, alert.image.base64, { encoding: FileSystem.EncodingType.Base64 });
+    }
+    return uri;
+  } catch (error) {
+    console.warn('Could not write the SOS image:', error);
+    return null;
+  }
+};
@@ -0,0 +1,53 @@
+// Email delivery through the device's mail app. Like SMS, the composer opens prefilled and the
+// user confirms sending; the mail app queues the message if the device is offline.
+
+import * as MailComposer from 'expo-mail-composer';
+import { SosDeliveryError } from '../errors';
+import { writeAlertImage } from './attachment';
+import { t } from '../../i18n';
+
+/**
+ * Creates the email channel.
+ * @returns {Object} An SOS delivery channel.
+ */
+export const createEmailChannel = () => ({
+  id: 'email',
+  label: t('sos.channels.email.label'),
+  addressLabel: t('sos.channels.email.addressLabel'),
+  placeholder: 'name@example.com',
+  needsNetwork: false, // The mail app keeps it in its outbox until the device is online
+
+  /**
+   * @param {string} address - The email address entered by the user.
+   * @returns {string} The address.
+   */
+  normalizeAddress: (address) => {
+    const email = address.trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error(t('sos.channels.email.invalid'));
+    }
+    return email;
+  },
+
+  /**
+   * Opens the composer with the alert. Android never reports whether the email was sent.
+   * @param {Object} delivery - { alert, contact, message }.
+   * @returns {Promise<{confirmed: boolean}>} confirmed is false when the outcome is unknown.
+   */
+  send: async ({ alert, contact, message }) => {
+    if (!(await MailComposer.isAvailableAsync())) {
+      throw new SosDeliveryError(t('sos.errors.noMail'));
+    }
+    const uri = await writeAlertImage(alert);
+    const { status } = await MailComposer.composeAsync({
+      recipients: [contact.address],
+      subject: t(alert.test ? 'sos.message.testEmailSubject' : 'sos.message.emailSubject'),
+      body: message,
+      attachments: uri ? [uri] : [],
+    });
+    if (status === 'cancelled') {
+      throw new SosDeliveryError(t('sos.errors.emailCancelled'));
+    }
+    return { confirmed: status === 'sent' };
+  },
+});
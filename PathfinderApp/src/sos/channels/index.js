@@ -0,0 +1,37 @@
+// SOS delivery channel registry
+//
+// Every channel exposes the same shape:
+//   { id, label, addressLabel, placeholder, needsNetwork: boolean,
+//     normalizeAddress(address),
+//     send({ alert, contact, message, signal }) }
+// normalizeAddress throws an error with a message for the user if the address is unusable.
+// send resolves to { confirmed } once the alert has left the device, where confirmed is false if it
+// was handed to another app that does not report the outcome. It throws SosDeliveryError otherwise,
+// with retryable set when trying again later may succeed.
+
+import { createWebhookChannel } from './webhook';
+import { createSmsChannel } from './sms';
+import { createEmailChannel } from './email';
+
+export { createWebhookChannel, createSmsChannel, createEmailChannel };
+
+const CHANNEL_FACTORIES = {
+  webhook: createWebhookChannel,
+  sms: createSmsChannel,
+  email: createEmailChannel,
+};
+
+export const CHANNEL_IDS = Object.keys(CHANNEL_FACTORIES);
+
+/**
+ * Builds the channel with the given id.
+ * @param {string} channelId - One of CHANNEL_IDS.
+ * @returns {Object} The delivery channel.
+ */
+export const createChannel = (channelId) => {
+  const factory = CHANNEL_FACTORIES[channelId];
+  if (!factory) {
+    throw new Error(`Unknown SOS channel: ${channelId}`);
+  }
+  return factory();
+};
@@ -0,0 +1,49 @@
+// SMS delivery through the phone's messaging app. The operating system does not let apps send
+// texts on their own, so the composer opens prefilled and the user confirms with one tap.
+
+import * as SMS from 'expo-sms';
+import { SosDeliveryError } from '../errors';
+import { writeAlertImage } from './attachment';
+import { t } from '../../i18n';
+
+/**
+ * Creates the SMS channel.
+ * @returns {Object} An SOS delivery channel.
+ */
+export const createSmsChannel = () => ({
+  id: 'sms',
+  label: t('sos.channels.sms.label'),
+  addressLabel: t('sos.channels.sms.addressLabel'),
+  placeholder: '+44 7700 900123',
+  needsNetwork: false, // The mobile network carries it, even without mobile data
+
+  /**
+   * @param {string} address - The phone number entered by the user.
+   * @returns {string} The number without spaces, dashes or brackets.
+   */
+  normalizeAddress: (address) => {
+    const number = address.replace(/[\s().-]/g, '');
+    if (!/^\+?\d{3,15}$/.test(number)) {
+      throw new Error(t('sos.channels.sms.invalid'));
+    }
+    return number;
+  },
+
+  /**
+   * Opens the composer with the alert. Android never reports whether the text was sent.
+   * @param {Object} delivery - { alert, contact, message }.
+   * @returns {Promise<{confirmed: boolean}>} confirmed is false when the outcome is unknown.
+   */
+  send: async ({ alert, contact, message }) => {
+    if (!(await SMS.isAvailableAsync())) {
+      throw new SosDeliveryError(t('sos.errors.noSms'));
+    }
+    const uri = await writeAlertImage(alert);
+    const options = uri ? { attachments: { uri, mimeType: 'image/jpeg', filename: 'sos.jpg' } } : {};
+    const { result } = await SMS.sendSMSAsync([contact.address], message, options);
+    if (result === 'cancelled') {
+      throw new SosDeliveryError(t('sos.errors.smsCancelled'));
+    }
+    return { confirmed: result === 'sent' };
+  },
+});
@@ -0,0 +1,89 @@
+// Webhook delivery: POSTs the alert as JSON to a URL, e.g. a home automation server, a messaging
+// bridge or the local stub in tools/sos-stub-server.js
+
+import { SosDeliveryError } from '../errors';
+import { t } from '../../i18n';
+
+// Time limit for one delivery attempt
+const WEBHOOK_TIMEOUT_MS = 15000;
+
+/**
+ * Builds the JSON body sent to the webhook.
+ * @param {Object} alert - The alert (see src/sos/alerts.js).
+ * @param {Object} contact - The contact it is sent to.
+ * @param {string} message - The alert as text.
+ * @returns {Object} The payload.
+ */
+const buildPayload = (alert, contact, message) => ({
+  type: 'sos',
+  id: alert.id,
+  test: alert.test,
+  createdAt: new Date(alert.createdAt).toISOString(),
+  contact: contact.name,
+  message,
+  description: alert.description,
+  location: alert.location,
+  image: alert.image ? { mimeType: alert.image.mimeType, base64: alert.image.base64 } : null,
+});
+
+/**
+ * Creates the webhook channel.
+ * @returns {Object} An SOS delivery channel.
+ */
+export const createWebhookChannel = () => ({
+  id: 'webhook',
+  label: t('sos.channels.webhook.label'),
+  addressLabel: t('sos.channels.webhook.addressLabel'),
+  placeholder: 'http://192.168.1.20:8787/sos',
+  needsNetwork: true,
+
+  /**
+   * @param {string} address - The URL entered by the user.
+   * @returns {string} The URL.
+   */
+  normalizeAddress: (address) => {
+    const url = address.trim();
+    if (!/^https?:\/\/[^\s/]+/i.test(url)) {
+      throw new Error(t('sos.channels.webhook.invalid'));
+    }
+    return url;
+  },
+
+  /**
+   * Delivers the alert. Any 2xx reply counts as delivered; the body is ignored.
+   * @param {Object} delivery - { alert, contact, message, signal }.
+   * @returns {Promise<{confirmed: boolean}>} Always confirmed once the server accepted it.
+   */
+  send: async ({ alert, contact, message, signal }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, WEBHOOK_TIMEOUT_MS);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    let response;
+    try {
+      response = await fetch(contact.address, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildPayload(alert, contact, message)),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new SosDeliveryError(t(timedOut ? 'sos.errors.noAnswer' : 'sos.errors.noConnection'), { retryable: true });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    if (!response.ok) {
+      // Server trouble and rate limits pass; a wrong address or a rejected request will not
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw new SosDeliveryError(t('sos.errors.serverError', { status: response.status }), { retryable });
+    }
+    return { confirmed: true };
+  },
+});
@@ -0,0 +1,248 @@
+// Emergency alerts as the user experiences them: the countdown that Stop cancels, gathering the
+// location, a snapshot and a description of the place, and speaking how delivery to each contact goes
+//
+//   const emergency = createEmergency({ camera, getProvider, getContacts, stopActivities, announcer, onChange });
+//   emergency.start();     // resumes alerts left from the last session and retries when back online
+//   emergency.trigger();   // "Sending an emergency alert in 5 seconds. Press Stop to cancel."
+//   emergency.cancelCountdown();
+
+import * as Location from 'expo-location';
+import * as Network from 'expo-network';
+import { SOS_SCENE_PROMPT, buildSosAlert } from './alerts';
+import { createSosOutbox } from './outbox';
+import { createChannel } from './channels';
+import { prepareUpload } from '../camera/preprocess';
+import { describeWithRetry } from '../vision/request';
+import { SPEECH_PRIORITY } from '../speech/speechManager';
+import { t, localizePrompt } from '../i18n';
+
+// Time to cancel before an alert is sent
+export const SOS_COUNTDOWN_MS = 5000;
+
+// Longest wait for a location fix and for the scene description, and the size of the snapshot sent to contacts
+const SOS_LOCATION_TIMEOUT_MS = 10000;
+const SOS_DESCRIBE_TIMEOUT_MS = 15000;
+const SOS_IMAGE_OPTIONS = { maxDimension: 640, targetBytes: 80 * 1024 };
+
+/**
+ * Gets the device position for an emergency alert, falling back to the last known position
+ * when no fresh fix arrives in time, e.g. indoors.
+ * @returns {Promise<Object|null>} { latitude, longitude, accuracy, timestamp }, or null if unavailable.
+ */
+const getLocation = async () => {
+  try {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== 'granted') {
+      return null;
+    }
+    const fix = Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High }).catch(() => null);
+    const timeout = new Promise((resolve) => setTimeout(() => resolve(null), SOS_LOCATION_TIMEOUT_MS));
+    const position = (await Promise.race([fix, timeout])) || (await Location.getLastKnownPositionAsync());
+    if (!position) {
+      return null;
+    }
+    const { latitude, longitude, accuracy } = position.coords;
+    return { latitude, longitude, accuracy, timestamp: position.timestamp };
+  } catch (error) {
+    console.warn('Could not get the location for an emergency alert:', error);
+    return null;
+  }
+};
+
+/**
+ * Creates emergency alerts.
+ * @param {Object} options - Emergency alert options.
+ * @param {Object} options.camera - The camera, from createCamera.
+ * @param {Function} options.isCameraReady - Whether a picture can be taken.
+ * @param {Function} options.getProvider - Returns the vision provider for the scene description.
+ * @param {Function} options.getModelId - Returns the model to ask.
+ * @param {Function} options.getContacts - Returns the emergency contacts from settings.
+ * @param {Function} options.stopActivities - Ends loops, reading aloud and the capture in flight,
+ *   so the camera and the user's attention belong to the alert.
+ * @param {Object} options.announcer - speak and updateMessage, see src/speech/announcer.js.
+ * @param {Function} options.onChange - Called with { state, pending }: state is 'idle', 'countdown'
+ *   (Stop cancels) or 'sending', pending the number of alerts still being delivered.
+ * @returns {Object} The emergency alerts.
+ */
+export const createEmergency = ({ camera, isCameraReady, getProvider, getModelId, getContacts, stopActivities, announcer, onChange }) => {
+  const { speak, updateMessage } = announcer;
+  let state = 'idle';
+  let countdown = null; // Timer of the countdown
+  let subscription = null; // Network listener
+
+  const outbox = createSosOutbox({
+    getChannel: createChannel,
+    // A webhook on the local network works without internet access, so only a missing connection counts
+    isOnline: async () => (await Network.getNetworkStateAsync()).isConnected !== false,
+    onUpdate: (event) => handleUpdate(event),
+  });
+
+  const setState = (next) => {
+    state = next;
+    onChange({ state, pending: outbox.pendingCount() });
+  };
+
+  /**
+   * Takes a small snapshot for an emergency alert.
+   * @returns {Promise<Object|null>} { base64, mimeType }, or null if the camera is unavailable.
+   */
+  const captureImage = async () => {
+    if (!isCameraReady()) {
+      return null;
+    }
+    try {
+      const photo = await camera.takePicture();
+      const { base64, mimeType } = await prepareUpload(photo, SOS_IMAGE_OPTIONS);
+      return { base64, mimeType };
+    } catch (error) {
+      console.warn('Could not take the emergency alert snapshot:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Asks the vision model where the user is. Tried once only: a missing description must not hold up the alert.
+   * @param {Object} image - The snapshot.
+   * @returns {Promise<string|null>} The description, or null.
+   */
+  const describeScene = async (image) => {
+    try {
+      const result = await describeWithRetry(getProvider(), {
+        prompt: localizePrompt(SOS_SCENE_PROMPT),
+        imageBase64: image.base64,
+        mimeType: image.mimeType,
+        model: getModelId(),
+        mode: 'sos',
+        timeoutMs: SOS_DESCRIBE_TIMEOUT_MS,
+      }, { retries: 0 });
+      return result.text;
+    } catch (error) {
+      console.warn('Could not describe the scene for an emergency alert:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Speaks what the outbox reports about an alert's delivery.
+   * @param {Object} event - { type, alert, delivery, error }, see ./outbox.
+   */
+  const handleUpdate = ({ type, alert, delivery, error }) => {
+    onChange({ state, pending: outbox.pendingCount() });
+    const label = t(alert.test ? 'sos.testAlert' : 'sos.emergencyAlert');
+    const name = delivery && delivery.contact.name; // 'finished' has no delivery
+    const priority = alert.test ? SPEECH_PRIORITY.ANSWER : SPEECH_PRIORITY.HAZARD;
+    if (type === 'delivered') {
+      updateMessage(delivery.status === 'delivered'
+        ? t('sos.delivered', { alert: label, name })
+        : t('sos.handedOff', { alert: label, name }), true, priority);
+    } else if (type === 'waiting') {
+      updateMessage(t('sos.waiting', { alert: label, name, reason: error.message }), true, priority);
+    } else if (type === 'failed') {
+      updateMessage(t('sos.failed', { alert: label, name, reason: error.message }), true, priority);
+    }
+  };
+
+  /**
+   * Gathers the location, a snapshot and its description, and hands the alert to the outbox, which
+   * delivers it to every emergency contact and keeps retrying while the device is offline.
+   * @param {Object} [options] - Alert options.
+   * @param {boolean} [options.test] - Send a test alert from settings instead of a real one.
+   */
+  const send = async ({ test = false } = {}) => {
+    const contacts = getContacts();
+    if (state === 'sending' || contacts.length === 0) {
+      return;
+    }
+    setState('sending');
+    stopActivities();
+    updateMessage(
+      t(test ? 'sos.sendingTest' : 'sos.sending'),
+      true,
+      test ? SPEECH_PRIORITY.ANSWER : SPEECH_PRIORITY.HAZARD
+    );
+
+    try {
+      const [location, image] = await Promise.all([getLocation(), captureImage()]);
+      const description = image ? await describeScene(image) : null;
+      const alert = buildSosAlert({ description, location, image, test });
+      if (!location) {
+        speak(t('sos.noLocation'), SPEECH_PRIORITY.ANSWER, { wait: true });
+      }
+      await outbox.send(alert, contacts);
+    } catch (error) {
+      console.error('Error sending emergency alert:', error);
+      updateMessage(t(test ? 'sos.testSendFailed' : 'sos.sendFailed', { error: error.message }), true, SPEECH_PRIORITY.HAZARD);
+    } finally {
+      setState('idle');
+    }
+  };
+
+  /**
+   * Starts the countdown. Pressing Stop before it ends cancels the alert.
+   */
+  const trigger = () => {
+    if (state !== 'idle') {
+      return; // Already on its way
+    }
+    if (getContacts().length === 0) {
+      updateMessage(t('sos.noContacts'), true, SPEECH_PRIORITY.HAZARD);
+      return;
+    }
+    setState('countdown');
+    updateMessage(t('sos.countdown', { seconds: SOS_COUNTDOWN_MS / 1000 }), true, SPEECH_PRIORITY.HAZARD);
+    countdown = setTimeout(() => {
+      countdown = null;
+      send();
+    }, SOS_COUNTDOWN_MS);
+  };
+
+  /**
+   * Cancels the countdown, if it is running.
+   * @returns {boolean} Whether a countdown was cancelled.
+   */
+  const cancelCountdown = () => {
+    if (!countdown) {
+      return false;
+    }
+    clearTimeout(countdown);
+    countdown = null;
+    setState('idle');
+    return true;
+  };
+
+  /**
+   * Gives up on every alert still being delivered.
+   */
+  const cancelPending = async () => {
+    await outbox.cancelAll();
+    onChange({ state, pending: 0 });
+    updateMessage(t('sos.pendingCancelled'), true);
+  };
+
+  /**
+   * Resumes alerts left over from the last session and retries as soon as the connection returns.
+   */
+  const start = () => {
+    outbox.resume().then((pending) => onChange({ state, pending }));
+    subscription = Network.addNetworkStateListener(({ isConnected }) => {
+      if (isConnected) {
+        outbox.retryNow();
+      }
+    });
+  };
+
+  /**
+   * Stops retrying and cancels the countdown; pending alerts stay saved for the next start.
+   */
+  const stop = () => {
+    if (subscription) {
+      subscription.remove();
+      subscription = null;
+    }
+    outbox.stop();
+    clearTimeout(countdown);
+    countdown = null;
+  };
+
+  return { start, stop, trigger, cancelCountdown, send, cancelPending, retryNow: () => outbox.retryNow() };
+};
@@ -0,0 +1,17 @@
+// Errors raised by SOS delivery channels
+
+/**
+ * Error raised when an emergency alert could not be delivered to a contact.
+ */
+export class SosDeliveryError extends Error {
+  /**
+   * @param {string} message - Spoken reason, e.g. "the server did not answer".
+   * @param {Object} [options] - Error options.
+   * @param {boolean} [options.retryable] - Whether trying again later may succeed (offline, timeouts, server errors).
+   */
+  constructor(message, { retryable = false } = {}) {
+    super(message);
+    this.name = 'SosDeliveryError';
+    this.retryable = retryable;
+  }
+}
@@ -0,0 +1,339 @@
+// Outbox for emergency alerts: delivers each alert to every trusted contact and keeps retrying the
+// deliveries that fail for a passing reason (no connection, server down) until they get through.
+// The outbox is persisted, so alerts survive the app being closed and are resumed on the next start.
+// Snapshots are stored apart from the outbox, one storage row each, so the rows stay small.
+//
+//   const outbox = createSosOutbox({ getChannel: createChannel, isOnline, onUpdate: (event) => ... });
+//   await outbox.resume();
+//   outbox.send(buildSosAlert({ description, location, image }), settings.sosContacts);
+//
+// onUpdate receives { type, alert, delivery, error } where type is:
+//   'delivered' - the alert reached a contact (delivery.status is 'delivered' or 'handed_off')
+//   'waiting'   - a contact could not be reached yet and will be retried; sent once per alert
+//   'failed'    - a contact cannot be reached, e.g. a wrong address, the alert expired, or a test
+//                 alert was dropped to make room for newer ones
+//   'finished'  - no deliveries of the alert are left pending
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SosDeliveryError } from './errors';
+import { formatSosMessage } from './alerts';
+import { t } from '../i18n';
+
+const OUTBOX_STORAGE_KEY = 'pathfinder.sos.outbox';
+const IMAGE_STORAGE_PREFIX = 'pathfinder.sos.image.';
+
+// Oldest test alerts are dropped beyond this many alerts. Real alerts are never dropped; they
+// expire after MAX_ALERT_AGE_MS instead.
+const MAX_ALERTS = 5;
+
+// Alerts older than this are given up on; a helper would act on stale information
+const MAX_ALERT_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Wait before each retry; the last value repeats
+const RETRY_DELAYS_MS = [5000, 10000, 20000, 30000, 60000];
+
+/**
+ * Creates the outbox.
+ * @param {Object} options - Outbox options.
+ * @param {Function} options.getChannel - Returns the delivery channel for a channel id.
+ * @param {Function} options.isOnline - Resolves to whether the device has a network connection.
+ * @param {Function} options.onUpdate - Called with delivery events, see the header comment.
+ * @returns {{send: Function, retryNow: Function, flush: Function, resume: Function, cancelAll: Function, pendingCount: Function, stop: Function}} The outbox.
+ */
+export const createSosOutbox = ({ getChannel, isOnline, onUpdate }) => {
+  let entries = []; // { alert, deliveries: [{ contact, status, attempts, nextAttemptAt, error }], waitingNotified }
+  let timer = null;
+  let flushing = null; // Promise of the running flush
+  let flushAgain = false;
+  let controller = null; // Aborts the delivery in progress
+  let stopped = false;
+
+  const imageKey = (alert) => `${IMAGE_STORAGE_PREFIX}${alert.id}`;
+
+  // Snapshots are saved once, in their own rows (see saveImage), never with the outbox
+  const persist = () => AsyncStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries.map((entry) => ({
+    ...entry,
+    alert: { ...entry.alert, image: null, hasImage: Boolean(entry.alert.image) },
+  })))).catch((error) => console.error('Error saving the SOS outbox:', error));
+
+  const saveImage = (alert) => (alert.image
+    ? AsyncStorage.setItem(imageKey(alert), JSON.stringify(alert.image))
+      .catch((error) => console.error('Error saving the SOS snapshot:', error))
+    : Promise.resolve());
+
+  // By alert id, not by whether the snapshot is loaded: one that failed to load still has its row
+  const removeImages = (removed) => {
+    const keys = removed.map((entry) => imageKey(entry.alert));
+    if (keys.length > 0) {
+      AsyncStorage.multiRemove(keys).catch((error) => console.error('Error removing SOS snapshots:', error));
+    }
+  };
+
+  /**
+   * Restores the snapshot of an alert loaded from storage.
+   * @param {Object} entry - The stored entry.
+   * @returns {Promise<Object>} The entry with its snapshot, or without one if it is lost.
+   */
+  const loadImage = async (entry) => {
+    const { hasImage, ...alert } = entry.alert;
+    let image = null;
+    if (hasImage) {
+      try {
+        image = JSON.parse(await AsyncStorage.getItem(imageKey(alert)));
+      } catch (error) {
+        console.warn('Could not load an SOS snapshot:', error);
+      }
+    }
+    return { ...entry, alert: { ...alert, image } };
+  };
+
+  const isPending = (delivery) => delivery.status === 'pending';
+
+  const notify = (type, entry, delivery = null, error = null) => {
+    try {
+      onUpdate({ type, alert: entry.alert, delivery, error });
+    } catch (callbackError) {
+      console.error('Error in SOS outbox update:', callbackError);
+    }
+  };
+
+  /**
+   * Drops the oldest test alerts beyond MAX_ALERTS, reporting each of their open deliveries as failed.
+   * @param {Object[]} list - Outbox entries, oldest first.
+   * @returns {Object[]} The entries to keep.
+   */
+  const dropExcessTestAlerts = (list) => {
+    const excess = list.length - MAX_ALERTS;
+    if (excess <= 0) {
+      return list;
+    }
+    const dropped = list.filter((entry) => entry.alert.test).slice(0, excess);
+    dropped.forEach((entry) => entry.deliveries.filter(isPending).forEach((delivery) => {
+      delivery.status = 'failed';
+      delivery.error = t('sos.errors.dropped');
+      notify('failed', entry, delivery, new SosDeliveryError(delivery.error));
+    }));
+    removeImages(dropped);
+    return list.filter((entry) => !dropped.includes(entry));
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    const times = entries.flatMap((entry) => entry.deliveries.filter(isPending).map((delivery) => delivery.nextAttemptAt));
+    if (stopped || times.length === 0) {
+      return;
+    }
+    timer = setTimeout(() => flush(), Math.max(0, Math.min(...times) - Date.now()));
+  };
+
+  /**
+   * Makes one attempt at a delivery and records the outcome.
+   * @param {Object} entry - The outbox entry.
+   * @param {Object} delivery - The pending delivery.
+   * @param {boolean} online - Whether the device has a connection.
+   */
+  const attempt = async (entry, delivery, online) => {
+    let channel;
+    try {
+      channel = getChannel(delivery.contact.channel);
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.error = error.message;
+      notify('failed', entry, delivery, error);
+      return;
+    }
+
+    let error = null;
+    if (channel.needsNetwork && !online) {
+      error = new SosDeliveryError(t('sos.errors.noConnection'), { retryable: true });
+    } else {
+      controller = new AbortController();
+      try {
+        const { confirmed } = await channel.send({
+          alert: entry.alert,
+          contact: delivery.contact,
+          message: formatSosMessage(entry.alert),
+          signal: controller.signal,
+        });
+        delivery.status = confirmed ? 'delivered' : 'handed_off';
+        delivery.error = null;
+      } catch (sendError) {
+        error = sendError;
+      } finally {
+        controller = null;
+      }
+    }
+
+    if (stopped || !entries.includes(entry)) {
+      return; // Cancelled while sending
+    }
+    if (!error) {
+      notify('delivered', entry, delivery);
+      return;
+    }
+    delivery.attempts += 1;
+    delivery.error = error.message;
+    if (error instanceof SosDeliveryError && error.retryable) {
+      delivery.nextAttemptAt = Date.now() + RETRY_DELAYS_MS[Math.min(delivery.attempts, RETRY_DELAYS_MS.length) - 1];
+      if (!entry.waitingNotified) {
+        entry.waitingNotified = true;
+        notify('waiting', entry, delivery, error);
+      }
+    } else {
+      delivery.status = 'failed';
+      notify('failed', entry, delivery, error);
+    }
+  };
+
+  const runFlush = async () => {
+    const online = await isOnline().catch(() => true);
+    const now = Date.now();
+
+    for (const entry of entries) {
+      const expired = now - entry.alert.createdAt > MAX_ALERT_AGE_MS;
+      // Webhooks go first, so a message composer waiting for the user does not hold them up
+      const due = entry.deliveries
+        .filter((delivery) => isPending(delivery) && (expired || delivery.nextAttemptAt <= now))
+        .sort((a, b) => Number(b.contact.channel === 'webhook') - Number(a.contact.channel === 'webhook'));
+      for (const delivery of due) {
+        if (stopped || !entries.includes(entry)) {
+          return;
+        }
+        if (expired) {
+          delivery.status = 'failed';
+          delivery.error = t('sos.errors.expired');
+          notify('failed', entry, delivery, new SosDeliveryError(delivery.error));
+        } else {
+          await attempt(entry, delivery, online);
+        }
+        persist();
+      }
+    }
+
+    const finished = entries.filter((entry) => !entry.deliveries.some(isPending));
+    if (finished.length > 0) {
+      entries = entries.filter((entry) => !finished.includes(entry));
+      persist();
+      removeImages(finished);
+      finished.forEach((entry) => notify('finished', entry));
+    }
+  };
+
+  /**
+   * Attempts every delivery that is due. Calls during a flush run another flush right after it.
+   * @returns {Promise<void>}
+   */
+  const flush = async () => {
+    if (stopped) {
+      return;
+    }
+    if (flushing) {
+      flushAgain = true;
+      return flushing;
+    }
+    clearTimeout(timer);
+    timer = null;
+    flushing = (async () => {
+      do {
+        flushAgain = false;
+        try {
+          await runFlush();
+        } catch (error) {
+          console.error('Error flushing the SOS outbox:', error);
+        }
+      } while (flushAgain && !stopped);
+    })();
+    await flushing;
+    flushing = null;
+    schedule();
+  };
+
+  return {
+    /**
+     * Queues an alert for every contact and starts delivering it.
+     * @param {Object} alert - The alert, see src/sos/alerts.js.
+     * @param {Object[]} contacts - Trusted contacts.
+     * @returns {Promise<void>} Resolves after the first delivery attempts.
+     */
+    send: async (alert, contacts) => {
+      const now = Date.now();
+      await saveImage(alert);
+      entries = dropExcessTestAlerts([...entries, {
+        alert,
+        deliveries: contacts.map((contact) => ({ contact, status: 'pending', attempts: 0, nextAttemptAt: now, error: null })),
+        waitingNotified: false,
+      }]);
+      await persist();
+      // Retry everything waiting, too: sending an alert is a good sign the user wants it through now
+      entries.forEach((entry) => entry.deliveries.filter(isPending).forEach((delivery) => {
+        delivery.nextAttemptAt = now;
+      }));
+      await flush();
+    },
+
+    /**
+     * Retries waiting deliveries now, e.g. when the connection comes back.
+     * @returns {Promise<void>}
+     */
+    retryNow: async () => {
+      const now = Date.now();
+      entries.forEach((entry) => entry.deliveries.filter(isPending).forEach((delivery) => {
+        delivery.nextAttemptAt = Math.min(delivery.nextAttemptAt, now);
+      }));
+      await flush();
+    },
+
+    flush,
+
+    /**
+     * Loads alerts left over from a previous session and resumes delivering them.
+     * @returns {Promise<number>} The number of alerts still pending.
+     */
+    resume: async () => {
+      try {
+        const stored = await AsyncStorage.getItem(OUTBOX_STORAGE_KEY);
+        const parsed = stored ? JSON.parse(stored) : [];
+        const loaded = Array.isArray(parsed) ? parsed.filter((entry) => entry && entry.alert && Array.isArray(entry.deliveries)) : [];
+        entries = dropExcessTestAlerts([...await Promise.all(loaded.map(loadImage)), ...entries]);
+      } catch (error) {
+        console.error('Error loading the SOS outbox:', error);
+      }
+      const pending = entries.length;
+      flush();
+      return pending;
+    },
+
+    /**
+     * Gives up on every pending alert.
+     * @returns {Promise<void>}
+     */
+    cancelAll: async () => {
+      removeImages(entries);
+      entries = [];
+      clearTimeout(timer);
+      timer = null;
+      if (controller) {
+        controller.abort();
+      }
+      await persist();
+    },
+
+    /**
+     * @returns {number} The number of alerts with deliveries still pending.
+     */
+    pendingCount: () => entries.filter((entry) => entry.deliveries.some(isPending)).length,
+
+    /**
+     * Stops retrying until the outbox is created again; pending alerts stay persisted.
+     */
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      if (controller) {
+        controller.abort();
+      }
+    },
+  };
+};
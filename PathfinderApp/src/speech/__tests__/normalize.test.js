@@ -0,0 +1,81 @@
+import { normalizeForSpeech } from '../normalize';
+
+describe('normalizeForSpeech', () => {
+  it('writes out the example from the module header', () => {
+    expect(normalizeForSpeech('**Exit** 5m ahead & costs $3.50')).toBe('Exit 5 meters ahead and costs 3 dollars and 50 cents');
+  });
+
+  it('turns headings, list items and table rows into sentences', () => {
+    const markdown = [
+      '# Menu',
+      '',
+      '- Soup of the day',
+      '- *Fresh* bread',
+      '',
+      '| Item | Price |',
+      '|------|-------|',
+      '| Tea | 2 |',
+    ].join('\n');
+    expect(normalizeForSpeech(markdown)).toBe('Menu. Soup of the day. Fresh bread. Item, Price. Tea, 2.');
+  });
+
+  it('keeps the numbers of numbered steps', () => {
+    expect(normalizeForSpeech('1. Turn left\n2. Go straight')).toBe('1: Turn left. 2: Go straight.');
+  });
+
+  it('reads links as their text and bare addresses as the site name', () => {
+    expect(normalizeForSpeech('See [the timetable](https://example.com/t) or https://www.transit.org/routes/12.'))
+      .toBe('See the timetable or transit.org.');
+  });
+
+  it('writes out units, keeping the singular for one', () => {
+    expect(normalizeForSpeech('1 km, 3.5 kg, 50 km/h and 21°C')).toBe('1 kilometer, 3.5 kilograms, 50 kilometers per hour and 21 degrees Celsius');
+  });
+
+  it('writes out prices in several currencies', () => {
+    expect(normalizeForSpeech('$1,250 or €0.99 or £1.05')).toBe('1250 dollars or 99 cents or 1 pound and 5 pence');
+  });
+
+  it('reads phone numbers digit by digit in groups', () => {
+    expect(normalizeForSpeech('Call (555) 123-4567')).toBe('Call 5 5 5, 1 2 3, 4 5 6 7');
+    expect(normalizeForSpeech('Call +44 20 7946 0958')).toBe('Call plus 4 4, 2 0, 7 9 4 6, 0 9 5 8');
+    expect(normalizeForSpeech('Call 555-1234.')).toBe('Call 5 5 5, 1 2 3 4.');
+  });
+
+  it('reads chains of digit groups group by group instead of as ranges', () => {
+    expect(normalizeForSpeech('ISBN 978-0-14-303943-3')).toBe('ISBN 9 7 8, 0, 1 4, 3 0 3 9 4 3, 3');
+  });
+
+  it('keeps fractions of a cent and of currencies without cents', () => {
+    expect(normalizeForSpeech('Fuel $3.999 a gallon')).toBe('Fuel 3.999 dollars a gallon');
+    expect(normalizeForSpeech('¥2.5')).toBe('2.5 yen');
+  });
+
+  it('only reads short numbers as ranges', () => {
+    expect(normalizeForSpeech('Open 9-17, built 1990–2000, 1.5-2 km')).toBe('Open 9 to 17, built 1990 to 2000, 1.5 to 2 kilometers');
+    expect(normalizeForSpeech('Order 123456-789')).toBe('Order 123456-789');
+  });
+
+  it('writes out dates, month first unless the first number cannot be a month', () => {
+    expect(normalizeForSpeech('Best before 2024-03-05')).toBe('Best before March 5, 2024');
+    expect(normalizeForSpeech('Expires 3/5/24')).toBe('Expires March 5, 2024');
+    expect(normalizeForSpeech('Expires 25/12/2024')).toBe('Expires December 25, 2024');
+  });
+
+  it('leaves two digit years with dots alone, as they are often version numbers', () => {
+    expect(normalizeForSpeech('Version 1.2.24')).toBe('Version 1.2.24');
+  });
+
+  it('writes out symbols, ranges and abbreviations', () => {
+    expect(normalizeForSpeech('50% off, 5-10 steps, e.g. stairs')).toBe('50 percent off, 5 to 10 steps, for example stairs');
+    expect(normalizeForSpeech('Room #4, approx. 3 x 4 m')).toBe('Room number 4, approximately 3 by 4 meters');
+  });
+
+  it('only flattens Markdown in other languages', () => {
+    expect(normalizeForSpeech('**Salida** a 5m, $3.50, 2*3', 'es-ES')).toBe('Salida a 5m, $3.50, 2 × 3');
+  });
+
+  it('returns an empty string for anything but text', () => {
+    expect(normalizeForSpeech(null)).toBe('');
+  });
+});
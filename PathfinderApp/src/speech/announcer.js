@@ -0,0 +1,139 @@
+// What the user sees and hears: the message box and speech, with sensitive numbers masked, and
+// answers spoken while they are still streaming in
+//
+//   const announcer = createAnnouncer({ speech, shouldMask, onShow, announce });
+//   announcer.updateMessage('Analyzing image...');                 // shown, and announced to screen readers
+//   announcer.updateMessage(description, true, SPEECH_PRIORITY.ANSWER); // shown and spoken
+
+import { SPEECH_PRIORITY } from './speechManager';
+import { createSentenceStream } from './sentences';
+import { isHazardAlert, createHazardStream } from '../navigation/hazards';
+import { maskSensitive } from '../privacy';
+
+/**
+ * Creates the announcer.
+ * @param {Object} options - Announcer options.
+ * @param {Object} options.speech - The speech manager, from createSpeechManager.
+ * @param {Function} options.shouldMask - Whether card, account and ID numbers are masked for the user.
+ * @param {Function} options.onShow - Called with (text, live) to show a message; live messages are
+ *   not spoken, so screen readers should announce them.
+ * @param {Function} [options.announce] - Announces text to a screen reader that has no live regions.
+ * @returns {{forUser: Function, speak: Function, updateMessage: Function, showSpokenText: Function, createStreamingSpeech: Function}}
+ */
+export const createAnnouncer = ({ speech, shouldMask, onShow, announce = () => {} }) => {
+  /**
+   * Masks card, bank account and ID numbers in text shown or spoken to the user, unless the
+   * settings ask for them in full. Stored, logged and remote copies are always masked.
+   * @param {string} text - The text.
+   * @returns {string} The text to present.
+   */
+  const forUser = (text) => (shouldMask() ? maskSensitive(text) : text);
+
+  /**
+   * Queues text on the speech manager, which applies the rate, pitch and voice from settings.
+   * Higher priorities cut off lower ones; anything else waits until the current utterance ends.
+   * @param {string} text - The text to be spoken.
+   * @param {number} [priority] - One of SPEECH_PRIORITY; status by default.
+   * @param {Object} [options] - onDone, onDropped and wait, see ./speechManager.
+   */
+  const speak = (text, priority = SPEECH_PRIORITY.STATUS, options) => {
+    speech.say(forUser(text), priority, options);
+  };
+
+  /**
+   * Updates the message text displayed in the app and optionally speaks it aloud.
+   * @param {string} msg - The message to display.
+   * @param {boolean} shouldSpeak - Whether the message should be spoken aloud.
+   * @param {number} [priority] - Speech priority (see SPEECH_PRIORITY); status messages by default.
+   */
+  const updateMessage = (msg, shouldSpeak = false, priority = SPEECH_PRIORITY.STATUS) => {
+    const shown = forUser(msg);
+    // Screen readers announce only what is not spoken, e.g. "Analyzing image", or it would be heard twice
+    onShow(shown, !shouldSpeak);
+    if (shouldSpeak) {
+      speak(msg, priority); // speak() masks on its own
+    } else {
+      announce(shown);
+    }
+  };
+
+  /**
+   * Shows text that is being spoken anyway, e.g. a streamed answer, without screen readers reading it again.
+   * @param {string} text - The text to display.
+   */
+  const showSpokenText = (text) => onShow(forUser(text), false);
+
+  /**
+   * Speaks a response while it is still streaming in: prose sentence by sentence, Navigate hazard
+   * JSON one hazard at a time. The first piece replaces whatever answer is being spoken and the
+   * rest queue up behind it; the message box follows along.
+   * @param {string|null} mode - The mode the response belongs to; only 'navigate' expects hazard JSON.
+   * @param {AbortSignal} signal - Once aborted, nothing more is shown or spoken.
+   * @returns {{onText: Function, hasReceived: Function, finish: Function}} onText(delta) for the
+   *   provider; finish(parsedHazards) speaks what is left once the response is complete.
+   */
+  const createStreamingSpeech = (mode, signal) => {
+    const group = {}; // Lets "repeat" say the whole answer, not just its last sentence
+    let received = '';
+    let spokenCount = 0;
+    let stream = null;
+    let hazardStream = null;
+    const hazardPhrases = [];
+
+    const sayPiece = (text) => {
+      if (signal.aborted || !text) {
+        return;
+      }
+      const priority = isHazardAlert(text) ? SPEECH_PRIORITY.HAZARD : SPEECH_PRIORITY.ANSWER;
+      speak(text, priority, { wait: spokenCount > 0 && priority !== SPEECH_PRIORITY.HAZARD, group });
+      spokenCount += 1;
+    };
+
+    const onText = (delta) => {
+      if (signal.aborted) {
+        return;
+      }
+      received += delta;
+      if (stream) {
+        stream.push(delta);
+      } else if (received.trim()) {
+        // The opening characters tell hazard JSON apart from a prose answer
+        if (mode === 'navigate' && /^\s*[`{]/.test(received)) {
+          hazardStream = createHazardStream((phrase) => {
+            hazardPhrases.push(phrase);
+            showSpokenText(hazardPhrases.join(' '));
+            sayPiece(phrase);
+          });
+          stream = hazardStream;
+        } else {
+          stream = createSentenceStream(sayPiece);
+        }
+        stream.push(received);
+      }
+      if (stream && !hazardStream) {
+        showSpokenText(received);
+      }
+    };
+
+    /**
+     * Speaks the rest of the response.
+     * @param {Object|null} parsedHazards - The complete Navigate response, parsed; null otherwise.
+     * @returns {boolean} False when the response must be spoken the usual way instead, e.g. broken hazard JSON.
+     */
+    const finish = (parsedHazards) => {
+      if (!stream || (hazardStream && !parsedHazards)) {
+        return false;
+      }
+      if (hazardStream) {
+        sayPiece(hazardStream.remainder(parsedHazards));
+      } else {
+        stream.flush();
+      }
+      return true;
+    };
+
+    return { onText, hasReceived: () => received.length > 0, finish };
+  };
+
+  return { forUser, speak, updateMessage, showSpokenText, createStreamingSpeech };
+};
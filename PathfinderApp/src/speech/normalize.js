@@ -0,0 +1,279 @@
+// Speech-friendly text: turns model output into what a person would say out loud
+//
+// Markdown becomes pauses instead of literal asterisks and hashes, and units, symbols, prices,
+// phone numbers and dates are written out in words. Only speech goes through here; the message
+// box and history keep the original text.
+//   normalizeForSpeech('**Exit** 5m ahead & costs $3.50')
+//   // 'Exit 5 meters ahead and costs 3 dollars and 50 cents'
+// Units, symbols, prices, phone numbers and dates are only written out in English; in other
+// languages the speech engine reads them itself, and only the Markdown is flattened.
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+
+// [singular, plural] for units written after a number, e.g. "5m" or "5 m"
+const UNITS = {
+  km: ['kilometer', 'kilometers'],
+  cm: ['centimeter', 'centimeters'],
+  mm: ['millimeter', 'millimeters'],
+  m: ['meter', 'meters'],
+  mi: ['mile', 'miles'],
+  ft: ['foot', 'feet'],
+  kg: ['kilogram', 'kilograms'],
+  mg: ['milligram', 'milligrams'],
+  g: ['gram', 'grams'],
+  lbs: ['pound', 'pounds'],
+  lb: ['pound', 'pounds'],
+  oz: ['ounce', 'ounces'],
+  ml: ['milliliter', 'milliliters'],
+  l: ['liter', 'liters'],
+  'km/h': ['kilometer per hour', 'kilometers per hour'],
+  kph: ['kilometer per hour', 'kilometers per hour'],
+  mph: ['mile per hour', 'miles per hour'],
+  '°C': ['degree Celsius', 'degrees Celsius'],
+  '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  '°': ['degree', 'degrees'],
+};
+
+// [singular, plural] for the main unit and for the hundredth part
+const CURRENCIES = {
+  $: ['dollar', 'dollars', 'cent', 'cents'],
+  '€': ['euro', 'euros', 'cent', 'cents'],
+  '£': ['pound', 'pounds', 'penny', 'pence'],
+  '¥': ['yen', 'yen'],
+};
+
+// Written abbreviations that speech engines spell out or pause on
+const ABBREVIATIONS = [
+  [/\be\.g\.(?=\s|,|$)/gi, 'for example'],
+  [/\bi\.e\.(?=\s|,|$)/gi, 'that is'],
+  [/\betc\.(?=\s+[a-z,])/gi, 'et cetera'],
+  [/\betc\./gi, 'et cetera.'],
+  [/\bapprox\.(?=\s)/gi, 'approximately'],
+  [/\bvs\.?(?=\s)/gi, 'versus'],
+  [/\bNo\.\s?(?=\d)/g, 'number '],
+  [/\bw\/(?=\s)/gi, 'with'],
+];
+
+/**
+ * Ends a piece of text with a full stop unless it already ends with punctuation, so the
+ * speech engine pauses after headings and list items.
+ * @param {string} text - The text.
+ * @returns {string} The text with a pause at the end.
+ */
+const withPause = (text) => (/[.!?:;,]$/.test(text) ? text : `${text}.`);
+
+/**
+ * Removes inline Markdown: emphasis, code, links and images.
+ * @param {string} text - One line.
+ * @returns {string} The plain line.
+ */
+const stripInlineMarkdown = (text) => text
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images read as their description
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links read as their text
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(^|[^\w*])[*_](?!\s)([^*_]+?)[*_](?!\w)/g, '$1$2')
+  .replace(/(\d)\s*\*\s*(\d)/g, '$1 times $2')
+  .replace(/\*+/g, '')
+  .replace(/https?:\/\/(?:www\.)?([^/\s]+?)(?:\/\S*?)?(?=[.,;:!?]?(?:\s|$))/g, '$1'); // Bare addresses read as just the site name
+
+/**
+ * Turns Markdown structure into sentences: headings, list items and table rows each end
+ * with a pause, and rules, fences and table separators disappear.
+ * @param {string} text - Model output.
+ * @returns {string} One line of speakable text.
+ */
+const flattenMarkdown = (text) => {
+  const pieces = [];
+  const pauseBeforeNext = () => {
+    if (pieces.length > 0) {
+      pieces[pieces.length - 1] = withPause(pieces[pieces.length - 1]);
+    }
+  };
+
+  text.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    // Blank lines, code fences, horizontal rules and table separator rows only mark a break
+    if (!line || /^(```|~~~)/.test(line) || /^([-*_]\s*){3,}$/.test(line) || /^\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/.test(line)) {
+      pauseBeforeNext();
+      return;
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.*?)\s*#*$/);
+    const bullet = line.match(/^(?:[-*+•]|\d+[.)])\s+(.*)$/);
+    if (heading) {
+      pauseBeforeNext();
+      pieces.push(withPause(stripInlineMarkdown(heading[1])));
+    } else if (bullet) {
+      pauseBeforeNext();
+      // Numbered items keep their number, e.g. "2: Turn left."
+      const number = line.match(/^(\d+)[.)]/);
+      const item = stripInlineMarkdown(bullet[1]);
+      pieces.push(withPause(number ? `${number[1]}: ${item}` : item));
+    } else if (line.startsWith('|')) {
+      pauseBeforeNext();
+      const cells = line.replace(/^\||\|$/g, '').split('|').map((cell) => stripInlineMarkdown(cell.trim())).filter(Boolean);
+      pieces.push(withPause(cells.join(', ')));
+    } else {
+      pieces.push(stripInlineMarkdown(line.replace(/^>\s?/, '')));
+    }
+  });
+
+  return pieces.join(' ');
+};
+
+/**
+ * Names a calendar date, e.g. "March 5, 2024", or returns null if it is not a real date.
+ * @param {number} year - Four digit year.
+ * @param {number} month - 1 to 12.
+ * @param {number} day - 1 to 31.
+ * @returns {string|null} The spoken date.
+ */
+const sayDate = (year, month, day) => {
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+  return `${MONTHS[month - 1]} ${day}, ${year}`;
+};
+
+/**
+ * Writes out ISO dates ("2024-03-05") and numeric dates ("3/5/2024"). Numeric dates are read
+ * month first, as in the speech language (en-US), unless the first number cannot be a month.
+ * @param {string} text - The text.
+ * @returns {string} The text with spoken dates.
+ */
+const expandDates = (text) => text
+  .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) =>
+    sayDate(Number(year), Number(month), Number(day)) || match)
+  .replace(/\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})\b/g, (match, first, separator, second, yearText) => {
+    // Two digit years with dots or dashes are too easily something else, e.g. a version number
+    if (yearText.length === 2 && separator !== '/') {
+      return match;
+    }
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+    const dayFirst = Number(first) > 12;
+    const month = Number(dayFirst ? second : first);
+    const day = Number(dayFirst ? first : second);
+    return sayDate(year, month, day) || match;
+  });
+
+/**
+ * Reads a group of digits one by one, e.g. "555" as "5 5 5".
+ * @param {string} digits - The digits.
+ * @returns {string} The spaced digits.
+ */
+const spellDigits = (digits) => digits.split('').join(' ');
+
+/**
+ * Reads phone numbers digit by digit with a pause between groups, instead of as one huge number.
+ * @param {string} text - The text.
+ * @returns {string} The text with spoken phone numbers.
+ */
+const expandPhoneNumbers = (text) => text
+  // North American numbers: "(555) 123-4567", "555-123-4567", "+1 555 123 4567"
+  .replace(/(\+?1[\s.-]?)?\(?\b(\d{3})\)?[\s.-]?(\d{3})[\s.-](\d{4})\b/g, (match, country, area, exchange, line) =>
+    `${country ? 'plus 1, ' : ''}${spellDigits(area)}, ${spellDigits(exchange)}, ${spellDigits(line)}`)
+  // International numbers: "+44 20 7946 0958"
+  .replace(/\+(\d{1,3})((?:[\s.-]\d{1,4}){2,5})\b/g, (match, country, rest) =>
+    `plus ${spellDigits(country)}, ${rest.trim().split(/[\s.-]+/).map(spellDigits).join(', ')}`)
+  // Local numbers without the area code: "555-1234", but not one link of a longer chain
+  .replace(/(^|[^\d.-])(\d{3})[.-](\d{4})(?![.-]?\d)/g, (match, before, exchange, line) =>
+    `${before}${spellDigits(exchange)}, ${spellDigits(line)}`);
+
+/**
+ * Reads chains of three or more dashed digit groups group by group, e.g. an ISBN
+ * "978-0-14-303943-3", so they are not taken for ranges.
+ * @param {string} text - The text.
+ * @returns {string} The text with spoken digit groups.
+ */
+const expandDigitGroups = (text) => text.replace(/\b\d+(?:-\d+){2,}\b/g, (match) =>
+  match.split('-').map(spellDigits).join(', '));
+
+/**
+ * Writes out prices, e.g. "$3.50" as "3 dollars and 50 cents".
+ * @param {string} text - The text.
+ * @returns {string} The text with spoken prices.
+ */
+const expandPrices = (text) => text.replace(
+  /([$€£¥])\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?!\d)/g,
+  (match, symbol, wholeText, fractionText) => {
+    const [one, many, oneHundredth, manyHundredths] = CURRENCIES[symbol];
+    const whole = Number(wholeText.replace(/,/g, ''));
+    // Fractions of a cent, e.g. fuel at "$3.999", and fractions of a currency without cents
+    if (fractionText && (fractionText.length > 2 || !oneHundredth)) {
+      return `${whole}.${fractionText} ${many}`;
+    }
+    const hundredths = fractionText && oneHundredth ? Number(fractionText.padEnd(2, '0')) : 0;
+    const parts = [];
+    if (whole > 0 || hundredths === 0) {
+      parts.push(`${whole} ${whole === 1 ? one : many}`);
+    }
+    if (hundredths > 0) {
+      parts.push(`${hundredths} ${hundredths === 1 ? oneHundredth : manyHundredths}`);
+    }
+    return parts.join(' and ');
+  },
+);
+
+/**
+ * Writes out units after numbers, e.g. "5m" as "5 meters".
+ * @param {string} text - The text.
+ * @returns {string} The text with spoken units.
+ */
+const expandUnits = (text) => {
+  // Longest first, so "km/h" wins over "km" and "°C" over "°"
+  const names = Object.keys(UNITS).sort((a, b) => b.length - a.length)
+    .map((unit) => unit.replace(/[/]/g, '\\/'));
+  const pattern = new RegExp(`(\\d+(?:\\.\\d+)?)\\s?(${names.join('|')})(?![A-Za-z])`, 'g');
+  return text.replace(pattern, (match, amount, unit) => {
+    const [singular, plural] = UNITS[unit];
+    return `${amount} ${amount === '1' ? singular : plural}`;
+  });
+};
+
+/**
+ * Writes out symbols that speech engines skip or read awkwardly.
+ * @param {string} text - The text.
+ * @returns {string} The text with spoken symbols.
+ */
+const expandSymbols = (text) => text
+  .replace(/(\d)\s?%/g, '$1 percent')
+  .replace(/\s?&\s?/g, ' and ')
+  .replace(/\s@\s/g, ' at ')
+  .replace(/#\s?(\d)/g, 'number $1')
+  .replace(/~\s?(\d)/g, 'about $1')
+  .replace(/(\d)\s?[x×]\s?(\d)/g, '$1 by $2')
+  // Ranges of short numbers, e.g. "5-10 steps"; longer numbers and chains are codes, not ranges
+  .replace(/(^|[^\d.,–-])(\d{1,4}(?:\.\d+)?)\s?[–-]\s?(\d{1,4}(?:\.\d+)?)(?![\d–-])/g, '$1$2 to $3')
+  .replace(/(\d)\s?\+\s?(\d)/g, '$1 plus $2')
+  .replace(/\s[-–—]\s|\s?—\s?/g, ', '); // Dashes between clauses are a pause
+
+/**
+ * Makes model output read naturally aloud.
+ * @param {string} text - Text as written, possibly Markdown.
+ * @param {string} [language] - The speech language, e.g. 'en-US' or 'es-ES'.
+ * @returns {string} Text for the speech engine.
+ */
+export const normalizeForSpeech = (text, language = 'en-US') => {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  const tidy = (spoken) => spoken.replace(/\s+/g, ' ').replace(/\s+([.,!?;:])/g, '$1').trim();
+  if (!language.startsWith('en')) {
+    // A multiplication sign instead of "times", which the engine says in its own language
+    return tidy(flattenMarkdown(text.replace(/(\d)\s*\*\s*(\d)/g, '$1 × $2')));
+  }
+  let spoken = flattenMarkdown(text);
+  ABBREVIATIONS.forEach(([pattern, replacement]) => {
+    spoken = spoken.replace(pattern, replacement);
+  });
+  // Dates and phone numbers first, before their dashes are read as ranges
+  spoken = expandDates(spoken);
+  spoken = expandPhoneNumbers(spoken);
+  spoken = expandDigitGroups(spoken);
+  spoken = expandPrices(spoken);
+  spoken = expandUnits(spoken);
+  spoken = expandSymbols(spoken);
+  return tidy(spoken);
+};
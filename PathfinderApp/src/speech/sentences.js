@@ -0,0 +1,85 @@
+// Splitting text into sentences, both for whole paragraphs and for answers that are still streaming in
+//
+//   const stream = createSentenceStream((sentence) => speak(sentence));
+//   stream.push('The door is open. The li');  // speaks "The door is open."
+//   stream.push('ft is on the left.');        // nothing yet: another sentence may follow
+//   stream.flush();                           // speaks "The lift is on the left."
+
+// Sentence ends are punctuation followed by a space and a capital or digit, so "3.50" stays whole
+const SENTENCE_END_PATTERN = /([.!?])\s+(?=["'(]?[A-Z0-9])/g;
+
+// "Dr. Smith", "No. 4", initials like "J. Smith" and list numbers like "2. Turn left" do not end a sentence
+const ABBREVIATION_PATTERN = /((^|\s)(Dr|Mr|Mrs|Ms|Prof|St|No|vs|etc|e\.g|i\.e|[A-Z])|^\s*\d+)\.$/;
+
+/**
+ * Splits prose into sentences, keeping abbreviations like "Dr." and numbers like "3.50" intact.
+ * @param {string} text - A paragraph.
+ * @returns {string[]} The sentences.
+ */
+export const splitSentences = (text) => {
+  const sentences = text.replace(SENTENCE_END_PATTERN, '$1\n').split('\n');
+  const merged = [];
+  sentences.map((sentence) => sentence.trim()).filter(Boolean).forEach((sentence) => {
+    const previous = merged[merged.length - 1];
+    if (previous && ABBREVIATION_PATTERN.test(previous)) {
+      merged[merged.length - 1] = `${previous} ${sentence}`;
+    } else {
+      merged.push(sentence);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Finds where the complete sentences in a partial text end.
+ * A sentence only counts as complete once the start of the next one has arrived,
+ * because until then "3." could still become "3.50" and "Dr." could be followed by a name.
+ * @param {string} text - Text received so far, without line breaks.
+ * @returns {number} Index just after the last complete sentence, or 0 if there is none.
+ */
+const completeLength = (text) => {
+  let end = 0;
+  SENTENCE_END_PATTERN.lastIndex = 0;
+  let match = SENTENCE_END_PATTERN.exec(text);
+  while (match) {
+    const sentenceEnd = match.index + match[1].length;
+    if (!ABBREVIATION_PATTERN.test(text.slice(end, sentenceEnd))) {
+      end = match.index + match[0].length;
+    }
+    match = SENTENCE_END_PATTERN.exec(text);
+  }
+  return end;
+};
+
+/**
+ * Collects streamed text and hands over each sentence as soon as it is complete.
+ * Line breaks also end a sentence, so headings and list items without punctuation are not held back.
+ * @param {Function} onSentence - Called with each sentence, in order.
+ * @returns {{push: Function, flush: Function}} push(delta) adds text; flush() hands over whatever is left.
+ */
+export const createSentenceStream = (onSentence) => {
+  let buffer = '';
+
+  const emit = (text) => {
+    splitSentences(text).forEach(onSentence);
+  };
+
+  return {
+    push: (delta) => {
+      buffer += delta;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(emit);
+
+      const end = completeLength(buffer);
+      if (end > 0) {
+        emit(buffer.slice(0, end));
+        buffer = buffer.slice(end);
+      }
+    },
+    flush: () => {
+      emit(buffer);
+      buffer = '';
+    },
+  };
+};
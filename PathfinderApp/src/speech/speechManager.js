@@ -0,0 +1,237 @@
+// Prioritized speech output
+//
+// Every utterance has a priority. Higher priorities cut off lower ones; everything else waits
+// its turn, so a status message never cuts off a description halfway through.
+//   HAZARD  - safety alerts; interrupt everything except another hazard, and are spoken even while paused
+//   ANSWER  - descriptions and follow-up answers; a newer answer replaces an older one
+//   STATUS  - confirmations and errors; queued behind anything more important
+//   CHATTER - progress notes; dropped if they have gone stale by the time their turn comes
+//
+// Text is normalized for speech (Markdown, units, prices...) only when it reaches the engine,
+// so callers pass the same text they show on screen.
+
+import * as Speech from 'expo-speech';
+import { normalizeForSpeech } from './normalize';
+
+export const SPEECH_PRIORITY = {
+  HAZARD: 0,
+  ANSWER: 1,
+  STATUS: 2,
+  CHATTER: 3,
+};
+
+// Chatter still waiting after this long is no longer worth saying
+const CHATTER_MAX_AGE_MS = 5000;
+
+/**
+ * Creates a speech manager that owns the speech engine.
+ * @param {Object} options - Manager options.
+ * @param {Function} options.getSpeechOptions - Returns the current expo-speech options (language, rate, pitch, voice).
+ * @param {Function} [options.onChange] - Called with { speaking, paused, queued } whenever the state changes.
+ * @param {Object} [options.engine] - Speech engine with speak(text, options) and stop(); defaults to expo-speech.
+ * @returns {{say: Function, pause: Function, resume: Function, repeatLast: Function, stop: Function, isPaused: Function}}
+ */
+export const createSpeechManager = ({ getSpeechOptions, onChange = () => {}, engine = Speech }) => {
+  let current = null; // Utterance being spoken: { text, priority, queuedAt, onDone, onDropped, group }
+  let queue = []; // Waiting utterances, most important first, oldest first within a priority
+  let paused = false;
+  let lastSpoken = null; // Last answer or hazard, for "repeat last": { text, group, items }
+
+  const notify = () => onChange({ speaking: current !== null, paused, queued: queue.length });
+
+  /**
+   * Tells the owners of utterances that will never be spoken to the end.
+   * @param {Object[]} items - The discarded utterances.
+   */
+  const drop = (items) => items.forEach((item) => item.onDropped && item.onDropped());
+
+  /**
+   * Inserts an utterance behind everything of the same or higher priority.
+   * @param {Object} item - The utterance.
+   * @param {boolean} [atFront] - Put it ahead of others of its priority (used for interrupted utterances).
+   */
+  const enqueue = (item, atFront = false) => {
+    const index = queue.findIndex((queued) => (atFront
+      ? queued.priority >= item.priority
+      : queued.priority > item.priority));
+    if (index === -1) {
+      queue.push(item);
+    } else {
+      queue.splice(index, 0, item);
+    }
+  };
+
+  const play = (item) => {
+    current = item;
+    if (item.priority <= SPEECH_PRIORITY.ANSWER) {
+      // Sentences of one streamed answer are repeated together; a re-queued sentence is not added twice
+      const continues = item.group && lastSpoken && lastSpoken.group === item.group;
+      if (continues && !lastSpoken.items.includes(item)) {
+        lastSpoken = { ...lastSpoken, text: `${lastSpoken.text} ${item.text}`, items: [...lastSpoken.items, item] };
+      } else if (!continues) {
+        lastSpoken = { text: item.text, group: item.group, items: [item] };
+      }
+    }
+    // Callbacks of an utterance that was cut off arrive late; only the current one may advance the queue
+    const finish = (completed) => {
+      if (current === item) {
+        current = null;
+        playNext(); // Anything already waiting goes before whatever onDone queues next
+        if (completed && item.onDone) {
+          item.onDone();
+        } else if (!completed) {
+          drop([item]);
+        }
+      }
+    };
+    const options = getSpeechOptions();
+    engine.speak(normalizeForSpeech(item.text, options.language), {
+      ...options,
+      onDone: () => finish(true),
+      onStopped: () => finish(false),
+      onError: () => finish(false),
+    });
+    notify();
+  };
+
+  const playNext = () => {
+    const now = Date.now();
+    const isStale = (item) => item.priority === SPEECH_PRIORITY.CHATTER && now - item.queuedAt > CHATTER_MAX_AGE_MS;
+    drop(queue.filter(isStale));
+    queue = queue.filter((item) => !isStale(item));
+    const index = paused ? queue.findIndex((item) => item.priority === SPEECH_PRIORITY.HAZARD) : 0;
+    if (index === -1 || queue.length === 0) {
+      notify();
+      return;
+    }
+    const [next] = queue.splice(index, 1);
+    play(next);
+  };
+
+  /**
+   * Stops the current utterance without letting its callbacks advance the queue.
+   * @returns {Object|null} The utterance that was cut off.
+   */
+  const interrupt = () => {
+    const interrupted = current;
+    current = null;
+    if (interrupted) {
+      engine.stop();
+    }
+    return interrupted;
+  };
+
+  /**
+   * Speaks text according to its priority.
+   * @param {string} text - The text to speak.
+   * @param {number} [priority] - One of SPEECH_PRIORITY; defaults to STATUS.
+   * @param {Object} [options] - Utterance options.
+   * @param {Function} [options.onDone] - Called when the text has been spoken to the end.
+   * @param {Function} [options.onDropped] - Called instead when it is cut off or discarded for good.
+   * @param {boolean} [options.wait] - Never cut off the current utterance, and keep answers already
+   *   queued; used to continue reading, or speak a streaming answer, sentence by sentence while
+   *   still letting queued messages in between.
+   * @param {Object} [options.group] - Any object shared by the pieces of one answer, so "repeat" says all of them.
+   */
+  const say = (text, priority = SPEECH_PRIORITY.STATUS, { onDone, onDropped, wait = false, group = null } = {}) => {
+    if (!text || !text.trim()) {
+      return;
+    }
+    const item = { text, priority, queuedAt: Date.now(), onDone, onDropped, group };
+
+    if (priority === SPEECH_PRIORITY.ANSWER && !wait) {
+      // Only the newest answer matters
+      drop(queue.filter((queued) => queued.priority === SPEECH_PRIORITY.ANSWER));
+      queue = queue.filter((queued) => queued.priority !== SPEECH_PRIORITY.ANSWER);
+    }
+    if (priority === SPEECH_PRIORITY.STATUS && queue.some((queued) => queued.text === text)) {
+      return; // Already waiting to be said
+    }
+
+    const canPlay = !paused || priority === SPEECH_PRIORITY.HAZARD;
+    const preempts = current && !wait && (priority < current.priority
+      || (priority === SPEECH_PRIORITY.ANSWER && current.priority === SPEECH_PRIORITY.ANSWER));
+
+    if (canPlay && preempts) {
+      const interrupted = interrupt();
+      // An answer cut off by a hazard is repeated afterwards; anything less important is dropped
+      if (priority === SPEECH_PRIORITY.HAZARD && interrupted.priority === SPEECH_PRIORITY.ANSWER) {
+        enqueue(interrupted, true);
+      } else {
+        drop([interrupted]);
+      }
+      play(item);
+    } else if (canPlay && !current) {
+      play(item);
+    } else {
+      enqueue(item);
+      notify();
+    }
+  };
+
+  /**
+   * Pauses speech. The interrupted utterance starts again from the beginning on resume.
+   * Hazard alerts are still spoken while paused.
+   */
+  const pause = () => {
+    if (paused) {
+      return;
+    }
+    paused = true;
+    const interrupted = current && current.priority !== SPEECH_PRIORITY.HAZARD ? interrupt() : null;
+    if (interrupted) {
+      enqueue(interrupted, true);
+    }
+    notify();
+  };
+
+  /**
+   * Resumes speech after pause().
+   */
+  const resume = () => {
+    if (!paused) {
+      return;
+    }
+    paused = false;
+    if (!current) {
+      playNext();
+    } else {
+      notify();
+    }
+  };
+
+  /**
+   * Speaks the last answer or hazard alert again.
+   * @returns {boolean} Whether there was anything to repeat.
+   */
+  const repeatLast = () => {
+    if (!lastSpoken) {
+      return false;
+    }
+    paused = false;
+    say(lastSpoken.text, SPEECH_PRIORITY.ANSWER);
+    return true;
+  };
+
+  /**
+   * Stops speaking and forgets everything queued.
+   */
+  const stop = () => {
+    const discarded = current ? [current, ...queue] : queue;
+    queue = [];
+    paused = false;
+    current = null;
+    engine.stop(); // Always, so speech started outside the manager is silenced too
+    drop(discarded);
+    notify();
+  };
+
+  return {
+    say,
+    pause,
+    resume,
+    repeatLast,
+    stop,
+    isPaused: () => paused,
+  };
+};
@@ -0,0 +1,34 @@
+// Short sounds that signal an event faster than words, e.g. a barcode spotted in Product mode
+//
+//   playTone('scan');
+
+import { createAudioPlayer, setAudioModeAsync } from 'expo-audio';
+
+const TONE_SOURCES = {
+  scan: require('../../assets/sounds/scan-tone.wav'),
+};
+
+const players = {}; // Tone name -> player, created on first use and kept for instant replay
+let audioModeSet = false;
+
+/**
+ * Plays a tone from the start. A tone is never worth an error message, so failures are only logged.
+ * @param {string} name - One of the keys of TONE_SOURCES.
+ */
+export const playTone = (name) => {
+  try {
+    if (!audioModeSet) {
+      audioModeSet = true;
+      // Users who rely on sound often keep the ringer switch off; tones should still be heard
+      setAudioModeAsync({ playsInSilentMode: true, interruptionMode: 'mixWithOthers' })
+        .catch((error) => console.warn('Could not set the audio mode:', error));
+    }
+    if (!players[name]) {
+      players[name] = createAudioPlayer(TONE_SOURCES[name]);
+    }
+    players[name].seekTo(0);
+    players[name].play();
+  } catch (error) {
+    console.warn(`Could not play the ${name} tone:`, error);
+  }
+};
@@ -0,0 +1,74 @@
+// Usage reports in the active language, for the settings screen and the usage voice command, on
+// top of the accounting in ./meter
+
+import { t, formatNumber } from '../i18n';
+
+/**
+ * Formats an estimated cost, with more decimals for the small amounts a day usually comes to.
+ * @param {number} cost - US dollars.
+ * @returns {string} e.g. "$0.0042".
+ */
+const formatCost = (cost) => formatNumber(cost, {
+  style: 'currency',
+  currency: 'USD',
+  maximumFractionDigits: cost < 1 ? 4 : 2,
+});
+
+/**
+ * Names the mode a request was made in. Emergency alert descriptions have no mode of their own,
+ * and a deleted custom mode is counted as other.
+ * @param {Object[]} modes - All registered modes.
+ * @param {string} modeId - The mode id recorded with the request.
+ * @returns {string} The label.
+ */
+export const usageModeLabel = (modes, modeId) => {
+  const mode = modes.find((candidate) => candidate.id === modeId);
+  if (mode) {
+    return mode.label;
+  }
+  return t(modeId === 'sos' ? 'usage.modes.sos' : 'usage.modes.other');
+};
+
+/**
+ * Formats the totals of a day or month.
+ * @param {Object} totals - A period from summarizeUsage, e.g. summary.today.
+ * @returns {string} e.g. "120 requests, 158,400 tokens, about $0.0191".
+ */
+export const formatUsageTotals = (totals) => {
+  const requests = t('usage.requests', { count: totals.calls, formatted: formatNumber(totals.calls) });
+  const tokens = t('usage.tokens', { count: totals.inputTokens + totals.outputTokens, formatted: formatNumber(totals.inputTokens + totals.outputTokens) });
+  return totals.cost > 0
+    ? t('usage.totalsWithCost', { requests, tokens, cost: formatCost(totals.cost) })
+    : t('usage.totals', { requests, tokens });
+};
+
+/**
+ * Phrases the usage for speech: today against the budget, the busiest mode, this month and the
+ * average response time.
+ * @param {Object} summary - Output of summarizeUsage.
+ * @param {Object} budget - Output of checkBudget.
+ * @param {Object[]} modes - All registered modes, for the mode names.
+ * @returns {string} The report.
+ */
+export const describeUsage = (summary, budget, modes) => {
+  const { today, thisMonth } = summary;
+  const parts = [t('usage.today', { totals: formatUsageTotals(today) })];
+  if (budget.level === 'exceeded') {
+    parts.push(t('usage.budgetUsedUp', { limit: formatNumber(budget.limit) }));
+  } else if (budget.level !== 'none') {
+    const left = budget.limit - budget.used;
+    parts.push(t('usage.budgetLeft', { count: left, formatted: formatNumber(left) }));
+  }
+  const [busiest] = Object.entries(today.modes).sort(([, a], [, b]) => b.calls - a.calls);
+  if (busiest) {
+    parts.push(t('usage.busiestMode', {
+      mode: usageModeLabel(modes, busiest[0]),
+      requests: t('usage.requests', { count: busiest[1].calls, formatted: formatNumber(busiest[1].calls) }),
+    }));
+  }
+  if (today.calls > 0) {
+    parts.push(t('usage.latency', { seconds: formatNumber(today.averageLatencyMs / 1000, { maximumFractionDigits: 1 }) }));
+  }
+  parts.push(t('usage.month', { totals: formatUsageTotals(thisMonth) }));
+  return parts.join(' ');
+};
@@ -0,0 +1,241 @@
+// Usage metering for vision requests: tokens and latency of every call, daily and monthly totals
+// per mode, an estimated cost, and the daily budget with its spoken warnings
+//
+// The log is a plain object that is stored as JSON, and every function here returns a new one, so
+// the accounting can be tested without a device:
+//   let log = createUsageLog();
+//   log = recordCall(log, { mode: 'navigate', providerId: 'gemini', model: 'gemini-2.0-flash',
+//     usage: { inputTokens: 1290, outputTokens: 42 }, latencyMs: 1800 });
+//   summarizeUsage(log).today.calls;  // 1
+//   checkBudget(log, 500);            // { limit: 500, used: 1, share: 0.002, level: 'ok' }
+
+// Most recent calls kept with their details; older ones only count in the totals
+export const MAX_RECENT_CALLS = 100;
+
+// Totals are kept this many days and months back
+const KEPT_DAYS = 62;
+const KEPT_MONTHS = 13;
+
+// Shares of the daily budget that are announced once a day as they are crossed
+export const BUDGET_WARNING_THRESHOLDS = [0.5, 0.8, 1];
+
+// US dollars per million tokens, for the cost estimate. Only hosted models with a public price are
+// listed; self-hosted servers and the mock provider cost nothing.
+const MODEL_PRICES = {
+  'gemini:gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini:gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini:gemini-1.5-pro': { input: 1.25, output: 5 },
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Local calendar day of a time, e.g. '2026-10-19'; the budget starts afresh at local midnight.
+ * @param {number} time - Milliseconds since the epoch.
+ * @returns {string} The day key.
+ */
+export const dayKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Local calendar month of a time, e.g. '2026-10'.
+ * @param {number} time - Milliseconds since the epoch.
+ * @returns {string} The month key.
+ */
+export const monthKey = (time) => dayKey(time).slice(0, 7);
+
+/**
+ * Starts an empty log.
+ * @returns {Object} { recent: [], days: {}, months: {}, warned: { day, thresholds } }.
+ */
+export const createUsageLog = () => ({ recent: [], days: {}, months: {}, warned: { day: null, thresholds: [] } });
+
+/**
+ * Estimates what a call cost.
+ * @param {string} providerId - The provider id.
+ * @param {string} model - The model id.
+ * @param {number} inputTokens - Prompt and image tokens.
+ * @param {number} outputTokens - Generated tokens.
+ * @returns {number} US dollars; 0 for models without a known price.
+ */
+export const estimateCost = (providerId, model, inputTokens, outputTokens) => {
+  const price = MODEL_PRICES[`${providerId}:${model}`];
+  return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0;
+};
+
+const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, cost: 0 });
+
+/**
+ * Adds a call to a { [mode]: totals } map.
+ * @param {Object} totalsByMode - The map.
+ * @param {Object} call - The call record.
+ * @returns {Object} The new map.
+ */
+const addToTotals = (totalsByMode = {}, call) => {
+  const totals = totalsByMode[call.mode] || emptyTotals();
+  return {
+    ...totalsByMode,
+    [call.mode]: {
+      calls: totals.calls + 1,
+      inputTokens: totals.inputTokens + call.inputTokens,
+      outputTokens: totals.outputTokens + call.outputTokens,
+      latencyMs: totals.latencyMs + call.latencyMs,
+      cost: totals.cost + call.cost,
+    },
+  };
+};
+
+/**
+ * Keeps only the newest keys of a map keyed by sortable dates.
+ * @param {Object} map - Day or month map.
+ * @param {number} count - How many keys to keep.
+ * @returns {Object} The trimmed map.
+ */
+const keepNewest = (map, count) => Object.fromEntries(Object.entries(map).sort(([a], [b]) => (a < b ? 1 : -1)).slice(0, count));
+
+/**
+ * Records one completed vision request.
+ * @param {Object} log - The usage log.
+ * @param {Object} call - The call.
+ * @param {string} [call.mode] - The mode it was made in; 'other' if unknown.
+ * @param {string} call.providerId - The provider id.
+ * @param {string} call.model - The model id.
+ * @param {Object} [call.usage] - { inputTokens, outputTokens } as reported by the provider, or null.
+ * @param {number} call.latencyMs - Time from sending the request to the whole answer.
+ * @param {number} [time] - When the call finished.
+ * @returns {Object} The updated log.
+ */
+export const recordCall = (log, { mode, providerId, model, usage, latencyMs }, time = Date.now()) => {
+  const inputTokens = (usage && usage.inputTokens) || 0;
+  const outputTokens = (usage && usage.outputTokens) || 0;
+  const call = {
+    at: time,
+    mode: mode || 'other',
+    providerId,
+    model,
+    inputTokens,
+    outputTokens,
+    reported: Boolean(usage), // Servers that report no usage are counted by calls only
+    latencyMs: Math.max(0, Math.round(latencyMs)),
+    cost: estimateCost(providerId, model, inputTokens, outputTokens),
+  };
+  const day = dayKey(time);
+  const month = monthKey(time);
+  return {
+    ...log,
+    recent: [call, ...log.recent].slice(0, MAX_RECENT_CALLS),
+    days: keepNewest({ ...log.days, [day]: addToTotals(log.days[day], call) }, KEPT_DAYS),
+    months: keepNewest({ ...log.months, [month]: addToTotals(log.months[month], call) }, KEPT_MONTHS),
+  };
+};
+
+/**
+ * Adds up the per-mode totals of one day or month.
+ * @param {Object} [totalsByMode] - { [mode]: totals }.
+ * @returns {Object} { calls, inputTokens, outputTokens, averageLatencyMs, cost, modes }, where modes
+ *   is the per-mode totals with their own averageLatencyMs.
+ */
+const summarizePeriod = (totalsByMode = {}) => {
+  const withAverage = (totals) => {
+    const { latencyMs, ...rest } = totals;
+    return { ...rest, averageLatencyMs: totals.calls > 0 ? Math.round(latencyMs / totals.calls) : 0 };
+  };
+  const overall = Object.values(totalsByMode).reduce((sum, totals) => ({
+    calls: sum.calls + totals.calls,
+    inputTokens: sum.inputTokens + totals.inputTokens,
+    outputTokens: sum.outputTokens + totals.outputTokens,
+    latencyMs: sum.latencyMs + totals.latencyMs,
+    cost: sum.cost + totals.cost,
+  }), emptyTotals());
+  return {
+    ...withAverage(overall),
+    modes: Object.fromEntries(Object.entries(totalsByMode).map(([mode, totals]) => [mode, withAverage(totals)])),
+  };
+};
+
+/**
+ * Totals for today and this month.
+ * @param {Object} log - The usage log.
+ * @param {number} [time] - The current time.
+ * @returns {{day: string, month: string, today: Object, thisMonth: Object}} See summarizePeriod for the totals.
+ */
+export const summarizeUsage = (log, time = Date.now()) => ({
+  day: dayKey(time),
+  month: monthKey(time),
+  today: summarizePeriod(log.days[dayKey(time)]),
+  thisMonth: summarizePeriod(log.months[monthKey(time)]),
+});
+
+/**
+ * Measures today's calls against the daily budget.
+ * @param {Object} log - The usage log.
+ * @param {number} limit - Calls allowed per day; 0 for no budget.
+ * @param {number} [time] - The current time.
+ * @returns {{limit: number, used: number, share: number, level: string}} level is 'none' without a
+ *   budget, 'ok', 'warning' from the first warning threshold, or 'exceeded' once it is used up.
+ */
+export const checkBudget = (log, limit, time = Date.now()) => {
+  const used = summarizePeriod(log.days[dayKey(time)]).calls;
+  if (!limit) {
+    return { limit: 0, used, share: 0, level: 'none' };
+  }
+  const share = used / limit;
+  let level = 'ok';
+  if (share >= 1) {
+    level = 'exceeded';
+  } else if (share >= BUDGET_WARNING_THRESHOLDS[0]) {
+    level = 'warning';
+  }
+  return { limit, used, share, level };
+};
+
+/**
+ * Finds the highest warning threshold crossed today that has not been announced yet, and marks
+ * it and every lower one as announced.
+ * @param {Object} log - The usage log.
+ * @param {number} limit - Calls allowed per day; 0 for no budget.
+ * @param {number} [time] - The current time.
+ * @returns {{log: Object, threshold: number|null}} The updated log, and the threshold to announce or null.
+ */
+export const takeBudgetWarning = (log, limit, time = Date.now()) => {
+  const { share, level } = checkBudget(log, limit, time);
+  if (level === 'none') {
+    return { log, threshold: null };
+  }
+  const day = dayKey(time);
+  const announced = log.warned.day === day ? log.warned.thresholds : [];
+  const crossed = BUDGET_WARNING_THRESHOLDS.filter((threshold) => share >= threshold);
+  const fresh = crossed.filter((threshold) => !announced.includes(threshold));
+  if (fresh.length === 0) {
+    return { log, threshold: null };
+  }
+  return {
+    log: { ...log, warned: { day, thresholds: crossed } },
+    threshold: fresh[fresh.length - 1],
+  };
+};
+
+/**
+ * Wraps a vision provider so every completed request is reported with its mode, tokens and latency.
+ * Failed and cancelled requests are not reported.
+ * @param {Object} provider - A vision provider (see src/vision/providers).
+ * @param {Function} onCall - Called with { mode, providerId, model, usage, latencyMs } after each request.
+ * @returns {Object} The provider, metered.
+ */
+export const withMetering = (provider, onCall) => {
+  const metered = (method) => async (request) => {
+    const startedAt = Date.now();
+    const result = await provider[method](request);
+    onCall({
+      mode: request.mode,
+      providerId: provider.id,
+      model: request.model,
+      usage: result.usage || null,
+      latencyMs: Date.now() - startedAt,
+    });
+    return result;
+  };
+  return { ...provider, describeImage: metered('describeImage'), chat: metered('chat') };
+};
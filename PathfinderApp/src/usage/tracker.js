@@ -0,0 +1,68 @@
+// The app's running usage log: counts every completed vision request, saves the log in the order
+// the requests finished and warns as the daily budget runs out (see ./meter for the accounting)
+//
+//   const usage = createUsageTracker({ getLimit: () => settings.dailyCallBudget, speak, onChange });
+//   await usage.load();
+//   usage.record({ mode, providerId, model, usage, latencyMs });   // "Half of today's 200 requests used."
+//   usage.isOverBudget();
+
+import { createUsageLog, recordCall, summarizeUsage, checkBudget, takeBudgetWarning } from './meter';
+import { loadUsage, saveUsage } from './usageStore';
+import { t } from '../i18n';
+
+/**
+ * Creates the usage tracker.
+ * @param {Object} options - Tracker options.
+ * @param {Function} options.getLimit - Returns the daily budget of vision requests.
+ * @param {Function} options.speak - Speaks a budget warning.
+ * @param {Function} options.onChange - Called with the new log whenever it changes.
+ * @returns {{load: Function, record: Function, report: Function, isOverBudget: Function}}
+ */
+export const createUsageTracker = ({ getLimit, speak, onChange }) => {
+  let log = createUsageLog();
+  let writes = Promise.resolve(); // Serializes usage writes, so requests finishing together are all counted
+
+  /**
+   * Loads the saved log.
+   * @returns {Promise<void>}
+   */
+  const load = async () => {
+    log = await loadUsage();
+    onChange(log);
+  };
+
+  /**
+   * Adds a completed vision request to the log and warns as the daily budget runs out.
+   * @param {Object} call - { mode, providerId, model, usage, latencyMs }, see ./meter.
+   */
+  const record = (call) => {
+    const limit = getLimit();
+    const warning = takeBudgetWarning(recordCall(log, call), limit);
+    log = warning.log;
+    onChange(log);
+    writes = writes
+      .then(() => saveUsage(warning.log))
+      .catch((error) => console.error('Error saving usage:', error));
+    if (warning.threshold !== null) {
+      speak(warning.threshold >= 1
+        ? t('usage.exceeded', { limit })
+        : t('usage.warning', { percent: Math.round(warning.threshold * 100), limit }));
+    }
+  };
+
+  return {
+    load,
+    record,
+    /**
+     * Today's and this month's totals, and today's requests against the budget.
+     * @returns {{summary: Object, budget: Object}} From summarizeUsage and checkBudget.
+     */
+    report: () => ({ summary: summarizeUsage(log), budget: checkBudget(log, getLimit()) }),
+    /**
+     * Whether today's vision requests have used up the daily budget. Automatic captures then slow
+     * down until midnight; captures the user asks for are never held back.
+     * @returns {boolean} True once the budget is used up.
+     */
+    isOverBudget: () => checkBudget(log, getLimit()).level === 'exceeded',
+  };
+};
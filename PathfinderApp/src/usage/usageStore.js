@@ -0,0 +1,28 @@
+// Persistent usage log for vision requests, in AsyncStorage (see ./meter for its shape)
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createUsageLog } from './meter';
+
+const USAGE_STORAGE_KEY = 'pathfinder.usage';
+
+/**
+ * Loads the usage log.
+ * @returns {Promise<Object>} The log; an empty one if nothing is stored or it cannot be read.
+ */
+export const loadUsage = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(USAGE_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : null;
+    return parsed && typeof parsed === 'object' ? { ...createUsageLog(), ...parsed } : createUsageLog();
+  } catch (error) {
+    console.error('Error loading usage:', error);
+    return createUsageLog();
+  }
+};
+
+/**
+ * Writes the usage log.
+ * @param {Object} log - The log.
+ * @returns {Promise<void>}
+ */
+export const saveUsage = (log) => AsyncStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(log));
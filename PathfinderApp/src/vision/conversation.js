@@ -0,0 +1,61 @@
+// Multi-turn conversation about the most recently captured image
+
+import { t } from '../i18n';
+
+// Oldest follow-up exchanges are dropped beyond this many turns to keep requests small
+const MAX_TURNS = 12;
+
+// Added to every follow-up so answers come back as short speakable prose, even in modes whose
+// original prompt asked for JSON; the active language's instruction follows it
+const FOLLOW_UP_INSTRUCTION = 'Answer this follow-up question about the same image briefly, as plain spoken sentences, without markdown or JSON.';
+
+/**
+ * Starts a conversation from a completed capture.
+ * @param {Object} capture - The capture that produced the first answer.
+ * @param {string} capture.imageBase64 - Base64 encoded image data.
+ * @param {string} capture.mimeType - MIME type of the image.
+ * @param {string} capture.mode - Mode the capture was made in.
+ * @param {string} capture.prompt - The prompt that was sent with the image.
+ * @param {string} capture.answer - The model's raw reply.
+ * @returns {Object} The conversation.
+ */
+export const startConversation = ({ imageBase64, mimeType, mode, prompt, answer }) => ({
+  imageBase64,
+  mimeType,
+  mode,
+  turns: [
+    { role: 'user', text: prompt },
+    { role: 'assistant', text: answer },
+  ],
+});
+
+/**
+ * Builds the turns to send for a follow-up question. The first exchange (which carries
+ * the image) is always kept; older follow-up exchanges are dropped once MAX_TURNS is reached.
+ * @param {Object} conversation - The current conversation.
+ * @param {string} question - The user's question.
+ * @returns {Array<{role: string, text: string}>} Turns ending with the new question.
+ */
+export const buildFollowUpTurns = (conversation, question) => {
+  const [firstPrompt, firstAnswer, ...followUps] = conversation.turns;
+  // Whole question and answer pairs only; providers reject two turns of the same role in a row
+  const recent = followUps.slice(-2 * Math.floor((MAX_TURNS - 3) / 2));
+  return [
+    firstPrompt,
+    firstAnswer,
+    ...recent,
+    { role: 'user', text: `${FOLLOW_UP_INSTRUCTION} ${t('prompts.describe')}\n\n${question.trim()}` },
+  ];
+};
+
+/**
+ * Records an answered follow-up.
+ * @param {Object} conversation - The current conversation.
+ * @param {Array<{role: string, text: string}>} turns - The turns that were sent, from buildFollowUpTurns.
+ * @param {string} answer - The model's reply.
+ * @returns {Object} A new conversation including the exchange.
+ */
+export const appendAnswer = (conversation, turns, answer) => ({
+  ...conversation,
+  turns: [...turns, { role: 'assistant', text: answer }],
+});
@@ -0,0 +1,81 @@
+// Categorized vision API errors and the messages spoken for them
+
+import { t } from '../i18n';
+
+export const VISION_ERROR_CATEGORIES = {
+  QUOTA: 'quota',
+  AUTH: 'auth',
+  BLOCKED: 'blocked',
+  OFFLINE: 'offline',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  SERVER: 'server',
+  BAD_RESPONSE: 'bad_response',
+  MISSING_KEY: 'missing_key',
+};
+
+// Categories worth retrying automatically; the rest will fail the same way again
+const TRANSIENT_CATEGORIES = [
+  VISION_ERROR_CATEGORIES.TIMEOUT,
+  VISION_ERROR_CATEGORIES.SERVER,
+  VISION_ERROR_CATEGORIES.OFFLINE,
+];
+
+/**
+ * Error raised by vision providers, tagged with a category from VISION_ERROR_CATEGORIES.
+ */
+export class VisionError extends Error {
+  /**
+   * @param {string} category - One of VISION_ERROR_CATEGORIES.
+   * @param {string} message - Technical description for logs.
+   * @param {Object} [details] - Extra context such as the HTTP status or raw response.
+   */
+  constructor(category, message, details = {}) {
+    super(message);
+    this.name = 'VisionError';
+    this.category = category;
+    this.details = details;
+  }
+}
+
+/**
+ * Maps a failed HTTP response to a categorized error.
+ * @param {number} status - HTTP status code.
+ * @param {string} [message] - Error message from the response body.
+ * @param {Object} [raw] - The parsed response body.
+ * @returns {VisionError} The error.
+ */
+export const errorFromHttpStatus = (status, message = '', raw = null) => {
+  const lower = message.toLowerCase();
+  let category = VISION_ERROR_CATEGORIES.SERVER;
+  if (status === 429 || lower.includes('quota')) {
+    category = VISION_ERROR_CATEGORIES.QUOTA;
+  } else if (status === 401 || status === 403 || lower.includes('api key')) {
+    category = VISION_ERROR_CATEGORIES.AUTH;
+  } else if (lower.includes('safety') || lower.includes('content_filter') || lower.includes('content policy')) {
+    category = VISION_ERROR_CATEGORIES.BLOCKED;
+  } else if (status >= 400 && status < 500) {
+    category = VISION_ERROR_CATEGORIES.BAD_RESPONSE;
+  }
+  return new VisionError(category, `HTTP ${status}: ${message || 'request failed'}`, { status, raw });
+};
+
+/**
+ * Whether a failed request may succeed if simply tried again.
+ * @param {Error} error - The error.
+ * @returns {boolean} True for timeouts, server errors and dropped connections.
+ */
+export const isTransientError = (error) =>
+  error instanceof VisionError && TRANSIENT_CATEGORIES.includes(error.category);
+
+/**
+ * Returns the sentence to speak for a failed request.
+ * @param {Error} error - The error.
+ * @returns {string} The spoken message.
+ */
+export const spokenMessageForError = (error) => {
+  if (error instanceof VisionError && Object.values(VISION_ERROR_CATEGORIES).includes(error.category)) {
+    return t(`visionErrors.${error.category}`);
+  }
+  return t('visionErrors.other', { error: error.message });
+};
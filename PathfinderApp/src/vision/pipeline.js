@@ -0,0 +1,186 @@
+// From a picture to words: takes the picture, checks it on the device, sends it to the vision model
+// and turns the answer into what the mode says, plus follow-up questions about it
+//
+//   const pipeline = createVisionPipeline({ camera, getModelId: () => settings.modelId });
+//   const outcome = await pipeline.describe({ provider, mode: 'navigate', prompt, signal });
+//   if (outcome.status === CAPTURE_OUTCOMES.DESCRIBED) speak(outcome.description);
+// Nothing here shows or speaks anything, so every step can be tested without the app.
+
+import { createProvider, createReplayProvider } from './providers';
+import { describeWithRetry, chatWithRetry } from './request';
+import { buildFollowUpTurns } from './conversation';
+import { analyzeFrame, prepareUpload } from '../camera/preprocess';
+import { parseHazardResponse, formatHazardsForSpeech } from '../navigation/hazards';
+import { parseFindResponse, formatFindGuidance } from '../find/finder';
+import { withMetering } from '../usage/meter';
+import { localizePrompt } from '../i18n';
+import { maskSensitive } from '../privacy';
+
+// Asked again in prose when a Navigate answer comes back as broken hazard JSON
+const NAVIGATE_PROSE_PROMPT = "Describe the immediate environment for indoor navigation. Identify key objects, obstacles, pathways, and directional cues. Mention any furniture, doors, stairs, changes in floor level, or other significant features. Provide guidance on what's directly in front, to the left, and to the right. Highlight potential hazards or clear paths.";
+
+// How a capture ended
+export const CAPTURE_OUTCOMES = {
+  CANCELLED: 'cancelled', // Aborted; nothing may be shown or spoken
+  REJECTED: 'rejected', // Too dark, blurry or badly framed; never sent to the model
+  EMPTY: 'empty', // The model produced nothing usable
+  DESCRIBED: 'described',
+};
+
+/**
+ * Builds the vision provider requests go to: the recorded session while one is replayed, else the
+ * provider from settings with every completed request metered, and recorded while recording.
+ * @param {Object} options - Provider options.
+ * @param {string} options.providerId - The provider from settings.
+ * @param {Object} options.providerOptions - Its connection options (see providerOptionsFromSettings).
+ * @param {Object} options.simulation - The simulation in use: { player, recorder }.
+ * @param {boolean} options.incognito - Whether requests must not be recorded.
+ * @param {Function} options.onCall - Called with every metered request, see withMetering.
+ * @returns {Object} The vision provider.
+ */
+export const createActiveProvider = ({ providerId, providerOptions, simulation, incognito, onCall }) => {
+  const { player, recorder } = simulation;
+  if (player) {
+    return createReplayProvider({ player }); // Replayed answers cost nothing, so they are not metered
+  }
+  const provider = withMetering(createProvider(providerId, providerOptions), onCall);
+  return recorder && !incognito ? recorder.withRecording(provider) : provider;
+};
+
+/**
+ * Creates the pipeline.
+ * @param {Object} options - Pipeline options.
+ * @param {Object} options.camera - The camera, from createCamera.
+ * @param {Function} options.getModelId - Returns the model to ask.
+ * @returns {{describe: Function, ask: Function}} The pipeline.
+ */
+export const createVisionPipeline = ({ camera, getModelId }) => {
+  const cancelled = { status: CAPTURE_OUTCOMES.CANCELLED };
+
+  /**
+   * Converts a Navigate mode response into speech. Valid hazard JSON becomes short phrases,
+   * most severe first; plain prose is spoken as is; broken JSON is retried once with the prose prompt.
+   * @param {Object} provider - The vision provider that produced the response.
+   * @param {string} text - The raw model output.
+   * @param {Object} upload - The uploaded image, needed for the prose retry.
+   * @param {AbortSignal} signal - Cancels the prose retry.
+   * @returns {Promise<string|null>} The text to speak.
+   */
+  const toNavigationSpeech = async (provider, text, upload, signal) => {
+    const parsed = parseHazardResponse(text);
+    if (parsed) {
+      return formatHazardsForSpeech(parsed);
+    }
+
+    const looksLikeJson = /^\s*(```|\{|\[)/.test(text);
+    if (!looksLikeJson) {
+      return text;
+    }
+
+    console.warn('Malformed hazard JSON, falling back to prose:', maskSensitive(text));
+    const fallback = await provider.describeImage({
+      prompt: localizePrompt(NAVIGATE_PROSE_PROMPT),
+      imageBase64: upload.base64,
+      mimeType: upload.mimeType,
+      model: getModelId(),
+      mode: 'navigate',
+      signal,
+    });
+    return fallback.text;
+  };
+
+  /**
+   * Takes a picture and describes it.
+   * @param {Object} request - The capture.
+   * @param {Object} request.provider - The vision provider, from createActiveProvider.
+   * @param {string} request.mode - The mode id; Navigate and Find answers are turned into speech.
+   * @param {string} request.prompt - The prompt for the model.
+   * @param {string} [request.findTarget] - What Find mode looks for.
+   * @param {AbortSignal} request.signal - Aborts the capture at the next step.
+   * @param {Function} [request.onCaptured] - Called once the picture has passed the checks, before it is sent.
+   * @param {Function} [request.onText] - Streams the answer, see src/vision/providers.
+   * @param {Object} [request.retry] - onRetry and canRetry, see withRetry.
+   * @returns {Promise<Object>} { status, description, text, quality, upload }: status is one of
+   *   CAPTURE_OUTCOMES, description what to say, text the model's raw answer and quality the
+   *   on-device check (see analyzeFrame).
+   */
+  const describe = async ({ provider, mode, prompt, findTarget = '', signal, onCaptured = () => {}, onText, retry = {} }) => {
+    const photo = await camera.takePicture();
+    if (signal.aborted) {
+      return cancelled; // Stopped while the camera was capturing
+    }
+
+    // Reject dark, blurry or badly framed shots before spending a round trip on them
+    const quality = await analyzeFrame(photo.uri, mode);
+    if (signal.aborted) {
+      return cancelled;
+    }
+    if (!quality.ok) {
+      return { status: CAPTURE_OUTCOMES.REJECTED, quality };
+    }
+    onCaptured();
+
+    const upload = await prepareUpload(photo);
+    if (signal.aborted) {
+      return cancelled;
+    }
+
+    // Send the image to the vision provider, retrying transient failures
+    const result = await describeWithRetry(provider, {
+      prompt,
+      imageBase64: upload.base64,
+      mimeType: upload.mimeType,
+      model: getModelId(),
+      mode,
+      signal,
+      onText,
+    }, retry);
+
+    let description = result.text;
+    if (description && mode === 'navigate') {
+      description = await toNavigationSpeech(provider, description, upload, signal);
+    }
+    if (description && mode === 'find') {
+      // Guidance about the target; a prose answer is spoken as is, broken JSON not at all
+      const found = parseFindResponse(description);
+      description = found ? formatFindGuidance(found, findTarget) : (/^\s*(```|\{)/.test(description) ? null : description);
+    }
+    if (signal.aborted) {
+      return cancelled; // Stopped after the response arrived; never speak a cancelled result
+    }
+    return {
+      status: description ? CAPTURE_OUTCOMES.DESCRIBED : CAPTURE_OUTCOMES.EMPTY,
+      description,
+      text: result.text,
+      quality,
+      upload,
+    };
+  };
+
+  /**
+   * Asks a follow-up question about a captured image.
+   * @param {Object} request - The question.
+   * @param {Object} request.provider - The vision provider.
+   * @param {Object} request.conversation - The image and earlier turns, see src/vision/conversation.js.
+   * @param {string} request.question - The question.
+   * @param {AbortSignal} request.signal - Aborts the request.
+   * @param {Function} [request.onText] - Streams the answer.
+   * @param {Object} [request.retry] - onRetry and canRetry, see withRetry.
+   * @returns {Promise<{turns: Object[], text: string|null}>} The turns asked and the answer.
+   */
+  const ask = async ({ provider, conversation, question, signal, onText, retry = {} }) => {
+    const turns = buildFollowUpTurns(conversation, question);
+    const result = await chatWithRetry(provider, {
+      turns,
+      imageBase64: conversation.imageBase64,
+      mimeType: conversation.mimeType,
+      model: getModelId(),
+      mode: conversation.mode, // Follow-ups count towards the mode of the capture they are about
+      signal,
+      onText,
+    }, retry);
+    return { turns, text: result.text };
+  };
+
+  return { describe, ask };
+};
@@ -0,0 +1,165 @@
+// Google Gemini vision provider (generateContent and streamGenerateContent REST API)
+
+import { postJson, getJson, streamEvents } from '../request';
+import { VisionError, VISION_ERROR_CATEGORIES } from '../errors';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Creates a vision provider backed by Google's Gemini models.
+ * @param {Object} options - Provider options.
+ * @param {string} options.apiKey - The Gemini API key.
+ * @param {string} [options.baseUrl] - Override for the models endpoint.
+ * @returns {Object} A vision provider.
+ */
+export const createGeminiProvider = ({ apiKey, baseUrl = GEMINI_BASE_URL } = {}) => {
+  /**
+   * Sends a conversation about one image to Gemini and returns the next model turn.
+   * The image is attached to the first user turn.
+   * @param {Object} request - The chat request.
+   * @param {Array<{role: string, text: string}>} request.turns - Alternating 'user' / 'assistant' turns.
+   * @param {string} request.imageBase64 - Base64 encoded image data.
+   * @param {string} [request.mimeType] - MIME type of the image.
+   * @param {string} request.model - Gemini model id, e.g. 'gemini-2.0-flash'.
+   * @param {AbortSignal} [request.signal] - Cancels the request.
+   * @param {number} [request.timeoutMs] - Time limit for the request; when streaming, for each gap between chunks.
+   * @param {Function} [request.onText] - Streams the answer: called with each new piece of text as it arrives.
+   * @returns {Promise<{text: string, raw: Object, usage: Object}>} The model output.
+   */
+  const chat = async ({ turns, imageBase64, mimeType = 'image/jpeg', model, signal, timeoutMs, onText }) => {
+    if (!apiKey) {
+      throw new VisionError(VISION_ERROR_CATEGORIES.MISSING_KEY, 'No Gemini API key configured');
+    }
+    const payload = {
+      contents: turns.map((turn, index) => ({
+        role: turn.role === 'assistant' ? "model" : "user",
+        parts: index === 0
+          ? [
+            { text: turn.text },
+            {
+              inlineData: {
+                mimeType,
+                data: imageBase64
+              }
+            }
+          ]
+          : [{ text: turn.text }]
+      })),
+    };
+
+    if (onText) {
+      return streamChat(payload, { model, signal, timeoutMs, onText });
+    }
+
+    const apiUrl = `${baseUrl}/${model}:generateContent?key=${apiKey}`;
+
+    const result = await postJson(apiUrl, { body: payload, signal, timeoutMs });
+    throwIfGeminiBlocked(result);
+    return { text: extractGeminiText(result), raw: result, usage: extractGeminiUsage(result) };
+  };
+
+  /**
+   * Streams a generateContent payload over server-sent events. Each event is a partial
+   * response carrying the next piece of text; safety blocks can arrive in any of them.
+   * @param {Object} payload - The generateContent request body.
+   * @param {Object} options - Stream options.
+   * @returns {Promise<{text: string, raw: Object, usage: Object}>} The whole text, the last chunk as raw, and
+   *   the token counts, which Gemini repeats in every chunk with the final ones in the last.
+   */
+  const streamChat = async (payload, { model, signal, timeoutMs, onText }) => {
+    const apiUrl = `${baseUrl}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+    let text = null;
+    let raw = null;
+    let usage = null;
+
+    await streamEvents(apiUrl, {
+      body: payload,
+      signal,
+      timeoutMs,
+      onEvent: (data) => {
+        const chunk = JSON.parse(data);
+        throwIfGeminiBlocked(chunk);
+        raw = chunk;
+        usage = extractGeminiUsage(chunk) || usage;
+        const delta = extractGeminiText(chunk);
+        if (delta) {
+          text = (text || '') + delta;
+          onText(delta);
+        }
+      },
+    });
+    return { text, raw, usage };
+  };
+
+  /**
+   * Sends an image and prompt to Gemini and returns the generated text.
+   * @param {Object} request - The vision request; same fields as chat, with prompt in place of turns.
+   * @returns {Promise<{text: string, raw: Object, usage: Object}>} The model output.
+   */
+  const describeImage = ({ prompt, ...request }) => chat({ ...request, turns: [{ role: 'user', text: prompt }] });
+
+  /**
+   * Checks the API key with a cheap model listing call that uses no generation quota.
+   * Resolves if the key works; rejects with a VisionError (e.g. 'auth' or 'offline') otherwise.
+   * @param {Object} [options] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the check.
+   * @returns {Promise<void>}
+   */
+  const validateKey = async ({ signal } = {}) => {
+    if (!apiKey) {
+      throw new VisionError(VISION_ERROR_CATEGORIES.MISSING_KEY, 'No Gemini API key configured');
+    }
+    await getJson(`${baseUrl}?pageSize=1&key=${apiKey}`, { signal, timeoutMs: 10000 });
+  };
+
+  return {
+    id: 'gemini',
+    label: 'Gemini',
+    models: ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-pro'],
+    requiresApiKey: true,
+    describeImage,
+    chat,
+    validateKey,
+  };
+};
+
+/**
+ * Raises a 'blocked' error when Gemini refused the prompt or withheld the answer for safety reasons.
+ * @param {Object} result - Parsed generateContent response.
+ */
+export const throwIfGeminiBlocked = (result) => {
+  const blockReason = result && result.promptFeedback && result.promptFeedback.blockReason;
+  const finishReason = result && result.candidates && result.candidates[0] && result.candidates[0].finishReason;
+  if (blockReason || ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'].includes(finishReason)) {
+    throw new VisionError(VISION_ERROR_CATEGORIES.BLOCKED, `Gemini blocked the response: ${blockReason || finishReason}`, { raw: result });
+  }
+};
+
+/**
+ * Pulls the first text part out of a Gemini response.
+ * @param {Object} result - Parsed generateContent response.
+ * @returns {string|null} The text, or null when the response has no candidates.
+ */
+export const extractGeminiText = (result) => {
+  if (result && result.candidates && result.candidates.length > 0 &&
+      result.candidates[0].content && result.candidates[0].content.parts &&
+      result.candidates[0].content.parts.length > 0) {
+    return result.candidates[0].content.parts[0].text;
+  }
+  return null;
+};
+
+/**
+ * Reads the token counts from a Gemini response's usageMetadata.
+ * @param {Object} result - Parsed generateContent response or stream chunk.
+ * @returns {{inputTokens: number, outputTokens: number, totalTokens: number}|null} The counts, or null if missing.
+ */
+export const extractGeminiUsage = (result) => {
+  const metadata = result && result.usageMetadata;
+  if (!metadata) {
+    return null;
+  }
+  const inputTokens = metadata.promptTokenCount || 0;
+  const outputTokens = metadata.candidatesTokenCount || 0;
+  return { inputTokens, outputTokens, totalTokens: metadata.totalTokenCount || inputTokens + outputTokens };
+};
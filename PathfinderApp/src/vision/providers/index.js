@@ -0,0 +1,54 @@
+// Vision provider registry
+//
+// Every provider exposes the same shape:
+//   { id, label, models: string[], requiresApiKey: boolean,
+//     validateKey({ signal }),
+//     describeImage({ prompt, imageBase64, mimeType, model, mode, signal, timeoutMs, onText }),
+//     chat({ turns: [{ role: 'user' | 'assistant', text }], imageBase64, mimeType, model, signal, timeoutMs, onText }) }
+// Both resolve to { text, raw, usage }, where text is null if the model produced nothing usable and
+// usage is { inputTokens, outputTokens, totalTokens }, or null when the server reports none.
+// chat attaches the image to the first user turn, which is how follow-up questions keep their context.
+// Passing onText streams the answer: it is called with each new piece of text as it arrives,
+// and the promise still resolves with the whole text once the model has finished.
+
+import { createGeminiProvider } from './gemini';
+import { createOpenAICompatibleProvider } from './openai';
+import { createMockProvider } from './mock';
+import { createReplayProvider } from './replay';
+
+// The replay provider is not offered in settings: it is built around a recorded session in simulation mode
+export { createGeminiProvider, createOpenAICompatibleProvider, createMockProvider, createReplayProvider };
+
+// Default connection options for each provider; keys and URLs come from the settings store
+export const DEFAULT_PROVIDER_OPTIONS = {
+  gemini: {
+    apiKey: '',
+  },
+  openai: {
+    baseUrl: 'http://localhost:11434/v1', // Point at a self-hosted OpenAI-compatible server
+    apiKey: '',
+  },
+  mock: {},
+};
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+export const PROVIDER_IDS = Object.keys(PROVIDER_FACTORIES);
+
+/**
+ * Builds the provider with the given id.
+ * @param {string} providerId - One of PROVIDER_IDS.
+ * @param {Object} [options] - Overrides merged onto DEFAULT_PROVIDER_OPTIONS for that provider.
+ * @returns {Object} The vision provider.
+ */
+export const createProvider = (providerId, options = {}) => {
+  const factory = PROVIDER_FACTORIES[providerId];
+  if (!factory) {
+    throw new Error(`Unknown vision provider: ${providerId}`);
+  }
+  return factory({ ...DEFAULT_PROVIDER_OPTIONS[providerId], ...options });
+};
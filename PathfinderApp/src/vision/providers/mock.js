@@ -0,0 +1,104 @@
+// Deterministic mock provider for demos and development without network access
+
+import { throwIfCancelled } from '../request';
+
+const MOCK_RESPONSES = {
+  read: "EXIT. Room 204. Please keep this door closed.",
+  navigate: JSON.stringify({
+    hazards: [
+      { type: "chair", direction: "10 o'clock", distance_steps: 2, severity: "medium" },
+      { type: "stairs down", direction: "12 o'clock", distance_steps: 4, severity: "high" },
+      { type: "door", direction: "right", distance_steps: 3, severity: "low" },
+    ],
+    clear_path: "slightly to the right",
+  }),
+  passive: "You are in a hallway with a door on the right and a chair on the left.",
+  find: JSON.stringify({
+    found: true,
+    horizontal: "center",
+    vertical: "bottom",
+    distance_steps: 1,
+    confidence: "high",
+    hint: null,
+  }),
+  product: "Oatly Oat Drink\n1 liter, original. Contains oats. Best before June 12, 2025.",
+  sos: "A bus stop on a busy street, next to a pharmacy. A street sign reads Market Street. Cars pass close to the curb.",
+};
+
+// Streamed answers arrive a few characters at a time, like a real model's tokens
+const STREAM_CHUNK_LENGTH = 12;
+const STREAM_CHUNK_DELAY_MS = 60;
+
+/**
+ * Hands canned text to onText in small pieces, stopping if the request is cancelled.
+ * @param {string} text - The whole answer.
+ * @param {Function} onText - Called with each piece.
+ * @param {AbortSignal} [signal] - Cancels the stream.
+ */
+export const streamText = async (text, onText, signal) => {
+  for (let start = 0; start < text.length; start += STREAM_CHUNK_LENGTH) {
+    onText(text.slice(start, start + STREAM_CHUNK_LENGTH));
+    await new Promise((resolve) => setTimeout(resolve, STREAM_CHUNK_DELAY_MS));
+    throwIfCancelled(signal);
+  }
+};
+
+/**
+ * Creates a provider that never touches the network and always answers the same way
+ * for the same prompt, so UI and speech behaviour can be checked repeatably.
+ * @param {Object} [options] - Provider options.
+ * @param {Object} [options.responses] - Map of mode id to canned response text.
+ * @param {number} [options.delayMs] - Artificial latency before answering.
+ * @returns {Object} A vision provider.
+ */
+export const createMockProvider = ({ responses = MOCK_RESPONSES, delayMs = 300 } = {}) => {
+  /**
+   * Returns a canned description chosen from the request's mode hint.
+   * @param {Object} request - The vision request.
+   * @param {string} request.prompt - Instruction text for the model.
+   * @param {string} [request.mode] - The mode the request was made in.
+   * @param {string} request.model - Ignored apart from being echoed in the raw result.
+   * @param {AbortSignal} [request.signal] - Cancels the request.
+   * @param {Function} [request.onText] - Streams the answer in small pieces.
+   * @returns {Promise<{text: string, raw: Object, usage: null}>} The canned output.
+   */
+  const describeImage = async ({ prompt, mode, model, signal, onText }) => {
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    throwIfCancelled(signal);
+    const text = responses[mode] || responses.passive || `Mock description for prompt: ${prompt}`;
+    if (onText) {
+      await streamText(text, onText, signal);
+    }
+    return { text, raw: { mock: true, model, mode }, usage: null };
+  };
+
+  /**
+   * Answers a follow-up by echoing the latest question, so multi-turn flows can be exercised offline.
+   * @param {Object} request - The chat request.
+   * @param {Array<{role: string, text: string}>} request.turns - Alternating 'user' / 'assistant' turns.
+   * @param {string} request.model - Ignored apart from being echoed in the raw result.
+   * @param {AbortSignal} [request.signal] - Cancels the request.
+   * @param {Function} [request.onText] - Streams the answer in small pieces.
+   * @returns {Promise<{text: string, raw: Object, usage: null}>} The canned output.
+   */
+  const chat = async ({ turns, model, signal, onText }) => {
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    throwIfCancelled(signal);
+    const question = turns[turns.length - 1].text;
+    const text = `Mock answer to: ${question}`;
+    if (onText) {
+      await streamText(text, onText, signal);
+    }
+    return { text, raw: { mock: true, model, turns: turns.length }, usage: null };
+  };
+
+  return {
+    id: 'mock',
+    label: 'Mock',
+    models: ['mock-1'],
+    requiresApiKey: false,
+    describeImage,
+    chat,
+    validateKey: async () => {},
+  };
+};
@@ -0,0 +1,171 @@
+// OpenAI-compatible chat/vision provider (works with self-hosted servers such as vLLM, Ollama or LM Studio)
+
+import { postJson, getJson, streamEvents } from '../request';
+import { VisionError, VISION_ERROR_CATEGORIES } from '../errors';
+
+/**
+ * Creates a vision provider that speaks the OpenAI chat completions protocol.
+ * @param {Object} options - Provider options.
+ * @param {string} options.baseUrl - Base URL up to and including the version, e.g. 'http://192.168.1.20:11434/v1'.
+ * @param {string} [options.apiKey] - Bearer token, if the server requires one.
+ * @param {string[]} [options.models] - Model ids offered in the picker.
+ * @returns {Object} A vision provider.
+ */
+export const createOpenAICompatibleProvider = ({ baseUrl, apiKey, models = ['gpt-4o-mini', 'llava'] } = {}) => {
+  /**
+   * Sends a conversation about one image and returns the next assistant message.
+   * The image is attached to the first user message.
+   * @param {Object} request - The chat request.
+   * @param {Array<{role: string, text: string}>} request.turns - Alternating 'user' / 'assistant' turns.
+   * @param {string} request.imageBase64 - Base64 encoded image data.
+   * @param {string} [request.mimeType] - MIME type of the image.
+   * @param {string} request.model - Model id served by the endpoint.
+   * @param {AbortSignal} [request.signal] - Cancels the request.
+   * @param {number} [request.timeoutMs] - Time limit for the request; when streaming, for each gap between chunks.
+   * @param {Function} [request.onText] - Streams the answer: called with each new piece of text as it arrives.
+   * @returns {Promise<{text: string, raw: Object, usage: Object}>} The model output.
+   */
+  const chat = async ({ turns, imageBase64, mimeType = 'image/jpeg', model, signal, timeoutMs, onText }) => {
+    const payload = {
+      model,
+      messages: turns.map((turn, index) => ({
+        role: turn.role === 'assistant' ? "assistant" : "user",
+        content: index === 0
+          ? [
+            { type: "text", text: turn.text },
+            { type: "image_url", image_url: { url: `data:${mimeType};base64,${imageBase64}` } }
+          ]
+          : turn.text
+      })),
+    };
+
+    const headers = {};
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    if (onText) {
+      // include_usage asks for a last chunk with the token counts; servers that ignore it just send none
+      return streamChat({ ...payload, stream: true, stream_options: { include_usage: true } }, { headers, signal, timeoutMs, onText });
+    }
+
+    const result = await postJson(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      body: payload,
+      headers,
+      signal,
+      timeoutMs,
+    });
+    if (result && result.choices && result.choices[0] && result.choices[0].finish_reason === 'content_filter') {
+      throw new VisionError(VISION_ERROR_CATEGORIES.BLOCKED, 'Response withheld by the content filter', { raw: result });
+    }
+    return { text: extractOpenAIText(result), raw: result, usage: extractOpenAIUsage(result) };
+  };
+
+  /**
+   * Streams a chat completion. Each event carries a delta of the assistant message,
+   * and the server ends the stream with a literal "[DONE]".
+   * @param {Object} payload - The chat completions request body, with stream set.
+   * @param {Object} options - Stream options.
+   * @returns {Promise<{text: string, raw: Object, usage: Object}>} The whole text, the last chunk as raw, and
+   *   the token counts if the server sent them.
+   */
+  const streamChat = async (payload, { headers, signal, timeoutMs, onText }) => {
+    let text = null;
+    let raw = null;
+    let usage = null;
+
+    await streamEvents(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      body: payload,
+      headers,
+      signal,
+      timeoutMs,
+      onEvent: (data) => {
+        if (data === '[DONE]') {
+          return;
+        }
+        const chunk = JSON.parse(data);
+        raw = chunk;
+        usage = extractOpenAIUsage(chunk) || usage;
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) {
+          return;
+        }
+        if (choice.finish_reason === 'content_filter') {
+          throw new VisionError(VISION_ERROR_CATEGORIES.BLOCKED, 'Response withheld by the content filter', { raw: chunk });
+        }
+        const delta = choice.delta && choice.delta.content;
+        if (delta) {
+          text = (text || '') + delta;
+          onText(delta);
+        }
+      },
+    });
+    return { text, raw, usage };
+  };
+
+  /**
+   * Checks the endpoint and key by listing the server's models.
+   * Resolves if the server accepts the key; rejects with a VisionError otherwise.
+   * @param {Object} [options] - Request options.
+   * @param {AbortSignal} [options.signal] - Cancels the check.
+   * @returns {Promise<void>}
+   */
+  const validateKey = async ({ signal } = {}) => {
+    await getJson(`${baseUrl.replace(/\/+$/, '')}/models`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      signal,
+      timeoutMs: 10000,
+    });
+  };
+
+  /**
+   * Sends an image and prompt as a single user chat message.
+   * @param {Object} request - The vision request; same fields as chat, with prompt in place of turns.
+   * @returns {Promise<{text: string, raw: Object, usage: Object}>} The model output.
+   */
+  const describeImage = ({ prompt, ...request }) => chat({ ...request, turns: [{ role: 'user', text: prompt }] });
+
+  return {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    models,
+    requiresApiKey: false, // Self-hosted servers often run without authentication
+    describeImage,
+    chat,
+    validateKey,
+  };
+};
+
+/**
+ * Pulls the assistant message text out of a chat completions response.
+ * @param {Object} result - Parsed chat completions response.
+ * @returns {string|null} The text, or null when the response has no choices.
+ */
+export const extractOpenAIText = (result) => {
+  if (result && result.choices && result.choices.length > 0 && result.choices[0].message) {
+    const { content } = result.choices[0].message;
+    if (typeof content === 'string') {
+      return content;
+    }
+    // Some servers return content as an array of typed parts
+    if (Array.isArray(content)) {
+      return content.filter((part) => part.type === 'text').map((part) => part.text).join('');
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads the token counts from a chat completions response.
+ * @param {Object} result - Parsed chat completions response or stream chunk.
+ * @returns {{inputTokens: number, outputTokens: number, totalTokens: number}|null} The counts, or null if missing.
+ */
+export const extractOpenAIUsage = (result) => {
+  const usage = result && result.usage;
+  if (!usage) {
+    return null;
+  }
+  const inputTokens = usage.prompt_tokens || 0;
+  const outputTokens = usage.completion_tokens || 0;
+  return { inputTokens, outputTokens, totalTokens: usage.total_tokens || inputTokens + outputTokens };
+};
@@ -0,0 +1,50 @@
+// Replay provider for simulation mode: answers with the responses recorded for the frame being
+// replayed, after the recorded delay, including recorded failures (see src/simulation/player.js)
+
+import { delay, throwIfCancelled } from '../request';
+import { VisionError, VISION_ERROR_CATEGORIES } from '../errors';
+import { streamText } from './mock';
+
+/**
+ * Creates a provider that replays a recorded session.
+ * @param {Object} options - Provider options.
+ * @param {Object} options.player - The session player, from createPlayer.
+ * @returns {Object} A vision provider.
+ */
+export const createReplayProvider = ({ player }) => {
+  /**
+   * Replays the next recorded request of a kind.
+   * @param {string} kind - 'describe' or 'chat'.
+   * @param {Object} request - The vision request; only signal and onText are used.
+   * @returns {Promise<{text: string, raw: Object, usage: Object}>} The recorded output.
+   */
+  const replay = async (kind, { signal, onText }) => {
+    throwIfCancelled(signal);
+    const call = player.takeCall(kind);
+    if (!call) {
+      throw new VisionError(VISION_ERROR_CATEGORIES.BAD_RESPONSE, 'No response recorded for this frame');
+    }
+    await delay(call.delayMs || 0, signal);
+    if (call.error) {
+      const category = Object.values(VISION_ERROR_CATEGORIES).includes(call.error.category)
+        ? call.error.category
+        : VISION_ERROR_CATEGORIES.SERVER;
+      throw new VisionError(category, call.error.message || 'Recorded failure', { replayed: true });
+    }
+    const text = call.text || null;
+    if (text && onText) {
+      await streamText(text, onText, signal);
+    }
+    return { text, raw: { replayed: true, position: player.position() }, usage: call.usage || null };
+  };
+
+  return {
+    id: 'replay',
+    label: 'Replay',
+    models: ['replay'],
+    requiresApiKey: false,
+    describeImage: (request) => replay('describe', request),
+    chat: (request) => replay('chat', request),
+    validateKey: async () => {},
+  };
+};
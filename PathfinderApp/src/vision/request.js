@@ -0,0 +1,284 @@
+// Cancellable, time-limited HTTP calls, server-sent event streams and retry with backoff for vision providers
+
+import { fetch as streamingFetch } from 'expo/fetch';
+import { VisionError, VISION_ERROR_CATEGORIES, errorFromHttpStatus, isTransientError } from './errors';
+
+export const DEFAULT_TIMEOUT_MS = 20000;
+export const DEFAULT_RETRIES = 2;
+const BASE_BACKOFF_MS = 1000;
+
+/**
+ * Throws a cancellation error if the signal has already been aborted.
+ * @param {AbortSignal} [signal] - The caller's abort signal.
+ */
+export const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) {
+    throw new VisionError(VISION_ERROR_CATEGORIES.CANCELLED, 'Request cancelled');
+  }
+};
+
+/**
+ * Waits for the given time, ending early if the signal is aborted.
+ * @param {number} ms - Milliseconds to wait.
+ * @param {AbortSignal} [signal] - The caller's abort signal.
+ * @returns {Promise<void>} Resolves after the delay, rejects on cancellation.
+ */
+export const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new VisionError(VISION_ERROR_CATEGORIES.CANCELLED, 'Request cancelled'));
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Sends a request and returns the parsed JSON reply, with a timeout and caller cancellation.
+ * Network failures, timeouts, cancellation and non-2xx replies are thrown as VisionErrors;
+ * providers look at the returned body for vendor-specific problems such as safety blocks.
+ * @param {string} url - The endpoint.
+ * @param {Object} options - Request options.
+ * @param {string} [options.method] - HTTP method.
+ * @param {Object} [options.body] - Object to send as JSON.
+ * @param {Object} [options.headers] - Extra headers.
+ * @param {AbortSignal} [options.signal] - Aborts the request when the user presses Stop.
+ * @param {number} [options.timeoutMs] - Time limit for this attempt.
+ * @param {Function} [options.getErrorMessage] - Pulls the vendor's error message out of a failed reply.
+ * @returns {Promise<Object>} The parsed JSON reply.
+ */
+export const requestJson = async (url, {
+  method = 'POST',
+  body,
+  headers = {},
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  getErrorMessage = (result) => (result && result.error && result.error.message) || '',
+}) => {
+  throwIfCancelled(signal);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    let result = null;
+    try {
+      result = await response.json();
+    } catch (error) {
+      if (response.ok) {
+        throw new VisionError(VISION_ERROR_CATEGORIES.BAD_RESPONSE, 'Response was not valid JSON');
+      }
+    }
+
+    if (!response.ok) {
+      throw errorFromHttpStatus(response.status, getErrorMessage(result), result);
+    }
+    return result;
+  } catch (error) {
+    if (error instanceof VisionError) {
+      throw error;
+    }
+    if (timedOut) {
+      throw new VisionError(VISION_ERROR_CATEGORIES.TIMEOUT, `No response within ${timeoutMs} ms`);
+    }
+    if (signal && signal.aborted) {
+      throw new VisionError(VISION_ERROR_CATEGORIES.CANCELLED, 'Request cancelled');
+    }
+    // fetch only rejects with a TypeError when the network itself failed
+    throw new VisionError(VISION_ERROR_CATEGORIES.OFFLINE, error.message);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * POSTs JSON and returns the parsed reply; see requestJson.
+ * @param {string} url - The endpoint.
+ * @param {Object} options - Request options, see requestJson.
+ * @returns {Promise<Object>} The parsed JSON reply.
+ */
+export const postJson = (url, options) => requestJson(url, { ...options, method: 'POST' });
+
+/**
+ * GETs a URL and returns the parsed JSON reply; see requestJson.
+ * @param {string} url - The endpoint.
+ * @param {Object} [options] - Request options, see requestJson.
+ * @returns {Promise<Object>} The parsed JSON reply.
+ */
+export const getJson = (url, options = {}) => requestJson(url, { ...options, method: 'GET', body: undefined });
+
+/**
+ * POSTs JSON to a server-sent events endpoint and hands each event's data to onEvent as it arrives.
+ * timeoutMs limits the wait for the first byte and every gap between chunks, so a long answer
+ * that keeps streaming is never cut off. Errors are thrown as VisionErrors, like requestJson.
+ * @param {string} url - The endpoint.
+ * @param {Object} options - Request options.
+ * @param {Object} options.body - Object to send as JSON.
+ * @param {Object} [options.headers] - Extra headers.
+ * @param {AbortSignal} [options.signal] - Aborts the stream when the user presses Stop.
+ * @param {number} [options.timeoutMs] - Longest silence allowed from the server.
+ * @param {Function} [options.getErrorMessage] - Pulls the vendor's error message out of a failed reply.
+ * @param {Function} options.onEvent - Called with the data string of every event; anything it throws
+ *   that is not a VisionError (e.g. a JSON SyntaxError) becomes a 'bad_response' error.
+ * @returns {Promise<void>} Resolves when the server closes the stream.
+ */
+export const streamEvents = async (url, {
+  body,
+  headers = {},
+  signal,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  getErrorMessage = (result) => (result && result.error && result.error.message) || '',
+  onEvent,
+}) => {
+  throwIfCancelled(signal);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  restartTimer();
+
+  try {
+    const response = await streamingFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      let result = null;
+      try {
+        result = JSON.parse(await response.text());
+      } catch (error) {
+        // Not JSON; the status code alone decides the category
+      }
+      throw errorFromHttpStatus(response.status, getErrorMessage(result), result);
+    }
+
+    // Events are separated by a blank line; each "data:" line adds to the event's data
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let data = [];
+    const dispatchLine = (line) => {
+      if (line === '') {
+        if (data.length > 0) {
+          const eventData = data.join('\n');
+          data = [];
+          try {
+            onEvent(eventData);
+          } catch (error) {
+            if (error instanceof VisionError) {
+              throw error;
+            }
+            throw new VisionError(VISION_ERROR_CATEGORIES.BAD_RESPONSE, `Unreadable stream event: ${error.message}`);
+          }
+        }
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      restartTimer();
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(dispatchLine);
+    }
+    buffer += decoder.decode();
+    if (buffer) {
+      dispatchLine(buffer);
+    }
+    dispatchLine(''); // Servers may close without a final blank line
+  } catch (error) {
+    if (error instanceof VisionError) {
+      throw error;
+    }
+    if (timedOut) {
+      throw new VisionError(VISION_ERROR_CATEGORIES.TIMEOUT, `Stream silent for ${timeoutMs} ms`);
+    }
+    if (signal && signal.aborted) {
+      throw new VisionError(VISION_ERROR_CATEGORIES.CANCELLED, 'Request cancelled');
+    }
+    throw new VisionError(VISION_ERROR_CATEGORIES.OFFLINE, error.message);
+  } finally {
+    clearTimeout(timer);
+    controller.abort(); // Closes the connection when an event handler gave up part way through
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * Runs an operation, retrying transient failures with exponential backoff.
+ * @param {Function} operation - Async function to attempt.
+ * @param {Object} [options] - Retry options.
+ * @param {AbortSignal} [options.signal] - Cancels pending retries.
+ * @param {number} [options.retries] - Extra attempts after the first.
+ * @param {Function} [options.onRetry] - Called with (attempt, error) before each retry.
+ * @param {Function} [options.canRetry] - Return false to give up, e.g. once a stream has been partly spoken.
+ * @returns {Promise<*>} The operation's result.
+ */
+export const withRetry = async (operation, { signal, retries = DEFAULT_RETRIES, onRetry, canRetry = () => true } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error) || !canRetry(error)) {
+        throw error;
+      }
+      if (onRetry) onRetry(attempt + 1, error);
+      // 1s, 2s, 4s... with jitter so several phones don't retry in lockstep
+      await delay(BASE_BACKOFF_MS * 2 ** attempt * (0.75 + Math.random() * 0.5), signal);
+    }
+  }
+};
+
+/**
+ * Calls provider.describeImage, retrying transient failures.
+ * @param {Object} provider - The vision provider.
+ * @param {Object} request - The describeImage request; its signal also cancels pending retries.
+ * @param {Object} [options] - Retry options, see withRetry.
+ * @returns {Promise<{text: string, raw: Object, usage: Object}>} The provider's result.
+ */
+export const describeWithRetry = (provider, request, options = {}) =>
+  withRetry(() => provider.describeImage(request), { ...options, signal: request.signal });
+
+/**
+ * Calls provider.chat, retrying transient failures.
+ * @param {Object} provider - The vision provider.
+ * @param {Object} request - The chat request; its signal also cancels pending retries.
+ * @param {Object} [options] - Retry options, see withRetry.
+ * @returns {Promise<{text: string, raw: Object, usage: Object}>} The provider's result.
+ */
+export const chatWithRetry = (provider, request, options = {}) =>
+  withRetry(() => provider.chat(request), { ...options, signal: request.signal });
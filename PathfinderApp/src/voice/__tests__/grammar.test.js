@@ -0,0 +1,135 @@
+import { normalizeUtterance, stripWakeWord, matchModes, parseUtterance, resolveChoice } from '../grammar';
+import { setLocale } from '../../i18n';
+
+const MODES = [
+  { id: 'read', label: 'Read', builtIn: true },
+  { id: 'navigate', label: 'Navigate', builtIn: true },
+  { id: 'passive', label: 'Passive', builtIn: true },
+  { id: 'custom-bus-number', label: 'Bus number' },
+  { id: 'custom-bus-stop', label: 'Bus stop' },
+];
+
+const parse = (transcript) => parseUtterance(transcript, { modes: MODES });
+
+beforeAll(() => setLocale('en'));
+
+describe('normalizeUtterance', () => {
+  it('lowercases, drops punctuation and strips filler words', () => {
+    expect(normalizeUtterance('  Please, could you  REPEAT that?! ')).toBe('repeat that');
+  });
+
+  it('keeps apostrophes', () => {
+    expect(normalizeUtterance("What's in front of me?")).toBe("what's in front of me");
+  });
+});
+
+describe('stripWakeWord', () => {
+  it('returns the rest of the utterance after the wake word', () => {
+    expect(stripWakeWord('Pathfinder, capture', 'pathfinder')).toBe('capture');
+  });
+
+  it('returns an empty string for the wake word alone', () => {
+    expect(stripWakeWord('Pathfinder!', 'pathfinder')).toBe('');
+  });
+
+  it('returns null when the utterance does not start with the wake word', () => {
+    expect(stripWakeWord('capture pathfinder', 'pathfinder')).toBeNull();
+  });
+});
+
+describe('parseUtterance', () => {
+  it('maps fixed phrases to commands', () => {
+    expect(parse('take a picture')).toEqual({ type: 'command', command: { command: 'capture' } });
+    expect(parse('Be quiet.')).toEqual({ type: 'command', command: { command: 'stop' } });
+    expect(parse('send help')).toEqual({ type: 'command', command: { command: 'sos' } });
+  });
+
+  it('recognizes help', () => {
+    expect(parse('what can I say')).toEqual({ type: 'help' });
+  });
+
+  it('parses find with its target', () => {
+    expect(parse('help me find my keys')).toEqual({ type: 'command', command: { command: 'find', text: 'my keys' } });
+    expect(parse('look for the remote')).toEqual({ type: 'command', command: { command: 'find', text: 'the remote' } });
+  });
+
+  it('treats "find mode" as a mode name, not a search', () => {
+    expect(parse('find mode').command).toBeUndefined();
+  });
+
+  it('parses explicit and implicit questions', () => {
+    expect(parse('ask what colour is the door')).toEqual({ type: 'command', command: { command: 'ask', text: 'what colour is the door' } });
+    expect(parse('Is the light on?')).toEqual({ type: 'command', command: { command: 'ask', text: 'Is the light on?' } });
+  });
+
+  it('switches to a mode by label, id or synonym', () => {
+    expect(parse('switch to navigate')).toEqual({ type: 'command', command: { command: 'mode', name: 'navigate' } });
+    expect(parse('walking mode')).toEqual({ type: 'command', command: { command: 'mode', name: 'navigate' } });
+    expect(parse('bus number')).toEqual({ type: 'command', command: { command: 'mode', name: 'custom-bus-number' } });
+  });
+
+  it('asks which mode when a name matches several', () => {
+    const result = parse('switch to bus');
+    expect(result.type).toBe('choice');
+    expect(result.choices.map((choice) => choice.command.name)).toEqual(['custom-bus-number', 'custom-bus-stop']);
+    expect(result.question).toBe('Which mode: Bus number or Bus stop?');
+  });
+
+  it('suggests the closest command for a misheard word', () => {
+    const result = parse('repit');
+    expect(result.type).toBe('choice');
+    expect(result.choices).toEqual([{ label: 'repeat', command: { command: 'repeat' } }]);
+  });
+
+  it('never suggests a command for short everyday replies', () => {
+    ['yes', 'ok', 'no', 'so', 'us'].forEach((word) => {
+      expect(parse(word)).toEqual({ type: 'unknown' });
+    });
+  });
+
+  it('never suggests an emergency alert or Stop', () => {
+    expect(parse('boss')).toEqual({ type: 'unknown' });
+    expect(parse('stoop')).toEqual({ type: 'unknown' });
+  });
+
+  it('gives up on anything else', () => {
+    expect(parse('the weather tomorrow')).toEqual({ type: 'unknown' });
+    expect(parse('')).toEqual({ type: 'unknown' });
+  });
+});
+
+describe('matchModes', () => {
+  it('prefers a single exact match over partial ones', () => {
+    expect(matchModes(MODES, 'bus stop mode').map((mode) => mode.id)).toEqual(['custom-bus-stop']);
+  });
+
+  it('matches word prefixes of three letters or more', () => {
+    expect(matchModes(MODES, 'nav').map((mode) => mode.id)).toEqual(['navigate']);
+    expect(matchModes(MODES, 'na')).toEqual([]);
+  });
+});
+
+describe('resolveChoice', () => {
+  const choices = [
+    { label: 'Bus number', command: { command: 'mode', name: 'custom-bus-number' } },
+    { label: 'Bus stop', command: { command: 'mode', name: 'custom-bus-stop' } },
+  ];
+
+  it('picks a choice by ordinal or by name', () => {
+    expect(resolveChoice('the second one', choices)).toEqual(choices[1].command);
+    expect(resolveChoice('bus number please', choices)).toEqual(choices[0].command);
+  });
+
+  it('returns null when the user declines', () => {
+    expect(resolveChoice('never mind', choices)).toBeNull();
+  });
+
+  it('accepts yes only for a single suggestion', () => {
+    expect(resolveChoice('yes', choices.slice(0, 1))).toEqual(choices[0].command);
+    expect(resolveChoice('yes', choices)).toBeUndefined();
+  });
+
+  it('returns undefined for an unrelated answer', () => {
+    expect(resolveChoice('what time is it', choices)).toBeUndefined();
+  });
+});
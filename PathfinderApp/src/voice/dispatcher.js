@@ -0,0 +1,102 @@
+// Voice command dispatcher: turns transcripts into commands, asks when a command is ambiguous,
+// and runs commands through the same handler as the remote control
+//
+// Nothing here touches the microphone or the speech engine, so it can be driven from plain text:
+//   const dispatcher = createVoiceDispatcher({ getModes, execute, say });
+//   await dispatcher.handleTranscript('switch to bus');  // say('Which mode: Bus number or Bus stop?')
+//   await dispatcher.handleTranscript('the first one');  // execute({ command: 'mode', name: 'bus-number' })
+
+import { parseUtterance, resolveChoice, describeCommands } from './grammar';
+import { t } from '../i18n';
+
+// An unanswered choice question is forgotten after this long
+const CHOICE_TIMEOUT_MS = 15000;
+
+/**
+ * Creates a voice command dispatcher.
+ * @param {Object} options - Dispatcher options.
+ * @param {Function} options.getModes - Returns all registered modes.
+ * @param {Function} options.execute - async (command) => reply; the remote command handler.
+ * @param {Function} options.say - Speaks feedback: (text) => void.
+ * @param {Function} [options.describeStatus] - Turns a status reply into speech.
+ * @param {Function} [options.describeUsage] - Turns a usage reply into speech.
+ * @returns {{handleTranscript: Function, isAwaitingAnswer: Function, reset: Function}} The dispatcher.
+ */
+export const createVoiceDispatcher = ({
+  getModes,
+  execute,
+  say,
+  describeStatus = (reply) => reply.description,
+  describeUsage = (reply) => String(reply.today.calls),
+}) => {
+  let pending = null; // { choices, expiresAt } while waiting for the answer to a choice question
+
+  /**
+   * Runs a command and speaks whatever the command does not speak itself.
+   * @param {Object} command - The command.
+   * @returns {Promise<Object|null>} The reply, or null if the command failed.
+   */
+  const run = async (command) => {
+    try {
+      const reply = await execute(command);
+      if (command.command === 'status') {
+        say(describeStatus(reply));
+      } else if (command.command === 'usage') {
+        say(describeUsage(reply));
+      }
+      return reply;
+    } catch (error) {
+      say(error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Handles one final transcript.
+   * @param {string} transcript - What the user said, without the wake word.
+   * @returns {Promise<{type: string, command?: Object}>} What happened, for logging and tests.
+   */
+  const handleTranscript = async (transcript) => {
+    if (pending && Date.now() < pending.expiresAt) {
+      const { choices } = pending;
+      const chosen = resolveChoice(transcript, choices);
+      if (chosen === null) {
+        pending = null;
+        say(t('voice.okay'));
+        return { type: 'declined' };
+      }
+      if (chosen) {
+        pending = null;
+        await run(chosen);
+        return { type: 'command', command: chosen };
+      }
+      // Not an answer to the question: treat it as a new command
+    }
+    pending = null;
+
+    const result = parseUtterance(transcript, { modes: getModes() });
+    switch (result.type) {
+      case 'command':
+        await run(result.command);
+        return result;
+      case 'choice':
+        pending = { choices: result.choices, expiresAt: Date.now() + CHOICE_TIMEOUT_MS };
+        say(result.question);
+        return result;
+      case 'help':
+        say(describeCommands(getModes()));
+        return result;
+      default:
+        say(t('voice.notUnderstood'));
+        return result;
+    }
+  };
+
+  return {
+    handleTranscript,
+    isAwaitingAnswer: () => Boolean(pending) && Date.now() < pending.expiresAt,
+    reset: () => {
+      pending = null;
+    },
+  };
+};
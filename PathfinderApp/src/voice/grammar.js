@@ -0,0 +1,249 @@
+// Voice command grammar: maps a transcript to the same command objects the remote control
+// protocol uses (see src/remote/protocol.js), so voice and remote share one dispatcher
+//
+// parseUtterance returns one of
+//   { type: 'command', command: { command: 'capture' } }
+//   { type: 'choice', question, choices: [{ label, command }] }  -> ask the user which one they meant
+//   { type: 'help' }
+//   { type: 'unknown' }
+// The phrases are English whatever the app language, like the recognizer; only the questions and
+// the help are spoken in the active language.
+
+import { t, formatList } from '../i18n';
+
+// Filler words stripped from the start of an utterance ("please capture", "can you repeat that")
+const FILLER_PATTERN = /^(please|ok|okay|hey|can you|could you|would you|i want to|i'd like to|let's)\s+/;
+
+// Fixed phrases, checked as whole utterances after normalization
+const PHRASES = {
+  capture: ['capture', 'take a picture', 'take a photo', 'picture', 'photo', 'scan', 'look', 'describe', 'describe this', 'what do you see', "what's in front of me", 'what is in front of me', 'go'],
+  stop: ['stop', 'cancel', 'quiet', 'be quiet', 'silence', 'stop talking', 'shut up', 'enough'],
+  repeat: ['repeat', 'repeat that', 'again', 'say that again', 'say again', 'what did you say', 'pardon'],
+  pause: ['pause', 'hold on', 'wait'],
+  resume: ['resume', 'continue', 'go on', 'carry on'],
+  status: ['status', 'what mode', 'which mode', 'what mode am i in', 'which mode am i in', 'where am i'],
+  usage: ['usage', 'usage today', 'budget', 'quota', 'how much have i used', 'how many requests'],
+  sos: ['sos', 's o s', 'emergency', 'send help', 'call for help', 'get help', 'i need help', "i'm lost", 'i am lost'],
+  help: ['help', 'what can i say', 'commands', 'list commands'],
+};
+
+// Extra spoken names for built-in modes
+const MODE_SYNONYMS = {
+  read: ['reading', 'read text', 'text'],
+  navigate: ['navigation', 'navigating', 'walk', 'walking'],
+  passive: ['describe surroundings', 'surroundings', 'environment'],
+  product: ['products', 'barcode', 'barcodes', 'scan barcode', 'scan barcodes', 'shopping'],
+};
+
+// Utterances starting with these are follow-up questions about the last capture
+const QUESTION_PATTERN = /^(what|what's|where|where's|which|who|how|is|are|does|do|can|could|was|were|tell me)\b/;
+
+// Single words that sound close to a command are offered as a suggestion. Shorter words are too
+// often everyday replies ("yes", "ok", "no"), and an emergency alert or Stop is never guessed at
+const MAX_SUGGESTION_DISTANCE = 2;
+const MIN_SUGGESTION_LENGTH = 4;
+const NEVER_SUGGESTED = ['help', 'sos', 'stop'];
+
+/**
+ * Lowercases, removes punctuation and filler words.
+ * @param {string} transcript - Raw recognizer output.
+ * @returns {string} The normalized utterance.
+ */
+export const normalizeUtterance = (transcript) => {
+  let text = String(transcript || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9' ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  while (FILLER_PATTERN.test(text)) {
+    text = text.replace(FILLER_PATTERN, '');
+  }
+  return text;
+};
+
+/**
+ * Strips the wake word from the start of an utterance.
+ * @param {string} transcript - Raw recognizer output.
+ * @param {string} wakeWord - e.g. "pathfinder".
+ * @returns {string|null} The rest of the utterance, or null if it did not start with the wake word.
+ */
+export const stripWakeWord = (transcript, wakeWord) => {
+  const text = normalizeUtterance(transcript);
+  const wake = normalizeUtterance(wakeWord);
+  if (!wake) {
+    return text;
+  }
+  if (text === wake) {
+    return '';
+  }
+  return text.startsWith(`${wake} `) ? text.slice(wake.length + 1) : null;
+};
+
+/**
+ * Edit distance between two short strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} Number of single character edits.
+ */
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (unused, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+};
+
+/**
+ * Finds the modes a spoken name could refer to.
+ * @param {Object[]} modes - All registered modes.
+ * @param {string} name - The spoken mode name, normalized.
+ * @returns {Object[]} Matching modes: one exact match, or every partial match.
+ */
+export const matchModes = (modes, name) => {
+  const spokenName = name.replace(/\s*mode$/, '').trim();
+  if (!spokenName) {
+    return [];
+  }
+  const namesOf = (mode) => [normalizeUtterance(mode.label), mode.id, ...(MODE_SYNONYMS[mode.id] || [])];
+
+  const exact = modes.filter((mode) => namesOf(mode).includes(spokenName));
+  if (exact.length > 0) {
+    return exact.slice(0, 1);
+  }
+  // Partial: every spoken word appears in the mode's label, e.g. "bus" for "Bus number"
+  const words = spokenName.split(' ');
+  return modes.filter((mode) => {
+    const labelWords = namesOf(mode).join(' ').split(' ');
+    return words.every((word) => labelWords.some((labelWord) => labelWord === word
+      || (word.length >= 3 && labelWord.startsWith(word))));
+  });
+};
+
+/**
+ * Builds the command for switching to a mode.
+ * @param {Object} mode - The mode.
+ * @returns {Object} The command.
+ */
+const modeCommand = (mode) => ({ command: 'mode', name: mode.id });
+
+/**
+ * Parses a transcript into a command.
+ * @param {string} transcript - What the user said, without the wake word.
+ * @param {Object} context - Parsing context.
+ * @param {Object[]} context.modes - All registered modes, for "switch to bus number".
+ * @returns {Object} The parse result (see the top of this file).
+ */
+export const parseUtterance = (transcript, { modes }) => {
+  const text = normalizeUtterance(transcript);
+  if (!text) {
+    return { type: 'unknown' };
+  }
+
+  if (PHRASES.help.includes(text)) {
+    return { type: 'help' };
+  }
+  const phraseCommand = Object.keys(PHRASES).find((command) => command !== 'help' && PHRASES[command].includes(text));
+  if (phraseCommand) {
+    return { type: 'command', command: { command: phraseCommand } };
+  }
+
+  // "find my keys", "help me find my keys", "look for the remote"
+  const findMatch = text.match(/^(?:help me )?(?:find|look for|search for|locate)\s+(?!mode$)(.+)$/);
+  if (findMatch) {
+    return { type: 'command', command: { command: 'find', text: findMatch[1] } };
+  }
+
+  const askMatch = text.match(/^(ask|question)\s+(.+)$/);
+  if (askMatch) {
+    return { type: 'command', command: { command: 'ask', text: askMatch[2] } };
+  }
+
+  // "switch to navigate", "navigate mode", "mode bus number", or just "bus number"
+  const modeMatch = text.match(/^(?:switch to|change to|go to|use|set mode to|mode)\s+(.+)$/);
+  const modeName = modeMatch ? modeMatch[1] : text;
+  const candidates = matchModes(modes, modeName);
+  if (candidates.length === 1) {
+    return { type: 'command', command: modeCommand(candidates[0]) };
+  }
+  if (candidates.length > 1) {
+    const labels = candidates.map((mode) => mode.label);
+    return {
+      type: 'choice',
+      question: t('voice.whichMode', { modes: formatList(labels, 'or') }),
+      choices: candidates.map((mode) => ({ label: mode.label, command: modeCommand(mode) })),
+    };
+  }
+
+  if (QUESTION_PATTERN.test(text)) {
+    return { type: 'command', command: { command: 'ask', text: transcript.trim() } };
+  }
+
+  // A single misheard word, e.g. "repit" for "repeat"
+  if (!text.includes(' ') && text.length >= MIN_SUGGESTION_LENGTH) {
+    const suggestion = Object.keys(PHRASES)
+      .filter((command) => !NEVER_SUGGESTED.includes(command))
+      .map((command) => ({ command, distance: editDistance(text, command) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (suggestion.distance <= MAX_SUGGESTION_DISTANCE) {
+      return {
+        type: 'choice',
+        question: t('voice.didYouMean', { command: suggestion.command }),
+        choices: [{ label: suggestion.command, command: { command: suggestion.command } }],
+      };
+    }
+  }
+
+  return { type: 'unknown' };
+};
+
+/**
+ * Resolves the answer to a choice question.
+ * @param {string} transcript - The user's answer.
+ * @param {Object[]} choices - The offered choices.
+ * @returns {Object|null|undefined} The chosen command, null if the user declined,
+ *   or undefined if the answer is not about the choice at all.
+ */
+export const resolveChoice = (transcript, choices) => {
+  const text = normalizeUtterance(transcript);
+  if (/^(no|nope|neither|none|never mind|cancel)\b/.test(text)) {
+    return null;
+  }
+  if (choices.length === 1 && /^(yes|yeah|yep|correct|right|sure|ok|okay)\b/.test(text)) {
+    return choices[0].command;
+  }
+  const ordinals = [['first', 'one', '1'], ['second', 'two', '2'], ['third', 'three', '3'], ['fourth', 'four', '4']];
+  // The earliest ordinal word counts, so "the second one" is not taken for "one"
+  let ordinal = -1;
+  let earliest = Infinity;
+  ordinals.forEach((words, index) => words.forEach((word) => {
+    const match = new RegExp(`\\b${word}\\b`).exec(text);
+    if (match && match.index < earliest) {
+      earliest = match.index;
+      ordinal = index;
+    }
+  }));
+  if (ordinal !== -1 && choices[ordinal]) {
+    return choices[ordinal].command;
+  }
+  const named = choices.find((choice) => {
+    const label = normalizeUtterance(choice.label);
+    return text === label || text.includes(label);
+  });
+  return named ? named.command : undefined;
+};
+
+/**
+ * Phrases the available commands for the "help" command. Built-in modes are named by their
+ * English ids, which are what the recognizer hears in every language.
+ * @param {Object[]} modes - All registered modes.
+ * @returns {string} The spoken help.
+ */
+export const describeCommands = (modes) => t('voice.help', {
+  modes: formatList(modes.map((mode) => (mode.builtIn ? mode.id : mode.label)), 'or'),
+});
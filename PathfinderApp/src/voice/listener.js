@@ -0,0 +1,168 @@
+// The microphone side of voice commands: push to talk or listening for the wake word, pausing
+// speech while the user talks, and passing what was addressed to the app on to the dispatcher
+//
+//   const listener = createVoiceListener({ recognizer, speech, announcer, getSettings, onCommand, ... });
+//   listener.listen(false);   // one command, e.g. from the microphone button
+//   listener.listen(true);    // keeps listening for "<wake word> ..." until stop()
+
+import { stripWakeWord } from './grammar';
+import { SPEECH_PRIORITY } from '../speech/speechManager';
+import { t } from '../i18n';
+
+// After the wake word alone, the next utterance counts as a command without it for this long
+const WAKE_REPLY_WINDOW_MS = 8000;
+// Recognition errors in a row after which listening for the wake word gives up
+const MAX_LISTEN_ERRORS = 3;
+// Pause before listening again when the platform ends a continuous session
+const RESTART_DELAY_MS = 500;
+
+/**
+ * Creates the voice command listener.
+ * @param {Object} options - Listener options.
+ * @param {Object} options.recognizer - The speech recognizer, see ./recognizers.
+ * @param {Object} options.speech - The speech manager, from createSpeechManager.
+ * @param {Object} options.announcer - speak, updateMessage and showSpokenText, see src/speech/announcer.js.
+ * @param {Function} options.getSettings - Returns the settings: voiceActivation and wakeWord.
+ * @param {Function} options.getHints - Returns words the recognizer should expect, e.g. mode names.
+ * @param {Function} options.isAwaitingAnswer - Whether the dispatcher is waiting for an answer to a question.
+ * @param {Function} options.onCommand - Called with each utterance addressed to the app.
+ * @param {Function} options.onListeningChange - Called with whether the microphone is open.
+ * @returns {{listen: Function, stop: Function, toggle: Function, isListening: Function}}
+ */
+export const createVoiceListener = ({ recognizer, speech, announcer, getSettings, getHints, isAwaitingAnswer, onCommand, onListeningChange }) => {
+  const { speak, updateMessage, showSpokenText } = announcer;
+  let listening = false;
+  let continuous = false;
+  let pausedSpeech = false;
+  let awaitingUntil = 0;
+  let errors = 0;
+  let restartTimer = null;
+
+  /**
+   * Resumes speech that was paused while the microphone was open.
+   */
+  const resumeSpeech = () => {
+    if (pausedSpeech) {
+      pausedSpeech = false;
+      speech.resume();
+    }
+  };
+
+  /**
+   * Handles a final transcript from the recognizer. With the wake word on, only utterances that start
+   * with it are commands, except right after the wake word alone or while a question is waiting for an answer.
+   * @param {string} transcript - What the recognizer heard.
+   */
+  const handleTranscript = (transcript) => {
+    errors = 0;
+    let utterance = transcript;
+    const { voiceActivation, wakeWord } = getSettings();
+    if (voiceActivation === 'wake') {
+      utterance = stripWakeWord(transcript, wakeWord);
+      const expectingReply = Date.now() < awaitingUntil || isAwaitingAnswer();
+      if (utterance === null && !expectingReply) {
+        return; // Not addressed to us
+      }
+      if (utterance === '') {
+        awaitingUntil = Date.now() + WAKE_REPLY_WINDOW_MS;
+        speak(t('voice.yes'), SPEECH_PRIORITY.ANSWER);
+        return;
+      }
+      awaitingUntil = 0;
+      utterance = utterance === null ? transcript : utterance;
+    }
+
+    resumeSpeech(); // Before dispatching, so "pause" and "stop" act on the resumed speech
+    showSpokenText(t('voice.heard', { transcript }));
+    onCommand(utterance);
+  };
+
+  /**
+   * Opens the microphone.
+   * @param {boolean} keepListening - Keep listening for the wake word (true) or take one command (false).
+   */
+  const start = async (keepListening) => {
+    if (listening) {
+      return;
+    }
+    try {
+      if (!(await recognizer.isAvailable()) || !(await recognizer.requestPermission())) {
+        updateMessage(t('voice.needsPermission'), true);
+        return;
+      }
+    } catch (error) {
+      console.error('Error preparing speech recognition:', error);
+      updateMessage(t('voice.unavailable'), true);
+      return;
+    }
+
+    listening = true;
+    continuous = keepListening;
+    onListeningChange(true);
+    if (!keepListening && !speech.isPaused()) {
+      speech.pause(); // Don't talk over the user, or hear ourselves
+      pausedSpeech = true;
+    }
+
+    recognizer.start({
+      continuous: keepListening,
+      hints: getHints(),
+      onResult: handleTranscript,
+      onError: (error) => {
+        console.error('Speech recognition error:', error);
+        errors += 1;
+      },
+      onEnd: () => {
+        listening = false;
+        onListeningChange(false);
+        resumeSpeech();
+        if (!continuous || getSettings().voiceActivation !== 'wake') {
+          return;
+        }
+        if (errors >= MAX_LISTEN_ERRORS) {
+          updateMessage(t('voice.stoppedAfterErrors'), true);
+          return;
+        }
+        // The platform ends continuous sessions now and then; keep listening for the wake word
+        restartTimer = setTimeout(() => start(true), RESTART_DELAY_MS);
+      },
+    });
+  };
+
+  /**
+   * Closes the microphone.
+   */
+  const stop = () => {
+    continuous = false;
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    if (listening) {
+      recognizer.stop();
+    }
+  };
+
+  /**
+   * Opens the microphone afresh, forgetting earlier recognition errors.
+   * @param {boolean} keepListening - Keep listening for the wake word (true) or take one command (false).
+   */
+  const listen = (keepListening) => {
+    errors = 0;
+    start(keepListening);
+  };
+
+  return {
+    listen,
+    stop,
+    /**
+     * Push to talk: listens for one command, or stops listening if the microphone is already open.
+     */
+    toggle: () => {
+      if (listening) {
+        stop();
+      } else {
+        listen(getSettings().voiceActivation === 'wake');
+      }
+    },
+    isListening: () => listening,
+  };
+};
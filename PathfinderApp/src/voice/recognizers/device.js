@@ -0,0 +1,63 @@
+// On-device speech recognition through expo-speech-recognition (Android SpeechRecognizer, iOS SFSpeechRecognizer)
+
+import { ExpoSpeechRecognitionModule } from 'expo-speech-recognition';
+
+// Command words passed to the recognizer as hints, so short commands are recognized reliably
+const COMMAND_HINTS = ['capture', 'stop', 'repeat', 'pause', 'resume', 'status', 'help', 'read', 'navigate', 'passive'];
+
+/**
+ * Creates a recognizer backed by the platform's speech recognition service.
+ * @returns {Object} A speech recognizer (see ./index.js for the shape).
+ */
+export const createDeviceRecognizer = () => {
+  let subscriptions = [];
+
+  const removeListeners = () => {
+    subscriptions.forEach((subscription) => subscription.remove());
+    subscriptions = [];
+  };
+
+  return {
+    id: 'device',
+    label: 'Device',
+
+    isAvailable: async () => ExpoSpeechRecognitionModule.isRecognitionAvailable(),
+
+    requestPermission: async () => {
+      const { granted } = await ExpoSpeechRecognitionModule.requestPermissionsAsync();
+      return granted;
+    },
+
+    start: ({ continuous, lang = 'en-US', hints = [], onResult, onError, onEnd }) => {
+      removeListeners();
+      subscriptions = [
+        ExpoSpeechRecognitionModule.addListener('result', (event) => {
+          const transcript = event.results && event.results[0] ? event.results[0].transcript : '';
+          if (event.isFinal && transcript) {
+            onResult(transcript);
+          }
+        }),
+        ExpoSpeechRecognitionModule.addListener('error', (event) => {
+          // "no-speech" just means silence; continuous listening restarts on "end"
+          if (event.error !== 'no-speech' && event.error !== 'aborted') {
+            onError(new Error(event.message || event.error));
+          }
+        }),
+        ExpoSpeechRecognitionModule.addListener('end', () => {
+          removeListeners();
+          onEnd();
+        }),
+      ];
+      ExpoSpeechRecognitionModule.start({
+        lang,
+        interimResults: false,
+        continuous,
+        contextualStrings: [...COMMAND_HINTS, ...hints],
+      });
+    },
+
+    stop: () => {
+      ExpoSpeechRecognitionModule.abort();
+    },
+  };
+};
@@ -0,0 +1,35 @@
+// Speech recognizer registry
+//
+// Every recognizer exposes the same shape, so the voice command layer never depends on one engine:
+//   { id, label,
+//     isAvailable(): Promise<boolean>,
+//     requestPermission(): Promise<boolean>,
+//     start({ continuous, lang, hints, onResult(transcript), onError(error), onEnd() }),
+//     stop() }
+// onResult receives final transcripts only. With continuous false the recognizer ends after one
+// utterance; with continuous true it keeps listening until stop() or an error, then calls onEnd.
+
+import { createDeviceRecognizer } from './device';
+import { createTranscriptRecognizer } from './transcript';
+
+export { createDeviceRecognizer, createTranscriptRecognizer };
+
+const RECOGNIZER_FACTORIES = {
+  device: createDeviceRecognizer,
+  transcript: createTranscriptRecognizer,
+};
+
+export const RECOGNIZER_IDS = Object.keys(RECOGNIZER_FACTORIES);
+
+/**
+ * Builds the recognizer with the given id.
+ * @param {string} recognizerId - One of RECOGNIZER_IDS.
+ * @returns {Object} The speech recognizer.
+ */
+export const createRecognizer = (recognizerId) => {
+  const factory = RECOGNIZER_FACTORIES[recognizerId];
+  if (!factory) {
+    throw new Error(`Unknown speech recognizer: ${recognizerId}`);
+  }
+  return factory();
+};
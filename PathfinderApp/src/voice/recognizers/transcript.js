@@ -0,0 +1,49 @@
+// Recognizer fed with typed or scripted transcripts instead of the microphone, for development
+// builds without speech recognition and for driving voice commands from tests or simulations
+
+/**
+ * Creates a recognizer whose results come from submit() calls.
+ * @returns {Object} A speech recognizer (see ./index.js for the shape) with an extra submit(text).
+ */
+export const createTranscriptRecognizer = () => {
+  let session = null; // { continuous, onResult, onEnd } while listening
+
+  return {
+    id: 'transcript',
+    label: 'Typed',
+
+    isAvailable: async () => true,
+
+    requestPermission: async () => true,
+
+    start: ({ continuous, onResult, onEnd }) => {
+      session = { continuous, onResult, onEnd };
+    },
+
+    stop: () => {
+      const ended = session;
+      session = null;
+      if (ended) {
+        ended.onEnd();
+      }
+    },
+
+    /**
+     * Delivers a transcript as if it had been spoken.
+     * @param {string} text - The transcript.
+     * @returns {boolean} False if the recognizer was not listening.
+     */
+    submit: (text) => {
+      const current = session;
+      if (!current) {
+        return false;
+      }
+      current.onResult(text);
+      if (!current.continuous && session === current) {
+        session = null;
+        current.onEnd();
+      }
+      return true;
+    },
+  };
+};
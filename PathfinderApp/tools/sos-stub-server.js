@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// Local stand-in for an SOS webhook, for testing emergency alerts end to end without a real service.
+// Logs every alert and saves its image to tools/sos-received/.
+//
+//   npm run sos-stub                  # listen on port 8787
+//   npm run sos-stub -- --port 9000
+//   npm run sos-stub -- --fail 3      # answer the first 3 alerts with 503 to exercise retrying
+//
+// In the app, add a Webhook contact with the URL printed on start (your computer's address on the
+// same network as the phone), then use Send Test Alert in settings.
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RECEIVED_DIRECTORY = path.join(__dirname, 'sos-received');
+
+// Alerts carry a small JPEG; anything much bigger is not from the app
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Reads a numeric command line option.
+ * @param {string} name - Option name without dashes.
+ * @param {number} fallback - Value when the option is missing.
+ * @returns {number} The value.
+ */
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index >= 0 ? Number(process.argv[index + 1]) : NaN;
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const port = readOption('port', 8787);
+let failuresLeft = readOption('fail', 0);
+
+/**
+ * Lists this machine's LAN addresses, so the right URL can be typed into the app.
+ * @returns {string[]} IPv4 addresses.
+ */
+const lanAddresses = () => Object.values(os.networkInterfaces())
+  .flat()
+  .filter((address) => address && address.family === 'IPv4' && !address.internal)
+  .map((address) => address.address);
+
+const reply = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Logs an alert and saves its image.
+ * @param {Object} alert - The webhook payload (see src/sos/channels/webhook.js).
+ */
+const recordAlert = (alert) => {
+  console.log(`\n=== ${alert.test ? 'TEST ' : ''}SOS ${alert.id} for ${alert.contact} at ${new Date().toLocaleTimeString()} ===`);
+  console.log(alert.message);
+  if (alert.image && alert.image.base64) {
+    fs.mkdirSync(RECEIVED_DIRECTORY, { recursive: true });
+    const file = path.join(RECEIVED_DIRECTORY, `${alert.id}.jpg`);
+    fs.writeFileSync(file, Buffer.from(alert.image.base64, 'base64'));
+    console.log(`Image saved to ${file}`);
+  } else {
+    console.log('No image attached.');
+  }
+};
+
+const server = http.createServer((request, response) => {
+  if (request.method !== 'POST' || request.url !== '/sos') {
+    reply(response, 404, { error: 'POST alerts to /sos' });
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reply(response, 413, { error: 'Alert too large' });
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => {
+    if (response.writableEnded) {
+      return;
+    }
+    let alert;
+    try {
+      alert = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      reply(response, 400, { error: 'Body is not JSON' });
+      return;
+    }
+    if (!alert || alert.type !== 'sos') {
+      reply(response, 400, { error: 'Not an SOS alert' });
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`Rejecting alert ${alert.id} with 503 (${failuresLeft} more to reject)`);
+      reply(response, 503, { error: 'Simulated outage' });
+      return;
+    }
+    recordAlert(alert);
+    reply(response, 200, { received: alert.id });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`SOS stub listening on port ${port}. Webhook URLs for the app:`);
+  const addresses = lanAddresses();
+  (addresses.length > 0 ? addresses : ['localhost']).forEach((address) => console.log(`  http://${address}:${port}/sos`));
+});